@@ -2,6 +2,7 @@
 class ConfigEditorApp {
     constructor() {
         this.currentConfig = this.getDefaultConfig();
+        this.format = 'json';
         this.validationTimeout = null;
         this.init();
     }
@@ -90,7 +91,7 @@ class ConfigEditorApp {
         const lineNumbers = document.getElementById('lineNumbers');
 
         // Set initial content
-        editor.value = JSON.stringify(this.currentConfig, null, 2);
+        editor.value = QuestionnaireFormats.stringify(this.currentConfig, this.format);
         this.updateLineNumbers();
 
         // Add input listeners
@@ -111,7 +112,7 @@ class ConfigEditorApp {
                     this.saveConfiguration();
                 } else if (e.key === 'f') {
                     e.preventDefault();
-                    this.formatJSON();
+                    this.formatConfiguration();
                 }
             }
 
@@ -128,9 +129,12 @@ class ConfigEditorApp {
 
     bindEventListeners() {
         document.getElementById('validateBtn').addEventListener('click', () => this.validateConfiguration());
-        document.getElementById('formatBtn').addEventListener('click', () => this.formatJSON());
+        document.getElementById('formatBtn').addEventListener('click', () => this.formatConfiguration());
+        document.getElementById('formatSelect').addEventListener('change', (e) => this.changeFormat(e.target.value));
         document.getElementById('saveBtn').addEventListener('click', () => this.saveConfiguration());
+        document.getElementById('shareBtn').addEventListener('click', () => this.shareConfiguration());
         document.getElementById('previewBtn').addEventListener('click', () => this.previewFlow());
+        document.getElementById('diagramBtn').addEventListener('click', () => this.downloadDiagram(document.getElementById('diagramFormat').value));
         document.getElementById('testBtn').addEventListener('click', () => this.testAllPaths());
     }
 
@@ -156,7 +160,7 @@ class ConfigEditorApp {
 
     loadConfiguration() {
         const editor = document.getElementById('configEditor');
-        editor.value = JSON.stringify(this.currentConfig, null, 2);
+        editor.value = QuestionnaireFormats.stringify(this.currentConfig, this.format);
         this.updateLineNumbers();
         this.validateConfiguration();
     }
@@ -166,49 +170,109 @@ class ConfigEditorApp {
         const validationStatus = document.getElementById('validationStatus');
         
         try {
-            const config = JSON.parse(editor.value);
+            const config = QuestionnaireFormats.parse(editor.value, this.format);
             const validation = QuestionnaireEngine.validateConfig(config);
             
             if (validation.isValid) {
                 this.currentConfig = config;
+                this.updateFormatOptions();
                 validationStatus.className = 'validation-status valid';
-                validationStatus.innerHTML = '✅ Configuration is valid';
+                validationStatus.textContent = '✅ Configuration is valid';
                 return true;
             } else {
                 validationStatus.className = 'validation-status invalid';
-                validationStatus.innerHTML = `❌ ${validation.errors.join(', ')}`;
+                validationStatus.textContent = `❌ ${validation.errors.join(', ')}`;
                 return false;
             }
         } catch (error) {
             validationStatus.className = 'validation-status invalid';
-            validationStatus.innerHTML = `❌ JSON Parse Error: ${error.message}`;
+            validationStatus.textContent = `❌ ${QuestionnaireFormats.FORMATS[this.format]} Parse Error: ${error.message}`;
             return false;
         }
     }
 
-    formatJSON() {
+    formatConfiguration() {
         const editor = document.getElementById('configEditor');
+        const formatName = QuestionnaireFormats.FORMATS[this.format];
         
         try {
-            const config = JSON.parse(editor.value);
-            editor.value = JSON.stringify(config, null, 2);
+            const config = QuestionnaireFormats.parse(editor.value, this.format);
+            editor.value = QuestionnaireFormats.stringify(config, this.format);
             this.updateLineNumbers();
-            this.showNotification('JSON formatted successfully!', 'success');
+            this.showNotification(`${formatName} formatted successfully!`, 'success');
         } catch (error) {
-            this.showNotification('Cannot format invalid JSON', 'error');
+            this.showNotification(`Cannot format invalid ${formatName}`, 'error');
         }
     }
 
+    /**
+     * Disable the formats that cannot express the current configuration
+     * The option's tooltip and the selector's title say why, e.g. outlines cannot hold translations.
+     */
+    updateFormatOptions() {
+        const formatSelect = document.getElementById('formatSelect');
+        const reasons = [];
+
+        Array.from(formatSelect.options).forEach(option => {
+            const reason = option.value === this.format ? null : QuestionnaireFormats.getUnsupportedReason(this.currentConfig, option.value);
+            option.disabled = reason !== null;
+            option.title = reason || '';
+            if (reason) {
+                reasons.push(reason);
+            }
+        });
+        formatSelect.title = reasons.join('\n');
+    }
+
+    /**
+     * Convert the editor content to another format
+     * The format stays unchanged when the content does not parse or the new format cannot express it.
+     * @param {string} format - Format ID (see QuestionnaireFormats.FORMATS)
+     */
+    changeFormat(format) {
+        const editor = document.getElementById('configEditor');
+        const formatSelect = document.getElementById('formatSelect');
+        
+        try {
+            const config = QuestionnaireFormats.parse(editor.value, this.format);
+            editor.value = QuestionnaireFormats.stringify(config, format);
+        } catch (error) {
+            formatSelect.value = this.format;
+            this.showNotification(`Cannot switch to ${QuestionnaireFormats.FORMATS[format]}: ${error.message}`, 'error');
+            return;
+        }
+
+        this.format = format;
+        this.updateLineNumbers();
+        this.validateConfiguration();
+    }
+
     saveConfiguration() {
         if (this.validateConfiguration()) {
             // In a real application, this would save to a server or local storage
             localStorage.setItem('questionnaireConfig', JSON.stringify(this.currentConfig));
-            this.showNotification('Configuration saved successfully!', 'success');
+            const id = QuestionnaireLinks.saveConfig(this.currentConfig);
+            this.showNotification(id ? `Configuration saved! Open it at /questionnaire/${id}` : 'Configuration saved successfully!', 'success');
         } else {
             this.showNotification('Cannot save invalid configuration', 'error');
         }
     }
 
+    async shareConfiguration() {
+        if (!this.validateConfiguration()) {
+            this.showNotification('Fix configuration errors before sharing', 'error');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(await QuestionnaireLinks.createLink(this.currentConfig));
+            this.showNotification('Share link copied to the clipboard!', 'success');
+        } catch (error) {
+            console.error('Sharing failed:', error);
+            this.showNotification('Could not copy the share link', 'error');
+        }
+    }
+
     previewFlow() {
         if (!this.validateConfiguration()) {
             this.showNotification('Fix configuration errors before previewing', 'error');
@@ -221,57 +285,41 @@ class ConfigEditorApp {
         const flowDiagram = document.createElement('div');
         flowDiagram.className = 'flow-diagram';
 
-        // Create flow visualization
-        Object.entries(this.currentConfig.questions).forEach(([questionId, questionData]) => {
-            const nodeElement = this.createFlowNode(questionId, questionData, questionId === this.currentConfig.startQuestion);
-            flowDiagram.appendChild(nodeElement);
-        });
+        // Shown as an image so the diagram's own stylesheet stays out of the page
+        const image = document.createElement('img');
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(QuestionnaireDiagrams.toSvg(this.currentConfig))}`;
+        image.alt = 'Questionnaire flow diagram';
 
+        flowDiagram.appendChild(image);
         previewContent.appendChild(flowDiagram);
     }
 
-    createFlowNode(questionId, questionData, isStart = false) {
-        const node = document.createElement('div');
-        node.className = `flow-node ${isStart ? 'start' : ''}`;
-
-        const header = document.createElement('div');
-        header.className = 'node-header';
-
-        const nodeIdSpan = document.createElement('span');
-        nodeIdSpan.className = 'node-id';
-        nodeIdSpan.textContent = questionId;
-
-        header.appendChild(nodeIdSpan);
-
-        const question = document.createElement('div');
-        question.className = 'node-question';
-        question.textContent = questionData.question;
-
-        const answers = document.createElement('div');
-        answers.className = 'node-answers';
-
-        Object.entries(questionData.answers).forEach(([answer, nextQuestionId]) => {
-            const answerOption = document.createElement('div');
-            answerOption.className = 'answer-option';
-
-            const answerText = document.createElement('span');
-            answerText.className = 'answer-text';
-            answerText.textContent = answer;
-
-            const answerNext = document.createElement('span');
-            answerNext.className = 'answer-next';
-            answerNext.textContent = nextQuestionId ? `→ ${nextQuestionId}` : '→ END';
+    /**
+     * Download the flow of the current configuration as a diagram
+     * @param {string} format - Diagram format (see QuestionnaireDiagrams.FORMATS)
+     */
+    downloadDiagram(format) {
+        if (!this.validateConfiguration()) {
+            this.showNotification('Fix configuration errors before downloading a diagram', 'error');
+            return;
+        }
 
-            answerOption.appendChild(answerText);
-            answerOption.appendChild(answerNext);
-            answers.appendChild(answerOption);
-        });
+        try {
+            const blob = new Blob([QuestionnaireDiagrams.render(this.currentConfig, format)], { type: QuestionnaireDiagrams.FORMATS[format].type });
+            const url = URL.createObjectURL(blob);
 
-        node.appendChild(header);
-        node.appendChild(question);
-        node.appendChild(answers);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = QuestionnaireDiagrams.getFileName(this.currentConfig, format);
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
 
-        return node;
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Diagram export failed:', error);
+            this.showNotification('Diagram export failed', 'error');
+        }
     }
 
     async testAllPaths() {
@@ -321,6 +369,22 @@ class ConfigEditorApp {
             { label: 'Min Length', value: results.statistics.minLength }
         ];
 
+        if (results.statistics.pathsWithSkips > 0) {
+            stats.push({ label: 'Paths With Skips', value: results.statistics.pathsWithSkips });
+        }
+
+        if (results.statistics.screenOutPaths > 0) {
+            stats.push({ label: 'Screen-out Paths', value: results.statistics.screenOutPaths });
+        }
+
+        if (QuestionnaireScoring.isScored(this.currentConfig)) {
+            const { minScore, maxScore, reachableOutcomes, unreachableOutcomes } = results.statistics;
+            stats.push(
+                { label: 'Score Range', value: `${minScore}–${maxScore}` },
+                { label: 'Outcomes Reached', value: `${reachableOutcomes.length}/${reachableOutcomes.length + unreachableOutcomes.length}` }
+            );
+        }
+
         stats.forEach(stat => {
             const statBox = document.createElement('div');
             statBox.className = 'stat-box';
@@ -340,6 +404,20 @@ class ConfigEditorApp {
 
         summary.appendChild(summaryTitle);
         summary.appendChild(summaryStats);
+
+        if (results.statistics.unreachableOutcomes.length > 0) {
+            const warning = document.createElement('p');
+            warning.className = 'outcome-warning';
+            warning.textContent = `Unreachable outcomes: ${results.statistics.unreachableOutcomes.join(', ')}`;
+            summary.appendChild(warning);
+        }
+        if (results.statistics.truncatedQuestions.length > 0) {
+            const warning = document.createElement('p');
+            warning.className = 'outcome-warning';
+            warning.textContent = `Not every selection of ${results.statistics.truncatedQuestions.join(', ')} was tried; score ranges may be incomplete`;
+            summary.appendChild(warning);
+        }
+
         previewContent.appendChild(summary);
 
         // Display first few paths as examples
@@ -376,7 +454,7 @@ class ConfigEditorApp {
             stepDiv.style.marginBottom = '0.5rem';
 
             const question = Object.keys(step)[0];
-            const answer = Object.values(step)[0];
+            const answer = QuestionTypes.formatAnswer(Object.values(step)[0]);
 
             stepDiv.innerHTML = `
                 <div style="font-weight: 600; margin-bottom: 0.25rem;">${index + 1}. ${question}</div>
@@ -1,13 +1,25 @@
 // Path Analyzer Engine - Generates all possible questionnaire paths
 class PathAnalyzerEngine {
-    constructor(config) {
+    constructor(config, locale = QuestionnaireI18n.getDefaultLocale(config)) {
         this.config = config;
+        this.locale = locale;
         this.allPaths = [];
+        this.pathSummaries = [];
+        this.pathPages = [];
+        // Multi-select questions with too many selections to try them all
+        this.truncatedQuestions = new Set();
         this.statistics = {
             totalPaths: 0,
             averageLength: 0,
             maxLength: 0,
-            minLength: 0
+            minLength: 0,
+            minScore: 0,
+            maxScore: 0,
+            pathsWithSkips: 0,
+            screenOutPaths: 0,
+            reachableOutcomes: [],
+            unreachableOutcomes: [],
+            truncatedQuestions: []
         };
     }
 
@@ -17,13 +29,17 @@ class PathAnalyzerEngine {
      */
     analyzeAllPaths() {
         this.allPaths = [];
+        this.pathSummaries = [];
+        this.pathPages = [];
+        this.truncatedQuestions = new Set();
         this.generatePaths(this.config.startQuestion, []);
         this.calculateStatistics();
         
         return {
             paths: {
                 number: this.allPaths.length,
-                list: this.allPaths
+                list: this.allPaths,
+                summaries: this.pathSummaries
             },
             statistics: this.statistics
         };
@@ -33,11 +49,17 @@ class PathAnalyzerEngine {
      * Recursively generate all possible paths
      * @param {string} questionId - Current question ID
      * @param {Array} currentPath - Current path being built
+     * @param {Object} trail - Answers along the path: representative ones used for routing,
+     *                         plus the lowest- and highest-scoring variants of each step
+     * @param {Object|null} iteration - Repeat group iteration the question belongs to
      */
-    generatePaths(questionId, currentPath) {
+    generatePaths(questionId, currentPath, trail = { answers: [], low: [], high: [] }, iteration = null) {
         // If questionId is null, we've reached the end of this path
         if (questionId === null) {
             this.allPaths.push([...currentPath]);
+            this.pathSummaries.push(this.summarizePath(trail));
+            this.pathPages.push(QuestionnairePages.splitIntoPages(this.config, trail.answers)
+                .map(page => ({ pageId: page.pageId, size: page.answers.length })));
             return;
         }
 
@@ -46,56 +68,228 @@ class PathAnalyzerEngine {
             console.warn(`Question not found: ${questionId}`);
             return;
         }
+        const key = QuestionnaireEngine.getAnswerKey({ questionId, iteration });
+        if (trail.answers.some(answerData => QuestionnaireEngine.getAnswerKey(answerData) === key)) {
+            console.warn(`Routing cycle at question: ${questionId}`);
+            return;
+        }
+
+        // For each distinct branch of the question, create a new path
+        // (multi-select questions contribute one representative selection per routing rule,
+        // input questions one labelled bucket per routing rule).
+        // Expression rules are evaluated against the answers on this path, so only feasible paths are produced.
+        // Repeat groups are bounded to a single representative iteration, marked with ↻.
+        // Optional questions and those offering "prefer not to answer" add one branch for leaving them unanswered.
+        // A path ends early where a screen-out condition matches; quotas depend on collected responses and are ignored.
+        const displayScope = this.getDisplayScope(trail.answers, iteration);
+        const render = (text) => QuestionnaireTemplates.render(text, displayScope);
+        const questionText = (iteration ? '↻ ' : '') + render(QuestionnaireI18n.translate(question.question, this.config, this.locale));
+
+        const branches = QuestionTypes.forQuestion(question).getBranches(question);
+        if (branches.some(branch => branch.truncated)) {
+            this.truncatedQuestions.add(questionId);
+        }
+        const skipBranch = this.getSkipBranch(question);
+        if (skipBranch) {
+            branches.push(skipBranch);
+        }
 
-        // For each possible answer, create a new path
-        Object.entries(question.answers).forEach(([answer, nextQuestionId]) => {
+        branches.forEach(({ answer, label, variants, skipped }) => {
+            const answerLabel = QuestionnaireI18n.labelAnswer(this.config, question, answer, this.locale);
             const newPathStep = {
-                [question.question]: answer
+                [questionText]: label !== undefined ? label : (Array.isArray(answerLabel) ? answerLabel.map(render) : render(answerLabel))
             };
             
             const newPath = [...currentPath, newPathStep];
-            this.generatePaths(nextQuestionId, newPath);
+
+            // Variants take the same route but may score differently
+            const scored = (variants || [answer])
+                .map(variant => ({ variant, score: QuestionnaireScoring.getAnswerScore(question, variant) }))
+                .sort((a, b) => a.score - b.score);
+            const position = { questionId, iteration };
+            const newTrail = {
+                answers: [
+                    ...trail.answers,
+                    { ...QuestionnaireEngine.createAnswer(position, questionText, answer), label, ...(skipped ? { skipped } : {}) }
+                ],
+                low: [...trail.low, QuestionnaireEngine.createAnswer(position, questionText, scored[0].variant)],
+                high: [...trail.high, QuestionnaireEngine.createAnswer(position, questionText, scored[scored.length - 1].variant)]
+            };
+
+            const screenOut = QuestionnaireEligibility.findScreenOut(this.config, newTrail.answers);
+            if (screenOut) {
+                this.generatePaths(null, newPath, { ...newTrail, screenOut: screenOut.id });
+                return;
+            }
+
+            const next = QuestionnaireEngine.getNextPosition(this.config, position, newTrail.answers, { singleIteration: true });
+            this.generatePaths(next.questionId, newPath, newTrail, next.iteration);
         });
     }
 
+    /**
+     * Get the branch of a question that is left unanswered
+     * @param {Object} question - Question configuration
+     * @returns {Object|null} Branch ({ answer: null, label, skipped: true }), or null if the question must be answered
+     */
+    getSkipBranch(question) {
+        const optional = QuestionnaireEngine.isOptional(question);
+        const declinable = QuestionnaireEngine.offersPreferNotToAnswer(question);
+        if (!optional && !declinable) {
+            return null;
+        }
+
+        const declineLabel = declinable
+            ? (question.preferNotToAnswer === true
+                ? QuestionnaireEngine.PREFER_NOT_TO_ANSWER_LABEL
+                : QuestionnaireI18n.translate(question.preferNotToAnswer, this.config, this.locale))
+            : null;
+        const labels = [optional ? 'skipped' : null, declineLabel].filter(Boolean);
+        return { answer: null, label: `(${labels.join(' / ')})`, skipped: true };
+    }
+
+    /**
+     * Build the scope placeholders are rendered with along a path
+     * Answers are shown by their labels; input answers stand for a whole range of values, so they are shown
+     * as ‹questionId› instead of the sample value.
+     * @param {Array} answers - Answers on the path ({ questionId, answer, label })
+     * @param {Object|null} iteration - Repeat group iteration of the question being rendered
+     * @returns {Object} Display values by question ID and variable name
+     */
+    getDisplayScope(answers, iteration) {
+        const scope = QuestionnaireI18n.localizeScope(
+            this.config,
+            QuestionnaireGroups.buildScope(this.config, answers, iteration),
+            this.locale
+        );
+        answers
+            .filter(answerData => answerData.label !== undefined && !answerData.skipped && scope[answerData.questionId] !== undefined)
+            .forEach(answerData => {
+                scope[answerData.questionId] = `‹${answerData.questionId}›`;
+            });
+        return scope;
+    }
+
+    /**
+     * Summarize the score range and outcomes of a finished path
+     * @param {Object} trail - Answers collected along the path (and the screen-out that ended it, if any)
+     * @returns {Object} Summary with minScore, maxScore, outcome IDs (none for screened out respondents), the number
+     *          of questions left unanswered and screenOut (ID of the screen-out ending the path, or null)
+     */
+    summarizePath(trail) {
+        const { TOTAL_SCORE } = QuestionnaireScoring;
+        const outcomes = new Set();
+
+        (trail.screenOut ? [] : [trail.answers, trail.low, trail.high]).forEach(answers => {
+            const outcome = QuestionnaireScoring.matchOutcome(this.config, answers);
+            if (outcome) {
+                outcomes.add(outcome.id);
+            }
+        });
+
+        return {
+            minScore: QuestionnaireScoring.computeVariables(this.config, trail.low)[TOTAL_SCORE],
+            maxScore: QuestionnaireScoring.computeVariables(this.config, trail.high)[TOTAL_SCORE],
+            outcomes: Array.from(outcomes),
+            skipped: trail.answers.filter(answerData => answerData.skipped).length,
+            screenOut: trail.screenOut || null
+        };
+    }
+
     /**
      * Calculate statistics about the paths
      */
     calculateStatistics() {
+        const outcomeIds = (this.config.outcomes || []).map(outcome => outcome.id);
+
         if (this.allPaths.length === 0) {
             this.statistics = {
                 totalPaths: 0,
                 averageLength: 0,
                 maxLength: 0,
-                minLength: 0
+                minLength: 0,
+                minScore: 0,
+                maxScore: 0,
+                pathsWithSkips: 0,
+                screenOutPaths: 0,
+                reachableOutcomes: [],
+                unreachableOutcomes: outcomeIds,
+                truncatedQuestions: [...this.truncatedQuestions]
             };
             return;
         }
 
         const lengths = this.allPaths.map(path => path.length);
+        const reachable = new Set(this.pathSummaries.flatMap(summary => summary.outcomes));
         
         this.statistics = {
             totalPaths: this.allPaths.length,
             averageLength: Math.round((lengths.reduce((sum, len) => sum + len, 0) / lengths.length) * 10) / 10,
             maxLength: Math.max(...lengths),
-            minLength: Math.min(...lengths)
+            minLength: Math.min(...lengths),
+            minScore: Math.min(...this.pathSummaries.map(summary => summary.minScore)),
+            maxScore: Math.max(...this.pathSummaries.map(summary => summary.maxScore)),
+            pathsWithSkips: this.pathSummaries.filter(summary => summary.skipped > 0).length,
+            screenOutPaths: this.pathSummaries.filter(summary => summary.screenOut !== null).length,
+            reachableOutcomes: outcomeIds.filter(id => reachable.has(id)),
+            unreachableOutcomes: outcomeIds.filter(id => !reachable.has(id)),
+            truncatedQuestions: [...this.truncatedQuestions]
         };
     }
 
     /**
      * Get detailed path information
+     * @param {Object} options - Report options
+     * @param {string} options.by - "question" (default) for one step per question, "page" for one step per
+     *                              page, listing the questions answered on it
      * @returns {Array} Array of detailed path objects
      */
-    getDetailedPaths() {
-        return this.allPaths.map((path, index) => ({
-            id: index + 1,
-            length: path.length,
-            steps: path.map((step, stepIndex) => ({
-                stepNumber: stepIndex + 1,
+    getDetailedPaths(options = {}) {
+        return this.allPaths.map((path, index) => {
+            const questionSteps = path.map(step => ({
                 question: Object.keys(step)[0],
                 answer: Object.values(step)[0]
-            }))
-        }));
+            }));
+            const steps = options.by === 'page'
+                ? this.groupStepsByPage(questionSteps, this.pathPages[index])
+                : questionSteps;
+
+            return {
+                id: index + 1,
+                length: steps.length,
+                score: {
+                    min: this.pathSummaries[index].minScore,
+                    max: this.pathSummaries[index].maxScore
+                },
+                outcomes: this.pathSummaries[index].outcomes,
+                skipped: this.pathSummaries[index].skipped,
+                screenOut: this.pathSummaries[index].screenOut,
+                steps: steps.map((step, stepIndex) => ({ stepNumber: stepIndex + 1, ...step }))
+            };
+        });
+    }
+
+    /**
+     * Combine the question steps of a path into page steps
+     * @param {Array} questionSteps - Steps of the path ({ question, answer })
+     * @param {Array} pages - Pages of the path ({ pageId, size })
+     * @returns {Array} Page steps ({ page, title, questions }); page and title are null for questions shown on their own
+     */
+    groupStepsByPage(questionSteps, pages) {
+        const definitions = QuestionnairePages.getPages(this.config);
+        let start = 0;
+
+        return pages.map(({ pageId, size }) => {
+            const questions = questionSteps.slice(start, start + size);
+            start += size;
+            return {
+                page: pageId,
+                title: pageId !== null
+                    ? QuestionnaireI18n.translate(definitions[pageId].title, this.config, this.locale) || pageId
+                    : null,
+                questions
+            };
+        });
     }
 
     /**
@@ -106,7 +300,8 @@ class PathAnalyzerEngine {
         const results = {
             paths: {
                 number: this.allPaths.length,
-                list: this.allPaths
+                list: this.allPaths,
+                summaries: this.pathSummaries
             },
             statistics: this.statistics,
             metadata: {
@@ -192,8 +387,8 @@ class PathAnalyzerEngine {
             errors.push('No paths found - questionnaire may have circular references or unreachable questions');
         }
 
-        // Check for extremely short paths (might indicate missing questions)
-        const shortPaths = this.allPaths.filter(path => path.length === 1);
+        // Check for extremely short paths (might indicate missing questions); screen-outs end paths on purpose
+        const shortPaths = this.allPaths.filter((path, index) => path.length === 1 && !this.pathSummaries[index].screenOut);
         if (shortPaths.length > 0) {
             warnings.push(`Found ${shortPaths.length} path(s) with only 1 question - verify this is intentional`);
         }
@@ -204,6 +399,10 @@ class PathAnalyzerEngine {
             warnings.push(`Found ${longPaths.length} path(s) with more than 10 questions - verify this is intentional`);
         }
 
+        this.statistics.truncatedQuestions.forEach(questionId => {
+            warnings.push(`Question "${questionId}" has too many possible selections to try them all - paths cover the selections each routing rule needs, but score ranges may be incomplete`);
+        });
+
         return {
             isValid: errors.length === 0,
             errors,
@@ -1,96 +1,190 @@
 // Questionnaire configuration with conditional logic
 const questionnaireConfig = {
+    "id": "relationship-survey",
+    "locales": ["en", "ru"],
+    "defaultLocale": "en",
     "startQuestion": "q1",
     "questions": {
         "q1": {
-            "question": "What is your marital status?",
+            "question": {
+                "en": "What is your marital status?",
+                "ru": "Каково ваше семейное положение?"
+            },
             "answers": {
-                "Single": "q2",
-                "Married": "q3",
-                "Divorced": "q2",
-                "Widowed": "q2"
+                "single": "q2",
+                "married": "q3",
+                "divorced": "q2",
+                "widowed": "q2"
+            },
+            "labels": {
+                "single": { "en": "Single", "ru": "Не в браке" },
+                "married": { "en": "Married", "ru": "В браке" },
+                "divorced": { "en": "Divorced", "ru": "В разводе" },
+                "widowed": { "en": "Widowed", "ru": "Вдовец / вдова" }
             }
         },
         "q2": {
-            "question": "Are you planning on getting married next year?",
+            "question": {
+                "en": "Are you planning on getting married next year?",
+                "ru": "Планируете ли вы вступить в брак в следующем году?"
+            },
             "answers": {
-                "Yes": null,
-                "No": null,
-                "Maybe": null
+                "yes": null,
+                "no": null,
+                "maybe": null
+            },
+            "labels": {
+                "yes": { "en": "Yes", "ru": "Да" },
+                "no": { "en": "No", "ru": "Нет" },
+                "maybe": { "en": "Maybe", "ru": "Возможно" }
             }
         },
         "q3": {
-            "question": "How long have you been married?",
+            "question": {
+                "en": "How long have you been married?",
+                "ru": "Как долго вы состоите в браке?"
+            },
             "answers": {
-                "Less than a year": "q4",
-                "1-5 years": "q5",
-                "More than 5 years": "q6"
+                "under_1_year": "q4",
+                "1_5_years": "q5",
+                "over_5_years": "q6"
+            },
+            "labels": {
+                "under_1_year": { "en": "Less than a year", "ru": "Меньше года" },
+                "1_5_years": { "en": "1-5 years", "ru": "1–5 лет" },
+                "over_5_years": { "en": "More than 5 years", "ru": "Больше 5 лет" }
             }
         },
         "q4": {
-            "question": "Have you celebrated your one year anniversary?",
+            "question": {
+                "en": "Have you celebrated your one year anniversary?",
+                "ru": "Вы уже отметили первую годовщину свадьбы?"
+            },
             "answers": {
-                "Yes": null,
-                "No": null,
-                "Planning to": null
+                "yes": null,
+                "no": null,
+                "planning": null
+            },
+            "labels": {
+                "yes": { "en": "Yes", "ru": "Да" },
+                "no": { "en": "No", "ru": "Нет" },
+                "planning": { "en": "Planning to", "ru": "Собираемся" }
             }
         },
         "q5": {
-            "question": "Do you have children?",
+            "question": {
+                "en": "Do you have children?",
+                "ru": "Есть ли у вас дети?"
+            },
             "answers": {
-                "Yes": "q7",
-                "No": "q8",
-                "Planning to have": "q8"
+                "yes": "q7",
+                "no": "q8",
+                "planning": "q8"
+            },
+            "labels": {
+                "yes": { "en": "Yes", "ru": "Да" },
+                "no": { "en": "No", "ru": "Нет" },
+                "planning": { "en": "Planning to have", "ru": "Планируем" }
             }
         },
         "q6": {
-            "question": "Are you satisfied with your marriage?",
+            "question": {
+                "en": "Are you satisfied with your marriage?",
+                "ru": "Довольны ли вы своим браком?"
+            },
             "answers": {
-                "Very satisfied": "q9",
-                "Somewhat satisfied": "q10",
-                "Not satisfied": "q11"
+                "very_satisfied": "q9",
+                "somewhat_satisfied": "q10",
+                "not_satisfied": "q11"
+            },
+            "labels": {
+                "very_satisfied": { "en": "Very satisfied", "ru": "Очень доволен(-льна)" },
+                "somewhat_satisfied": { "en": "Somewhat satisfied", "ru": "Скорее доволен(-льна)" },
+                "not_satisfied": { "en": "Not satisfied", "ru": "Не доволен(-льна)" }
             }
         },
         "q7": {
-            "question": "How many children do you have?",
+            "question": {
+                "en": "How many children do you have?",
+                "ru": "Сколько у вас детей?"
+            },
             "answers": {
                 "1": null,
                 "2": null,
-                "3 or more": null
+                "3_or_more": null
+            },
+            "labels": {
+                "1": { "en": "1", "ru": "1" },
+                "2": { "en": "2", "ru": "2" },
+                "3_or_more": { "en": "3 or more", "ru": "3 и более" }
             }
         },
         "q8": {
-            "question": "What are your future family plans?",
+            "question": {
+                "en": "What are your future family plans?",
+                "ru": "Каковы ваши планы на будущее семьи?"
+            },
             "answers": {
-                "Want children soon": null,
-                "Want children later": null,
-                "No children planned": null
+                "children_soon": null,
+                "children_later": null,
+                "no_children": null
+            },
+            "labels": {
+                "children_soon": { "en": "Want children soon", "ru": "Хотим детей в ближайшее время" },
+                "children_later": { "en": "Want children later", "ru": "Хотим детей позже" },
+                "no_children": { "en": "No children planned", "ru": "Детей не планируем" }
             }
         },
         "q9": {
-            "question": "What contributes most to your satisfaction?",
+            "question": {
+                "en": "What contributes most to your satisfaction?",
+                "ru": "Что больше всего влияет на вашу удовлетворённость?"
+            },
             "answers": {
-                "Communication": null,
-                "Shared values": null,
-                "Emotional support": null,
-                "Financial stability": null
+                "communication": null,
+                "shared_values": null,
+                "emotional_support": null,
+                "financial_stability": null
+            },
+            "labels": {
+                "communication": { "en": "Communication", "ru": "Общение" },
+                "shared_values": { "en": "Shared values", "ru": "Общие ценности" },
+                "emotional_support": { "en": "Emotional support", "ru": "Эмоциональная поддержка" },
+                "financial_stability": { "en": "Financial stability", "ru": "Финансовая стабильность" }
             }
         },
         "q10": {
-            "question": "What could improve your marriage?",
+            "question": {
+                "en": "What could improve your marriage?",
+                "ru": "Что могло бы улучшить ваш брак?"
+            },
             "answers": {
-                "More quality time": null,
-                "Better communication": null,
-                "Financial improvements": null,
-                "More romance": null
+                "quality_time": null,
+                "communication": null,
+                "finances": null,
+                "romance": null
+            },
+            "labels": {
+                "quality_time": { "en": "More quality time", "ru": "Больше времени вместе" },
+                "communication": { "en": "Better communication", "ru": "Лучшее общение" },
+                "finances": { "en": "Financial improvements", "ru": "Улучшение финансов" },
+                "romance": { "en": "More romance", "ru": "Больше романтики" }
             }
         },
         "q11": {
-            "question": "Have you considered marriage counseling?",
+            "question": {
+                "en": "Have you considered marriage counseling?",
+                "ru": "Думали ли вы о семейной консультации?"
+            },
             "answers": {
-                "Yes, already doing it": null,
-                "Yes, considering it": null,
-                "No, not interested": null
+                "in_counseling": null,
+                "considering": null,
+                "not_interested": null
+            },
+            "labels": {
+                "in_counseling": { "en": "Yes, already doing it", "ru": "Да, уже посещаем" },
+                "considering": { "en": "Yes, considering it", "ru": "Да, рассматриваем" },
+                "not_interested": { "en": "No, not interested", "ru": "Нет, не интересует" }
             }
         }
     }
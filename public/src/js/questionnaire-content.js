@@ -0,0 +1,220 @@
+// Questionnaire Content - Help texts, answer hints and images shown with a question
+//
+// Configuration (per question, every text may be translated):
+//   "description": "Counts **before** taxes."          shown under the question (markdown, see below)
+//   "help": "See [the guide](https://example.com)."    shown when the respondent opens the help
+//   "hints": { "single": "Never married" }             tooltips on answers, plain text, by answer ID
+//   "image": { "src": "img/scale.png", "alt": "..." }  picture shown with the question; "alt" is required
+//
+// Markdown is a small safe subset: **bold**, *italic* or _italic_, [links](https://...), line breaks and blank
+// lines between paragraphs; a backslash escapes a markdown character. Everything else, HTML included, is shown
+// as typed. Links may point to http(s), mailto or relative URLs.
+const QuestionnaireContent = (() => {
+    'use strict';
+
+    const LINK_PATTERN = /\[([^\]]+)\]\(([^()\s]+)\)/g;
+    const ESCAPED_PATTERN = /\\([\\*_[\]()])/g;
+    const HTML_TAG_PATTERN = /<\/?[A-Za-z][^>]*>/;
+    const LINK_PROTOCOLS = ['http', 'https', 'mailto'];
+    const IMAGE_PROTOCOLS = ['http', 'https'];
+    const DATA_IMAGE_PATTERN = /^data:image\/(?:png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+    // Escaped markdown characters are swapped for private-use characters while the text is parsed. The same
+    // characters are dropped from the input first, so only protect() can produce them.
+    const PROTECTED_OFFSET = 0xE000;
+    const PROTECTED_PATTERN = /[\uE000-\uE07F]/g;
+    const protect = (char) => String.fromCharCode(PROTECTED_OFFSET + char.charCodeAt(0));
+    const unprotect = (text) => text.replace(PROTECTED_PATTERN, char => String.fromCharCode(char.charCodeAt(0) - PROTECTED_OFFSET));
+
+    /**
+     * Check whether a URL may be used as a link target
+     * @param {string} url - URL as written in the configuration
+     * @param {string[]} protocols - Allowed protocols of absolute URLs
+     * @returns {boolean} True for relative URLs and absolute ones with an allowed protocol
+     */
+    const isSafeUrl = (url, protocols = LINK_PROTOCOLS) => {
+        if (typeof url !== 'string' || url.trim() === '' || /[\u0000-\u001F\u007F\s]/.test(url.trim())) {
+            return false;
+        }
+
+        const scheme = url.trim().match(/^([A-Za-z][A-Za-z0-9+.-]*):/);
+        return !scheme || protocols.includes(scheme[1].toLowerCase());
+    };
+
+    /**
+     * Check whether a URL may be used as an image source
+     * @param {string} src - Image URL
+     * @returns {boolean} True for relative and http(s) URLs and base64 PNG, JPEG, GIF or WebP data URLs
+     */
+    const isSafeImageSource = (src) => isSafeUrl(src, IMAGE_PROTOCOLS) || (typeof src === 'string' && DATA_IMAGE_PATTERN.test(src));
+
+    /**
+     * Render emphasis in a piece of text without links
+     * @param {string} text - Markdown text with escaped characters protected
+     * @returns {string} HTML
+     */
+    const renderEmphasis = (text) => QuestionnaireTemplates.escapeHtml(text)
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+        .replace(/(^|[^A-Za-z0-9])_(?=\S)(.+?)_(?![A-Za-z0-9])/g, '$1<em>$2</em>');
+
+    /**
+     * Render one line of markdown
+     * @param {string} text - Markdown text
+     * @returns {string} HTML with emphasis and links; links with unsafe URLs are shown as their text
+     */
+    const renderInline = (text) => {
+        const source = String(text).replace(PROTECTED_PATTERN, '').replace(ESCAPED_PATTERN, (match, char) => protect(char));
+        let html = '';
+        let last = 0;
+
+        for (const match of source.matchAll(LINK_PATTERN)) {
+            html += renderEmphasis(source.slice(last, match.index));
+            const url = unprotect(match[2]);
+            html += isSafeUrl(url)
+                ? `<a href="${QuestionnaireTemplates.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${renderEmphasis(match[1])}</a>`
+                : renderEmphasis(match[1]);
+            last = match.index + match[0].length;
+        }
+
+        return unprotect(html + renderEmphasis(source.slice(last)));
+    };
+
+    /**
+     * Render markdown text as paragraphs
+     * @param {string} text - Markdown text
+     * @returns {string} HTML ("<p>" per paragraph, "<br>" per line break)
+     */
+    const renderMarkdown = (text) => String(text)
+        .split(/\r?\n\s*\r?\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(paragraph => paragraph !== '')
+        .map(paragraph => `<p>${paragraph.split(/\r?\n/).map(renderInline).join('<br>')}</p>`)
+        .join('');
+
+    /**
+     * Get the content of a question in a locale
+     * @param {Object} questionData - Question configuration
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} locale - Locale code
+     * @returns {Object} Configured parts of { description, help, image: { src, alt }, hints: { answerId: text } }
+     */
+    const getContent = (questionData, config, locale) => {
+        const translate = (text) => QuestionnaireI18n.translate(text, config, locale);
+        const content = {};
+
+        ['description', 'help'].filter(key => questionData[key] !== undefined).forEach(key => {
+            content[key] = translate(questionData[key]);
+        });
+        if (questionData.image) {
+            content.image = { src: questionData.image.src, alt: translate(questionData.image.alt) };
+        }
+        if (questionData.hints) {
+            content.hints = {};
+            Object.entries(questionData.hints).forEach(([answerId, hint]) => {
+                content.hints[answerId] = translate(hint);
+            });
+        }
+
+        return content;
+    };
+
+    /**
+     * Find what is wrong with a markdown text
+     * @param {string|Object} text - Markdown text or translations by locale
+     * @returns {string[]} Problems, phrased to follow the name of the text
+     */
+    const checkMarkdown = (text) => {
+        const problems = [];
+
+        QuestionnaireI18n.getTexts(text).forEach(translation => {
+            if (HTML_TAG_PATTERN.test(translation)) {
+                problems.push('contains HTML; use markdown for emphasis and links');
+            }
+            for (const match of translation.replace(ESCAPED_PATTERN, '').matchAll(LINK_PATTERN)) {
+                if (!isSafeUrl(match[2])) {
+                    problems.push(`links to unsafe URL "${match[2]}"`);
+                }
+            }
+        });
+
+        return [...new Set(problems)];
+    };
+
+    /**
+     * Validate the descriptions, help texts, hints and images of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Errors
+     */
+    const validate = (config) => {
+        const errors = [];
+
+        Object.entries(config.questions).forEach(([questionId, questionData]) => {
+            const label = `Question "${questionId}"`;
+
+            ['description', 'help'].filter(key => questionData[key] !== undefined).forEach(key => {
+                if (!QuestionnaireI18n.isText(questionData[key])) {
+                    errors.push(`${label} '${key}' must be a text`);
+                    return;
+                }
+                checkMarkdown(questionData[key]).forEach(problem => errors.push(`${label} '${key}' ${problem}`));
+            });
+
+            const image = questionData.image;
+            if (image !== undefined) {
+                if (!image || typeof image !== 'object' || Array.isArray(image)) {
+                    errors.push(`${label} 'image' must be an object like { "src": "...", "alt": "..." }`);
+                } else {
+                    if (!isSafeImageSource(image.src)) {
+                        errors.push(`${label} image has a missing or unsafe 'src'`);
+                    }
+                    if (!QuestionnaireI18n.isText(image.alt) || QuestionnaireI18n.getTexts(image.alt).some(text => text.trim() === '')) {
+                        errors.push(`${label} image needs 'alt' text describing it`);
+                    }
+                }
+            }
+
+            const hints = questionData.hints;
+            if (hints === undefined) {
+                return;
+            }
+            if (!hints || typeof hints !== 'object' || Array.isArray(hints)) {
+                errors.push(`${label} 'hints' must be an object of hints by answer ID`);
+                return;
+            }
+
+            let options = [];
+            try {
+                options = QuestionTypes.hasType(questionData.type || QuestionTypes.DEFAULT_TYPE)
+                    ? QuestionTypes.forQuestion(questionData).getOptions(questionData)
+                    : [];
+            } catch (error) {
+                // Invalid answers are reported by the question type
+            }
+            Object.entries(hints).forEach(([answerId, hint]) => {
+                if (!options.includes(answerId)) {
+                    errors.push(`${label} has a hint for unknown answer "${answerId}"`);
+                } else if (!QuestionnaireI18n.isText(hint)) {
+                    errors.push(`${label} answer "${answerId}" has an invalid hint`);
+                }
+            });
+        });
+
+        return errors;
+    };
+
+    // Public API
+    return {
+        isSafeUrl,
+        isSafeImageSource,
+        renderInline,
+        renderMarkdown,
+        getContent,
+        validate
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireContent = QuestionnaireContent;
+}
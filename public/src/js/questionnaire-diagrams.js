@@ -0,0 +1,603 @@
+// Questionnaire Diagrams - Flow diagrams of a configuration as Mermaid, Graphviz DOT or standalone SVG
+//
+// The diagram shows every question with the routes leaving it (answers leading to the same question share
+// one edge), repeat groups as loop nodes, an End node, and a node per screen-out and quota with dashed edges
+// from the questions its condition refers to. Texts are shown in the default locale unless one is given.
+//
+// Usage:
+//   QuestionnaireDiagrams.render(config, 'mermaid')   flowchart text for Markdown, design docs, mermaid.live
+//   QuestionnaireDiagrams.render(config, 'dot')       Graphviz source (dot -Tpng flow.dot -o flow.png)
+//   QuestionnaireDiagrams.render(config, 'svg')       laid out here, no external tools needed
+const QuestionnaireDiagrams = (() => {
+    'use strict';
+
+    const FORMATS = Object.freeze({
+        mermaid: Object.freeze({ name: 'Mermaid', extension: 'mmd', type: 'text/plain' }),
+        dot: Object.freeze({ name: 'Graphviz DOT', extension: 'dot', type: 'text/vnd.graphviz' }),
+        svg: Object.freeze({ name: 'SVG', extension: 'svg', type: 'image/svg+xml' })
+    });
+
+    // Node IDs Mermaid and DOT read as keywords
+    const RESERVED_KEYS = new Set(['end', 'graph', 'subgraph', 'flowchart', 'direction', 'style', 'class', 'classdef',
+        'click', 'linkstyle', 'default', 'node', 'edge', 'digraph', 'strict']);
+
+    const LAYOUT = Object.freeze({
+        nodeWidth: 220,
+        terminalWidth: 150,
+        lineHeight: 16,
+        charWidth: 7,
+        maxLines: 4,
+        padding: 12,
+        nodeGap: 40,
+        dummyWidth: 16,
+        layerGap: 72,
+        margin: 24,
+        maxLabelChars: 32
+    });
+
+    /**
+     * Build the flow graph of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @param {string|null} locale - Locale of the texts (default locale when omitted)
+     * @returns {Object} { nodes: [{ key, id, kind, label, start }], edges: [{ from, to, label, dashed }] }
+     *          kind is "question", "group", "end", "screenOut" or "quota"; from and to are node keys
+     */
+    const buildGraph = (config, locale = QuestionnaireI18n.getDefaultLocale(config)) => {
+        const translate = (text) => QuestionnaireI18n.translate(text, config, locale);
+        const nodes = [];
+        const nodesByRef = new Map();
+        const usedKeys = new Set();
+        const edges = [];
+
+        // Keys are unique, word-only and never keywords, so every format can use them as node IDs
+        const addNode = (ref, id, kind, label) => {
+            let key = String(id).replace(/\W/g, '_');
+            if (!/^[A-Za-z]/.test(key)) {
+                key = `n_${key}`;
+            }
+            while (RESERVED_KEYS.has(key.toLowerCase()) || usedKeys.has(key)) {
+                key += '_';
+            }
+            usedKeys.add(key);
+            const node = { key, id, kind, label, start: false };
+            nodes.push(node);
+            nodesByRef.set(ref, node);
+            return node;
+        };
+        const getEnd = () => nodesByRef.get('end') || addNode('end', 'End', 'end', 'End');
+        const addEdge = (from, to, label, dashed = false) => {
+            const existing = edges.find(edge => edge.from === from.key && edge.to === to.key && edge.dashed === dashed);
+            if (existing) {
+                existing.label = [existing.label, label].filter(Boolean).join(', ');
+            } else {
+                edges.push({ from: from.key, to: to.key, label, dashed });
+            }
+        };
+
+        const questionIds = Object.keys(config.questions);
+        [config.startQuestion, ...questionIds.filter(id => id !== config.startQuestion)]
+            .filter(id => Object.prototype.hasOwnProperty.call(config.questions, id))
+            .forEach(id => addNode(`question:${id}`, id, 'question', translate(config.questions[id].question)));
+        if (nodesByRef.has(`question:${config.startQuestion}`)) {
+            nodesByRef.get(`question:${config.startQuestion}`).start = true;
+        }
+        const groups = QuestionnaireGroups.getGroups(config);
+        Object.entries(groups).forEach(([id, group]) => addNode(`group:${id}`, id, 'group', `↻ ${group.title ? translate(group.title) : id}`));
+
+        // Routes to null end the questionnaire, or the current iteration inside a repeat group
+        const resolve = (fromQuestionId, next) => {
+            if (next === null) {
+                const groupId = fromQuestionId !== null ? QuestionnaireGroups.getGroupOf(config, fromQuestionId) : null;
+                return groupId !== null ? nodesByRef.get(`group:${groupId}`) : getEnd();
+            }
+            return nodesByRef.get(`group:${next}`) || nodesByRef.get(`question:${next}`) || null;
+        };
+
+        questionIds.forEach(questionId => {
+            const from = nodesByRef.get(`question:${questionId}`);
+            QuestionnaireEngine.getEdges(config.questions[questionId]).forEach(({ label, next }) => {
+                const to = resolve(questionId, next === undefined ? null : next);
+                if (to) {
+                    addEdge(from, to, label);
+                }
+            });
+        });
+        Object.entries(groups).forEach(([id, group]) => {
+            const from = nodesByRef.get(`group:${id}`);
+            const first = Array.isArray(group.questions) ? nodesByRef.get(`question:${group.questions[0]}`) : null;
+            if (first) {
+                addEdge(from, first, 'next iteration');
+            }
+            const after = resolve(null, group.next === undefined ? null : group.next);
+            if (after) {
+                addEdge(from, after, 'done');
+            }
+        });
+
+        [
+            ...QuestionnaireEligibility.getScreenOuts(config).map(rule => ({ rule, kind: 'screenOut', label: `Screened out: ${rule.id}` })),
+            ...QuestionnaireEligibility.getQuotas(config).map(rule => ({ rule, kind: 'quota', label: `Quota full: ${rule.id}` }))
+        ].forEach(({ rule, kind, label }) => {
+            const node = addNode(`${kind}:${rule.id}`, rule.id, kind, label);
+            let references = [];
+            try {
+                references = QuestionnaireExpressions.getReferences(QuestionnaireExpressions.compile(rule.when));
+            } catch (error) {
+                // Invalid conditions are reported by validateConfig; the node is shown without edges
+            }
+            references
+                .map(questionId => nodesByRef.get(`question:${questionId}`))
+                .filter(Boolean)
+                .forEach(from => addEdge(from, node, `if ${rule.when}`, true));
+        });
+
+        return { nodes, edges };
+    };
+
+    const flatten = (text) => String(text).replace(/\s+/g, ' ').trim();
+
+    /**
+     * Write the flow of a configuration as a Mermaid flowchart
+     * @param {Object} config - Questionnaire configuration
+     * @param {Object} options - { locale }
+     * @returns {string} Mermaid source
+     */
+    const toMermaid = (config, options = {}) => {
+        const { nodes, edges } = buildGraph(config, options.locale);
+        const quote = (text) => `"${flatten(text).replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;')}"`;
+        const shapes = {
+            question: (label) => `[${label}]`,
+            group: (label) => `[[${label}]]`,
+            end: (label) => `([${label}])`,
+            screenOut: (label) => `{{${label}}}`,
+            quota: (label) => `{{${label}}}`
+        };
+
+        const lines = [];
+        if (config.id) {
+            lines.push('---', `title: ${quote(config.id)}`, '---');
+        }
+        lines.push('flowchart TD');
+        nodes.forEach(node => lines.push(`    ${node.key}${shapes[node.kind](quote(node.label))}`));
+        edges.forEach(edge => {
+            const arrow = edge.dashed ? '-.->' : '-->';
+            lines.push(`    ${edge.from} ${edge.label ? `${arrow}|${quote(edge.label)}|` : arrow} ${edge.to}`);
+        });
+
+        lines.push(
+            '    classDef start stroke-width:3px',
+            '    classDef terminal fill:#f3f4f6,stroke:#6b7280',
+            '    classDef screenOut fill:#fef3c7,stroke:#f59e0b'
+        );
+        const classes = {
+            start: nodes.filter(node => node.start),
+            terminal: nodes.filter(node => node.kind === 'end'),
+            screenOut: nodes.filter(node => node.kind === 'screenOut' || node.kind === 'quota')
+        };
+        Object.entries(classes)
+            .filter(([, members]) => members.length > 0)
+            .forEach(([name, members]) => lines.push(`    class ${members.map(node => node.key).join(',')} ${name}`));
+
+        return `${lines.join('\n')}\n`;
+    };
+
+    /**
+     * Write the flow of a configuration as a Graphviz digraph
+     * @param {Object} config - Questionnaire configuration
+     * @param {Object} options - { locale }
+     * @returns {string} DOT source
+     */
+    const toDot = (config, options = {}) => {
+        const { nodes, edges } = buildGraph(config, options.locale);
+        const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+        const attributes = {
+            question: (node) => (node.start ? ', penwidth=2.5' : ''),
+            group: () => ', style="rounded,dashed,filled"',
+            end: () => ', shape=oval, fillcolor="#f3f4f6"',
+            screenOut: () => ', shape=hexagon, fillcolor="#fef3c7"',
+            quota: () => ', shape=hexagon, fillcolor="#fef3c7"'
+        };
+
+        const lines = [
+            'digraph questionnaire {',
+            '    rankdir=TB;',
+            '    node [shape=box, style="rounded,filled", fillcolor="#ffffff", fontname="Helvetica", fontsize=11];',
+            '    edge [fontname="Helvetica", fontsize=9, color="#6b7280"];'
+        ];
+        if (config.id) {
+            lines.push(`    label=${quote(config.id)};`, '    labelloc=t;');
+        }
+        nodes.forEach(node => {
+            const label = node.kind === 'question' ? `${node.id}\n${wrapText(node.label).join('\n')}` : node.label;
+            lines.push(`    ${quote(node.key)} [label=${quote(label)}${attributes[node.kind](node)}];`);
+        });
+        edges.forEach(edge => {
+            const extras = [edge.label ? `label=${quote(flatten(edge.label))}` : null, edge.dashed ? 'style=dashed' : null].filter(Boolean);
+            lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)}${extras.length > 0 ? ` [${extras.join(', ')}]` : ''};`);
+        });
+        lines.push('}');
+
+        return `${lines.join('\n')}\n`;
+    };
+
+    /**
+     * Break a text into lines that fit a node
+     * @param {string} text - Text
+     * @param {number} maxChars - Characters per line
+     * @param {number} maxLines - Lines at most; the last one ends with "…" when the text is longer
+     * @returns {string[]} Lines
+     */
+    const wrapText = (text, maxChars = Math.floor((LAYOUT.nodeWidth - 2 * LAYOUT.padding) / LAYOUT.charWidth), maxLines = LAYOUT.maxLines) => {
+        const lines = [];
+        let current = '';
+        flatten(text).split(' ').filter(Boolean).forEach(word => {
+            let rest = word;
+            while (rest.length > maxChars) {
+                if (current) {
+                    lines.push(current);
+                    current = '';
+                }
+                lines.push(rest.slice(0, maxChars));
+                rest = rest.slice(maxChars);
+            }
+            if (current && current.length + 1 + rest.length > maxChars) {
+                lines.push(current);
+                current = rest;
+            } else {
+                current = current ? `${current} ${rest}` : rest;
+            }
+        });
+        if (current) {
+            lines.push(current);
+        }
+
+        if (lines.length > maxLines) {
+            const kept = lines.slice(0, maxLines);
+            kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1)}…`;
+            return kept;
+        }
+        return lines.length > 0 ? lines : [''];
+    };
+
+    const truncate = (text, maxChars) => (text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text);
+
+    /**
+     * Lay out a flow graph in layers (Sugiyama style)
+     * Cycles are broken by reversing back edges, nodes are layered by longest path, long edges get dummy
+     * nodes, layers are ordered by barycenters and nodes are pulled towards their neighbours.
+     * @param {Object} graph - Result of buildGraph()
+     * @returns {Object} { nodes (with x, y, width, height, lines), edges (with points, labelPoint), width, height }
+     *          x and y are node centers; edge points run from the source to the target
+     */
+    const layout = (graph) => {
+        const nodes = graph.nodes.map(node => {
+            const terminal = node.kind !== 'question';
+            const lines = terminal ? wrapText(node.label, Math.floor((LAYOUT.terminalWidth - 2 * LAYOUT.padding) / LAYOUT.charWidth), 2) : wrapText(node.label);
+            const width = terminal ? LAYOUT.terminalWidth : LAYOUT.nodeWidth;
+            const height = 2 * LAYOUT.padding + (lines.length + (terminal ? 0 : 1)) * LAYOUT.lineHeight;
+            return { ...node, lines, width, height, dummy: false };
+        });
+        const byKey = new Map(nodes.map(node => [node.key, node]));
+        const edges = graph.edges.map(edge => ({ ...edge }));
+
+        // Break cycles: edges into a node still being visited point back up the flow
+        const state = new Map();
+        const visit = (key) => {
+            state.set(key, 'active');
+            edges.filter(edge => edge.from === key && edge.from !== edge.to).forEach(edge => {
+                if (state.get(edge.to) === 'active') {
+                    edge.reversed = true;
+                } else if (!state.has(edge.to)) {
+                    visit(edge.to);
+                }
+            });
+            state.set(key, 'done');
+        };
+        nodes.forEach(node => {
+            if (!state.has(node.key)) {
+                visit(node.key);
+            }
+        });
+
+        // Layer by longest path from the sources
+        const forward = edges
+            .filter(edge => edge.from !== edge.to)
+            .map(edge => (edge.reversed ? { edge, upper: edge.to, lower: edge.from } : { edge, upper: edge.from, lower: edge.to }));
+        const layerOf = new Map(nodes.map(node => [node.key, 0]));
+        const incoming = new Map(nodes.map(node => [node.key, 0]));
+        forward.forEach(({ lower }) => incoming.set(lower, incoming.get(lower) + 1));
+        const queue = nodes.filter(node => incoming.get(node.key) === 0).map(node => node.key);
+        while (queue.length > 0) {
+            const key = queue.shift();
+            forward.filter(link => link.upper === key).forEach(link => {
+                layerOf.set(link.lower, Math.max(layerOf.get(link.lower), layerOf.get(key) + 1));
+                incoming.set(link.lower, incoming.get(link.lower) - 1);
+                if (incoming.get(link.lower) === 0) {
+                    queue.push(link.lower);
+                }
+            });
+        }
+
+        // Split edges spanning several layers with dummy nodes, so they are ordered and routed like nodes
+        const links = [];
+        forward.forEach(({ edge, upper, lower }) => {
+            const chain = [upper];
+            for (let layer = layerOf.get(upper) + 1; layer < layerOf.get(lower); layer++) {
+                const dummy = { key: `dummy:${links.length}:${layer}`, dummy: true, width: LAYOUT.dummyWidth, height: 0 };
+                nodes.push(dummy);
+                byKey.set(dummy.key, dummy);
+                layerOf.set(dummy.key, layer);
+                chain.push(dummy.key);
+            }
+            chain.push(lower);
+            edge.chain = chain;
+            for (let i = 1; i < chain.length; i++) {
+                links.push({ upper: chain[i - 1], lower: chain[i] });
+            }
+        });
+
+        const layerCount = Math.max(0, ...layerOf.values()) + 1;
+        const layers = Array.from({ length: layerCount }, () => []);
+        nodes.forEach(node => layers[layerOf.get(node.key)].push(node));
+
+        // Order layers by the average position of their neighbours, sweeping down and up
+        const position = new Map();
+        const indexLayer = (layer) => layer.forEach((node, i) => position.set(node.key, i));
+        layers.forEach(indexLayer);
+        const neighbours = (key, direction) => links
+            .filter(link => (direction === 'down' ? link.lower === key : link.upper === key))
+            .map(link => (direction === 'down' ? link.upper : link.lower));
+        const reorder = (layer, direction) => {
+            const barycenters = new Map(layer.map(node => {
+                const adjacent = neighbours(node.key, direction);
+                return [node.key, adjacent.length > 0
+                    ? adjacent.reduce((total, key) => total + position.get(key), 0) / adjacent.length
+                    : position.get(node.key)];
+            }));
+            layer.sort((a, b) => barycenters.get(a.key) - barycenters.get(b.key));
+            indexLayer(layer);
+        };
+        for (let sweep = 0; sweep < 4; sweep++) {
+            layers.slice(1).forEach(layer => reorder(layer, 'down'));
+            layers.slice(0, -1).reverse().forEach(layer => reorder(layer, 'up'));
+        }
+
+        // Place layers top to bottom, and nodes where their neighbours are without overlapping
+        let y = LAYOUT.margin;
+        layers.forEach(layer => {
+            const height = Math.max(0, ...layer.map(node => node.height));
+            layer.forEach(node => {
+                node.y = y + height / 2;
+                node.layerTop = y;
+                node.layerBottom = y + height;
+            });
+            let x = 0;
+            layer.forEach(node => {
+                node.x = x + node.width / 2;
+                x += node.width + LAYOUT.nodeGap;
+            });
+            y += height + LAYOUT.layerGap;
+        });
+        const separate = (layer) => {
+            for (let i = 1; i < layer.length; i++) {
+                const minimum = layer[i - 1].x + (layer[i - 1].width + layer[i].width) / 2 + LAYOUT.nodeGap;
+                layer[i].x = Math.max(layer[i].x, minimum);
+            }
+        };
+        for (let pass = 0; pass < 6; pass++) {
+            const direction = pass % 2 === 0 ? 'down' : 'up';
+            (direction === 'down' ? layers : [...layers].reverse()).forEach(layer => {
+                const desired = layer.map(node => {
+                    const adjacent = neighbours(node.key, direction);
+                    return adjacent.length > 0
+                        ? adjacent.reduce((total, key) => total + byKey.get(key).x, 0) / adjacent.length
+                        : node.x;
+                });
+                layer.forEach((node, i) => {
+                    node.x = desired[i];
+                });
+                separate(layer);
+                // Shifting the whole layer keeps the spacing while moving it back towards the wanted positions
+                const shift = layer.reduce((total, node, i) => total + desired[i] - node.x, 0) / (layer.length || 1);
+                layer.forEach(node => {
+                    node.x += shift;
+                });
+            });
+        }
+        const left = Math.min(...nodes.map(node => node.x - node.width / 2));
+        nodes.forEach(node => {
+            node.x += LAYOUT.margin - left;
+        });
+        const width = Math.max(...nodes.map(node => node.x + node.width / 2)) + LAYOUT.margin;
+
+        // Spread the edges leaving the bottom and entering the top of a node
+        const ports = new Map();
+        const port = (key, side, otherKey) => {
+            const id = `${key}:${side}`;
+            if (!ports.has(id)) {
+                const others = links
+                    .filter(link => (side === 'bottom' ? link.upper === key : link.lower === key))
+                    .map(link => (side === 'bottom' ? link.lower : link.upper))
+                    .sort((a, b) => byKey.get(a).x - byKey.get(b).x);
+                ports.set(id, others);
+            }
+            const node = byKey.get(key);
+            const others = ports.get(id);
+            if (node.dummy) {
+                return { x: node.x, y: side === 'bottom' ? node.layerBottom : node.layerTop };
+            }
+            const span = node.width * 0.6;
+            const offset = others.length > 1 ? -span / 2 + (span * others.indexOf(otherKey)) / (others.length - 1) : 0;
+            return { x: node.x + offset, y: side === 'bottom' ? node.y + node.height / 2 : node.y - node.height / 2 };
+        };
+
+        const routed = edges.map(edge => {
+            if (edge.from === edge.to) {
+                const node = byKey.get(edge.from);
+                const right = node.x + node.width / 2;
+                const points = [{ x: right, y: node.y - 8 }, { x: right + 28, y: node.y - 8 }, { x: right + 28, y: node.y + 8 }, { x: right, y: node.y + 8 }];
+                return { ...edge, points, loop: true, labelPoint: { x: right + 32, y: node.y } };
+            }
+
+            const points = [];
+            edge.chain.forEach((key, i) => {
+                if (i > 0) {
+                    points.push(port(key, 'top', edge.chain[i - 1]));
+                }
+                if (byKey.get(key).dummy) {
+                    points.push({ x: byKey.get(key).x, y: byKey.get(key).layerBottom });
+                } else if (i < edge.chain.length - 1) {
+                    points.push(port(key, 'bottom', edge.chain[i + 1]));
+                }
+            });
+            // Labels sit on the first stretch after the source (the last one for edges drawn upwards)
+            const [a, b] = edge.reversed ? [points[points.length - 2], points[points.length - 1]] : [points[0], points[1]];
+            const labelPoint = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            return { ...edge, points: edge.reversed ? points.reverse() : points, labelPoint };
+        });
+
+        return {
+            nodes: nodes.filter(node => !node.dummy),
+            edges: routed,
+            width,
+            height: y - LAYOUT.layerGap + LAYOUT.margin
+        };
+    };
+
+    const escapeXml = (text) => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const round = (value) => Math.round(value * 10) / 10;
+
+    /**
+     * Draw a route as a smooth curve with vertical tangents
+     * @param {Array} points - Route points
+     * @param {boolean} loop - Route of an edge back to its own node
+     * @returns {string} SVG path data
+     */
+    const pathData = (points, loop) => {
+        if (loop) {
+            const [a, b, c, d] = points;
+            return `M${round(a.x)},${round(a.y)} C${round(b.x)},${round(b.y)} ${round(c.x)},${round(c.y)} ${round(d.x)},${round(d.y)}`;
+        }
+        return points.reduce((data, point, i) => {
+            if (i === 0) {
+                return `M${round(point.x)},${round(point.y)}`;
+            }
+            const previous = points[i - 1];
+            const middle = round((previous.y + point.y) / 2);
+            return `${data} C${round(previous.x)},${middle} ${round(point.x)},${middle} ${round(point.x)},${round(point.y)}`;
+        }, '');
+    };
+
+    /**
+     * Draw the flow of a configuration as a standalone SVG document
+     * @param {Object} config - Questionnaire configuration
+     * @param {Object} options - { locale }
+     * @returns {string} SVG markup
+     */
+    const toSvg = (config, options = {}) => {
+        const { nodes, edges, width, height } = layout(buildGraph(config, options.locale));
+        const svgWidth = Math.ceil(width);
+        const svgHeight = Math.ceil(height);
+
+        const edgeMarkup = edges.map(edge => {
+            const title = edge.label ? `<title>${escapeXml(edge.label)}</title>` : '';
+            return `<path class="edge${edge.dashed ? ' dashed' : ''}" d="${pathData(edge.points, edge.loop)}" marker-end="url(#sg-arrow)">${title}</path>`;
+        });
+        const labelMarkup = edges.filter(edge => edge.label).map(edge => {
+            const text = truncate(flatten(edge.label), LAYOUT.maxLabelChars);
+            const labelWidth = text.length * 6 + 10;
+            const { x, y } = edge.labelPoint;
+            const anchorX = edge.loop ? x + labelWidth / 2 : x;
+            return `<g class="edge-label"><title>${escapeXml(edge.label)}</title>`
+                + `<rect x="${round(anchorX - labelWidth / 2)}" y="${round(y - 9)}" width="${labelWidth}" height="18" rx="4"/>`
+                + `<text x="${round(anchorX)}" y="${round(y + 4)}">${escapeXml(text)}</text></g>`;
+        });
+        const nodeMarkup = nodes.map(node => {
+            const classes = ['node', node.kind, node.start ? 'start' : null].filter(Boolean).join(' ');
+            const left = round(node.x - node.width / 2);
+            const top = round(node.y - node.height / 2);
+            const radius = node.kind === 'end' ? node.height / 2 : 8;
+            const textLines = node.kind === 'question' ? [{ text: node.id, className: 'node-id' }, ...node.lines.map(text => ({ text }))] : node.lines.map(text => ({ text }));
+            const firstBaseline = node.y - ((textLines.length - 1) * LAYOUT.lineHeight) / 2 + 4;
+            const text = textLines.map(({ text: line, className }, i) => `<tspan x="${round(node.x)}" y="${round(firstBaseline + i * LAYOUT.lineHeight)}"${className ? ` class="${className}"` : ''}>${escapeXml(line)}</tspan>`).join('');
+            return `<g class="${classes}"><title>${escapeXml(node.kind === 'question' ? `${node.id}: ${node.label}` : node.label)}</title>`
+                + `<rect x="${left}" y="${top}" width="${node.width}" height="${round(node.height)}" rx="${round(radius)}"/>`
+                + `<text>${text}</text></g>`;
+        });
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">`,
+            `<title>${escapeXml(config.id ? `${config.id} flow` : 'Questionnaire flow')}</title>`,
+            '<style>',
+            'svg { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 12px; }',
+            '.node rect { fill: #ffffff; stroke: #9ca3af; stroke-width: 1.5; }',
+            '.node.start rect { stroke: #2563eb; stroke-width: 3; }',
+            '.node.group rect { fill: #eff6ff; stroke: #2563eb; stroke-dasharray: 6 4; }',
+            '.node.end rect { fill: #f3f4f6; stroke: #6b7280; }',
+            '.node.screenOut rect, .node.quota rect { fill: #fef3c7; stroke: #f59e0b; }',
+            '.node text { fill: #111827; text-anchor: middle; font-size: 13px; }',
+            '.node .node-id { fill: #6b7280; font-size: 11px; font-weight: 600; }',
+            '.edge { fill: none; stroke: #6b7280; stroke-width: 1.5; }',
+            '.edge.dashed { stroke: #f59e0b; stroke-dasharray: 5 4; }',
+            '.edge-label rect { fill: #ffffff; stroke: #e5e7eb; }',
+            '.edge-label text { fill: #374151; font-size: 11px; text-anchor: middle; }',
+            '</style>',
+            '<defs><marker id="sg-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">'
+                + '<path d="M0,0 L10,5 L0,10 z" fill="#6b7280"/></marker></defs>',
+            `<g class="edges">${edgeMarkup.join('')}</g>`,
+            `<g class="nodes">${nodeMarkup.join('')}</g>`,
+            `<g class="edge-labels">${labelMarkup.join('')}</g>`,
+            '</svg>'
+        ].join('\n') + '\n';
+    };
+
+    /**
+     * Export the flow of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} format - Format ID (see FORMATS)
+     * @param {Object} options - { locale }
+     * @returns {string} Diagram source
+     */
+    const render = (config, format, options = {}) => {
+        switch (format) {
+            case 'mermaid':
+                return toMermaid(config, options);
+            case 'dot':
+                return toDot(config, options);
+            case 'svg':
+                return toSvg(config, options);
+            default:
+                throw new Error(`Unknown diagram format "${format}"`);
+        }
+    };
+
+    /**
+     * Suggest a file name for an exported diagram
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} format - Format ID (see FORMATS)
+     * @returns {string} File name
+     */
+    const getFileName = (config, format) => `${config.id || 'questionnaire'}-flow.${FORMATS[format].extension}`;
+
+    // Public API
+    return {
+        FORMATS,
+        buildGraph,
+        layout,
+        toMermaid,
+        toDot,
+        toSvg,
+        render,
+        getFileName
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireDiagrams = QuestionnaireDiagrams;
+}
@@ -0,0 +1,180 @@
+// Questionnaire Eligibility - Screen-out conditions and quotas that end a session early
+//
+// Configuration:
+//   "screenOuts": [                                   respondents who do not qualify
+//       { "id": "minor", "when": "age < 18", "message": "This survey is for adults only." }
+//   ]
+//   "quotas": [                                       enough completed responses for a group of respondents
+//       { "id": "women", "when": "gender == 'female'", "limit": 200, "message": "..." }
+//   ]
+//
+// A rule is checked after every answer, once each question its "when" expression refers to has been answered
+// (a skipped question counts as answered). The first matching screen-out, then the first matching quota that
+// is full, ends the session: the engine is then screened out, which is not the same as complete. "message" is
+// optional and may be translated.
+//
+// Quotas count the completed responses of the questionnaire that match "when". The questionnaire page counts
+// the responses stored in this browser (see QuestionnaireResponseStore); the path analyzer ignores quotas.
+const QuestionnaireEligibility = (() => {
+    'use strict';
+
+    const SCREEN_OUT = 'screenOut';
+    const QUOTA = 'quota';
+    const RULE_LISTS = { screenOuts: SCREEN_OUT, quotas: QUOTA };
+    // Shown to screened out respondents when the rule has no message
+    const DEFAULT_MESSAGES = Object.freeze({
+        [SCREEN_OUT]: 'Unfortunately you are not eligible for this questionnaire.',
+        [QUOTA]: 'We already have all the responses we need from people like you.'
+    });
+
+    /**
+     * Get the screen-out conditions of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {Array} Rules ({ id, when, message? })
+     */
+    const getScreenOuts = (config) => (Array.isArray(config.screenOuts) ? config.screenOuts : []);
+
+    /**
+     * Get the quotas of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {Array} Quotas ({ id, when, limit, message? })
+     */
+    const getQuotas = (config) => (Array.isArray(config.quotas) ? config.quotas : []);
+
+    /**
+     * Check whether a rule applies to the answers given so far
+     * @param {Object} rule - Screen-out or quota
+     * @param {Object} config - Questionnaire configuration
+     * @param {Array} answers - Answer objects
+     * @returns {boolean} True once the questions the rule refers to are answered and its condition holds
+     */
+    const matches = (rule, config, answers) => {
+        const answered = new Set(answers.map(answerData => answerData.questionId));
+        const references = QuestionnaireExpressions.getReferences(QuestionnaireExpressions.compile(rule.when));
+        if (references.some(name => config.questions[name] && !answered.has(name))) {
+            return false;
+        }
+        return QuestionnaireExpressions.test(rule.when, QuestionnaireGroups.buildScope(config, answers, null));
+    };
+
+    /**
+     * Find the rule that ends a session
+     * @param {Object} config - Questionnaire configuration
+     * @param {Array} answers - Answer objects given so far
+     * @param {Object|null} quotaCounts - Completed responses by quota ID; quotas are not checked without them
+     * @returns {Object|null} { id, type } (type is "screenOut" or "quota"), or null if the respondent may continue
+     */
+    const findScreenOut = (config, answers, quotaCounts = null) => {
+        const screenOut = getScreenOuts(config).find(rule => matches(rule, config, answers));
+        if (screenOut) {
+            return { id: screenOut.id, type: SCREEN_OUT };
+        }
+        if (!quotaCounts) {
+            return null;
+        }
+
+        const quota = getQuotas(config).find(rule => (quotaCounts[rule.id] || 0) >= rule.limit && matches(rule, config, answers));
+        return quota ? { id: quota.id, type: QUOTA } : null;
+    };
+
+    /**
+     * Get the rule a screen-out refers to
+     * @param {Object} config - Questionnaire configuration
+     * @param {Object} screenOut - Result of findScreenOut()
+     * @returns {Object|null} Screen-out or quota definition
+     */
+    const getRule = (config, screenOut) => {
+        const rules = screenOut.type === QUOTA ? getQuotas(config) : getScreenOuts(config);
+        return rules.find(rule => rule.id === screenOut.id) || null;
+    };
+
+    /**
+     * Count the completed responses every quota covers
+     * @param {Object} config - Questionnaire configuration
+     * @param {Array} records - Session records of this questionnaire (see QuestionnaireEngine.getSessionRecord)
+     * @returns {Object} Counts by quota ID
+     */
+    const countQuotas = (config, records) => {
+        const completed = records.filter(record => record.isComplete && Array.isArray(record.answers));
+        const counts = {};
+        getQuotas(config).forEach(quota => {
+            counts[quota.id] = completed.filter(record => matches(quota, config, record.answers)).length;
+        });
+        return counts;
+    };
+
+    /**
+     * Validate the screen-outs and quotas of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Errors
+     */
+    const validate = (config) => {
+        const errors = [];
+        const knownNames = new Set([
+            ...Object.keys(config.questions),
+            ...QuestionnaireScoring.getVariableNames(config)
+        ]);
+
+        Object.entries(RULE_LISTS).forEach(([key, type]) => {
+            if (config[key] === undefined) {
+                return;
+            }
+            if (!Array.isArray(config[key])) {
+                errors.push(`'${key}' must be a list`);
+                return;
+            }
+
+            const ids = new Set();
+            config[key].forEach((rule, index) => {
+                const label = `${type === QUOTA ? 'Quota' : 'Screen-out'} ${rule && rule.id ? `"${rule.id}"` : index + 1}`;
+                if (!rule || typeof rule !== 'object' || typeof rule.id !== 'string' || rule.id.trim() === '') {
+                    errors.push(`${label} needs an 'id'`);
+                    return;
+                }
+                if (ids.has(rule.id)) {
+                    errors.push(`${label} is defined more than once`);
+                }
+                ids.add(rule.id);
+
+                if (typeof rule.when !== 'string' || rule.when.trim() === '') {
+                    errors.push(`${label} needs a 'when' condition`);
+                } else {
+                    try {
+                        QuestionnaireExpressions.getReferences(QuestionnaireExpressions.compile(rule.when))
+                            .filter(name => !knownNames.has(name))
+                            .forEach(name => errors.push(`${label} refers to unknown question or variable "${name}"`));
+                    } catch (error) {
+                        errors.push(`${label} has invalid expression: ${error.message}`);
+                    }
+                }
+
+                if (type === QUOTA && !(Number.isInteger(rule.limit) && rule.limit >= 0)) {
+                    errors.push(`${label} 'limit' must be a whole number of responses`);
+                }
+                if (rule.message !== undefined && !QuestionnaireI18n.isText(rule.message)) {
+                    errors.push(`${label} 'message' must be a text`);
+                }
+            });
+        });
+
+        return errors;
+    };
+
+    // Public API
+    return {
+        SCREEN_OUT,
+        QUOTA,
+        DEFAULT_MESSAGES,
+        getScreenOuts,
+        getQuotas,
+        findScreenOut,
+        getRule,
+        countQuotas,
+        validate
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireEligibility = QuestionnaireEligibility;
+}
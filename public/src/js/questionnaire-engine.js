@@ -5,127 +5,1663 @@ class QuestionnaireEngine {
         this.currentQuestionId = config.startQuestion;
         this.answers = [];
         this.questionHistory = [];
+        this.currentIteration = null;
+        this.restoreReport = null;
+        this.sessionId = QuestionnaireEngine.createSessionId();
+        this.seed = QuestionnaireRandomization.createSeed();
+        this.locale = QuestionnaireI18n.getDefaultLocale(config);
+        this.listeners = {};
+        this.startedAt = null;
+        this.shownAt = null;
+        this.answerChanges = {};
+        this.backNavigations = {};
+        this.screenOut = null;
+        this.quotaCounts = null;
+    }
+
+    /**
+     * Subscribe to a lifecycle event (see QuestionnaireEngine.EVENTS)
+     * Every event carries type, timestamp, elapsed (ms since start(), null before), path (answer keys
+     * so far) and progress (see getProgressRange), plus:
+     *   questionShown  - questionId, key, pageId
+     *   beforeNavigate - direction ("forward", "back" or "jump"), from and to ({ questionId, key }),
+     *                    answers (the answer objects being submitted), preventDefault() to stay where
+     *                    the respondent is, and redirect(questionId) to continue elsewhere (null ends
+     *                    the questionnaire)
+     *   answered       - questionId, key, answer, answerLabel, duration (ms the page was shown)
+     *   navigatedBack  - from (key of the question left), questionId, key
+     *   completed      - answers, score, outcome (ID or null)
+     *   screenedOut    - answers, screenOut (ID of the screen-out or quota), screenOutType ("screenOut" or "quota")
+     *   reset          - nothing else
+     * @param {string} type - Event name
+     * @param {Function} listener - Called with the event object
+     * @returns {Function} Unsubscribes the listener
+     * @throws {Error} If the event is unknown
+     */
+    on(type, listener) {
+        if (!QuestionnaireEngine.EVENTS.includes(type)) {
+            throw new Error(`Unknown questionnaire event "${type}"`);
+        }
+        if (typeof listener !== 'function') {
+            throw new Error(`Listener for "${type}" must be a function`);
+        }
+
+        this.listeners[type] = [...(this.listeners[type] || []), listener];
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Unsubscribe from a lifecycle event
+     * @param {string} type - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(candidate => candidate !== listener);
+    }
+
+    /**
+     * Notify the listeners of an event
+     * A failing listener is logged and does not affect the others or the questionnaire.
+     * @param {string} type - Event name
+     * @param {Object} detail - Event-specific properties
+     * @param {boolean} cancelable - Whether listeners may veto or redirect (beforeNavigate)
+     * @returns {Object} The event, with defaultPrevented and redirectTarget (undefined when not redirected)
+     */
+    emit(type, detail = {}, cancelable = false) {
+        const event = { type, defaultPrevented: false, redirectTarget: undefined };
+        const listeners = this.listeners[type] || [];
+        if (listeners.length === 0) {
+            return event;
+        }
+
+        const timestamp = Date.now();
+        Object.assign(event, {
+            timestamp,
+            elapsed: this.startedAt === null ? null : timestamp - this.startedAt,
+            path: this.answers.map(answerData => QuestionnaireEngine.getAnswerKey(answerData)),
+            progress: this.getProgressRange(),
+            ...detail
+        });
+
+        if (cancelable) {
+            event.preventDefault = () => {
+                event.defaultPrevented = true;
+            };
+            event.redirect = (questionId) => {
+                if (questionId !== null && !this.config.questions[questionId]) {
+                    throw new Error(`Cannot redirect to unknown question "${questionId}"`);
+                }
+                if (questionId !== null && (QuestionnaireGroups.getGroupOf(this.config, questionId) !== null
+                    || QuestionnairePages.getPrevious(this.config, questionId) !== null)) {
+                    throw new Error(`Cannot redirect into a repeat group or the middle of a page ("${questionId}")`);
+                }
+                event.redirectTarget = questionId;
+            };
+        }
+
+        listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Questionnaire "${type}" listener failed:`, error);
+            }
+        });
+        return event;
+    }
+
+    /**
+     * Start timing the session and announce the current question
+     * Call this when the first question is displayed; later questions are announced as they become current.
+     * Does nothing once started (until reset()).
+     */
+    start() {
+        if (this.startedAt !== null) {
+            return;
+        }
+        this.startedAt = Date.now();
+        this.announcePosition();
+    }
+
+    /**
+     * Describe the current position for events
+     * @returns {Object} { questionId, key } (both null once complete)
+     */
+    getPosition() {
+        return { questionId: this.currentQuestionId, key: this.getCurrentKey() };
+    }
+
+    /**
+     * Emit questionShown for the current question, completed at the end, or screenedOut when the session ended early
+     */
+    announcePosition() {
+        this.shownAt = Date.now();
+        this.answerChanges = {};
+        if (this.isScreenedOut()) {
+            this.emit('screenedOut', { answers: this.getAnswers(), screenOut: this.screenOut.id, screenOutType: this.screenOut.type });
+            return;
+        }
+        if (this.isComplete()) {
+            const outcome = this.getOutcome();
+            this.emit('completed', { answers: this.getAnswers(), score: this.getScore(), outcome: outcome ? outcome.id : null });
+            return;
+        }
+
+        this.emit('questionShown', {
+            ...this.getPosition(),
+            pageId: QuestionnairePages.getPageOf(this.config, this.currentQuestionId)
+        });
+    }
+
+    /**
+     * Count a change the respondent made to an answer of the current page before submitting it
+     * @param {string} questionId - Question on the current page
+     */
+    noteAnswerChange(questionId) {
+        const key = QuestionnaireEngine.getAnswerKey({ questionId, iteration: this.currentIteration });
+        this.answerChanges[key] = (this.answerChanges[key] || 0) + 1;
+    }
+
+    /**
+     * Measure how the respondent arrived at an answer to the current page
+     * @param {string} key - Answer key
+     * @returns {Object} Metrics ({ shownAt, answeredAt, duration, changes, backNavigations }); times are
+     *          epoch milliseconds, shownAt and duration are null for a page shown before start()
+     */
+    measureAnswer(key) {
+        const answeredAt = Date.now();
+        return {
+            shownAt: this.shownAt,
+            answeredAt,
+            duration: this.shownAt === null ? null : answeredAt - this.shownAt,
+            changes: this.answerChanges[key] || 0,
+            backNavigations: this.backNavigations[key] || 0
+        };
+    }
+
+    /**
+     * Apply a move, letting beforeNavigate listeners veto or redirect it
+     * Moving forward may screen the respondent out (see QuestionnaireEligibility).
+     * @param {string} direction - "forward", "back" or "jump"
+     * @param {Function} change - Changes answers and position; returns the answer objects it submitted
+     * @returns {boolean} False if a listener vetoed the move (the state is left as it was)
+     * @throws {Error} If the respondent was screened out
+     */
+    navigate(direction, change) {
+        if (this.isScreenedOut()) {
+            throw new Error('The questionnaire has ended: the respondent was screened out');
+        }
+
+        const before = {
+            answers: [...this.answers],
+            questionHistory: [...this.questionHistory],
+            currentQuestionId: this.currentQuestionId,
+            currentIteration: this.currentIteration
+        };
+        const from = this.getPosition();
+        const shownAt = this.shownAt;
+
+        let submitted;
+        try {
+            submitted = change() || [];
+        } catch (error) {
+            Object.assign(this, before);
+            throw error;
+        }
+
+        const event = this.emit('beforeNavigate', {
+            direction,
+            from,
+            to: this.getPosition(),
+            answers: submitted.map(answerData => ({ ...answerData }))
+        }, true);
+
+        if (event.defaultPrevented) {
+            Object.assign(this, before);
+            return false;
+        }
+
+        if (event.redirectTarget !== undefined) {
+            // Answers recorded after the submitted ones no longer follow from them
+            const keep = Math.max(-1, ...submitted.map(answerData => this.answers.indexOf(answerData))) + 1;
+            if (keep > 0) {
+                this.answers.splice(keep);
+                this.questionHistory.splice(keep);
+            }
+            this.currentQuestionId = event.redirectTarget;
+            this.currentIteration = null;
+        }
+
+        if (direction === 'forward') {
+            this.checkEligibility();
+        }
+
+        const duration = shownAt === null ? null : Date.now() - shownAt;
+        submitted.forEach(answerData => this.emit('answered', {
+            questionId: answerData.questionId,
+            key: QuestionnaireEngine.getAnswerKey(answerData),
+            answer: Array.isArray(answerData.answer) ? [...answerData.answer] : answerData.answer,
+            answerLabel: Array.isArray(answerData.answerLabel) ? [...answerData.answerLabel] : answerData.answerLabel,
+            duration
+        }));
+
+        if (direction === 'back') {
+            QuestionnairePages.getQuestionsFrom(this.config, this.currentQuestionId).forEach(questionId => {
+                const key = QuestionnaireEngine.getAnswerKey({ questionId, iteration: this.currentIteration });
+                this.backNavigations[key] = (this.backNavigations[key] || 0) + 1;
+            });
+            this.emit('navigatedBack', { from: from.key, ...this.getPosition() });
+        }
+
+        this.announcePosition();
+        return true;
+    }
+
+    /**
+     * End the session early if the answers given so far match a screen-out or a full quota
+     */
+    checkEligibility() {
+        this.screenOut = QuestionnaireEligibility.findScreenOut(this.config, this.answers, this.quotaCounts);
+        if (this.screenOut) {
+            this.currentQuestionId = null;
+            this.currentIteration = null;
+        }
+    }
+
+    /**
+     * Provide the number of completed responses each quota already covers
+     * Quotas are only enforced once counts are known; the counts apply from the next answer on.
+     * @param {Object|null} counts - Completed responses by quota ID (see QuestionnaireEligibility.countQuotas)
+     */
+    setQuotaCounts(counts) {
+        this.quotaCounts = counts ? { ...counts } : null;
+    }
+
+    /**
+     * Check whether the session ended early because the respondent does not qualify or a quota is full
+     * @returns {boolean} True if screened out (isComplete() is false then)
+     */
+    isScreenedOut() {
+        return this.screenOut !== null;
+    }
+
+    /**
+     * Get why the session ended early
+     * @returns {Object|null} { id, type ("screenOut" or "quota"), message (in the current locale, null when the
+     *          rule has none) }, or null if the respondent was not screened out
+     */
+    getScreenOut() {
+        if (!this.screenOut) {
+            return null;
+        }
+
+        const rule = QuestionnaireEligibility.getRule(this.config, this.screenOut);
+        return {
+            ...this.screenOut,
+            message: rule && rule.message !== undefined ? this.translate(rule.message) : null
+        };
+    }
+
+    /**
+     * Choose the language questions are shown in
+     * @param {string|null} locale - Locale code; texts without a translation follow the fallback chain
+     */
+    setLocale(locale) {
+        this.locale = locale;
+    }
+
+    /**
+     * Get the ID sessions of this questionnaire are stored under
+     * @returns {string} Configured questionnaire ID, or the config hash when none is set
+     */
+    getQuestionnaireId() {
+        return this.config.id || QuestionnaireEngine.hashConfig(this.config);
+    }
+
+    /**
+     * Capture the session state so it can be restored later
+     * @returns {Object} JSON-serializable snapshot
+     */
+    serialize() {
+        return {
+            version: QuestionnaireEngine.SNAPSHOT_VERSION,
+            questionnaireId: this.getQuestionnaireId(),
+            configHash: QuestionnaireEngine.hashConfig(this.config),
+            sessionId: this.sessionId,
+            seed: this.seed,
+            currentQuestionId: this.currentQuestionId,
+            currentIteration: this.currentIteration ? { ...this.currentIteration } : null,
+            locale: this.locale,
+            answers: this.getAnswers(),
+            questionHistory: [...this.questionHistory],
+            backNavigations: { ...this.backNavigations },
+            screenOut: this.screenOut ? { ...this.screenOut } : null,
+            savedAt: new Date().toISOString()
+        };
     }
 
     /**
      * Get current question data
-     * @returns {Object} Current question object with question text and answers
+     * Texts are in the current locale; placeholders in the question text and answer labels are filled in
+     * from earlier answers. Answers come in the order this session shows them (see QuestionnaireRandomization).
+     * @returns {Object} Current question object with question text, answers (the answer IDs to submit),
+     *          answerLabels (the texts to display), key (see getAnswerKey), variant (ID of the question text
+     *          variant shown, for questions with variants), skippable (true for optional questions),
+     *          preferNotToAnswer (label of that option, for questions offering it), the description, help and
+     *          image of questions that have them, answerHints (hint per answer, null where there is none, for
+     *          questions with hints), scale ({ points, labels }; labels are null for unnamed points, for scale and
+     *          matrix questions) and, inside a repeat group,
+     *          iteration ({ group, title, index, count }; count is null for "while" groups)
+     */
+    getCurrentQuestion() {
+        return this.describeQuestion(this.currentQuestionId, this.getCurrentScope());
+    }
+
+    /**
+     * Get the questions shown together with the current one
+     * Questions that are not on a page form a page of their own (id and title are null).
+     * @returns {Object} Page ({ id, title, questions, iteration? }); questions are described like
+     *          getCurrentQuestion() and start with the current question
+     */
+    getCurrentPage() {
+        const scope = this.getCurrentScope();
+        const questions = QuestionnairePages.getQuestionsFrom(this.config, this.currentQuestionId)
+            .map(questionId => this.describeQuestion(questionId, scope));
+        const pageId = QuestionnairePages.getPageOf(this.config, this.currentQuestionId);
+        const title = pageId !== null ? QuestionnairePages.getPages(this.config)[pageId].title : undefined;
+        const page = {
+            id: pageId,
+            title: title ? this.translate(title) : null,
+            questions
+        };
+
+        if (questions[0].iteration) {
+            page.iteration = questions[0].iteration;
+        }
+
+        return page;
+    }
+
+    /**
+     * Describe a question of the current position for display
+     * @param {string} questionId - Question ID (the current question or one on the same page)
+     * @param {Object} scope - Scope placeholders are rendered with
+     * @returns {Object} Question object (see getCurrentQuestion)
+     */
+    describeQuestion(questionId, scope) {
+        const questionData = this.config.questions[questionId];
+        if (!questionData) {
+            throw new Error(`Question with ID "${questionId}" not found`);
+        }
+
+        const type = QuestionTypes.forQuestion(questionData);
+        const answers = QuestionnaireRandomization.orderAnswers(questionData, questionId, type.getOptions(questionData), this.seed);
+        const variant = QuestionnaireRandomization.pickVariant(questionData, questionId, this.seed);
+        const displayScope = QuestionnaireI18n.localizeScope(this.config, scope, this.locale);
+        const question = {
+            id: questionId,
+            key: QuestionnaireEngine.getAnswerKey({ questionId, iteration: this.currentIteration }),
+            type: type.name,
+            question: QuestionnaireTemplates.render(this.translate(variant ? variant.question : questionData.question), displayScope),
+            answers,
+            answerLabels: answers.map(answer => QuestionnaireTemplates.render(
+                QuestionnaireI18n.getAnswerLabel(this.config, questionData, answer, this.locale),
+                displayScope
+            )),
+            constraints: type.getConstraints(questionData)
+        };
+
+        if (type.getScale) {
+            const { points, labels } = type.getScale(questionData);
+            question.scale = {
+                points,
+                labels: points.map(point => (Object.prototype.hasOwnProperty.call(labels, point) ? this.translate(labels[point]) : null))
+            };
+        }
+
+        if (variant) {
+            question.variant = variant.id;
+        }
+        const { hints, ...content } = this.getQuestionContent(questionId);
+        Object.assign(question, content);
+        if (hints) {
+            question.answerHints = answers.map(answer => (hints[answer] !== undefined ? hints[answer] : null));
+        }
+        question.skippable = QuestionnaireEngine.isOptional(questionData);
+        if (QuestionnaireEngine.offersPreferNotToAnswer(questionData)) {
+            question.preferNotToAnswer = this.getPreferNotToAnswerLabel(questionData);
+        }
+
+        if (this.currentIteration) {
+            const { group, index } = this.currentIteration;
+            const groupTitle = QuestionnaireGroups.getGroups(this.config)[group].title;
+            question.iteration = {
+                group,
+                title: groupTitle ? this.translate(groupTitle) : group,
+                index,
+                count: QuestionnaireGroups.getIterationCount(this.config, group, scope)
+            };
+        }
+
+        return question;
+    }
+
+    /**
+     * Get a configured text in the current locale
+     * @param {string|Object} text - Plain string or translations by locale
+     * @returns {string} Translated text
+     */
+    translate(text) {
+        return QuestionnaireI18n.translate(text, this.config, this.locale);
+    }
+
+    /**
+     * Get the help texts, answer hints and image of a question in the current locale
+     * @param {string} questionId - Question ID
+     * @returns {Object} Configured parts of { description, help, image, hints } (see QuestionnaireContent)
+     */
+    getQuestionContent(questionId) {
+        return QuestionnaireContent.getContent(this.config.questions[questionId], this.config, this.locale);
+    }
+
+    /**
+     * Get the label of the "prefer not to answer" option of a question in the current locale
+     * @param {Object} questionData - Question configuration
+     * @returns {string} Configured label, or the default one when the question sets preferNotToAnswer to true
+     */
+    getPreferNotToAnswerLabel(questionData) {
+        return questionData.preferNotToAnswer === true
+            ? QuestionnaireEngine.PREFER_NOT_TO_ANSWER_LABEL
+            : this.translate(questionData.preferNotToAnswer);
+    }
+
+    /**
+     * Create the stored answer to a question, with the question text and answer labels as shown
+     * The variant and answer order the question was shown with are recorded for questions that have them.
+     * Skipped questions are stored with answer null and skipped: true, declined ones ("prefer not to answer")
+     * with answer null, declined: true and the label of that option.
+     * @param {Object} position - Answered question ({ questionId, iteration })
+     * @param {*} value - Parsed answer (see parseAnswer)
+     * @param {Object} scope - Expression scope the question was shown with
+     * @returns {Object} Answer object (see createAnswer)
+     */
+    recordAnswer(position, value, scope) {
+        const questionData = this.config.questions[position.questionId];
+        const variant = QuestionnaireRandomization.pickVariant(questionData, position.questionId, this.seed);
+        const displayScope = QuestionnaireI18n.localizeScope(this.config, scope, this.locale);
+        const render = (text) => QuestionnaireTemplates.render(text, displayScope);
+
+        // Only answers chosen from options have labels; input answers are shown as entered
+        let answerLabel;
+        if (value === QuestionnaireEngine.PREFER_NOT_TO_ANSWER) {
+            answerLabel = this.getPreferNotToAnswerLabel(questionData);
+        } else if (value !== QuestionnaireEngine.SKIP && QuestionTypes.forQuestion(questionData).getOptions(questionData).length > 0) {
+            const label = QuestionnaireI18n.labelAnswer(this.config, questionData, value, this.locale);
+            answerLabel = Array.isArray(label) ? label.map(render) : render(label);
+        }
+
+        const skipped = value === QuestionnaireEngine.SKIP;
+        const declined = value === QuestionnaireEngine.PREFER_NOT_TO_ANSWER;
+        const answerData = QuestionnaireEngine.createAnswer(
+            position,
+            render(this.translate(variant ? variant.question : questionData.question)),
+            skipped || declined ? null : (Array.isArray(value) ? [...value] : value),
+            answerLabel
+        );
+
+        if (skipped) {
+            answerData.skipped = true;
+        } else if (declined) {
+            answerData.declined = true;
+        }
+        if (variant) {
+            answerData.variant = variant.id;
+        }
+        if (QuestionnaireRandomization.isRandomized(questionData)) {
+            answerData.answerOrder = QuestionnaireRandomization.orderAnswers(
+                questionData,
+                position.questionId,
+                QuestionTypes.forQuestion(questionData).getOptions(questionData),
+                this.seed
+            );
+        }
+        return answerData;
+    }
+
+    /**
+     * Get the key identifying the current question; repeated questions are keyed per iteration
+     * @returns {string|null} Answer key of the current question
+     */
+    getCurrentKey() {
+        if (this.currentQuestionId === null) {
+            return null;
+        }
+        return QuestionnaireEngine.getAnswerKey({ questionId: this.currentQuestionId, iteration: this.currentIteration });
+    }
+
+    /**
+     * Build the expression and placeholder scope the current question sees: the answers given before it
+     * @returns {Object} Answers by question ID plus variables (and "iteration" inside a repeat group)
+     */
+    getCurrentScope() {
+        const index = this.findAnswerIndex(this.getCurrentKey());
+        const answers = index === -1 ? this.answers : this.answers.slice(0, index);
+        return QuestionnaireGroups.buildScope(this.config, answers, this.currentIteration);
+    }
+
+    /**
+     * Check an answer against the current question without recording it
+     * @param {*} answer - Candidate answer
+     * @param {string} questionId - Question to check against (defaults to the current question)
+     * @returns {Object} Validation result with isValid boolean and error message
+     */
+    validateAnswer(answer, questionId = this.currentQuestionId) {
+        const currentQuestion = this.config.questions[questionId];
+        if (!currentQuestion) {
+            return { isValid: false, error: `Invalid question ID: ${questionId}` };
+        }
+
+        try {
+            QuestionnaireEngine.parseAnswer(currentQuestion, answer, questionId);
+            return { isValid: true, error: null };
+        } catch (error) {
+            return { isValid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check the answers to the current page without recording them
+     * @param {Object} answers - Answers by question ID
+     * @returns {Object} Validation result with isValid boolean and error messages by question ID
+     */
+    validatePage(answers) {
+        const errors = {};
+        QuestionnairePages.getQuestionsFrom(this.config, this.currentQuestionId).forEach(questionId => {
+            const validation = this.validateAnswer(answers[questionId], questionId);
+            if (!validation.isValid) {
+                errors[questionId] = validation.error;
+            }
+        });
+
+        return { isValid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Process answer and move to next question
+     * Answering a question that was answered before (after jumpTo) works like editAnswer().
+     * A beforeNavigate listener may veto the move (the answer is not recorded) or redirect it.
+     * @param {*} answer - Selected answer (an array for multi-select questions, the raw value for input questions)
+     * @returns {boolean} True if there's a next question, false if questionnaire is complete
+     */
+    answerQuestion(answer) {
+        const currentQuestion = this.config.questions[this.currentQuestionId];
+
+        if (!currentQuestion) {
+            throw new Error(`Invalid question ID: ${this.currentQuestionId}`);
+        }
+
+        if (this.isAnswered(this.getCurrentKey())) {
+            this.editAnswer(this.getCurrentKey(), answer);
+            return !this.isComplete();
+        }
+
+        this.navigate('forward', () => [this.recordAndAdvance(answer)]);
+        return !this.isComplete();
+    }
+
+    /**
+     * Record an answer to the current question and move to the question it leads to
+     * @param {*} answer - Answer as submitted
+     * @returns {Object} The recorded answer object
+     */
+    recordAndAdvance(answer) {
+        const currentQuestion = this.config.questions[this.currentQuestionId];
+        const value = QuestionnaireEngine.parseAnswer(currentQuestion, answer, this.currentQuestionId);
+
+        // Store the answer with the question text and label as they were shown
+        const position = { questionId: this.currentQuestionId, iteration: this.currentIteration };
+        const answerData = this.recordAnswer(position, value, this.getCurrentScope());
+        answerData.metrics = this.measureAnswer(this.getCurrentKey());
+        this.answers.push(answerData);
+
+        // Add to history for back navigation
+        this.questionHistory.push(this.currentQuestionId);
+
+        // Get next question ID
+        const next = QuestionnaireEngine.getNextPosition(this.config, position, this.answers);
+        this.currentQuestionId = next.questionId;
+        this.currentIteration = next.iteration;
+
+        return answerData;
+    }
+
+    /**
+     * Answer every question of the current page and move on
+     * The answers are checked before any is recorded; routing is evaluated once the whole page is answered.
+     * Answering a page that was answered before (after jumpTo) works like editPage().
+     * @param {Object} answers - Answers by question ID
+     * @returns {boolean} True if there's a next question, false if questionnaire is complete
+     * @throws {Error} If an answer is invalid
+     */
+    answerPage(answers) {
+        if (this.isAnswered(this.getCurrentKey())) {
+            this.editPage(answers);
+            return !this.isComplete();
+        }
+
+        const questionIds = QuestionnairePages.getQuestionsFrom(this.config, this.currentQuestionId);
+        const validation = this.validatePage(answers);
+        if (!validation.isValid) {
+            throw new Error(validation.errors[questionIds.find(questionId => validation.errors[questionId])]);
+        }
+
+        // Pages are chains, so each answer leads to the next question of the page
+        this.navigate('forward', () => questionIds.map(questionId => this.recordAndAdvance(answers[questionId])));
+        return !this.isComplete();
+    }
+
+    /**
+     * Change the answers to the current page and recompute the path (see editAnswer)
+     * @param {Object} answers - New answers by question ID
+     * @returns {Array} Discarded answer objects
+     * @throws {Error} If an answer is invalid
+     */
+    editPage(answers) {
+        const overrides = new Map();
+        QuestionnairePages.getQuestionsFrom(this.config, this.currentQuestionId).forEach(questionId => {
+            const questionData = this.config.questions[questionId];
+            const value = QuestionnaireEngine.parseAnswer(questionData, answers[questionId], questionId);
+            overrides.set(QuestionnaireEngine.getAnswerKey({ questionId, iteration: this.currentIteration }), value);
+        });
+
+        return this.replayAnswers(overrides);
+    }
+
+    /**
+     * Go back to the previous page
+     * From the first unanswered question this removes the answers of the last page; while revisiting an
+     * answered page (after jumpTo) it moves to the page before it and keeps all answers.
+     * @returns {boolean} True if successfully went back, false if at start or a listener vetoed the move
+     */
+    goBack() {
+        if (!this.canGoBack()) {
+            return false;
+        }
+
+        return this.navigate('back', () => {
+            const index = this.findAnswerIndex(this.getCurrentKey());
+            const starts = this.getPageStarts();
+            if (index !== -1) {
+                this.moveToPageOf(starts.filter(start => start < index).pop());
+                return;
+            }
+
+            // Remove the answers of the last page and return to its first question
+            const start = starts[starts.length - 1];
+            const [answerData] = this.answers.splice(start);
+            this.questionHistory.splice(start);
+            this.currentQuestionId = answerData.questionId;
+            this.currentIteration = answerData.iteration || null;
+        });
+    }
+
+    /**
+     * Check whether there is a question to go back to
+     * @returns {boolean} True if goBack() would move
+     */
+    canGoBack() {
+        if (this.isScreenedOut()) {
+            return false;
+        }
+        const index = this.findAnswerIndex(this.getCurrentKey());
+        return index === -1 ? this.answers.length > 0 : index > 0;
+    }
+
+    /**
+     * Get the pages answered so far, in order
+     * @returns {Array} Pages ({ pageId, keys }); pageId is null for questions shown on their own
+     */
+    getPageHistory() {
+        return QuestionnairePages.splitIntoPages(this.config, this.answers).map(page => ({
+            pageId: page.pageId,
+            keys: page.answers.map(answerData => QuestionnaireEngine.getAnswerKey(answerData))
+        }));
+    }
+
+    /**
+     * Find where each answered page starts in the answer list
+     * @returns {number[]} Indices of the first answer of every page
+     */
+    getPageStarts() {
+        let start = 0;
+        return QuestionnairePages.splitIntoPages(this.config, this.answers).map(page => {
+            const pageStart = start;
+            start += page.answers.length;
+            return pageStart;
+        });
+    }
+
+    /**
+     * Revisit an answered question without discarding any answers
+     * Questions on a page are revisited together, so the first question of the page becomes current.
+     * @param {string} key - Answer key of an answered question (its ID, or "id#2" for the 2nd iteration of a repeated one)
+     * @returns {boolean} True if the question was answered before and its page is now current (false if a listener vetoed the
+     *          move or the respondent was screened out)
+     */
+    jumpTo(key) {
+        const index = this.findAnswerIndex(key);
+        if (index === -1 || this.isScreenedOut()) {
+            return false;
+        }
+
+        return this.navigate('jump', () => this.moveToPageOf(index));
+    }
+
+    /**
+     * Make the page of an answered question current
+     * @param {number} index - Index of the answer
+     */
+    moveToPageOf(index) {
+        const answerData = this.answers[this.getPageStarts().filter(start => start <= index).pop()];
+
+        this.currentQuestionId = answerData.questionId;
+        this.currentIteration = answerData.iteration || null;
+    }
+
+    /**
+     * Change an earlier answer and recompute the path
+     * Answers on the recomputed path are kept; answers to questions (or iterations) that are no longer
+     * reached are discarded. The current question becomes the first unanswered question on the new path.
+     * @param {string} key - Answer key of an answered question
+     * @param {*} newAnswer - New answer
+     * @returns {Array} Discarded answer objects
+     * @throws {Error} If the question was not answered or the answer is invalid
+     */
+    editAnswer(key, newAnswer) {
+        const editedIndex = this.findAnswerIndex(key);
+        if (editedIndex === -1) {
+            throw new Error(`Question "${key}" has not been answered`);
+        }
+
+        const { questionId } = this.answers[editedIndex];
+        const questionData = this.config.questions[questionId];
+        const value = QuestionnaireEngine.parseAnswer(questionData, newAnswer, questionId);
+
+        return this.replayAnswers(new Map([[key, value]]));
+    }
+
+    /**
+     * Rebuild the answers from the start, replacing some of them
+     * A beforeNavigate listener may veto the change (nothing changes) or redirect it.
+     * @param {Map} overrides - New parsed answers by answer key
+     * @returns {Array} Discarded answer objects
+     */
+    replayAnswers(overrides) {
+        const previous = this.answers;
+        this.navigate('forward', () => {
+            const previousAnswers = new Map(this.answers.map(answerData => [
+                QuestionnaireEngine.getAnswerKey(answerData),
+                QuestionnaireEngine.toSubmittedAnswer(answerData)
+            ]));
+            const previousMetrics = new Map(this.answers.map(answerData => [
+                QuestionnaireEngine.getAnswerKey(answerData),
+                answerData.metrics
+            ]));
+            overrides.forEach((value, key) => previousAnswers.set(key, value));
+
+            // Walk the path from the start, reusing answers until one is missing
+            const answers = [];
+            const keptKeys = new Set();
+            let position = { questionId: this.config.startQuestion, iteration: null };
+            while (position.questionId !== null) {
+                const positionKey = QuestionnaireEngine.getAnswerKey(position);
+                if (!previousAnswers.has(positionKey) || keptKeys.has(positionKey)) {
+                    break;
+                }
+
+                const scope = QuestionnaireGroups.buildScope(this.config, answers, position.iteration);
+                const answerData = this.recordAnswer(position, previousAnswers.get(positionKey), scope);
+                const metrics = overrides.has(positionKey) ? this.measureAnswer(positionKey) : previousMetrics.get(positionKey);
+                if (metrics) {
+                    answerData.metrics = metrics;
+                }
+                answers.push(answerData);
+                keptKeys.add(positionKey);
+                position = QuestionnaireEngine.getNextPosition(this.config, position, answers);
+            }
+
+            this.answers = answers;
+            this.questionHistory = answers.map(answerData => answerData.questionId);
+            this.currentQuestionId = position.questionId;
+            this.currentIteration = position.iteration;
+
+            return answers.filter(answerData => overrides.has(QuestionnaireEngine.getAnswerKey(answerData)));
+        });
+
+        const keptKeys = new Set(this.answers.map(answerData => QuestionnaireEngine.getAnswerKey(answerData)));
+        return previous.filter(answerData => !keptKeys.has(QuestionnaireEngine.getAnswerKey(answerData)));
+    }
+
+    /**
+     * Find the position of an answer
+     * @param {string|null} key - Answer key
+     * @returns {number} Index in the answer list, or -1
+     */
+    findAnswerIndex(key) {
+        if (key === null) {
+            return -1;
+        }
+        return this.answers.findIndex(answerData => QuestionnaireEngine.getAnswerKey(answerData) === key);
+    }
+
+    /**
+     * Check whether a question has been answered
+     * @param {string} key - Answer key (the question ID outside repeat groups)
+     * @returns {boolean} True if there is an answer for the question
+     */
+    isAnswered(key) {
+        return this.findAnswerIndex(key) !== -1;
+    }
+
+    /**
+     * Get the answer given to a question
+     * @param {string} key - Answer key (the question ID outside repeat groups)
+     * @returns {*} Answer (null for skipped and declined questions), or undefined if the question has not been answered
+     */
+    getAnswer(key) {
+        const answerData = this.answers[this.findAnswerIndex(key)];
+        if (!answerData) {
+            return undefined;
+        }
+        return Array.isArray(answerData.answer) ? [...answerData.answer] : answerData.answer;
+    }
+
+    /**
+     * Get the answer given to a question in the form answerQuestion() accepts it
+     * @param {string} key - Answer key (the question ID outside repeat groups)
+     * @returns {*} Answer, QuestionnaireEngine.SKIP or QuestionnaireEngine.PREFER_NOT_TO_ANSWER, or undefined if
+     *          the question has not been answered
+     */
+    getSubmittedAnswer(key) {
+        const answerData = this.answers[this.findAnswerIndex(key)];
+        return answerData ? QuestionnaireEngine.toSubmittedAnswer(answerData) : undefined;
+    }
+
+    /**
+     * Check if questionnaire is complete
+     * @returns {boolean} True if questionnaire is finished (false for screened out respondents)
+     */
+    isComplete() {
+        return this.currentQuestionId === null && !this.isScreenedOut();
+    }
+
+    /**
+     * Get all answers given so far
+     * @returns {Array} Array of answer objects (multi-select answers are arrays)
+     */
+    getAnswers() {
+        return this.answers.map(answerData => ({
+            ...answerData,
+            ...(answerData.iteration ? { iteration: { ...answerData.iteration } } : {}),
+            ...(Array.isArray(answerData.answerLabel) ? { answerLabel: [...answerData.answerLabel] } : {}),
+            ...(answerData.answerOrder ? { answerOrder: [...answerData.answerOrder] } : {}),
+            ...(answerData.metrics ? { metrics: { ...answerData.metrics } } : {}),
+            answer: Array.isArray(answerData.answer) ? [...answerData.answer] : answerData.answer
+        }));
+    }
+
+    /**
+     * Get all answers given so far with question texts and labels in the current locale
+     * @returns {Array} Answer objects like getAnswers(), as if every question had been shown in the current locale
+     */
+    getLocalizedAnswers() {
+        return this.answers.map((answerData, index) => {
+            const localized = this.recordAnswer(
+                answerData,
+                QuestionnaireEngine.toSubmittedAnswer(answerData),
+                QuestionnaireGroups.buildScope(this.config, this.answers.slice(0, index), answerData.iteration || null)
+            );
+            if (answerData.metrics) {
+                localized.metrics = { ...answerData.metrics };
+            }
+            return localized;
+        });
+    }
+
+    /**
+     * Get the total score of the answers given so far
+     * @returns {number} Sum of answer scores
+     */
+    getScore() {
+        return this.getVariables()[QuestionnaireScoring.TOTAL_SCORE];
+    }
+
+    /**
+     * Get computed variables for the answers given so far
+     * @returns {Object} Variable values by name
      */
-    getCurrentQuestion() {
-        const questionData = this.config.questions[this.currentQuestionId];
-        if (!questionData) {
-            throw new Error(`Question with ID "${this.currentQuestionId}" not found`);
+    getVariables() {
+        return QuestionnaireScoring.computeVariables(this.config, this.answers);
+    }
+
+    /**
+     * Get the outcome matching the answers given so far
+     * @returns {Object|null} Outcome definition, or null if the config defines none, none matches or the respondent
+     *          was screened out
+     */
+    getOutcome() {
+        if (this.isScreenedOut()) {
+            return null;
+        }
+        return QuestionnaireScoring.matchOutcome(this.config, this.answers);
+    }
+
+    /**
+     * Find the answers the respondent took noticeably longer on than on the others
+     * @param {number} factor - How many times the median duration counts as slow
+     * @returns {Array} Answer objects like getAnswers(), slowest first
+     */
+    getSlowAnswers(factor = QuestionnaireEngine.SLOW_ANSWER_FACTOR) {
+        const timed = this.getAnswers().filter(answerData => answerData.metrics && answerData.metrics.duration !== null);
+        if (timed.length < 2) {
+            return [];
         }
 
+        const durations = timed.map(answerData => answerData.metrics.duration).sort((a, b) => a - b);
+        const middle = Math.floor(durations.length / 2);
+        const median = durations.length % 2 === 1 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2;
+
+        return timed
+            .filter(answerData => answerData.metrics.duration > median * factor)
+            .sort((a, b) => b.metrics.duration - a.metrics.duration);
+    }
+
+    /**
+     * Build a record of the session for export, with the answers and how they were given
+     * Records of the same session share sessionId; currentQuestionId is where an unfinished session stopped.
+     * Sessions that ended early have screenOut ({ id, type }, see getScreenOut); it is null otherwise.
+     * @returns {Object} JSON-serializable session record
+     */
+    getSessionRecord() {
+        const answers = this.getAnswers();
+        const outcome = this.getOutcome();
+        const total = (name, list) => list.reduce((sum, answerData) => sum + ((answerData.metrics && answerData.metrics[name]) || 0), 0);
+        // Questions of a page share the time the page was shown
+        const pageStarts = QuestionnairePages.splitIntoPages(this.config, answers).map(page => page.answers[0]);
+
         return {
-            id: this.currentQuestionId,
-            question: questionData.question,
-            answers: Object.keys(questionData.answers)
+            sessionId: this.sessionId,
+            questionnaireId: this.getQuestionnaireId(),
+            configHash: QuestionnaireEngine.hashConfig(this.config),
+            seed: this.seed,
+            locale: this.locale,
+            startedAt: this.startedAt === null ? null : new Date(this.startedAt).toISOString(),
+            exportedAt: new Date().toISOString(),
+            isComplete: this.isComplete(),
+            screenOut: this.screenOut ? { ...this.screenOut } : null,
+            currentQuestionId: this.currentQuestionId,
+            progress: this.getProgress(),
+            score: this.getScore(),
+            outcome: outcome ? outcome.id : null,
+            answers,
+            metrics: {
+                duration: total('duration', pageStarts),
+                changes: total('changes', answers),
+                backNavigations: total('backNavigations', pageStarts),
+                slowQuestions: this.getSlowAnswers().map(answerData => QuestionnaireEngine.getAnswerKey(answerData))
+            }
         };
     }
 
     /**
-     * Process answer and move to next question
-     * @param {string} answer - Selected answer
-     * @returns {boolean} True if there's a next question, false if questionnaire is complete
+     * Reset questionnaire to beginning
      */
-    answerQuestion(answer) {
-        const currentQuestion = this.config.questions[this.currentQuestionId];
-        
-        if (!currentQuestion) {
-            throw new Error(`Invalid question ID: ${this.currentQuestionId}`);
+    reset() {
+        this.currentQuestionId = this.config.startQuestion;
+        this.currentIteration = null;
+        this.answers = [];
+        this.questionHistory = [];
+        this.backNavigations = {};
+        this.screenOut = null;
+        this.sessionId = QuestionnaireEngine.createSessionId();
+        this.seed = QuestionnaireRandomization.createSeed();
+        this.emit('reset');
+
+        // The next start() times the new session
+        this.startedAt = null;
+        this.shownAt = null;
+    }
+
+    /**
+     * Get progress percentage
+     * @returns {number} Progress as percentage (0-100)
+     */
+    getProgress() {
+        return this.getProgressRange().expected;
+    }
+
+    /**
+     * Estimate progress from the questions that can still follow the current one
+     * @returns {Object} Progress percentages ({ min, max, expected }) and questions left
+     *          ({ remaining: { min, max, expected } }); min assumes the longest remaining path
+     */
+    getProgressRange() {
+        // While revisiting an earlier question only the answers before it count
+        const currentIndex = this.findAnswerIndex(this.getCurrentKey());
+        const answered = currentIndex !== -1 ? currentIndex : this.answers.length;
+        if (this.currentQuestionId === null) {
+            return { answered, min: 100, max: 100, expected: 100, remaining: { min: 0, max: 0, expected: 0 } };
+        }
+
+        const depths = QuestionnaireEngine.getRemainingDepths(this.config);
+        const remaining = depths[this.currentQuestionId] || { min: 1, max: 1, expected: 1 };
+        const percentage = (questionsLeft) => (answered / (answered + questionsLeft)) * 100;
+
+        return {
+            answered,
+            min: percentage(remaining.max),
+            max: percentage(remaining.min),
+            expected: percentage(remaining.expected),
+            remaining: { ...remaining }
+        };
+    }
+
+    /**
+     * Restore a session from a snapshot
+     * If the configuration changed since the snapshot was taken, the saved answers are replayed
+     * against the new configuration and kept only while they are still valid on the new path.
+     * @param {Object} snapshot - Snapshot created by serialize()
+     * @param {Object} config - Current questionnaire configuration
+     * @param {Object} options - { replay: replay the answers even when the configuration is unchanged,
+     *        for snapshots that cannot be trusted, such as those from share links }
+     * @returns {QuestionnaireEngine} Engine positioned where the snapshot left off;
+     *          engine.restoreReport tells whether it was migrated and how many answers were discarded
+     * @throws {Error} If the snapshot is malformed, belongs to another questionnaire or no answer survives migration
+     */
+    static restore(snapshot, config, options = {}) {
+        if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.answers)) {
+            throw new Error('Invalid questionnaire snapshot');
+        }
+
+        if (snapshot.version !== QuestionnaireEngine.SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version "${snapshot.version}"`);
+        }
+
+        const engine = new QuestionnaireEngine(config);
+        if (snapshot.questionnaireId !== engine.getQuestionnaireId()) {
+            throw new Error(`Snapshot belongs to questionnaire "${snapshot.questionnaireId}"`);
+        }
+
+        if (snapshot.locale) {
+            engine.setLocale(snapshot.locale);
+        }
+        engine.backNavigations = { ...(snapshot.backNavigations || {}) };
+        if (snapshot.sessionId) {
+            engine.sessionId = snapshot.sessionId;
+        }
+        // Replayed answers are shown with the order and variants the respondent saw
+        if (QuestionnaireRandomization.isSeed(snapshot.seed)) {
+            engine.seed = snapshot.seed;
+        }
+
+        const unchanged = snapshot.configHash === QuestionnaireEngine.hashConfig(config);
+        if (unchanged && !options.replay) {
+            engine.currentQuestionId = snapshot.currentQuestionId;
+            engine.currentIteration = snapshot.currentIteration || null;
+            engine.answers = snapshot.answers.map(answerData => ({ ...answerData }));
+            engine.questionHistory = [...snapshot.questionHistory];
+            engine.screenOut = snapshot.screenOut ? { ...snapshot.screenOut } : null;
+            engine.restoreReport = { migrated: false, keptAnswers: engine.answers.length, discardedAnswers: 0 };
+            return engine;
+        }
+
+        // Replay answers until one no longer fits the new configuration
+        for (const answerData of snapshot.answers) {
+            if (!answerData || typeof answerData !== 'object' || engine.isComplete()
+                || QuestionnaireEngine.getAnswerKey(answerData) !== engine.getCurrentKey()) {
+                break;
+            }
+            const answer = QuestionnaireEngine.toSubmittedAnswer(answerData);
+            if (!engine.validateAnswer(answer).isValid) {
+                break;
+            }
+            engine.answerQuestion(answer);
         }
 
-        if (!currentQuestion.answers.hasOwnProperty(answer)) {
-            throw new Error(`Invalid answer "${answer}" for question "${this.currentQuestionId}"`);
+        const keptAnswers = engine.answers.length;
+        if (keptAnswers === 0 && snapshot.answers.length > 0) {
+            throw new Error('Saved answers are no longer compatible with this questionnaire');
         }
 
-        // Store the answer
-        this.answers.push({
-            questionId: this.currentQuestionId,
-            question: currentQuestion.question,
-            answer: answer
+        // The replay happened now; keep the metrics of the original answers
+        engine.answers.forEach((answerData, index) => {
+            if (snapshot.answers[index].metrics) {
+                answerData.metrics = { ...snapshot.answers[index].metrics };
+            }
         });
 
-        // Add to history for back navigation
-        this.questionHistory.push(this.currentQuestionId);
+        engine.restoreReport = {
+            migrated: !unchanged,
+            keptAnswers,
+            discardedAnswers: snapshot.answers.length - keptAnswers
+        };
+        return engine;
+    }
 
-        // Get next question ID
-        const nextQuestionId = currentQuestion.answers[answer];
-        
-        if (nextQuestionId === null) {
-            // End of questionnaire
-            this.currentQuestionId = null;
-            return false;
+    /**
+     * Create an ID for a new session
+     * @returns {string} Random session ID
+     */
+    static createSessionId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
         }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
 
-        this.currentQuestionId = nextQuestionId;
-        return true;
+    /**
+     * Generate a simple hash of a configuration for comparison
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string} Simple hash of the configuration
+     */
+    static hashConfig(config) {
+        const configString = JSON.stringify(config);
+        let hash = 0;
+        for (let i = 0; i < configString.length; i++) {
+            const char = configString.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash; // Convert to 32-bit integer
+        }
+        return Math.abs(hash).toString(16);
     }
 
     /**
-     * Go back to previous question
-     * @returns {boolean} True if successfully went back, false if at start
+     * Count the questions left on the way to the end from every question, including the question itself
+     * Computed once per configuration object. Expected values assume every route out of a question is
+     * equally likely and every repeat group runs once; routes that lead back to a question already on
+     * the way are ignored.
+     * @param {Object} config - Questionnaire configuration
+     * @returns {Object} Remaining question counts by question ID ({ min, max, expected })
      */
-    goBack() {
-        if (this.questionHistory.length === 0) {
-            return false;
+    static getRemainingDepths(config) {
+        if (QuestionnaireEngine.depthCache.has(config)) {
+            return QuestionnaireEngine.depthCache.get(config);
         }
 
-        // Remove last answer
-        this.answers.pop();
-        
-        // Go back to previous question
-        this.questionHistory.pop();
-        
-        if (this.questionHistory.length > 0) {
-            this.currentQuestionId = this.questionHistory[this.questionHistory.length - 1];
-        } else {
-            this.currentQuestionId = this.config.startQuestion;
+        const depths = {};
+        const visiting = new Set();
+
+        const visit = (questionId) => {
+            if (depths[questionId]) {
+                return depths[questionId];
+            }
+
+            const questionData = config.questions[questionId];
+            visiting.add(questionId);
+
+            const targets = Array.from(new Set(QuestionnaireEngine.getEdges(questionData)
+                .map(edge => QuestionnaireGroups.resolveTarget(config, questionId, edge.next))))
+                .filter(next => !visiting.has(next));
+            const following = targets.map(next => (
+                next && config.questions[next] ? visit(next) : { min: 0, max: 0, expected: 0 }
+            ));
+
+            visiting.delete(questionId);
+
+            depths[questionId] = following.length === 0
+                ? { min: 1, max: 1, expected: 1 }
+                : {
+                    min: 1 + Math.min(...following.map(depth => depth.min)),
+                    max: 1 + Math.max(...following.map(depth => depth.max)),
+                    expected: 1 + following.reduce((total, depth) => total + depth.expected, 0) / following.length
+                };
+            return depths[questionId];
+        };
+
+        Object.keys(config.questions).forEach(visit);
+        QuestionnaireEngine.depthCache.set(config, depths);
+        return depths;
+    }
+
+    /**
+     * Get the key an answer is stored under: the question ID, plus "#<iteration>" inside repeat groups
+     * @param {Object} answerData - Answer or position ({ questionId, iteration? })
+     * @returns {string} Answer key
+     */
+    static getAnswerKey(answerData) {
+        return answerData.iteration
+            ? `${answerData.questionId}#${answerData.iteration.index}`
+            : answerData.questionId;
+    }
+
+    /**
+     * Create a stored answer
+     * @param {Object} position - Answered question ({ questionId, iteration })
+     * @param {string} questionText - Question text as shown
+     * @param {*} value - Parsed answer (answer IDs for questions with options)
+     * @param {string|string[]} answerLabel - Label(s) the answer was shown with, for questions with options
+     * @returns {Object} Answer object ({ questionId, question, answer, answerLabel?, iteration? })
+     */
+    static createAnswer(position, questionText, value, answerLabel) {
+        const answerData = { questionId: position.questionId, question: questionText, answer: value };
+        if (answerLabel !== undefined) {
+            answerData.answerLabel = answerLabel;
         }
+        if (position.iteration) {
+            answerData.iteration = { ...position.iteration };
+        }
+        return answerData;
+    }
 
-        return true;
+    /**
+     * Work out where the questionnaire continues after an answer, entering, repeating and leaving repeat groups
+     * @param {Object} config - Questionnaire configuration
+     * @param {Object} position - Answered question ({ questionId, iteration })
+     * @param {Array} answers - Answers so far, ending with the answer to this question
+     * @param {Object} options - Options
+     * @param {boolean} options.singleIteration - Run every group at most once (used for path analysis)
+     * @returns {Object} Next position ({ questionId, iteration }); questionId is null at the end
+     */
+    static getNextPosition(config, position, answers, options = {}) {
+        const groups = QuestionnaireGroups.getGroups(config);
+        const answerData = answers[answers.length - 1];
+        let iteration = position.iteration;
+        let next = QuestionnaireEngine.resolveNext(
+            config.questions[position.questionId],
+            answerData.answer,
+            QuestionnaireGroups.buildScope(config, answers, iteration),
+            QuestionnaireEngine.isSkipped(answerData)
+        );
+        const skippedGroups = new Set();
+
+        for (;;) {
+            // Routing to null inside a group ends the iteration
+            if (iteration && next === null) {
+                const scope = QuestionnaireGroups.buildScope(config, answers, iteration);
+                if (!options.singleIteration && QuestionnaireGroups.shouldRepeat(config, iteration.group, iteration.index, scope)) {
+                    return {
+                        questionId: groups[iteration.group].questions[0],
+                        iteration: { group: iteration.group, index: iteration.index + 1 }
+                    };
+                }
+                next = groups[iteration.group].next;
+                iteration = null;
+            } else if (QuestionnaireGroups.isGroup(config, next)) {
+                if (QuestionnaireGroups.shouldRepeat(config, next, 0, QuestionnaireGroups.buildScope(config, answers, null))) {
+                    return { questionId: groups[next].questions[0], iteration: { group: next, index: 1 } };
+                }
+                if (skippedGroups.has(next)) {
+                    return { questionId: null, iteration: null };
+                }
+                skippedGroups.add(next);
+                next = groups[next].next;
+            } else {
+                return { questionId: next, iteration };
+            }
+        }
     }
 
     /**
-     * Check if questionnaire is complete
-     * @returns {boolean} True if questionnaire is finished
+     * Determine the question that follows an answer
+     * Expression rules in "next" are checked first; the question type's own routing is the fallback, or the
+     * skip route when the question was skipped or declined.
+     * @param {Object} questionData - Question configuration
+     * @param {*} answer - Parsed answer to the question
+     * @param {Object} scope - Answers by question ID (including this one) and computed variables
+     * @param {boolean} skipped - Whether the question was skipped or declined
+     * @returns {string|null} Next question ID, or null at the end of the questionnaire
      */
-    isComplete() {
-        return this.currentQuestionId === null;
+    static resolveNext(questionData, answer, scope, skipped = false) {
+        if (Array.isArray(questionData.next)) {
+            const rule = questionData.next.find(candidate => QuestionnaireExpressions.test(candidate.when, scope));
+            if (rule) {
+                return rule.goto;
+            }
+        }
+
+        if (skipped) {
+            return QuestionnaireEngine.getSkipTarget(questionData);
+        }
+        return QuestionTypes.forQuestion(questionData).getNext(questionData, answer);
     }
 
     /**
-     * Get all answers given so far
-     * @returns {Array} Array of answer objects
+     * Check whether a question may be skipped
+     * @param {Object} questionData - Question configuration
+     * @returns {boolean} True for questions with required: false
      */
-    getAnswers() {
-        return [...this.answers];
+    static isOptional(questionData) {
+        return questionData.required === false;
     }
 
     /**
-     * Reset questionnaire to beginning
+     * Check whether a question offers a "prefer not to answer" option
+     * @param {Object} questionData - Question configuration
+     * @returns {boolean} True if preferNotToAnswer is true or a label
      */
-    reset() {
-        this.currentQuestionId = this.config.startQuestion;
-        this.answers = [];
-        this.questionHistory = [];
+    static offersPreferNotToAnswer(questionData) {
+        return questionData.preferNotToAnswer !== undefined && questionData.preferNotToAnswer !== false;
     }
 
     /**
-     * Get progress percentage
-     * @returns {number} Progress as percentage (0-100)
+     * Get where a skipped or declined question continues
+     * @param {Object} questionData - Question configuration
+     * @returns {string|null|undefined} "skipTo", else the default route of rule-routed questions
+     *          (undefined for single-choice questions without "skipTo")
      */
-    getProgress() {
-        if (this.isComplete()) {
-            return 100;
+    static getSkipTarget(questionData) {
+        if (Object.prototype.hasOwnProperty.call(questionData, 'skipTo')) {
+            return questionData.skipTo;
+        }
+        return questionData.routing ? questionData.routing.default : undefined;
+    }
+
+    /**
+     * Check whether a stored answer records a skipped or declined question
+     * @param {Object} answerData - Answer object
+     * @returns {boolean} True if the question was not answered
+     */
+    static isSkipped(answerData) {
+        return Boolean(answerData.skipped || answerData.declined);
+    }
+
+    /**
+     * Turn a stored answer back into the answer that was submitted
+     * @param {Object} answerData - Answer object
+     * @returns {*} Answer, QuestionnaireEngine.SKIP or QuestionnaireEngine.PREFER_NOT_TO_ANSWER
+     */
+    static toSubmittedAnswer(answerData) {
+        if (answerData.skipped) {
+            return QuestionnaireEngine.SKIP;
+        }
+        if (answerData.declined) {
+            return QuestionnaireEngine.PREFER_NOT_TO_ANSWER;
+        }
+        return Array.isArray(answerData.answer) ? [...answerData.answer] : answerData.answer;
+    }
+
+    /**
+     * Check and normalize an answer to a question
+     * Empty answers to optional questions (nothing selected, an empty field) skip the question, unless the
+     * question type accepts them, like multi-select questions with minSelections 0.
+     * @param {Object} questionData - Question configuration
+     * @param {*} answer - Submitted answer, or QuestionnaireEngine.SKIP / PREFER_NOT_TO_ANSWER
+     * @param {string} questionId - Question ID used in messages
+     * @returns {*} Parsed answer, or one of the two markers
+     * @throws {Error} If the answer is invalid
+     */
+    static parseAnswer(questionData, answer, questionId) {
+        const type = QuestionTypes.forQuestion(questionData);
+
+        if (answer === QuestionnaireEngine.SKIP) {
+            if (!QuestionnaireEngine.isOptional(questionData)) {
+                throw new Error(`Question "${questionId}" requires an answer`);
+            }
+            return answer;
+        }
+        if (answer === QuestionnaireEngine.PREFER_NOT_TO_ANSWER) {
+            if (!QuestionnaireEngine.offersPreferNotToAnswer(questionData)) {
+                throw new Error(`Question "${questionId}" does not offer "prefer not to answer"`);
+            }
+            return answer;
+        }
+
+        const empty = answer === null || answer === undefined
+            || (typeof answer === 'string' && answer.trim() === '')
+            || (Array.isArray(answer) && answer.length === 0);
+        if (empty && QuestionnaireEngine.isOptional(questionData)) {
+            try {
+                const value = type.parseAnswer(questionData, answer, questionId);
+                return value === null ? QuestionnaireEngine.SKIP : value;
+            } catch (error) {
+                return QuestionnaireEngine.SKIP;
+            }
+        }
+
+        return type.parseAnswer(questionData, answer, questionId);
+    }
+
+    /**
+     * List every routing edge leaving a question, expression rules first and the skip route last
+     * @param {Object} questionData - Question configuration
+     * @returns {Array} Edges ({ label, next })
+     */
+    static getEdges(questionData) {
+        const ruleEdges = Array.isArray(questionData.next)
+            ? questionData.next.map(rule => ({ label: `if ${rule.when}`, next: rule.goto }))
+            : [];
+        const skipEdges = Object.prototype.hasOwnProperty.call(questionData, 'skipTo')
+            && (QuestionnaireEngine.isOptional(questionData) || QuestionnaireEngine.offersPreferNotToAnswer(questionData))
+            ? [{ label: 'skipped', next: questionData.skipTo }]
+            : [];
+
+        return [...ruleEdges, ...QuestionTypes.forQuestion(questionData).getEdges(questionData), ...skipEdges];
+    }
+
+    /**
+     * Check whether a configuration defines a question
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} questionId - Question ID
+     * @returns {boolean} True for the configuration's own questions, not names like "toString" it inherits
+     */
+    static hasQuestion(config, questionId) {
+        return Object.prototype.hasOwnProperty.call(config.questions, questionId);
+    }
+
+    /**
+     * Get the variable names expressions and placeholders of a question may use
+     * @param {string} questionId - Question ID
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Variable names, including "iteration" for questions of repeat groups
+     */
+    static getVariableNamesFor(questionId, config) {
+        const variableNames = QuestionnaireScoring.getVariableNames(config);
+        if (QuestionnaireGroups.getGroupOf(config, questionId) !== null) {
+            variableNames.push(QuestionnaireGroups.ITERATION_VARIABLE);
+        }
+        return variableNames;
+    }
+
+    /**
+     * Validate the expression rules of a question
+     * @param {string} questionId - Question ID
+     * @param {Object} questionData - Question configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Validation errors
+     */
+    static validateNextRules(questionId, questionData, config) {
+        const errors = [];
+        const variableNames = QuestionnaireEngine.getVariableNamesFor(questionId, config);
+
+        if (!Array.isArray(questionData.next)) {
+            errors.push(`Question "${questionId}" "next" must be an array of rules`);
+            return errors;
+        }
+
+        questionData.next.forEach((rule, index) => {
+            const label = `Question "${questionId}" next rule ${index + 1}`;
+
+            if (!rule || typeof rule.when !== 'string') {
+                errors.push(`${label} missing "when" expression`);
+                return;
+            }
+
+            try {
+                const tree = QuestionnaireExpressions.compile(rule.when);
+                QuestionnaireExpressions.getReferences(tree)
+                    .filter(name => !QuestionnaireEngine.hasQuestion(config, name) && !variableNames.includes(name))
+                    .forEach(name => errors.push(`${label} refers to non-existent question or variable "${name}"`));
+            } catch (error) {
+                errors.push(`${label} has invalid expression: ${error.message}`);
+            }
+
+            if (!Object.prototype.hasOwnProperty.call(rule, 'goto')) {
+                errors.push(`${label} missing "goto"`);
+            } else if (!QuestionTypes.isValidTarget(config, rule.goto)) {
+                errors.push(`${label} refers to non-existent question "${rule.goto}"`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Find routes that lead back to a question already asked
+     * Questions may only be asked again through repeat groups; any other cycle would never end.
+     * @param {Object} config - Questionnaire configuration
+     * @returns {Array} Cycles, each a list of question IDs starting and ending with the same question
+     */
+    static findRoutingCycles(config) {
+        const cycles = [];
+        const finished = new Set();
+        const stack = [];
+
+        const visit = (questionId) => {
+            if (stack.includes(questionId)) {
+                cycles.push([...stack.slice(stack.indexOf(questionId)), questionId]);
+                return;
+            }
+            if (finished.has(questionId) || !QuestionnaireEngine.hasQuestion(config, questionId)) {
+                return;
+            }
+
+            let targets = [];
+            try {
+                targets = QuestionnaireEngine.getEdges(config.questions[questionId])
+                    .map(({ next }) => QuestionnaireGroups.resolveTarget(config, questionId, next));
+            } catch (error) {
+                // Invalid questions and groups are reported by validateConfig
+            }
+
+            stack.push(questionId);
+            new Set(targets).forEach(visit);
+            stack.pop();
+            finished.add(questionId);
+        };
+
+        Object.keys(config.questions).forEach(visit);
+        return cycles;
+    }
+
+    /**
+     * Check whether a question can be reached from the start without answering another question
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} targetId - Question to reach
+     * @param {string} avoidId - Question the path must not pass through
+     * @returns {boolean} True if such a path exists
+     */
+    static canReachAvoiding(config, targetId, avoidId) {
+        const visited = new Set([avoidId]);
+        const queue = [config.startQuestion];
+
+        while (queue.length > 0) {
+            const questionId = queue.shift();
+            if (questionId === targetId) {
+                return true;
+            }
+            if (visited.has(questionId) || !QuestionnaireEngine.hasQuestion(config, questionId)) {
+                continue;
+            }
+            visited.add(questionId);
+
+            try {
+                QuestionnaireEngine.getEdges(config.questions[questionId])
+                    .forEach(({ next }) => queue.push(QuestionnaireGroups.resolveTarget(config, questionId, next)));
+            } catch (error) {
+                // Invalid questions are reported by validateConfig
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Validate the placeholders of a question's text and answer labels
+     * Placeholders without a fallback must refer to a question answered on every path to this one.
+     * @param {string} questionId - Question ID
+     * @param {Object} questionData - Question configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Validation errors
+     */
+    static validatePlaceholders(questionId, questionData, config) {
+        const errors = [];
+        const variableNames = QuestionnaireEngine.getVariableNamesFor(questionId, config);
+        const type = QuestionTypes.forQuestion(questionData);
+
+        const texts = QuestionnaireI18n.getTexts(questionData.question).map(text => ['question text', text]);
+        QuestionnaireRandomization.getVariants(questionData).forEach(variant => {
+            QuestionnaireI18n.getTexts(variant && variant.question).forEach(text => texts.push([`variant "${variant.id}" text`, text]));
+        });
+        type.getOptions(questionData).forEach(answer => {
+            QuestionnaireI18n.getAnswerLabelTexts(questionData, answer).forEach(text => texts.push([`answer "${answer}"`, text]));
+        });
+
+        texts.forEach(([part, text]) => {
+            const label = `Question "${questionId}" ${part}`;
+
+            if (QuestionnaireTemplates.hasMalformedPlaceholders(text)) {
+                errors.push(`${label} has a malformed placeholder (use {{name}} or {{name|fallback}}, \\{{ for literal braces)`);
+            }
+
+            QuestionnaireTemplates.getPlaceholders(text).forEach(({ name, fallback }) => {
+                if (!QuestionnaireEngine.hasQuestion(config, name)) {
+                    if (!variableNames.includes(name)) {
+                        errors.push(`${label} placeholder refers to non-existent question or variable "${name}"`);
+                    }
+                    return;
+                }
+
+                if (fallback !== undefined) {
+                    return;
+                }
+
+                // Optional inputs and selections may be answered with nothing
+                const sourceQuestion = config.questions[name];
+                const constraints = QuestionTypes.hasType(sourceQuestion.type || QuestionTypes.DEFAULT_TYPE)
+                    ? QuestionTypes.forQuestion(sourceQuestion).getConstraints(sourceQuestion)
+                    : {};
+                const optional = constraints.required === false || constraints.minSelections === 0
+                    || QuestionnaireEngine.isOptional(sourceQuestion) || QuestionnaireEngine.offersPreferNotToAnswer(sourceQuestion);
+
+                if (name === questionId || optional || QuestionnaireEngine.canReachAvoiding(config, questionId, name)) {
+                    errors.push(`${label} placeholder "{{${name}}}" may be unresolved on some paths; add a fallback like {{${name}|...}}`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate the skip settings of a question: required, preferNotToAnswer and skipTo
+     * @param {string} questionId - Question ID
+     * @param {Object} questionData - Question configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Validation errors
+     */
+    static validateSkipping(questionId, questionData, config) {
+        const errors = [];
+        const label = `Question "${questionId}"`;
+
+        if (questionData.required !== undefined && typeof questionData.required !== 'boolean') {
+            errors.push(`${label} "required" must be true or false`);
+        }
+        if (questionData.preferNotToAnswer !== undefined && typeof questionData.preferNotToAnswer !== 'boolean'
+            && !QuestionnaireI18n.isText(questionData.preferNotToAnswer)) {
+            errors.push(`${label} "preferNotToAnswer" must be true, false or the label of the option`);
+        }
+
+        const skippable = QuestionnaireEngine.isOptional(questionData) || QuestionnaireEngine.offersPreferNotToAnswer(questionData);
+        if (Object.prototype.hasOwnProperty.call(questionData, 'skipTo')) {
+            if (!skippable) {
+                errors.push(`${label} has "skipTo" but is neither optional nor offers "prefer not to answer"`);
+            } else if (!QuestionTypes.isValidTarget(config, questionData.skipTo)) {
+                errors.push(`${label} "skipTo" refers to non-existent question "${questionData.skipTo}"`);
+            }
+        } else if (skippable && QuestionnaireEngine.getSkipTarget(questionData) === undefined) {
+            errors.push(`${label} can be left unanswered, so it needs a "skipTo" route`);
         }
-        
-        // Estimate progress based on answers given
-        // This is a simplified calculation
-        const totalQuestions = Object.keys(this.config.questions).length;
-        const answeredQuestions = this.answers.length;
-        return Math.min((answeredQuestions / totalQuestions) * 100, 95);
+
+        return errors;
     }
 
     /**
@@ -141,38 +1677,84 @@ class QuestionnaireEngine {
             errors.push("Missing 'startQuestion' property");
         }
 
+        if (config.id !== undefined && (typeof config.id !== 'string' || config.id.trim() === '')) {
+            errors.push("'id' must be a non-empty string");
+        }
+
         if (!config.questions || typeof config.questions !== 'object') {
             errors.push("Missing or invalid 'questions' property");
             return { isValid: false, errors };
         }
 
         // Check if start question exists
-        if (!config.questions[config.startQuestion]) {
+        if (!QuestionnaireEngine.hasQuestion(config, config.startQuestion)) {
             errors.push(`Start question "${config.startQuestion}" not found in questions`);
         }
 
         // Validate each question
         Object.entries(config.questions).forEach(([questionId, questionData]) => {
-            if (!questionData.question || typeof questionData.question !== 'string') {
+            if (!QuestionnaireI18n.isText(questionData.question)) {
                 errors.push(`Question "${questionId}" missing or invalid question text`);
             }
 
-            if (!questionData.answers || typeof questionData.answers !== 'object') {
-                errors.push(`Question "${questionId}" missing or invalid answers`);
+            const typeName = questionData.type || QuestionTypes.DEFAULT_TYPE;
+            if (!QuestionTypes.hasType(typeName)) {
+                errors.push(`Question "${questionId}" has unknown type "${typeName}"`);
                 return;
             }
 
-            // Check answer references
-            Object.entries(questionData.answers).forEach(([answer, nextQuestionId]) => {
-                if (nextQuestionId !== null && !config.questions[nextQuestionId]) {
-                    errors.push(`Question "${questionId}" answer "${answer}" refers to non-existent question "${nextQuestionId}"`);
-                }
-            });
+            // Check answers and routing references for this question type
+            errors.push(...QuestionTypes.forQuestion(questionData).validate(questionId, questionData, config));
+
+            if (questionData.next !== undefined) {
+                errors.push(...QuestionnaireEngine.validateNextRules(questionId, questionData, config));
+            }
+
+            errors.push(...QuestionnaireEngine.validatePlaceholders(questionId, questionData, config));
+            errors.push(...QuestionnaireEngine.validateSkipping(questionId, questionData, config));
+        });
+
+        // Check scores, variables and outcomes
+        errors.push(...QuestionnaireScoring.validate(config));
+
+        // Check repeat groups
+        errors.push(...QuestionnaireGroups.validate(config, QuestionnaireEngine.getEdges));
+
+        // Check that routing cannot go round in circles
+        QuestionnaireEngine.findRoutingCycles(config).forEach(cycle => {
+            errors.push(`Routing cycle ${cycle.join(' → ')}; questions can only be repeated through repeat groups`);
         });
 
+        // Check pages
+        errors.push(...QuestionnairePages.validate(config, QuestionnaireEngine.getEdges));
+
+        // Check languages and translations
+        errors.push(...QuestionnaireI18n.validate(config));
+
+        // Check answer randomization and question variants
+        errors.push(...QuestionnaireRandomization.validate(config));
+
+        // Check help texts, answer hints and images
+        errors.push(...QuestionnaireContent.validate(config));
+
+        // Check screen-outs and quotas
+        errors.push(...QuestionnaireEligibility.validate(config));
+
+        // Check where responses are submitted
+        errors.push(...QuestionnaireSubmission.validate(config));
+
         return {
             isValid: errors.length === 0,
             errors
         };
     }
-}
\ No newline at end of file
+}
+
+QuestionnaireEngine.SNAPSHOT_VERSION = 1;
+QuestionnaireEngine.SLOW_ANSWER_FACTOR = 2;
+// Submitted instead of an answer to skip an optional question or decline one offering "prefer not to answer"
+QuestionnaireEngine.SKIP = Object.freeze({ skipped: true });
+QuestionnaireEngine.PREFER_NOT_TO_ANSWER = Object.freeze({ declined: true });
+QuestionnaireEngine.PREFER_NOT_TO_ANSWER_LABEL = 'Prefer not to answer';
+QuestionnaireEngine.EVENTS = ['questionShown', 'beforeNavigate', 'answered', 'navigatedBack', 'completed', 'screenedOut', 'reset'];
+QuestionnaireEngine.depthCache = new WeakMap();
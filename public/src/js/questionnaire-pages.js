@@ -0,0 +1,222 @@
+// Questionnaire Pages - Several questions shown and submitted together
+//
+// Configuration:
+//   pages.<id> = {
+//       "title": "About you",                         shown above the questions of the page
+//       "questions": ["name", "age", "email"]         in display order
+//   }
+//
+// A page is a chain: every question but the last must always continue with the next question of the
+// page, so only the last question routes. Its routing is evaluated when the page is submitted, with all
+// answers of the page available. Pages are entered at their first question; questions that are not on
+// a page are shown on their own.
+const QuestionnairePages = (() => {
+    'use strict';
+
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    /**
+     * Get the pages of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {Object} Pages by ID
+     */
+    const getPages = (config) => config.pages || {};
+
+    /**
+     * Find the page a question is shown on
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} questionId - Question ID
+     * @returns {string|null} Page ID, or null for questions shown on their own
+     */
+    const getPageOf = (config, questionId) => {
+        const entry = Object.entries(getPages(config))
+            .find(([, page]) => Array.isArray(page.questions) && page.questions.includes(questionId));
+        return entry ? entry[0] : null;
+    };
+
+    /**
+     * Get the questions shown together with a question, starting with it
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} questionId - Question ID
+     * @returns {string[]} The question and the questions after it on its page
+     */
+    const getQuestionsFrom = (config, questionId) => {
+        const pageId = getPageOf(config, questionId);
+        if (pageId === null) {
+            return [questionId];
+        }
+
+        const questions = getPages(config)[pageId].questions;
+        return questions.slice(questions.indexOf(questionId));
+    };
+
+    /**
+     * Get the question shown before a question on its page
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} questionId - Question ID
+     * @returns {string|null} Previous question ID, or null for the first question of a page (or no page)
+     */
+    const getPrevious = (config, questionId) => {
+        const pageId = getPageOf(config, questionId);
+        if (pageId === null) {
+            return null;
+        }
+
+        const questions = getPages(config)[pageId].questions;
+        const index = questions.indexOf(questionId);
+        return index > 0 ? questions[index - 1] : null;
+    };
+
+    const sameIteration = (a, b) => (a.iteration ? a.iteration.index : null) === (b.iteration ? b.iteration.index : null);
+
+    /**
+     * Split answers into the pages they were given on
+     * @param {Object} config - Questionnaire configuration
+     * @param {Array} answers - Answers in order ({ questionId, iteration? })
+     * @returns {Array} Pages in order ({ pageId, answers }); pageId is null for questions shown on their own
+     */
+    const splitIntoPages = (config, answers) => {
+        const pages = [];
+        answers.forEach((answerData, index) => {
+            const previous = answers[index - 1];
+            const continuesPage = previous !== undefined
+                && getPrevious(config, answerData.questionId) === previous.questionId
+                && sameIteration(previous, answerData);
+
+            if (continuesPage) {
+                pages[pages.length - 1].answers.push(answerData);
+            } else {
+                pages.push({ pageId: getPageOf(config, answerData.questionId), answers: [answerData] });
+            }
+        });
+        return pages;
+    };
+
+    /**
+     * Validate the pages of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @param {Function} getEdges - (questionData) => routing edges of a question
+     * @returns {string[]} Validation errors
+     */
+    const validate = (config, getEdges) => {
+        const errors = [];
+        if (config.pages === undefined) {
+            return errors;
+        }
+
+        if (!config.pages || typeof config.pages !== 'object' || Array.isArray(config.pages)) {
+            errors.push("'pages' must be an object");
+            return errors;
+        }
+
+        const owners = Object.create(null);
+
+        Object.entries(config.pages).forEach(([pageId, page]) => {
+            const label = `Page "${pageId}"`;
+
+            if (!page || !Array.isArray(page.questions) || page.questions.length === 0) {
+                errors.push(`${label} must have a non-empty "questions" list`);
+                return;
+            }
+
+            page.questions.forEach(questionId => {
+                if (!hasOwn(config.questions, questionId)) {
+                    errors.push(`${label} refers to non-existent question "${questionId}"`);
+                } else if (owners[questionId]) {
+                    errors.push(`${label} question "${questionId}" is already on page "${owners[questionId]}"`);
+                } else {
+                    owners[questionId] = pageId;
+                }
+            });
+
+            const groupIds = new Set(page.questions.map(questionId => QuestionnaireGroups.getGroupOf(config, questionId)));
+            if (groupIds.size > 1) {
+                errors.push(`${label} mixes questions of different repeat groups`);
+            }
+
+            // Only the last question routes; the others lead to the next question of the page
+            page.questions.slice(0, -1).forEach((questionId, index) => {
+                const questionData = hasOwn(config.questions, questionId) ? config.questions[questionId] : null;
+                if (!questionData) {
+                    return;
+                }
+
+                const following = page.questions[index + 1];
+                let edges = [];
+                try {
+                    edges = getEdges(questionData);
+                } catch (error) {
+                    return;
+                }
+
+                if (edges.some(({ next }) => next !== following)) {
+                    errors.push(`${label} question "${questionId}" must always continue with "${following}"`);
+                }
+            });
+
+            // Answers are only known once the page is submitted
+            page.questions.forEach((questionId, index) => {
+                const questionData = hasOwn(config.questions, questionId) ? config.questions[questionId] : null;
+                const earlier = page.questions.slice(0, index);
+                if (!questionData || earlier.length === 0) {
+                    return;
+                }
+
+                const texts = QuestionnaireI18n.getTexts(questionData.question);
+                try {
+                    QuestionTypes.forQuestion(questionData).getOptions(questionData)
+                        .forEach(answer => texts.push(...QuestionnaireI18n.getAnswerLabelTexts(questionData, answer)));
+                } catch (error) {
+                    // Unknown types are reported by validateConfig
+                }
+
+                const names = new Set(texts.flatMap(text => QuestionnaireTemplates.getPlaceholders(text).map(({ name }) => name)));
+                earlier
+                    .filter(name => names.has(name))
+                    .forEach(name => errors.push(`${label} question "${questionId}" cannot show the answer to "${name}" from the same page`));
+            });
+        });
+
+        const entryError = (questionId) => {
+            const pageId = owners[questionId];
+            const first = pageId ? config.pages[pageId].questions[0] : questionId;
+            return first === questionId ? null : `page "${pageId}" must be entered at its first question "${first}"`;
+        };
+
+        if (entryError(config.startQuestion)) {
+            errors.push(`Start question "${config.startQuestion}" is on ${entryError(config.startQuestion)}`);
+        }
+
+        Object.entries(config.questions).forEach(([questionId, questionData]) => {
+            let edges = [];
+            try {
+                edges = getEdges(questionData);
+            } catch (error) {
+                return;
+            }
+
+            new Set(edges.map(({ next }) => QuestionnaireGroups.resolveTarget(config, questionId, next))).forEach(next => {
+                if (next !== null && getPrevious(config, next) !== questionId && entryError(next)) {
+                    errors.push(`Question "${questionId}" routes to "${next}", but ${entryError(next)}`);
+                }
+            });
+        });
+
+        return errors;
+    };
+
+    // Public API
+    return {
+        getPages,
+        getPageOf,
+        getQuestionsFrom,
+        getPrevious,
+        splitIntoPages,
+        validate
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnairePages = QuestionnairePages;
+}
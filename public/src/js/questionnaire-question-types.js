@@ -0,0 +1,916 @@
+// Question Types - Strategy registry for the different kinds of questionnaire questions
+const QuestionTypes = (() => {
+    'use strict';
+
+    const DEFAULT_TYPE = 'single';
+
+    // Upper bound on the selections tried when looking for multi-select branches
+    const MAX_ENUMERATED_SELECTIONS = 1024;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const types = new Map();
+
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    /**
+     * Check that a routing target is the end of the questionnaire (or of a repeat iteration),
+     * an existing question or a repeat group
+     * @param {Object} config - Questionnaire configuration
+     * @param {string|null} nextQuestionId - Routing target
+     * @returns {boolean} True if the target is valid
+     */
+    const isValidTarget = (config, nextQuestionId) => {
+        return nextQuestionId === null
+            || hasOwn(config.questions, nextQuestionId)
+            || Boolean(config.groups && hasOwn(config.groups, nextQuestionId));
+    };
+
+    /**
+     * Register a question type
+     * @param {string} name - Type name used in the "type" property of a question
+     * @param {Object} definition - Type strategy (getOptions, parseAnswer, getNext, getEdges, getBranches, validate;
+     *        optionally getConstraints, and getScale for types answered on a rating scale)
+     */
+    const registerType = (name, definition) => {
+        const required = ['getOptions', 'parseAnswer', 'getNext', 'getEdges', 'getBranches', 'validate'];
+        const missing = required.filter(method => typeof definition[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Question type "${name}" must implement: ${missing.join(', ')}`);
+        }
+
+        types.set(name, { getConstraints: () => ({}), ...definition, name });
+    };
+
+    /**
+     * Check if a question type is registered
+     * @param {string} name - Type name
+     * @returns {boolean} True if the type is registered
+     */
+    const hasType = (name) => {
+        return types.has(name);
+    };
+
+    /**
+     * Get all registered type names
+     * @returns {string[]} Registered type names
+     */
+    const getTypeNames = () => {
+        return Array.from(types.keys());
+    };
+
+    /**
+     * Get the type strategy responsible for a question
+     * @param {Object} questionData - Question configuration
+     * @returns {Object} Type strategy
+     */
+    const forQuestion = (questionData) => {
+        const name = questionData.type || DEFAULT_TYPE;
+        const type = types.get(name);
+        if (!type) {
+            throw new Error(`Unknown question type "${name}"`);
+        }
+        return type;
+    };
+
+    /**
+     * Format a stored answer for display
+     * @param {*} answer - Answer value as stored by the engine
+     * @returns {string} Human readable answer
+     */
+    const formatAnswer = (answer) => {
+        if (Array.isArray(answer)) {
+            return answer.length > 0 ? answer.join(', ') : '(none selected)';
+        }
+        if (answer && typeof answer === 'object') {
+            return Object.entries(answer).map(([statement, rating]) => `${statement}: ${rating}`).join(', ');
+        }
+        if (answer === null || answer === undefined || answer === '') {
+            return '(no answer)';
+        }
+        return String(answer);
+    };
+
+    // Rule-based routing shared by the types that do not map answers to questions one-to-one:
+    // { "rules": [{ ...condition, "next": "q3" }], "default": "q4" }
+    const getRules = (questionData) => (questionData.routing && questionData.routing.rules) || [];
+
+    // Index of the routing rule that handles an answer, or -1 for the default route
+    const findRuleIndex = (questionData, answer, ruleMatches) => {
+        return getRules(questionData).findIndex(rule => ruleMatches(rule, answer, questionData));
+    };
+
+    const getRouteTarget = (questionData, ruleIndex) => {
+        return ruleIndex === -1 ? questionData.routing.default : getRules(questionData)[ruleIndex].next;
+    };
+
+    const getRoutingEdges = (questionData, describeRule) => [
+        ...getRules(questionData).map(rule => ({ label: describeRule(rule), next: rule.next })),
+        { label: 'otherwise', next: questionData.routing.default }
+    ];
+
+    /**
+     * Pick one representative answer per reachable route from a list of candidate answers
+     * @param {Object} questionData - Question configuration
+     * @param {Iterable} candidates - Candidate answers, most representative first
+     * @param {Function} ruleMatches - (rule, answer, questionData) => boolean
+     * @param {Function} describeRule - Rule label used for the branch
+     * @param {boolean} collectVariants - Also list every candidate that takes the same route
+     * @param {number} limit - Most candidates to try
+     * @returns {Array} Branches ({ answer, label, next, variants? }) in routing order
+     */
+    const collectRouteBranches = (questionData, candidates, ruleMatches, describeRule, collectVariants = false,
+        limit = MAX_ENUMERATED_SELECTIONS) => {
+        const rules = getRules(questionData);
+        const routeCount = rules.length + 1;
+        const branches = new Map();
+        let tried = 0;
+
+        for (const candidate of candidates) {
+            const ruleIndex = findRuleIndex(questionData, candidate, ruleMatches);
+            if (!branches.has(ruleIndex)) {
+                branches.set(ruleIndex, []);
+            }
+            branches.get(ruleIndex).push(candidate);
+            tried++;
+            if ((!collectVariants && branches.size === routeCount) || tried >= limit) {
+                break;
+            }
+        }
+
+        // Unreachable routes yield no branch
+        return Array.from(branches.entries())
+            .sort(([a], [b]) => (a === -1 ? routeCount : a) - (b === -1 ? routeCount : b))
+            .map(([ruleIndex, answers]) => ({
+                answer: answers[0],
+                label: ruleIndex === -1 ? 'otherwise' : describeRule(rules[ruleIndex]),
+                next: getRouteTarget(questionData, ruleIndex),
+                ...(collectVariants ? { variants: answers } : {})
+            }));
+    };
+
+    /**
+     * Validate a routing object
+     * @param {string} questionId - Question ID used in messages
+     * @param {Object} questionData - Question configuration
+     * @param {Object} config - Questionnaire configuration
+     * @param {Function} validateCondition - (rule, label) => string[] errors for the rule condition
+     * @returns {string[]} Validation errors
+     */
+    const validateRouting = (questionId, questionData, config, validateCondition) => {
+        const errors = [];
+        const routing = questionData.routing;
+
+        if (!routing || typeof routing !== 'object') {
+            errors.push(`Question "${questionId}" missing routing`);
+            return errors;
+        }
+
+        if (routing.rules !== undefined && !Array.isArray(routing.rules)) {
+            errors.push(`Question "${questionId}" routing.rules must be an array`);
+            return errors;
+        }
+
+        getRules(questionData).forEach((rule, index) => {
+            const label = `Question "${questionId}" routing rule ${index + 1}`;
+            if (!rule || typeof rule !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+
+            errors.push(...validateCondition(rule, label));
+
+            if (!hasOwn(rule, 'next')) {
+                errors.push(`${label} missing "next"`);
+            } else if (!isValidTarget(config, rule.next)) {
+                errors.push(`${label} refers to non-existent question "${rule.next}"`);
+            }
+        });
+
+        if (!hasOwn(routing, 'default')) {
+            errors.push(`Question "${questionId}" routing missing "default" next question`);
+        } else if (!isValidTarget(config, routing.default)) {
+            errors.push(`Question "${questionId}" routing default refers to non-existent question "${routing.default}"`);
+        }
+
+        return errors;
+    };
+
+    // Single choice: each answer label maps directly to the next question ID
+    registerType('single', {
+        getOptions: (questionData) => Object.keys(questionData.answers),
+
+        parseAnswer: (questionData, answer, questionId) => {
+            if (typeof answer !== 'string' || !hasOwn(questionData.answers, answer)) {
+                throw new Error(`Invalid answer "${answer}" for question "${questionId}"`);
+            }
+            return answer;
+        },
+
+        getNext: (questionData, answer) => questionData.answers[answer],
+
+        getEdges: (questionData) => Object.entries(questionData.answers)
+            .map(([answer, next]) => ({ label: answer, next })),
+
+        getBranches: (questionData) => Object.entries(questionData.answers)
+            .map(([answer, next]) => ({ answer, next })),
+
+        validate: (questionId, questionData, config) => {
+            const errors = [];
+
+            if (!questionData.answers || typeof questionData.answers !== 'object' || Array.isArray(questionData.answers)) {
+                errors.push(`Question "${questionId}" missing or invalid answers`);
+                return errors;
+            }
+
+            Object.entries(questionData.answers).forEach(([answer, nextQuestionId]) => {
+                if (!isValidTarget(config, nextQuestionId)) {
+                    errors.push(`Question "${questionId}" answer "${answer}" refers to non-existent question "${nextQuestionId}"`);
+                }
+            });
+
+            return errors;
+        }
+    });
+
+    // Multi choice: respondents pick several options, routing rules match the selected set
+    const getSelectionBounds = (questionData) => {
+        const optionCount = Array.isArray(questionData.answers) ? questionData.answers.length : 0;
+        const min = questionData.minSelections !== undefined ? questionData.minSelections : 1;
+        const max = questionData.maxSelections !== undefined ? questionData.maxSelections : optionCount;
+        return { min, max };
+    };
+
+    const selectionMatches = (rule, selection) => {
+        if (rule.allOf) {
+            return rule.allOf.every(option => selection.includes(option));
+        }
+        return rule.anyOf.some(option => selection.includes(option));
+    };
+
+    const describeSelectionRule = (rule) => {
+        return rule.allOf ? `all of: ${rule.allOf.join(', ')}` : `any of: ${rule.anyOf.join(', ')}`;
+    };
+
+    // Yield option subsets of increasing size, within the selection bounds
+    function* enumerateSelections(options, min, max) {
+        const combine = function* (start, size, current) {
+            if (current.length === size) {
+                yield [...current];
+                return;
+            }
+            for (let i = start; i < options.length; i++) {
+                current.push(options[i]);
+                yield* combine(i + 1, size, current);
+                current.pop();
+            }
+        };
+
+        for (let size = min; size <= max; size++) {
+            yield* combine(0, size, []);
+        }
+    }
+
+    /**
+     * Get the smallest selections that trigger each rule: the options of an "allOf" rule, or each option
+     * of an "anyOf" rule, filled up with the first other options to reach minSelections
+     * @param {Object} questionData - Question configuration
+     * @param {number} min - Fewest options selected
+     * @param {number} max - Most options selected
+     * @returns {Array} Selections in configuration order
+     */
+    const getRuleSelections = (questionData, min, max) => getRules(questionData)
+        .flatMap(rule => (rule.allOf ? [rule.allOf] : rule.anyOf.map(option => [option])))
+        .map(selected => {
+            const filler = questionData.answers.filter(option => !selected.includes(option)).slice(0, Math.max(0, min - selected.length));
+            return questionData.answers.filter(option => selected.includes(option) || filler.includes(option));
+        })
+        .filter(selection => selection.length >= min && selection.length <= max);
+
+    registerType('multi', {
+        getOptions: (questionData) => [...questionData.answers],
+
+        getConstraints: (questionData) => {
+            const { min, max } = getSelectionBounds(questionData);
+            return { minSelections: min, maxSelections: max };
+        },
+
+        parseAnswer: (questionData, answer, questionId) => {
+            if (!Array.isArray(answer)) {
+                throw new Error(`Question "${questionId}" expects a list of answers`);
+            }
+
+            answer.forEach(option => {
+                if (!questionData.answers.includes(option)) {
+                    throw new Error(`Invalid answer "${option}" for question "${questionId}"`);
+                }
+            });
+
+            if (new Set(answer).size !== answer.length) {
+                throw new Error(`Duplicate answers for question "${questionId}"`);
+            }
+
+            const { min, max } = getSelectionBounds(questionData);
+            if (answer.length < min || answer.length > max) {
+                throw new Error(`Question "${questionId}" requires between ${min} and ${max} answers, got ${answer.length}`);
+            }
+
+            // Keep selections in configuration order so equal sets compare equal
+            return questionData.answers.filter(option => answer.includes(option));
+        },
+
+        getNext: (questionData, answer) => {
+            return getRouteTarget(questionData, findRuleIndex(questionData, answer, selectionMatches));
+        },
+
+        getEdges: (questionData) => getRoutingEdges(questionData, describeSelectionRule),
+
+        // One branch per reachable rule, using the smallest selection that triggers it;
+        // "variants" lists the other selections taking the same route. With many options only the smallest
+        // selections are tried, plus those that trigger each rule, and the branches are marked "truncated".
+        getBranches: (questionData) => {
+            const { min, max } = getSelectionBounds(questionData);
+            const enumerated = [];
+            let truncated = false;
+            for (const selection of enumerateSelections(questionData.answers, min, max)) {
+                if (enumerated.length === MAX_ENUMERATED_SELECTIONS) {
+                    truncated = true;
+                    break;
+                }
+                enumerated.push(selection);
+            }
+
+            const tried = new Set(enumerated.map(selection => selection.join('\u0000')));
+            const ruleSelections = getRuleSelections(questionData, min, max).filter(selection => {
+                const key = selection.join('\u0000');
+                return !tried.has(key) && tried.add(key);
+            });
+
+            return collectRouteBranches(
+                questionData,
+                [...enumerated, ...ruleSelections],
+                selectionMatches,
+                describeSelectionRule,
+                true,
+                Infinity
+            ).map(({ answer, next, variants }) => ({ answer, next, variants, ...(truncated ? { truncated } : {}) }));
+        },
+
+        validate: (questionId, questionData, config) => {
+            const errors = [];
+            const options = questionData.answers;
+
+            if (!Array.isArray(options) || options.length === 0 || options.some(option => typeof option !== 'string')) {
+                errors.push(`Question "${questionId}" multi-select answers must be a non-empty array of strings`);
+                return errors;
+            }
+
+            if (new Set(options).size !== options.length) {
+                errors.push(`Question "${questionId}" has duplicate answer options`);
+            }
+
+            const { min, max } = getSelectionBounds(questionData);
+            if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min || max > options.length) {
+                errors.push(`Question "${questionId}" has invalid minSelections/maxSelections (${min}..${max})`);
+            }
+
+            errors.push(...validateRouting(questionId, questionData, config, (rule, label) => {
+                const conditions = ['anyOf', 'allOf'].filter(key => hasOwn(rule, key));
+                if (conditions.length !== 1) {
+                    return [`${label} must define exactly one of "anyOf" or "allOf"`];
+                }
+
+                const selected = rule[conditions[0]];
+                if (!Array.isArray(selected) || selected.length === 0) {
+                    return [`${label} "${conditions[0]}" must be a non-empty array`];
+                }
+
+                return selected
+                    .filter(option => !options.includes(option))
+                    .map(option => `${label} refers to unknown answer "${option}"`);
+            }));
+
+            return errors;
+        }
+    });
+
+    // Input questions: free text, numbers, dates and e-mail addresses with constraints.
+    // "min"/"max" bound the value of numbers and dates and the length of text and e-mail answers.
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    // Plain decimals only: no hex, binary, exponents or signs other than a leading minus
+    const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+    const COMPARISON_OPERATORS = { gt: '>', gte: '≥', lt: '<', lte: '≤' };
+
+    const isValidDate = (value) => {
+        if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+            return false;
+        }
+        const date = new Date(`${value}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    };
+
+    const inputKinds = {
+        text: {
+            ranged: false,
+            parse: (raw) => String(raw).trim()
+        },
+        email: {
+            ranged: false,
+            parse: (raw, questionId) => {
+                const value = String(raw).trim();
+                if (!EMAIL_PATTERN.test(value)) {
+                    throw new Error(`Question "${questionId}" expects a valid e-mail address`);
+                }
+                return value;
+            }
+        },
+        number: {
+            ranged: true,
+            parse: (raw, questionId, questionData) => {
+                let value = NaN;
+                if (typeof raw === 'number') {
+                    value = raw;
+                } else if (typeof raw === 'string' && NUMBER_PATTERN.test(raw.trim())) {
+                    value = Number(raw.trim());
+                }
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Question "${questionId}" expects a number`);
+                }
+                if (questionData.integer && !Number.isInteger(value)) {
+                    throw new Error(`Question "${questionId}" expects a whole number`);
+                }
+                return value;
+            },
+            isBound: (value) => typeof value === 'number' && Number.isFinite(value),
+            toComparable: (value) => value,
+            fromComparable: (value) => value,
+            step: (questionData) => (questionData.integer ? 1 : 0.5)
+        },
+        date: {
+            ranged: true,
+            parse: (raw, questionId) => {
+                const value = String(raw).trim();
+                if (!isValidDate(value)) {
+                    throw new Error(`Question "${questionId}" expects a date in YYYY-MM-DD format`);
+                }
+                return value;
+            },
+            isBound: isValidDate,
+            toComparable: (value) => Date.parse(`${value}T00:00:00Z`),
+            fromComparable: (value) => new Date(value).toISOString().slice(0, 10),
+            step: () => DAY_MS
+        }
+    };
+
+    const isRequired = (questionData) => questionData.required !== false;
+
+    const compare = (operator, value, bound) => {
+        switch (operator) {
+            case 'gt': return value > bound;
+            case 'gte': return value >= bound;
+            case 'lt': return value < bound;
+            default: return value <= bound;
+        }
+    };
+
+    const describeBounds = (rule) => Object.entries(COMPARISON_OPERATORS)
+        .filter(([operator]) => hasOwn(rule, operator))
+        .map(([operator, symbol]) => `${symbol} ${rule[operator]}`)
+        .join(' and ');
+
+    const isEmptyInput = (raw) => raw === null || raw === undefined || String(raw).trim() === '';
+
+    // Range rules compare against lt/lte/gt/gte bounds, text rules use "equals" or "pattern"
+    const createInputRuleMatcher = (kind) => (rule, answer) => {
+        if (answer === null) {
+            return false;
+        }
+
+        if (kind.ranged) {
+            const value = kind.toComparable(answer);
+            return Object.keys(COMPARISON_OPERATORS)
+                .every(operator => !hasOwn(rule, operator) || compare(operator, value, kind.toComparable(rule[operator])));
+        }
+
+        if (hasOwn(rule, 'equals')) {
+            const accepted = Array.isArray(rule.equals) ? rule.equals : [rule.equals];
+            if (!accepted.some(item => String(item).toLowerCase() === answer.toLowerCase())) {
+                return false;
+            }
+        }
+
+        return !hasOwn(rule, 'pattern') || new RegExp(rule.pattern).test(answer);
+    };
+
+    const describeInputRule = (rule) => {
+        const parts = describeBounds(rule) ? [describeBounds(rule)] : [];
+
+        if (hasOwn(rule, 'equals')) {
+            const accepted = Array.isArray(rule.equals) ? rule.equals : [rule.equals];
+            parts.push(accepted.map(item => `"${item}"`).join(' or '));
+        }
+        if (hasOwn(rule, 'pattern')) {
+            parts.push(`matches /${rule.pattern}/`);
+        }
+
+        return parts.join(' and ');
+    };
+
+    // Candidate values around every bound mentioned by the question and its rules
+    const getRangeCandidates = (kind, questionData) => {
+        const bounds = [questionData.min, questionData.max];
+        getRules(questionData).forEach(rule => {
+            Object.keys(COMPARISON_OPERATORS).forEach(operator => bounds.push(rule[operator]));
+        });
+
+        const points = [...new Set(bounds.filter(kind.isBound).map(kind.toComparable))].sort((a, b) => a - b);
+        if (points.length === 0) {
+            points.push(kind.toComparable(kind.fromComparable(0)));
+        }
+
+        const step = kind.step(questionData);
+        const candidates = [];
+        points.forEach((point, index) => {
+            candidates.push(point - step, point, point + step);
+            if (index > 0) {
+                const middle = (points[index - 1] + point) / 2;
+                candidates.push(questionData.integer || kind === inputKinds.date ? Math.round(middle / step) * step : middle);
+            }
+        });
+
+        const min = kind.isBound(questionData.min) ? kind.toComparable(questionData.min) : -Infinity;
+        const max = kind.isBound(questionData.max) ? kind.toComparable(questionData.max) : Infinity;
+
+        return [...new Set(candidates)]
+            .filter(value => value >= min && value <= max)
+            .sort((a, b) => a - b)
+            .map(kind.fromComparable);
+    };
+
+    const registerInputType = (name, kind) => {
+        const ruleMatches = createInputRuleMatcher(kind);
+
+        registerType(name, {
+            getOptions: () => [],
+
+            getConstraints: (questionData) => {
+                const constraints = { required: isRequired(questionData) };
+                ['min', 'max', 'pattern', 'integer'].forEach(key => {
+                    if (questionData[key] !== undefined) {
+                        constraints[key] = questionData[key];
+                    }
+                });
+                return constraints;
+            },
+
+            parseAnswer: (questionData, answer, questionId) => {
+                if (isEmptyInput(answer)) {
+                    if (isRequired(questionData)) {
+                        throw new Error(`Question "${questionId}" requires an answer`);
+                    }
+                    return null;
+                }
+
+                const value = kind.parse(answer, questionId, questionData);
+
+                if (kind.ranged) {
+                    const comparable = kind.toComparable(value);
+                    if (questionData.min !== undefined && comparable < kind.toComparable(questionData.min)) {
+                        throw new Error(`Question "${questionId}" answer must be at least ${questionData.min}`);
+                    }
+                    if (questionData.max !== undefined && comparable > kind.toComparable(questionData.max)) {
+                        throw new Error(`Question "${questionId}" answer must be at most ${questionData.max}`);
+                    }
+                } else {
+                    if (questionData.min !== undefined && value.length < questionData.min) {
+                        throw new Error(`Question "${questionId}" answer must be at least ${questionData.min} characters`);
+                    }
+                    if (questionData.max !== undefined && value.length > questionData.max) {
+                        throw new Error(`Question "${questionId}" answer must be at most ${questionData.max} characters`);
+                    }
+                    if (questionData.pattern !== undefined && !new RegExp(questionData.pattern).test(value)) {
+                        throw new Error(`Question "${questionId}" answer has an invalid format`);
+                    }
+                }
+
+                return value;
+            },
+
+            getNext: (questionData, answer) => {
+                return getRouteTarget(questionData, findRuleIndex(questionData, answer, ruleMatches));
+            },
+
+            getEdges: (questionData) => getRoutingEdges(questionData, describeInputRule),
+
+            // Range questions branch once per bucket; text buckets have no sample value
+            getBranches: (questionData) => {
+                if (!kind.ranged) {
+                    return [
+                        ...getRules(questionData).map(rule => ({
+                            answer: hasOwn(rule, 'equals') ? [].concat(rule.equals)[0] : null,
+                            label: describeInputRule(rule),
+                            next: rule.next
+                        })),
+                        { answer: null, label: 'otherwise', next: questionData.routing.default }
+                    ];
+                }
+
+                // Leaving an optional question empty is a branch of its own (see PathAnalyzerEngine.getSkipBranch)
+                return collectRouteBranches(questionData, getRangeCandidates(kind, questionData), ruleMatches, describeInputRule);
+            },
+
+            validate: (questionId, questionData, config) => {
+                const errors = [];
+
+                if (questionData.answers !== undefined) {
+                    errors.push(`Question "${questionId}" of type "${name}" must not define answers`);
+                }
+
+                ['min', 'max'].forEach(key => {
+                    const value = questionData[key];
+                    if (value === undefined) return;
+                    const valid = kind.ranged ? kind.isBound(value) : Number.isInteger(value) && value >= 0;
+                    if (!valid) {
+                        errors.push(`Question "${questionId}" has invalid "${key}" constraint ${JSON.stringify(value)}`);
+                    }
+                });
+
+                if (kind.ranged && kind.isBound(questionData.min) && kind.isBound(questionData.max)
+                    && kind.toComparable(questionData.min) > kind.toComparable(questionData.max)) {
+                    errors.push(`Question "${questionId}" has "min" greater than "max"`);
+                } else if (!kind.ranged && Number.isInteger(questionData.min) && Number.isInteger(questionData.max)
+                    && questionData.min > questionData.max) {
+                    errors.push(`Question "${questionId}" has "min" greater than "max"`);
+                }
+
+                const validatePattern = (pattern, label) => {
+                    try {
+                        new RegExp(pattern);
+                        return [];
+                    } catch (e) {
+                        return [`${label} has invalid pattern: ${e.message}`];
+                    }
+                };
+
+                if (questionData.pattern !== undefined) {
+                    if (kind.ranged) {
+                        errors.push(`Question "${questionId}" of type "${name}" does not support "pattern"`);
+                    } else {
+                        errors.push(...validatePattern(questionData.pattern, `Question "${questionId}"`));
+                    }
+                }
+
+                errors.push(...validateRouting(questionId, questionData, config, (rule, label) => {
+                    const conditionKeys = kind.ranged ? Object.keys(COMPARISON_OPERATORS) : ['equals', 'pattern'];
+                    const unknown = Object.keys(rule).filter(key => key !== 'next' && !conditionKeys.includes(key));
+                    if (unknown.length > 0) {
+                        return [`${label} has unsupported condition(s) for "${name}": ${unknown.join(', ')}`];
+                    }
+                    if (!conditionKeys.some(key => hasOwn(rule, key))) {
+                        return [`${label} must define one of: ${conditionKeys.join(', ')}`];
+                    }
+                    if (kind.ranged) {
+                        return conditionKeys
+                            .filter(key => hasOwn(rule, key) && !kind.isBound(rule[key]))
+                            .map(key => `${label} has invalid "${key}" value ${JSON.stringify(rule[key])}`);
+                    }
+                    return hasOwn(rule, 'pattern') ? validatePattern(rule.pattern, label) : [];
+                }));
+
+                return errors;
+            }
+        });
+    };
+
+    Object.entries(inputKinds).forEach(([name, kind]) => registerInputType(name, kind));
+
+    // Rating scales: "scale" rates one thing, "matrix" rates several statements ("rows") on the same scale.
+    // Points run from "min" to "max" (1–5 by default); "scaleLabels" names some of them, e.g. { "1": "Poor", "5": "Great" }.
+    // Matrix rules route on an aggregate of the ratings: "of" is "average" (default), "sum", "min", "max" or a row ID.
+    const DEFAULT_SCALE = { min: 1, max: 5 };
+    const MAX_SCALE_POINTS = 11;
+    const MATRIX_AGGREGATES = ['average', 'sum', 'min', 'max'];
+
+    const getScaleBounds = (questionData) => ({
+        min: questionData.min !== undefined ? questionData.min : DEFAULT_SCALE.min,
+        max: questionData.max !== undefined ? questionData.max : DEFAULT_SCALE.max
+    });
+
+    const getScalePoints = (questionData) => {
+        const { min, max } = getScaleBounds(questionData);
+        const points = [];
+        for (let point = min; point <= max; point++) {
+            points.push(point);
+        }
+        return points;
+    };
+
+    const getScale = (questionData) => ({ points: getScalePoints(questionData), labels: questionData.scaleLabels || {} });
+
+    const parseRating = (questionData, value, subject) => {
+        const rating = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        const { min, max } = getScaleBounds(questionData);
+        if (!Number.isInteger(rating) || rating < min || rating > max) {
+            throw new Error(`${subject} expects a rating from ${min} to ${max}`);
+        }
+        return rating;
+    };
+
+    const boundsMatch = (rule, value) => Object.keys(COMPARISON_OPERATORS)
+        .every(operator => !hasOwn(rule, operator) || compare(operator, value, rule[operator]));
+
+    const scaleRuleMatches = (rule, answer) => typeof answer === 'number' && boundsMatch(rule, answer);
+
+    const getAggregate = (rule) => (rule.of !== undefined ? rule.of : 'average');
+
+    const aggregateRatings = (answer, of) => {
+        const ratings = Object.values(answer);
+        const sum = ratings.reduce((total, rating) => total + rating, 0);
+        switch (of) {
+            case 'average': return sum / ratings.length;
+            case 'sum': return sum;
+            case 'min': return Math.min(...ratings);
+            case 'max': return Math.max(...ratings);
+            default: return answer[of];
+        }
+    };
+
+    const matrixRuleMatches = (rule, answer) => Boolean(answer) && typeof answer === 'object'
+        && boundsMatch(rule, aggregateRatings(answer, getAggregate(rule)));
+
+    const describeMatrixRule = (rule) => `${getAggregate(rule)} ${describeBounds(rule)}`;
+
+    // Uniform ratings first (they cover every aggregate), then each row rated differently from the rest
+    function* enumerateRatings(rows, points) {
+        const uniform = (point) => Object.fromEntries(rows.map(row => [row, point]));
+        for (const point of points) {
+            yield uniform(point);
+        }
+        for (const row of rows) {
+            for (const base of points) {
+                for (const point of points.filter(candidate => candidate !== base)) {
+                    yield { ...uniform(base), [row]: point };
+                }
+            }
+        }
+    }
+
+    const validateScale = (questionId, questionData) => {
+        const errors = [];
+        const { min, max } = getScaleBounds(questionData);
+
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max) {
+            errors.push(`Question "${questionId}" scale needs whole numbers with "min" below "max"`);
+            return errors;
+        }
+        if (max - min + 1 > MAX_SCALE_POINTS) {
+            errors.push(`Question "${questionId}" scale has more than ${MAX_SCALE_POINTS} points`);
+        }
+
+        const labels = questionData.scaleLabels;
+        if (labels !== undefined) {
+            if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+                errors.push(`Question "${questionId}" "scaleLabels" must be an object of labels by scale point`);
+            } else {
+                Object.keys(labels)
+                    .filter(point => !getScalePoints(questionData).includes(Number(point)))
+                    .forEach(point => errors.push(`Question "${questionId}" has a label for unknown scale point "${point}"`));
+            }
+        }
+
+        return errors;
+    };
+
+    const validateBoundsRule = (rule, label) => {
+        const bounds = Object.keys(COMPARISON_OPERATORS).filter(key => hasOwn(rule, key));
+        if (bounds.length === 0) {
+            return [`${label} must define one of: ${Object.keys(COMPARISON_OPERATORS).join(', ')}`];
+        }
+        return bounds
+            .filter(key => typeof rule[key] !== 'number' || !Number.isFinite(rule[key]))
+            .map(key => `${label} has invalid "${key}" value ${JSON.stringify(rule[key])}`);
+    };
+
+    registerType('scale', {
+        getOptions: () => [],
+
+        getConstraints: (questionData) => getScaleBounds(questionData),
+
+        getScale,
+
+        parseAnswer: (questionData, answer, questionId) => {
+            if (answer === null || answer === undefined || answer === '') {
+                throw new Error(`Question "${questionId}" requires an answer`);
+            }
+            return parseRating(questionData, answer, `Question "${questionId}"`);
+        },
+
+        getNext: (questionData, answer) => {
+            return getRouteTarget(questionData, findRuleIndex(questionData, answer, scaleRuleMatches));
+        },
+
+        getEdges: (questionData) => getRoutingEdges(questionData, describeBounds),
+
+        getBranches: (questionData) => collectRouteBranches(questionData, getScalePoints(questionData), scaleRuleMatches, describeBounds),
+
+        validate: (questionId, questionData, config) => {
+            const errors = validateScale(questionId, questionData);
+            errors.push(...validateRouting(questionId, questionData, config, (rule, label) => {
+                const unknown = Object.keys(rule).filter(key => key !== 'next' && !hasOwn(COMPARISON_OPERATORS, key));
+                return unknown.length > 0
+                    ? [`${label} has unsupported condition(s) for "scale": ${unknown.join(', ')}`]
+                    : validateBoundsRule(rule, label);
+            }));
+            return errors;
+        }
+    });
+
+    registerType('matrix', {
+        getOptions: (questionData) => [...questionData.rows],
+
+        getConstraints: (questionData) => getScaleBounds(questionData),
+
+        getScale,
+
+        parseAnswer: (questionData, answer, questionId) => {
+            if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+                throw new Error(`Question "${questionId}" expects a rating for every statement`);
+            }
+
+            const unknown = Object.keys(answer).find(row => !questionData.rows.includes(row));
+            if (unknown !== undefined) {
+                throw new Error(`Invalid statement "${unknown}" for question "${questionId}"`);
+            }
+            const missing = questionData.rows.filter(row => answer[row] === undefined || answer[row] === null || answer[row] === '');
+            if (missing.length > 0) {
+                throw new Error(`Question "${questionId}" is missing ratings for: ${missing.join(', ')}`);
+            }
+
+            // Keep ratings in configuration order
+            return Object.fromEntries(questionData.rows.map(row => [
+                row,
+                parseRating(questionData, answer[row], `Question "${questionId}" statement "${row}"`)
+            ]));
+        },
+
+        getNext: (questionData, answer) => {
+            return getRouteTarget(questionData, findRuleIndex(questionData, answer, matrixRuleMatches));
+        },
+
+        getEdges: (questionData) => getRoutingEdges(questionData, describeMatrixRule),
+
+        getBranches: (questionData) => collectRouteBranches(
+            questionData,
+            enumerateRatings(questionData.rows, getScalePoints(questionData)),
+            matrixRuleMatches,
+            describeMatrixRule
+        ),
+
+        validate: (questionId, questionData, config) => {
+            const errors = [];
+            const rows = questionData.rows;
+
+            if (questionData.answers !== undefined) {
+                errors.push(`Question "${questionId}" of type "matrix" lists its statements in "rows", not "answers"`);
+            }
+            if (!Array.isArray(rows) || rows.length === 0 || rows.some(row => typeof row !== 'string')) {
+                errors.push(`Question "${questionId}" matrix rows must be a non-empty array of strings`);
+                return errors;
+            }
+            if (new Set(rows).size !== rows.length) {
+                errors.push(`Question "${questionId}" has duplicate rows`);
+            }
+
+            errors.push(...validateScale(questionId, questionData));
+            errors.push(...validateRouting(questionId, questionData, config, (rule, label) => {
+                const unknown = Object.keys(rule).filter(key => !['next', 'of'].includes(key) && !hasOwn(COMPARISON_OPERATORS, key));
+                if (unknown.length > 0) {
+                    return [`${label} has unsupported condition(s) for "matrix": ${unknown.join(', ')}`];
+                }
+                if (!MATRIX_AGGREGATES.includes(getAggregate(rule)) && !rows.includes(getAggregate(rule))) {
+                    return [`${label} "of" must be one of ${MATRIX_AGGREGATES.join(', ')} or a row, got ${JSON.stringify(rule.of)}`];
+                }
+                return validateBoundsRule(rule, label);
+            }));
+
+            return errors;
+        }
+    });
+
+    // Public API
+    return {
+        DEFAULT_TYPE,
+        registerType,
+        hasType,
+        getTypeNames,
+        forQuestion,
+        formatAnswer,
+        isValidTarget
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionTypes = QuestionTypes;
+}
@@ -0,0 +1,160 @@
+// Questionnaire Response Store - Collects session records in IndexedDB for the analytics dashboard
+//
+// Records come from QuestionnaireEngine.getSessionRecord() and are keyed by sessionId, so saving a session
+// again replaces its earlier record. Unfinished sessions are kept too; they show where respondents drop off.
+// Records are indexed by configHash: responses to different versions of a questionnaire are analyzed apart.
+const QuestionnaireResponseStore = (() => {
+    'use strict';
+
+    const DB_NAME = 'questionnaire-responses';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'responses';
+
+    let opening = null;
+
+    /**
+     * Get the IndexedDB factory, or null when it is unavailable (private mode, Node)
+     * @returns {IDBFactory|null} indexedDB
+     */
+    const getFactory = () => {
+        try {
+            return typeof indexedDB !== 'undefined' ? indexedDB : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /**
+     * Check whether responses can be stored
+     * @returns {boolean} True if IndexedDB is available
+     */
+    const isAvailable = () => getFactory() !== null;
+
+    /**
+     * Wait for an IndexedDB request
+     * @param {IDBRequest} request - Request
+     * @returns {Promise} Resolves with the request result
+     */
+    const settle = (request) => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    /**
+     * Open the database, creating it on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    const open = () => {
+        if (!opening) {
+            const factory = getFactory();
+            if (!factory) {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+
+            const request = factory.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'sessionId' });
+                store.createIndex('configHash', 'configHash');
+            };
+            opening = settle(request).catch(error => {
+                opening = null;
+                throw error;
+            });
+        }
+        return opening;
+    };
+
+    /**
+     * Run an operation in a transaction and wait for it to commit
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} operation - (store) => value or promise the transaction resolves with
+     * @returns {Promise} Resolves once the transaction completes
+     */
+    const transact = async (mode, operation) => {
+        const db = await open();
+        const transaction = db.transaction(STORE_NAME, mode);
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        const result = await operation(transaction.objectStore(STORE_NAME));
+        await done;
+        return result;
+    };
+
+    const isNewer = (record, existing) => !existing || String(record.exportedAt) >= String(existing.exportedAt);
+
+    /**
+     * Store a session record, replacing the earlier record of the same session
+     * @param {Object} record - Session record (see QuestionnaireEngine.getSessionRecord)
+     * @returns {Promise<Object>} The stored record
+     */
+    const save = (record) => transact('readwrite', (store) => {
+        store.put(record);
+        return record;
+    });
+
+    /**
+     * Merge records from another machine; a session already stored keeps whichever record is newer
+     * @param {Array} records - Session records
+     * @returns {Promise<Object>} Counts ({ added, updated, skipped })
+     */
+    const merge = (records) => transact('readwrite', async (store) => {
+        const counts = { added: 0, updated: 0, skipped: 0 };
+        const existing = await Promise.all(records.map(record => settle(store.get(record.sessionId))));
+
+        records.forEach((record, index) => {
+            if (!isNewer(record, existing[index])) {
+                counts.skipped++;
+                return;
+            }
+            store.put(record);
+            counts[existing[index] ? 'updated' : 'added']++;
+        });
+        return counts;
+    });
+
+    /**
+     * List stored records
+     * @param {string} configHash - Only records of this configuration (all records when omitted)
+     * @returns {Promise<Array>} Session records, oldest first
+     */
+    const list = (configHash) => transact('readonly', async (store) => {
+        const records = await settle(configHash === undefined
+            ? store.getAll()
+            : store.index('configHash').getAll(configHash));
+        return records.sort((a, b) => String(a.exportedAt).localeCompare(String(b.exportedAt)));
+    });
+
+    /**
+     * Remove stored records
+     * @param {string} configHash - Only records of this configuration (all records when omitted)
+     * @returns {Promise<number>} Number of removed records
+     */
+    const clear = (configHash) => transact('readwrite', async (store) => {
+        if (configHash === undefined) {
+            const count = await settle(store.count());
+            store.clear();
+            return count;
+        }
+
+        const keys = await settle(store.index('configHash').getAllKeys(configHash));
+        keys.forEach(key => store.delete(key));
+        return keys.length;
+    });
+
+    // Public API
+    return {
+        isAvailable,
+        save,
+        merge,
+        list,
+        clear
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireResponseStore = QuestionnaireResponseStore;
+}
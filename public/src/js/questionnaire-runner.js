@@ -0,0 +1,253 @@
+// Questionnaire Runner - Scripted playthroughs of a questionnaire, without a user interface
+//
+// A script lists answers in the order they are given:
+//   [{ "q1": "married" }, { "q3": "1-5 years" }]
+// Each step maps question IDs (or answer keys such as "child_age#2" inside repeat groups) to answers, so one
+// step may answer a whole page. Answers to questions with options may be given as answer IDs or as labels in
+// the run's locale; null skips an optional question and the "prefer not to answer" label declines one.
+//
+// A run stops at the first answer that cannot be played: one the question rejects, one for a question that
+// is not being asked, or one given after the questionnaire ended.
+const QuestionnaireRunner = (() => {
+    'use strict';
+
+    const TERMINALS = Object.freeze(['completed', 'screenedOut', 'unfinished']);
+    const EXPECTATIONS = Object.freeze(['terminal', 'screenOut', 'outcome', 'score']);
+
+    /**
+     * Bring a script into its full form
+     * @param {Array|Object} script - Steps, or { name?, steps, expect? }
+     * @returns {Object} { name, steps, expect } with expect in its object form (or null)
+     * @throws {Error} If the script is malformed
+     */
+    const normalizeScript = (script) => {
+        const { name = null, steps, expect = null } = Array.isArray(script) ? { steps: script } : (script || {});
+        if (!Array.isArray(steps)) {
+            throw new Error('A script must be a list of steps or an object with a "steps" list');
+        }
+        steps.forEach((step, index) => {
+            if (!step || typeof step !== 'object' || Array.isArray(step) || Object.keys(step).length === 0) {
+                throw new Error(`Step ${index + 1} must map question IDs to answers`);
+            }
+        });
+
+        const expectation = typeof expect === 'string' ? { terminal: expect } : expect;
+        if (expectation !== null) {
+            Object.keys(expectation).forEach(field => {
+                if (!EXPECTATIONS.includes(field)) {
+                    throw new Error(`Unknown expectation "${field}" (expected one of ${EXPECTATIONS.join(', ')})`);
+                }
+            });
+            if (expectation.terminal !== undefined && !TERMINALS.includes(expectation.terminal)) {
+                throw new Error(`Unknown terminal "${expectation.terminal}" (expected one of ${TERMINALS.join(', ')})`);
+            }
+        }
+
+        return { name, steps, expect: expectation };
+    };
+
+    /**
+     * Translate an answer given by label into the answer IDs the engine expects
+     * @param {Object} question - Current question (see QuestionnaireEngine.getCurrentQuestion)
+     * @param {*} answer - Answer from the script
+     * @returns {*} Answer to submit
+     */
+    const resolveAnswer = (question, answer) => {
+        if (question.preferNotToAnswer !== undefined && answer === question.preferNotToAnswer) {
+            return QuestionnaireEngine.PREFER_NOT_TO_ANSWER;
+        }
+
+        const resolveOption = (value) => {
+            if (typeof value !== 'string' || question.answers.includes(value)) {
+                return value;
+            }
+            const index = question.answerLabels.indexOf(value);
+            return index !== -1 ? question.answers[index] : value;
+        };
+        return Array.isArray(answer) ? answer.map(resolveOption) : resolveOption(answer);
+    };
+
+    /**
+     * Describe where a session ended
+     * @param {QuestionnaireEngine} engine - Engine after the run
+     * @returns {Object} Terminal ({ type, questionId, screenOut, outcome, score })
+     */
+    const describeTerminal = (engine) => {
+        const screenOut = engine.getScreenOut();
+        const outcome = engine.getOutcome();
+        let type = 'unfinished';
+        if (engine.isComplete()) {
+            type = 'completed';
+        } else if (screenOut) {
+            type = 'screenedOut';
+        }
+
+        return {
+            type,
+            questionId: type === 'unfinished' ? engine.getCurrentKey() : null,
+            screenOut,
+            outcome: outcome ? outcome.id : null,
+            score: engine.getScore()
+        };
+    };
+
+    /**
+     * Compare the terminal reached with the expected one
+     * @param {Object} terminal - Terminal (see describeTerminal)
+     * @param {Object|null} expect - Expected { terminal?, screenOut?, outcome?, score? }
+     * @returns {Array} Mismatches ({ field, expected, actual })
+     */
+    const compareTerminal = (terminal, expect) => {
+        if (!expect) {
+            return [];
+        }
+
+        const actual = {
+            terminal: terminal.type,
+            screenOut: terminal.screenOut ? terminal.screenOut.id : null,
+            outcome: terminal.outcome,
+            score: terminal.score
+        };
+        return EXPECTATIONS
+            .filter(field => expect[field] !== undefined && expect[field] !== actual[field])
+            .map(field => ({ field, expected: expect[field], actual: actual[field] }));
+    };
+
+    /**
+     * Play a script against a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @param {Array|Object} script - Steps, or { name?, steps, expect? } where expect is a terminal type
+     *        ("completed", "screenedOut" or "unfinished") or { terminal?, screenOut?, outcome?, score? }
+     * @param {Object} options - { locale, quotaCounts (see QuestionnaireEngine.setQuotaCounts), expect (overrides the script's) }
+     * @returns {Object} Report: { name, steps, terminal, errors, mismatches, passed }
+     *          steps are the answers played ({ step, key, questionId, question, answer, answerLabel?, skipped?, declined? });
+     *          terminal is { type, questionId (next question of an unfinished run), screenOut, outcome, score };
+     *          errors are the answers that could not be played ({ step, key, answer, message });
+     *          mismatches compare the terminal with the expectation ({ field, expected, actual })
+     * @throws {Error} If the configuration is invalid or the script is malformed
+     */
+    const run = (config, script, options = {}) => {
+        const validation = QuestionnaireEngine.validateConfig(config);
+        if (!validation.isValid) {
+            throw new Error(`Invalid configuration: ${validation.errors.join('; ')}`);
+        }
+        const { name, steps, expect } = normalizeScript(script);
+        const expectation = options.expect !== undefined ? normalizeScript({ steps: [], expect: options.expect }).expect : expect;
+
+        const engine = new QuestionnaireEngine(config);
+        if (options.locale) {
+            engine.setLocale(options.locale);
+        }
+        if (options.quotaCounts) {
+            engine.setQuotaCounts(options.quotaCounts);
+        }
+        engine.start();
+
+        const played = [];
+        const errors = [];
+        const answers = steps.flatMap((step, index) => Object.entries(step).map(([key, answer]) => ({ step: index + 1, key, answer })));
+        for (const { step, key, answer } of answers) {
+            const fail = (message) => errors.push({ step, key, answer, message });
+            if (engine.getCurrentKey() === null) {
+                fail('The questionnaire has already ended');
+                break;
+            }
+            if (key !== engine.getCurrentKey() && key !== engine.getPosition().questionId) {
+                fail(`Question "${key}" is not being asked (the current question is "${engine.getCurrentKey()}")`);
+                break;
+            }
+
+            const question = engine.getCurrentQuestion();
+            const value = resolveAnswer(question, answer);
+            const validation = engine.validateAnswer(value);
+            if (!validation.isValid) {
+                fail(validation.error);
+                break;
+            }
+
+            const answerKey = engine.getCurrentKey();
+            engine.answerQuestion(value);
+            const { questionId, question: questionText, answer: recorded, answerLabel, skipped, declined } = engine.getAnswers()
+                .find(answerData => QuestionnaireEngine.getAnswerKey(answerData) === answerKey);
+            played.push({
+                step,
+                key: answerKey,
+                questionId,
+                question: questionText,
+                answer: recorded,
+                ...(answerLabel !== undefined ? { answerLabel } : {}),
+                ...(skipped ? { skipped } : {}),
+                ...(declined ? { declined } : {})
+            });
+        }
+
+        const terminal = describeTerminal(engine);
+        const mismatches = compareTerminal(terminal, expectation);
+        return {
+            name,
+            steps: played,
+            terminal,
+            errors,
+            mismatches,
+            passed: errors.length === 0 && mismatches.length === 0
+        };
+    };
+
+    /**
+     * Play several scripts against one configuration
+     * @param {Object} config - Questionnaire configuration
+     * @param {Array} scripts - Scripts (see run)
+     * @param {Object} options - Options for every run (see run)
+     * @returns {Object} { reports, passed (number of passing runs), failed }
+     */
+    const runAll = (config, scripts, options = {}) => {
+        const reports = scripts.map(script => run(config, script, options));
+        const passed = reports.filter(report => report.passed).length;
+        return { reports, passed, failed: reports.length - passed };
+    };
+
+    /**
+     * Describe a report as plain text, one line per answer followed by the terminal and any problems
+     * @param {Object} report - Result of run()
+     * @returns {string} Text
+     */
+    const formatReport = (report) => {
+        const lines = [`${report.passed ? 'PASS' : 'FAIL'} ${report.name || 'Script'}`];
+        report.steps.forEach(({ step, key, answer, answerLabel, skipped, declined }) => {
+            let shown = QuestionTypes.formatAnswer(answerLabel !== undefined ? answerLabel : answer);
+            if (skipped || declined) {
+                shown = skipped ? '(skipped)' : '(declined)';
+            }
+            lines.push(`  ${step}. ${key}: ${shown}`);
+        });
+        report.errors.forEach(({ step, key, message }) => {
+            lines.push(`  ✗ step ${step} (${key}): ${message}`);
+        });
+
+        const { type, questionId, screenOut, outcome } = report.terminal;
+        const details = [
+            questionId ? `at ${questionId}` : null,
+            screenOut ? `${screenOut.type} ${screenOut.id}` : null,
+            outcome ? `outcome ${outcome}` : null
+        ].filter(Boolean);
+        lines.push(`  → ${type}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+        report.mismatches.forEach(({ field, expected, actual }) => {
+            lines.push(`  ✗ expected ${field} ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        });
+
+        return lines.join('\n');
+    };
+
+    // Public API
+    return {
+        TERMINALS,
+        run,
+        runAll,
+        formatReport
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireRunner = QuestionnaireRunner;
+}
@@ -0,0 +1,107 @@
+// Questionnaire Session Store - Keeps unfinished sessions in localStorage so they can be resumed
+//
+// One session is kept per questionnaire, under "questionnaire-session:<questionnaire id>".
+const QuestionnaireSessionStore = (() => {
+    'use strict';
+
+    const KEY_PREFIX = 'questionnaire-session:';
+
+    /**
+     * Get the storage, or null when it is unavailable (private mode, disabled cookies, Node)
+     * @returns {Storage|null} localStorage
+     */
+    const getStorage = () => {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /**
+     * Save the session of an engine
+     * @param {QuestionnaireEngine} engine - Engine to save
+     * @returns {boolean} True if the session was stored
+     */
+    const save = (engine) => {
+        const storage = getStorage();
+        if (!storage) {
+            return false;
+        }
+
+        try {
+            const snapshot = engine.serialize();
+            storage.setItem(KEY_PREFIX + snapshot.questionnaireId, JSON.stringify(snapshot));
+            return true;
+        } catch (error) {
+            console.warn('Could not save questionnaire session:', error);
+            return false;
+        }
+    };
+
+    /**
+     * Load the saved session of a questionnaire
+     * @param {string} questionnaireId - Questionnaire ID
+     * @returns {Object|null} Snapshot, or null if there is none (or it cannot be read)
+     */
+    const load = (questionnaireId) => {
+        const storage = getStorage();
+        if (!storage) {
+            return null;
+        }
+
+        try {
+            const stored = storage.getItem(KEY_PREFIX + questionnaireId);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn('Could not read questionnaire session:', error);
+            return null;
+        }
+    };
+
+    /**
+     * Remove the saved session of a questionnaire
+     * @param {string} questionnaireId - Questionnaire ID
+     */
+    const clear = (questionnaireId) => {
+        const storage = getStorage();
+        if (storage) {
+            storage.removeItem(KEY_PREFIX + questionnaireId);
+        }
+    };
+
+    /**
+     * List all saved sessions
+     * @returns {Array} Snapshots of all questionnaires with a saved session, most recent first
+     */
+    const list = () => {
+        const storage = getStorage();
+        if (!storage) {
+            return [];
+        }
+
+        const sessions = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(KEY_PREFIX)) {
+                const snapshot = load(key.slice(KEY_PREFIX.length));
+                if (snapshot) sessions.push(snapshot);
+            }
+        }
+
+        return sessions.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    };
+
+    // Public API
+    return {
+        save,
+        load,
+        clear,
+        list
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireSessionStore = QuestionnaireSessionStore;
+}
@@ -0,0 +1,415 @@
+// Questionnaire Submission - Posts completed and screened-out responses to the HTTP endpoint named in the configuration
+//
+// Responses wait in an outbox in localStorage, one entry per session under
+// "questionnaire-outbox:<questionnaire id>:<session id>", until the endpoint accepts them. Responses given
+// offline are sent once the connection is back, and submitting a session again replaces its queued entry.
+const QuestionnaireSubmission = (() => {
+    'use strict';
+
+    const KEY_PREFIX = 'questionnaire-outbox:';
+    const PAYLOAD_FORMAT = 'questionnaire-submission';
+    const METHODS = ['POST', 'PUT'];
+    const DEFAULTS = {
+        method: 'POST',
+        headers: {},
+        maxAttempts: 5,
+        retryDelay: 2000,
+        maxRetryDelay: 300000,
+        timeout: 15000
+    };
+    // Besides 5xx, the HTTP statuses a later attempt may get past
+    const RETRY_STATUSES = [408, 425, 429];
+    const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+    /**
+     * Check whether an endpoint is an http(s) URL or a path on the same origin
+     * @param {string} endpoint - Endpoint
+     * @returns {boolean} True if fetch() can post to it
+     */
+    const isEndpoint = (endpoint) => /^https?:\/\/[^\s/?#]+\S*$/i.test(endpoint) || /^\/(?!\/)\S*$/.test(endpoint);
+
+    /**
+     * Validate the submission settings of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Errors (empty when there are no settings)
+     */
+    const validate = (config) => {
+        const submission = config.submission;
+        if (submission === undefined) {
+            return [];
+        }
+        if (!submission || typeof submission !== 'object' || Array.isArray(submission)) {
+            return ["'submission' must be an object"];
+        }
+
+        const errors = [];
+        if (typeof submission.endpoint !== 'string' || !isEndpoint(submission.endpoint)) {
+            errors.push("Submission 'endpoint' must be an http(s) URL or a path starting with '/'");
+        }
+        if (submission.method !== undefined && !METHODS.includes(String(submission.method).toUpperCase())) {
+            errors.push(`Submission 'method' must be one of ${METHODS.join(', ')}`);
+        }
+
+        if (submission.headers !== undefined) {
+            if (!submission.headers || typeof submission.headers !== 'object' || Array.isArray(submission.headers)) {
+                errors.push("Submission 'headers' must be an object");
+            } else {
+                Object.entries(submission.headers).forEach(([name, value]) => {
+                    if (!HEADER_NAME.test(name) || typeof value !== 'string') {
+                        errors.push(`Submission header "${name}" must have a valid name and a string value`);
+                    }
+                });
+            }
+        }
+
+        if (submission.maxAttempts !== undefined && !(Number.isInteger(submission.maxAttempts) && submission.maxAttempts > 0)) {
+            errors.push("Submission 'maxAttempts' must be a positive integer");
+        }
+        ['retryDelay', 'maxRetryDelay', 'timeout'].forEach(name => {
+            if (submission[name] !== undefined && !(typeof submission[name] === 'number' && submission[name] > 0)) {
+                errors.push(`Submission '${name}' must be a positive number of milliseconds`);
+            }
+        });
+
+        return errors;
+    };
+
+    /**
+     * Get the submission settings of a configuration, with defaults filled in
+     * @param {Object} config - Questionnaire configuration
+     * @returns {Object|null} Settings, or null when responses are not submitted
+     */
+    const getSettings = (config) => {
+        if (!config.submission || validate(config).length > 0) {
+            return null;
+        }
+
+        return {
+            ...DEFAULTS,
+            ...config.submission,
+            method: String(config.submission.method || DEFAULTS.method).toUpperCase(),
+            headers: { ...config.submission.headers }
+        };
+    };
+
+    /**
+     * Build the body posted for a session: its answers (see QuestionnaireEngine.getAnswers) with score,
+     * outcome, timing and version metadata, as in QuestionnaireEngine.getSessionRecord
+     * @param {QuestionnaireEngine} engine - Engine of the session
+     * @returns {Object} Payload
+     */
+    const buildPayload = (engine) => ({
+        format: PAYLOAD_FORMAT,
+        version: 1,
+        ...engine.getSessionRecord()
+    });
+
+    /**
+     * Get the wait before the next attempt, doubling with every failed attempt
+     * @param {number} attempts - Failed attempts so far
+     * @param {Object} settings - Submission settings
+     * @returns {number} Delay in milliseconds
+     */
+    const getRetryDelay = (attempts, settings) => Math.min(
+        settings.maxRetryDelay,
+        settings.retryDelay * 2 ** Math.max(0, attempts - 1)
+    );
+
+    /**
+     * Get the storage, or null when it is unavailable (private mode, disabled cookies, Node)
+     * @returns {Storage|null} localStorage
+     */
+    const getStorage = () => {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /**
+     * Create the outbox of a questionnaire
+     * Entries that cannot be written to the storage (quota exceeded) are kept in memory for this page.
+     * @param {Storage|null} storage - Storage to keep entries in
+     * @param {string} questionnaireId - Questionnaire ID
+     * @returns {Object} Outbox ({ get, put, remove, list })
+     */
+    const createOutbox = (storage, questionnaireId) => {
+        const prefix = `${KEY_PREFIX}${questionnaireId}:`;
+        const unsaved = new Map();
+
+        const get = (id) => {
+            if (unsaved.has(id)) {
+                return unsaved.get(id);
+            }
+            try {
+                const stored = storage ? storage.getItem(prefix + id) : null;
+                return stored ? JSON.parse(stored) : null;
+            } catch (error) {
+                console.warn('Could not read queued questionnaire response:', error);
+                return null;
+            }
+        };
+
+        const put = (entry) => {
+            try {
+                if (!storage) {
+                    throw new Error('localStorage is not available');
+                }
+                storage.setItem(prefix + entry.id, JSON.stringify(entry));
+                unsaved.delete(entry.id);
+            } catch (error) {
+                console.warn('Could not queue questionnaire response, keeping it until the page closes:', error);
+                unsaved.set(entry.id, entry);
+            }
+        };
+
+        const remove = (id) => {
+            unsaved.delete(id);
+            if (storage) {
+                storage.removeItem(prefix + id);
+            }
+        };
+
+        const list = () => {
+            const ids = new Set(unsaved.keys());
+            for (let i = 0; storage && i < storage.length; i++) {
+                const key = storage.key(i);
+                if (key && key.startsWith(prefix)) ids.add(key.slice(prefix.length));
+            }
+
+            return Array.from(ids)
+                .map(get)
+                .filter(Boolean)
+                .sort((a, b) => a.queuedAt - b.queuedAt);
+        };
+
+        return { get, put, remove, list };
+    };
+
+    /**
+     * Create a submitter, which queues responses and sends them to the endpoint
+     *
+     * Failed attempts are retried with exponential backoff. An unreachable endpoint is retried for as long as
+     * the page is open; a rejected response is retried until settings.maxAttempts and then held as failed,
+     * like one rejected with a client error, until flush({ all: true }) is called.
+     *
+     * @param {Object} settings - Submission settings (see getSettings)
+     * @param {string} questionnaireId - Questionnaire the responses belong to
+     * @param {Object} options - Dependencies, replaceable for tests: fetch, storage, now () => ms,
+     *        schedule (callback, delay) => cancel function, isOnline () => boolean
+     * @returns {Object} Submitter ({ submit, flush, getStatus, onStatusChange })
+     */
+    const createSubmitter = (settings, questionnaireId, options = {}) => {
+        const send = options.fetch || ((url, init) => fetch(url, init));
+        const outbox = createOutbox(options.storage !== undefined ? options.storage : getStorage(), questionnaireId);
+        const now = options.now || (() => Date.now());
+        const schedule = options.schedule || ((callback, delay) => {
+            const timer = setTimeout(callback, delay);
+            return () => clearTimeout(timer);
+        });
+        const isOnline = options.isOnline || (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+
+        const listeners = [];
+        let status = { state: 'idle', pending: 0, failed: 0, nextAttemptAt: null, lastError: null };
+        let lastError = null;
+        let sentAny = false;
+        let flushing = null;
+        let cancelRetry = null;
+
+        const setStatus = (state) => {
+            const entries = outbox.list();
+            const pending = entries.filter(entry => entry.state === 'pending');
+            status = {
+                state,
+                pending: pending.length,
+                failed: entries.length - pending.length,
+                nextAttemptAt: pending.length > 0 ? Math.min(...pending.map(entry => entry.nextAttemptAt)) : null,
+                lastError
+            };
+            listeners.forEach(listener => {
+                try {
+                    listener({ ...status });
+                } catch (error) {
+                    console.error('Submission status listener failed:', error);
+                }
+            });
+        };
+
+        /**
+         * Post one entry
+         * @returns {Promise<Object>} { sent } or { sent: false, error, retry, unreachable }
+         */
+        const attempt = async (entry) => {
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const cancelTimeout = controller ? schedule(() => controller.abort(), settings.timeout) : () => {};
+
+            try {
+                const response = await send(settings.endpoint, {
+                    method: settings.method,
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.id, ...settings.headers },
+                    body: JSON.stringify(entry.payload),
+                    signal: controller ? controller.signal : undefined
+                });
+                if (response.ok) {
+                    return { sent: true };
+                }
+                return {
+                    sent: false,
+                    error: `The server answered ${response.status}`,
+                    retry: response.status >= 500 || RETRY_STATUSES.includes(response.status),
+                    unreachable: false
+                };
+            } catch (error) {
+                const timedOut = error && error.name === 'AbortError';
+                return {
+                    sent: false,
+                    error: timedOut ? 'The server did not answer in time' : `The server could not be reached (${error.message})`,
+                    retry: true,
+                    unreachable: true
+                };
+            } finally {
+                cancelTimeout();
+            }
+        };
+
+        const settle = (entry, result) => {
+            // The session may have been submitted again while this attempt was on its way
+            const current = outbox.get(entry.id);
+            const replaced = !current || current.queuedAt !== entry.queuedAt;
+
+            if (result.sent) {
+                sentAny = true;
+                lastError = null;
+                if (!replaced) outbox.remove(entry.id);
+                return;
+            }
+
+            lastError = result.error;
+            if (replaced) {
+                return;
+            }
+
+            const attempts = entry.attempts + 1;
+            const retry = result.retry && (result.unreachable || attempts < settings.maxAttempts);
+            outbox.put({
+                ...entry,
+                attempts,
+                state: retry ? 'pending' : 'failed',
+                nextAttemptAt: retry ? now() + getRetryDelay(attempts, settings) : null,
+                lastError: result.error
+            });
+        };
+
+        const run = async (all) => {
+            const tried = new Set();
+            const isDue = (entry) => !tried.has(entry.id)
+                && (all || (entry.state === 'pending' && entry.nextAttemptAt <= now()));
+
+            let entry;
+            while (isOnline() && (entry = outbox.list().find(isDue))) {
+                tried.add(entry.id);
+                setStatus('sending');
+                settle(entry, await attempt(entry));
+            }
+
+            const entries = outbox.list();
+            const next = entries.filter(candidate => candidate.state === 'pending');
+            if (entries.length === 0) {
+                setStatus(sentAny ? 'sent' : 'idle');
+            } else if (!isOnline()) {
+                setStatus('offline');
+            } else {
+                setStatus(next.length > 0 ? 'waiting' : 'failed');
+            }
+
+            // Offline entries wait for the next flush, which the page triggers when the connection is back
+            if (next.length > 0 && isOnline()) {
+                cancelRetry = schedule(() => {
+                    cancelRetry = null;
+                    flush();
+                }, Math.max(0, status.nextAttemptAt - now()));
+            }
+            return { ...status };
+        };
+
+        /**
+         * Send the queued responses that are due
+         * @param {Object} flushOptions - { all: also send failed responses and those waiting for a retry }
+         * @returns {Promise<Object>} Status once done
+         */
+        const flush = ({ all = false } = {}) => {
+            if (flushing) {
+                // Responses queued meanwhile are picked up by the running flush
+                return flushing;
+            }
+            if (cancelRetry) {
+                cancelRetry();
+                cancelRetry = null;
+            }
+
+            flushing = run(all).finally(() => {
+                flushing = null;
+            });
+            return flushing;
+        };
+
+        /**
+         * Queue the session of an engine and send it
+         * @param {QuestionnaireEngine} engine - Engine of the session
+         * @returns {Promise<Object>} Status once sent, or once sending failed
+         */
+        const submit = (engine) => {
+            const payload = buildPayload(engine);
+            const existing = outbox.get(payload.sessionId);
+            outbox.put({
+                id: payload.sessionId,
+                payload,
+                queuedAt: Math.max(now(), existing ? existing.queuedAt + 1 : 0),
+                attempts: 0,
+                state: 'pending',
+                nextAttemptAt: now(),
+                lastError: null
+            });
+            return flush();
+        };
+
+        /**
+         * Subscribe to status changes
+         * @param {Function} listener - Called with { state, pending, failed, nextAttemptAt, lastError }; state is
+         *        "idle", "sending", "sent", "waiting" (for a retry), "offline" or "failed"
+         * @returns {Function} Unsubscribes the listener
+         */
+        const onStatusChange = (listener) => {
+            listeners.push(listener);
+            return () => {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        };
+
+        return {
+            submit,
+            flush,
+            getStatus: () => ({ ...status }),
+            onStatusChange
+        };
+    };
+
+    // Public API
+    return {
+        PAYLOAD_FORMAT,
+        DEFAULTS,
+        validate,
+        getSettings,
+        buildPayload,
+        getRetryDelay,
+        createOutbox,
+        createSubmitter
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireSubmission = QuestionnaireSubmission;
+}
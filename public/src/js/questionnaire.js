@@ -1,29 +1,387 @@
 // Interactive Questionnaire Application
+const INPUT_QUESTION_TYPES = ['text', 'number', 'date', 'email'];
+
 class QuestionnaireApp {
-    constructor() {
-        this.engine = new QuestionnaireEngine(questionnaireConfig);
-        this.currentAnswer = null;
+    /**
+     * @param {Object} options - { config (defaults to the bundled questionnaire), session (snapshot from a shared link) }
+     */
+    constructor(options = {}) {
+        this.config = options.config || questionnaireConfig;
+        this.engine = new QuestionnaireEngine(this.config);
+        this.sharedSession = options.session || null;
+        this.currentAnswers = {};
+        this.currentPage = null;
+        this.submitter = null;
+        this.removeListeners = [];
         this.init();
     }
 
+    /**
+     * Start the questionnaire a page address points to (see QuestionnaireLinks.resolve)
+     * @param {Object} options - { configId, hash }
+     * @returns {Promise<QuestionnaireApp|null>} The app, or null when the link could not be opened
+     */
+    static async open(options = {}) {
+        let resolved;
+        try {
+            resolved = await QuestionnaireLinks.resolve(options, questionnaireConfig);
+        } catch (error) {
+            console.warn('Could not open questionnaire link:', error);
+            QuestionnaireApp.showLinkError(error);
+            return null;
+        }
+        return new QuestionnaireApp(resolved);
+    }
+
+    /**
+     * Replace the questionnaire with an explanation of why it could not be opened
+     * @param {Error} error - LinkError (other errors are shown with a generic message)
+     */
+    static showLinkError(error) {
+        ['questionCard', 'progressText'].forEach(id => document.getElementById(id).classList.add('hidden'));
+        document.querySelectorAll('.progress-bar, .controls').forEach(element => element.classList.add('hidden'));
+
+        const card = document.createElement('div');
+        card.className = 'link-error-card';
+        card.id = 'linkErrorCard';
+
+        const title = document.createElement('h2');
+        title.textContent = 'This questionnaire cannot be opened';
+
+        const message = document.createElement('p');
+        message.textContent = error instanceof QuestionnaireLinks.LinkError
+            ? error.message
+            : 'Something went wrong while opening this questionnaire.';
+        card.appendChild(title);
+        card.appendChild(message);
+
+        if (error.errors && error.errors.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'link-error-list';
+            error.errors.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            card.appendChild(list);
+        }
+
+        document.querySelector('.questionnaire-content').prepend(card);
+    }
+
     init() {
         this.bindEventListeners();
-        this.showCurrentQuestion();
+        this.engine.setLocale(QuestionnaireI18n.resolveLocale(
+            this.engine.config,
+            typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []
+        ));
+        this.initLanguageSwitcher();
+        this.initSubmission();
+        this.initQuotas();
+
+        // Answers from a shared link come first; otherwise offer to continue an unfinished session
+        const snapshot = QuestionnaireSessionStore.load(this.engine.getQuestionnaireId());
+        if (this.sharedSession) {
+            this.openSharedSession(this.sharedSession);
+        } else if (snapshot && Array.isArray(snapshot.answers) && snapshot.answers.length > 0) {
+            this.showResumePrompt(snapshot);
+        } else {
+            this.showCurrentQuestion();
+        }
+
         this.updateProgress();
         console.log('Questionnaire App initialized');
     }
 
+    /**
+     * Listen to a target that outlives this app: the page's controls, the document or the window
+     * @param {EventTarget} target - Element, document or window
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.removeListeners.push(() => target.removeEventListener(type, handler));
+    }
+
+    /**
+     * Stop listening to the page, before it is left or another questionnaire is opened in it
+     */
+    destroy() {
+        this.removeListeners.splice(0).forEach(remove => remove());
+    }
+
+    showResumePrompt(snapshot) {
+        const questionCard = document.getElementById('questionCard');
+        questionCard.classList.add('hidden');
+
+        const prompt = document.createElement('div');
+        prompt.className = 'resume-card';
+        prompt.id = 'resumeCard';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Welcome back!';
+
+        const message = document.createElement('p');
+        const savedAt = new Date(snapshot.savedAt);
+        const answered = snapshot.answers.length;
+        message.textContent = `You have an unfinished questionnaire with ${answered} ${answered === 1 ? 'answer' : 'answers'}`
+            + (Number.isNaN(savedAt.getTime()) ? '.' : ` from ${savedAt.toLocaleString()}.`);
+
+        const resumeButton = document.createElement('button');
+        resumeButton.className = 'control-button primary';
+        resumeButton.textContent = 'Resume';
+        resumeButton.addEventListener('click', () => this.resumeSession(snapshot));
+
+        const startOverButton = document.createElement('button');
+        startOverButton.className = 'control-button secondary';
+        startOverButton.textContent = 'Start Over';
+        startOverButton.addEventListener('click', () => {
+            QuestionnaireSessionStore.clear(this.engine.getQuestionnaireId());
+            this.closeResumePrompt();
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'resume-actions';
+        actions.appendChild(startOverButton);
+        actions.appendChild(resumeButton);
+
+        prompt.appendChild(title);
+        prompt.appendChild(message);
+        prompt.appendChild(actions);
+        document.querySelector('.questionnaire-content').prepend(prompt);
+    }
+
+    resumeSession(snapshot) {
+        try {
+            const restored = QuestionnaireEngine.restore(snapshot, this.config);
+            // Keep the subscriptions and quota counts of the engine this page started with
+            restored.listeners = this.engine.listeners;
+            restored.setQuotaCounts(this.engine.quotaCounts);
+            this.engine = restored;
+
+            const { migrated, discardedAnswers } = this.engine.restoreReport;
+            if (migrated && discardedAnswers > 0) {
+                this.showNotification(
+                    `The questionnaire has changed since your last visit. ${discardedAnswers} of your answers need to be given again.`,
+                    'warning'
+                );
+            }
+        } catch (error) {
+            console.warn('Could not resume questionnaire session:', error);
+            QuestionnaireSessionStore.clear(this.engine.getQuestionnaireId());
+            this.showNotification('Your saved answers could not be restored. Starting over.', 'error');
+        }
+
+        this.saveSession();
+        this.updateLanguageSwitcher();
+        this.closeResumePrompt();
+    }
+
+    openSharedSession(snapshot) {
+        const fresh = this.engine;
+        try {
+            // Anyone can write a link, so its answers are replayed and checked rather than taken as they are
+            const restored = QuestionnaireEngine.restore(snapshot, this.config, { replay: true });
+            restored.listeners = this.engine.listeners;
+            restored.setQuotaCounts(this.engine.quotaCounts);
+            this.engine = restored;
+            this.updateLanguageSwitcher();
+            this.showCurrentQuestion();
+
+            const answered = this.engine.answers.length;
+            this.showNotification(`Opened a shared link with ${answered} ${answered === 1 ? 'answer' : 'answers'} filled in.`, 'info');
+        } catch (error) {
+            console.warn('Could not restore shared answers:', error);
+            this.engine = fresh;
+            this.updateLanguageSwitcher();
+            this.showCurrentQuestion();
+            this.showNotification('The answers in this link could not be restored. Starting from the beginning.', 'error');
+        }
+    }
+
+    async shareLink() {
+        // Links carry the answers given so far, so the recipient continues from the same question
+        try {
+            const link = await QuestionnaireLinks.createLink(this.engine.config, this.engine);
+            await navigator.clipboard.writeText(link);
+            const answered = this.engine.answers.length;
+            this.showNotification(answered > 0
+                ? `Link copied, with your ${answered} ${answered === 1 ? 'answer' : 'answers'} so far.`
+                : 'Link copied to the clipboard.', 'success');
+        } catch (error) {
+            console.error('Sharing failed:', error);
+            this.showNotification('The link could not be copied.', 'error');
+        }
+    }
+
+    initLanguageSwitcher() {
+        const switcher = document.getElementById('languageSwitcher');
+        if (!switcher) {
+            return;
+        }
+
+        // Only questionnaires available in several languages offer a choice
+        const locales = QuestionnaireI18n.getLocales(this.engine.config);
+        switcher.classList.toggle('hidden', locales.length < 2);
+        switcher.innerHTML = '';
+        locales.forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = QuestionnaireI18n.getLocaleName(locale);
+            switcher.appendChild(option);
+        });
+
+        this.listen(switcher, 'change', () => this.changeLanguage(switcher.value));
+        this.updateLanguageSwitcher();
+    }
+
+    updateLanguageSwitcher() {
+        const switcher = document.getElementById('languageSwitcher');
+        if (switcher && this.engine.locale) {
+            switcher.value = this.engine.locale;
+        }
+        if (this.engine.locale) {
+            document.documentElement.lang = this.engine.locale;
+        }
+    }
+
+    changeLanguage(locale) {
+        // Keep the answers picked on the current page while its texts are replaced
+        const drafts = { ...this.currentAnswers };
+        this.engine.setLocale(locale);
+        this.updateLanguageSwitcher();
+
+        if (this.engine.answers.length > 0) {
+            this.saveSession();
+        }
+
+        if (this.engine.isScreenedOut()) {
+            this.showScreenOut();
+        } else if (this.engine.isComplete()) {
+            this.showResults();
+        } else if (!document.getElementById('resumeCard')) {
+            this.showCurrentQuestion(drafts);
+        }
+    }
+
+    closeResumePrompt() {
+        const prompt = document.getElementById('resumeCard');
+        if (prompt) {
+            prompt.remove();
+        }
+
+        this.showCurrentQuestion();
+        this.updateProgress();
+    }
+
+    saveSession() {
+        // Finished or empty sessions have nothing left to resume
+        if (this.engine.isComplete() || this.engine.isScreenedOut() || this.engine.answers.length === 0) {
+            QuestionnaireSessionStore.clear(this.engine.getQuestionnaireId());
+        } else {
+            QuestionnaireSessionStore.save(this.engine);
+        }
+        this.saveResponse();
+    }
+
+    saveResponse() {
+        // Unfinished sessions are collected too, so the analytics dashboard can show where respondents stop
+        if (this.engine.answers.length === 0 || typeof QuestionnaireResponseStore === 'undefined'
+            || !QuestionnaireResponseStore.isAvailable()) {
+            return;
+        }
+
+        QuestionnaireResponseStore.save(this.engine.getSessionRecord())
+            .catch(error => console.warn('Could not store questionnaire response:', error));
+    }
+
+    initSubmission() {
+        const settings = QuestionnaireSubmission.getSettings(this.engine.config);
+        if (!settings) {
+            return;
+        }
+
+        this.submitter = QuestionnaireSubmission.createSubmitter(settings, this.engine.getQuestionnaireId());
+        this.submitter.onStatusChange(status => this.updateSubmissionStatus(status));
+        // Editing an answer from the results completes the session again, which replaces the submitted response
+        this.engine.on('completed', () => this.submitter.submit(this.engine));
+        this.engine.on('screenedOut', () => this.submitter.submit(this.engine));
+
+        const statusButton = document.getElementById('submissionStatus');
+        if (statusButton) {
+            this.listen(statusButton, 'click', () => this.submitter.flush({ all: true }));
+        }
+        // Responses queued while offline wait for the connection to come back
+        this.listen(window, 'online', () => this.submitter.flush());
+
+        // Responses left over from earlier visits get another chance, including those that failed
+        this.submitter.flush({ all: true });
+    }
+
+    initQuotas() {
+        if (QuestionnaireEligibility.getQuotas(this.engine.config).length === 0 || typeof QuestionnaireResponseStore === 'undefined'
+            || !QuestionnaireResponseStore.isAvailable()) {
+            return;
+        }
+
+        // Quotas count the responses completed in this browser, across versions of the questionnaire
+        const questionnaireId = this.engine.getQuestionnaireId();
+        QuestionnaireResponseStore.list()
+            .then(records => this.engine.setQuotaCounts(QuestionnaireEligibility.countQuotas(
+                this.engine.config,
+                records.filter(record => record.questionnaireId === questionnaireId)
+            )))
+            .catch(error => console.warn('Could not count questionnaire quotas:', error));
+    }
+
+    updateSubmissionStatus(status) {
+        const statusButton = document.getElementById('submissionStatus');
+        if (!statusButton) {
+            return;
+        }
+
+        const queued = status.pending + status.failed;
+        const responses = `${queued} ${queued === 1 ? 'response' : 'responses'}`;
+        const messages = {
+            sending: 'Sending responses…',
+            sent: 'All responses sent',
+            waiting: `${responses} not sent yet, retrying at ${new Date(status.nextAttemptAt).toLocaleTimeString()} (tap to retry now)`,
+            offline: `Offline: ${responses} will be sent when the connection is back`,
+            failed: `${responses} could not be sent (tap to retry)`
+        };
+
+        statusButton.className = `submission-status ${status.state}${status.state === 'idle' ? ' hidden' : ''}`;
+        statusButton.textContent = messages[status.state] || '';
+        statusButton.title = status.lastError || '';
+        statusButton.disabled = !['waiting', 'failed'].includes(status.state);
+    }
+
     bindEventListeners() {
         const prevButton = document.getElementById('prevButton');
         const nextButton = document.getElementById('nextButton');
         const restartButton = document.getElementById('restartButton');
+        const screenOutRestartButton = document.getElementById('screenOutRestartButton');
+        const exportButton = document.getElementById('exportButton');
+
+        this.listen(prevButton, 'click', () => this.goToPreviousQuestion());
+        this.listen(nextButton, 'click', () => this.goToNextQuestion());
+        this.listen(restartButton, 'click', () => this.restart());
+        this.listen(screenOutRestartButton, 'click', () => this.restart());
+        if (exportButton) {
+            this.listen(exportButton, 'click', () => this.exportSession());
+        }
+        const shareButton = document.getElementById('shareButton');
+        if (shareButton) {
+            this.listen(shareButton, 'click', () => this.shareLink());
+        }
 
-        prevButton.addEventListener('click', () => this.goToPreviousQuestion());
-        nextButton.addEventListener('click', () => this.goToNextQuestion());
-        restartButton.addEventListener('click', () => this.restart());
+        // Add keyboard navigation (arrow keys belong to the field while typing an answer, and to rating scales)
+        this.listen(document, 'keydown', (e) => {
+            if (e.target.closest && e.target.closest('input, textarea, [role="radiogroup"]')) {
+                return;
+            }
 
-        // Add keyboard navigation
-        document.addEventListener('keydown', (e) => {
             if (e.key === 'ArrowLeft' && !prevButton.disabled) {
                 this.goToPreviousQuestion();
             } else if (e.key === 'ArrowRight' && !nextButton.disabled) {
@@ -32,13 +390,18 @@ class QuestionnaireApp {
         });
     }
 
-    showCurrentQuestion() {
+    showCurrentQuestion(drafts = {}) {
+        if (this.engine.isScreenedOut()) {
+            this.showScreenOut();
+            return;
+        }
         if (this.engine.isComplete()) {
             this.showResults();
             return;
         }
 
-        const questionData = this.engine.getCurrentQuestion();
+        this.engine.start();
+        const page = this.engine.getCurrentPage();
         const questionCard = document.getElementById('questionCard');
         const questionText = document.getElementById('questionText');
         const answersContainer = document.getElementById('answersContainer');
@@ -46,39 +409,527 @@ class QuestionnaireApp {
         // Show question card, hide results
         questionCard.classList.remove('hidden');
         document.getElementById('resultsCard').classList.add('hidden');
-
-        // Set question text
-        questionText.textContent = questionData.question;
+        document.getElementById('screenOutCard').classList.add('hidden');
 
         // Clear previous answers
         answersContainer.innerHTML = '';
-        this.currentAnswer = null;
+        this.currentAnswers = {};
+        this.currentPage = page;
+
+        // A single question fills the card; the questions of a page are listed under its title
+        if (page.questions.length === 1) {
+            questionText.textContent = page.questions[0].question;
+            questionText.classList.remove('hidden');
+            this.renderQuestion(page.questions[0], answersContainer, drafts);
+            if (page.questions[0].skippable) {
+                this.renderSkipButton(page.questions[0], answersContainer);
+            }
+        } else {
+            questionText.textContent = page.title || '';
+            questionText.classList.toggle('hidden', !page.title);
+            page.questions.forEach(questionData => {
+                const block = document.createElement('div');
+                block.className = 'page-question';
+
+                // Optional questions of a page are skipped by leaving them unanswered
+                const text = document.createElement('div');
+                text.className = 'page-question-text';
+                text.textContent = questionData.skippable ? `${questionData.question} (optional)` : questionData.question;
+
+                const answers = document.createElement('div');
+                answers.className = 'page-question-answers';
+
+                block.appendChild(text);
+                block.appendChild(answers);
+                answersContainer.appendChild(block);
+                this.renderQuestion(questionData, answers, drafts);
+            });
+        }
+        this.showIteration(page.iteration);
+
+        const firstInput = answersContainer.querySelector('.answer-input');
+        if (firstInput) {
+            setTimeout(() => firstInput.focus(), 0);
+        }
 
-        // Create answer buttons
-        questionData.answers.forEach(answer => {
+        // Update navigation buttons
+        this.updateNavigationButtons();
+    }
+
+    renderQuestion(questionData, answersContainer, drafts = {}) {
+        this.currentAnswers[questionData.id] = null;
+        this.renderQuestionContent(questionData, answersContainer);
+
+        // Create answer controls for the question type
+        if (questionData.type === 'multi') {
+            this.renderMultiChoice(questionData, answersContainer);
+        } else if (questionData.type === 'scale') {
+            this.renderScale(questionData, answersContainer);
+        } else if (questionData.type === 'matrix') {
+            this.renderMatrix(questionData, answersContainer);
+        } else if (INPUT_QUESTION_TYPES.includes(questionData.type)) {
+            this.renderInput(questionData, answersContainer);
+        } else {
+            this.renderSingleChoice(questionData, answersContainer);
+        }
+        if (questionData.preferNotToAnswer) {
+            this.renderPreferNotToAnswer(questionData, answersContainer);
+        }
+
+        // Pre-select the answer picked before switching languages, or the earlier answer when revisiting a question
+        const previousAnswer = drafts[questionData.id] !== undefined && drafts[questionData.id] !== null
+            ? drafts[questionData.id]
+            : this.engine.getSubmittedAnswer(questionData.key);
+        if (previousAnswer !== undefined) {
+            this.restoreAnswer(questionData, previousAnswer, answersContainer);
+        }
+    }
+
+    renderQuestionContent(questionData, answersContainer) {
+        // Images are added through properties and markdown is rendered to escaped HTML, so config texts cannot inject markup
+        if (questionData.image && QuestionnaireContent.isSafeImageSource(questionData.image.src)) {
+            answersContainer.appendChild(this.createImage(questionData.image, 'question-image'));
+        }
+
+        if (questionData.description) {
+            const description = document.createElement('div');
+            description.className = 'question-description';
+            description.innerHTML = QuestionnaireContent.renderMarkdown(questionData.description);
+            answersContainer.appendChild(description);
+        }
+
+        if (questionData.help) {
+            const help = document.createElement('details');
+            help.className = 'question-help';
+
+            const summary = document.createElement('summary');
+            summary.textContent = 'Help';
+
+            const text = document.createElement('div');
+            text.innerHTML = QuestionnaireContent.renderMarkdown(questionData.help);
+
+            help.appendChild(summary);
+            help.appendChild(text);
+            answersContainer.appendChild(help);
+        }
+    }
+
+    createImage({ src, alt }, className) {
+        const image = document.createElement('img');
+        image.className = className;
+        image.src = src;
+        image.alt = alt;
+        image.loading = 'lazy';
+        return image;
+    }
+
+    showIteration(iteration) {
+        const iterationLabel = document.getElementById('questionIteration');
+        if (!iterationLabel) {
+            return;
+        }
+
+        iterationLabel.classList.toggle('hidden', !iteration);
+        if (iteration) {
+            iterationLabel.textContent = iteration.count
+                ? `${iteration.title} · ${iteration.index} of ${iteration.count}`
+                : `${iteration.title} · ${iteration.index}`;
+        }
+    }
+
+    renderSingleChoice(questionData, answersContainer) {
+        questionData.answers.forEach((answer, index) => {
             const button = document.createElement('button');
             button.className = 'answer-button';
-            button.textContent = answer;
-            button.addEventListener('click', () => this.selectAnswer(answer, button));
+            button.dataset.value = answer;
+            button.textContent = questionData.answerLabels[index];
+            if (questionData.answerHints && questionData.answerHints[index]) {
+                button.title = questionData.answerHints[index];
+            }
+            button.addEventListener('click', () => this.selectAnswer(questionData, answer, button));
             answersContainer.appendChild(button);
         });
+    }
+
+    renderMultiChoice(questionData, answersContainer) {
+        const { minSelections, maxSelections } = questionData.constraints;
+        this.currentAnswers[questionData.id] = [];
+
+        const hint = document.createElement('div');
+        hint.className = 'answers-hint';
+        hint.textContent = minSelections <= 1 && maxSelections === questionData.answers.length
+            ? 'Select all that apply'
+            : `Select ${minSelections === maxSelections ? maxSelections : `${minSelections}–${maxSelections}`} answers`;
+        answersContainer.appendChild(hint);
+
+        questionData.answers.forEach((answer, index) => {
+            const label = document.createElement('label');
+            label.className = 'answer-button answer-checkbox';
+            if (questionData.answerHints && questionData.answerHints[index]) {
+                label.title = questionData.answerHints[index];
+            }
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = answer;
+            checkbox.addEventListener('change', () => {
+                this.engine.noteAnswerChange(questionData.id);
+                this.toggleAnswer(questionData, answer, checkbox.checked, label);
+            });
+
+            const text = document.createElement('span');
+            text.textContent = questionData.answerLabels[index];
+
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            answersContainer.appendChild(label);
+        });
+    }
+
+    renderPreferNotToAnswer(questionData, answersContainer) {
+        const button = document.createElement('button');
+        button.className = 'answer-button prefer-not-answer';
+        button.textContent = questionData.preferNotToAnswer;
+        button.addEventListener('click', () => {
+            if (this.currentAnswers[questionData.id] !== QuestionnaireEngine.PREFER_NOT_TO_ANSWER) {
+                this.engine.noteAnswerChange(questionData.id);
+            }
+            this.declineAnswer(questionData, answersContainer);
+        });
+        answersContainer.appendChild(button);
+    }
+
+    declineAnswer(questionData, answersContainer) {
+        // Declining replaces whatever was selected or typed
+        answersContainer.querySelectorAll('.answer-button').forEach(button => button.classList.remove('selected'));
+        answersContainer.querySelectorAll('.answer-checkbox input').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        answersContainer.querySelectorAll('.answer-input').forEach(input => {
+            input.value = '';
+            input.classList.remove('invalid');
+        });
+        answersContainer.querySelectorAll('.answer-error').forEach(error => {
+            error.textContent = '';
+        });
+        answersContainer.querySelectorAll('.rating-group').forEach(group => this.checkRating(group, null));
+
+        answersContainer.querySelector('.prefer-not-answer').classList.add('selected');
+        this.currentAnswers[questionData.id] = QuestionnaireEngine.PREFER_NOT_TO_ANSWER;
+        this.updateNavigationButtons();
+    }
+
+    unselectDecline(answersContainer) {
+        const declineButton = answersContainer.querySelector('.prefer-not-answer');
+        if (declineButton) {
+            declineButton.classList.remove('selected');
+        }
+    }
+
+    renderSkipButton(questionData, answersContainer) {
+        const button = document.createElement('button');
+        button.className = 'skip-button';
+        button.textContent = 'Skip this question';
+        button.addEventListener('click', () => {
+            this.currentAnswers[questionData.id] = QuestionnaireEngine.SKIP;
+            this.goToNextQuestion();
+        });
+        answersContainer.appendChild(button);
+    }
+
+    toggleAnswer(questionData, answer, checked, labelElement) {
+        const current = this.currentAnswers[questionData.id];
+        const selected = (Array.isArray(current) ? current : []).filter(item => item !== answer);
+        if (checked) {
+            selected.push(answer);
+        }
+
+        // Keep selections in the order the options are displayed
+        this.currentAnswers[questionData.id] = questionData.answers.filter(item => selected.includes(item));
+        labelElement.classList.toggle('selected', checked);
+        this.unselectDecline(labelElement.parentElement);
 
-        // Update navigation buttons
         this.updateNavigationButtons();
     }
 
-    selectAnswer(answer, buttonElement) {
-        // Remove selection from all buttons
-        document.querySelectorAll('.answer-button').forEach(btn => {
+    renderScale(questionData, answersContainer) {
+        const group = this.createRatingGroup(questionData, questionData.question, rating => {
+            if (this.currentAnswers[questionData.id] !== rating) {
+                this.engine.noteAnswerChange(questionData.id);
+            }
+            this.currentAnswers[questionData.id] = rating;
+            this.unselectDecline(answersContainer);
+            this.updateNavigationButtons();
+        });
+        answersContainer.appendChild(group);
+
+        // Name the ends of the scale under the first and last point
+        const { labels } = questionData.scale;
+        if (labels[0] || labels[labels.length - 1]) {
+            const ends = document.createElement('div');
+            ends.className = 'rating-ends';
+            [labels[0], labels[labels.length - 1]].forEach(label => {
+                const end = document.createElement('span');
+                end.textContent = label || '';
+                ends.appendChild(end);
+            });
+            answersContainer.appendChild(ends);
+        }
+    }
+
+    renderMatrix(questionData, answersContainer) {
+        const matrix = document.createElement('div');
+        matrix.className = 'rating-matrix';
+
+        const header = document.createElement('div');
+        header.className = 'matrix-row matrix-header';
+        header.setAttribute('aria-hidden', 'true');
+        header.appendChild(document.createElement('span'));
+        const points = document.createElement('div');
+        points.className = 'matrix-points';
+        questionData.scale.points.forEach((point, index) => {
+            const cell = document.createElement('span');
+            cell.textContent = questionData.scale.labels[index] || point;
+            points.appendChild(cell);
+        });
+        header.appendChild(points);
+        matrix.appendChild(header);
+
+        questionData.answers.forEach((row, index) => {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'matrix-row';
+
+            const statement = document.createElement('span');
+            statement.className = 'matrix-statement';
+            statement.textContent = questionData.answerLabels[index];
+            if (questionData.answerHints && questionData.answerHints[index]) {
+                statement.title = questionData.answerHints[index];
+            }
+
+            const group = this.createRatingGroup(questionData, questionData.answerLabels[index], rating => {
+                const current = this.currentAnswers[questionData.id];
+                const ratings = current && typeof current === 'object' && current !== QuestionnaireEngine.PREFER_NOT_TO_ANSWER
+                    ? { ...current }
+                    : {};
+                if (ratings[row] !== rating) {
+                    this.engine.noteAnswerChange(questionData.id);
+                }
+                ratings[row] = rating;
+                this.currentAnswers[questionData.id] = ratings;
+                this.unselectDecline(answersContainer);
+                this.updateNavigationButtons();
+            });
+            group.dataset.row = row;
+
+            rowElement.appendChild(statement);
+            rowElement.appendChild(group);
+            matrix.appendChild(rowElement);
+        });
+
+        // Up and down move between statements, keeping the column
+        matrix.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') {
+                return;
+            }
+            const groups = Array.from(matrix.querySelectorAll('.rating-group'));
+            const group = e.target.closest('.rating-group');
+            const target = groups[groups.indexOf(group) + (e.key === 'ArrowDown' ? 1 : -1)];
+            if (!target) {
+                return;
+            }
+
+            e.preventDefault();
+            const column = Array.from(group.children).indexOf(e.target);
+            target.children[Math.max(column, 0)].focus();
+        });
+
+        answersContainer.appendChild(matrix);
+    }
+
+    createRatingGroup(questionData, label, onRate) {
+        const { points, labels } = questionData.scale;
+        const group = document.createElement('div');
+        group.className = 'rating-group';
+        group.setAttribute('role', 'radiogroup');
+        group.setAttribute('aria-label', label);
+
+        points.forEach((point, index) => {
+            const button = document.createElement('button');
+            button.className = 'answer-button rating-point';
+            button.dataset.value = point;
+            button.setAttribute('role', 'radio');
+            button.textContent = point;
+            if (labels[index]) {
+                button.title = labels[index];
+                button.setAttribute('aria-label', `${point} – ${labels[index]}`);
+            }
+            button.addEventListener('click', () => {
+                this.checkRating(group, point);
+                onRate(point);
+            });
+            group.appendChild(button);
+        });
+        this.checkRating(group, null);
+
+        // Left and right move the rating like in a radio group, digits pick a point directly
+        group.addEventListener('keydown', (e) => {
+            const buttons = Array.from(group.children);
+            const current = buttons.indexOf(e.target);
+            let target = -1;
+            if (e.key === 'ArrowRight') {
+                target = Math.min(current + 1, buttons.length - 1);
+            } else if (e.key === 'ArrowLeft') {
+                target = Math.max(current - 1, 0);
+            } else if (e.key === 'Home') {
+                target = 0;
+            } else if (e.key === 'End') {
+                target = buttons.length - 1;
+            } else if (/^\d$/.test(e.key)) {
+                target = points.indexOf(Number(e.key));
+            }
+            if (target === -1) {
+                return;
+            }
+
+            e.preventDefault();
+            buttons[target].focus();
+            buttons[target].click();
+        });
+
+        return group;
+    }
+
+    checkRating(group, rating) {
+        const buttons = Array.from(group.children);
+        buttons.forEach(button => {
+            const checked = Number(button.dataset.value) === rating;
+            button.classList.toggle('selected', checked);
+            button.setAttribute('aria-checked', String(checked));
+            button.tabIndex = checked ? 0 : -1;
+        });
+
+        // Keep the group reachable with Tab while nothing is rated
+        if (!buttons.some(button => button.tabIndex === 0)) {
+            buttons[0].tabIndex = 0;
+        }
+    }
+
+    renderInput(questionData, answersContainer) {
+        const { required, min, max, pattern, integer } = questionData.constraints;
+        this.currentAnswers[questionData.id] = '';
+
+        const input = document.createElement('input');
+        input.type = questionData.type;
+        input.className = 'answer-input';
+        input.required = required;
+
+        if (questionData.type === 'number' || questionData.type === 'date') {
+            if (min !== undefined) input.min = min;
+            if (max !== undefined) input.max = max;
+            if (questionData.type === 'number') input.step = integer ? '1' : 'any';
+        } else {
+            if (min !== undefined) input.minLength = min;
+            if (max !== undefined) input.maxLength = max;
+            if (pattern !== undefined) input.pattern = pattern;
+        }
+
+        if (!required) {
+            input.placeholder = 'Optional';
+        }
+
+        const error = document.createElement('div');
+        error.className = 'answer-error';
+
+        input.addEventListener('input', () => {
+            this.currentAnswers[questionData.id] = input.value;
+            this.unselectDecline(answersContainer);
+            error.textContent = '';
+            input.classList.remove('invalid');
+            this.updateNavigationButtons();
+        });
+
+        // Explain what is wrong once the respondent leaves the field or presses Enter
+        const showError = () => {
+            const validation = this.engine.validateAnswer(input.value, questionData.id);
+            error.textContent = validation.isValid ? '' : validation.error.replace(/^Question "[^"]*" /, '');
+            input.classList.toggle('invalid', !validation.isValid);
+            return validation.isValid;
+        };
+
+        input.addEventListener('blur', () => {
+            if (input.value !== '') showError();
+        });
+
+        // Count committed edits rather than keystrokes
+        input.addEventListener('change', () => this.engine.noteAnswerChange(questionData.id));
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (showError()) this.goToNextQuestion();
+            }
+        });
+
+        answersContainer.appendChild(input);
+        answersContainer.appendChild(error);
+    }
+
+    restoreAnswer(questionData, answer, answersContainer) {
+        if (answer === QuestionnaireEngine.SKIP) {
+            return;
+        }
+        if (answer === QuestionnaireEngine.PREFER_NOT_TO_ANSWER) {
+            this.declineAnswer(questionData, answersContainer);
+            return;
+        }
+
+        if (questionData.type === 'scale') {
+            this.checkRating(answersContainer.querySelector('.rating-group'), answer);
+            this.currentAnswers[questionData.id] = answer;
+        } else if (questionData.type === 'matrix') {
+            answersContainer.querySelectorAll('.rating-group').forEach(group => this.checkRating(group, answer[group.dataset.row]));
+            this.currentAnswers[questionData.id] = { ...answer };
+        } else if (questionData.type === 'multi') {
+            answersContainer.querySelectorAll('.answer-checkbox').forEach(label => {
+                const checkbox = label.querySelector('input');
+                if (answer.includes(checkbox.value)) {
+                    checkbox.checked = true;
+                    this.toggleAnswer(questionData, checkbox.value, true, label);
+                }
+            });
+        } else if (INPUT_QUESTION_TYPES.includes(questionData.type)) {
+            const input = answersContainer.querySelector('.answer-input');
+            input.value = answer === null ? '' : String(answer);
+            this.currentAnswers[questionData.id] = input.value;
+        } else {
+            answersContainer.querySelectorAll('.answer-button').forEach(button => {
+                if (button.dataset.value === answer) {
+                    button.classList.add('selected');
+                    this.currentAnswers[questionData.id] = answer;
+                }
+            });
+        }
+    }
+
+    hasValidAnswer() {
+        return this.currentPage !== null && this.engine.validatePage(this.currentAnswers).isValid;
+    }
+
+    selectAnswer(questionData, answer, buttonElement) {
+        // Remove selection from the other buttons of this question
+        buttonElement.parentElement.querySelectorAll('.answer-button').forEach(btn => {
             btn.classList.remove('selected');
         });
 
         // Select current button
         buttonElement.classList.add('selected');
-        this.currentAnswer = answer;
+        if (this.currentAnswers[questionData.id] !== answer) {
+            this.engine.noteAnswerChange(questionData.id);
+        }
+        this.currentAnswers[questionData.id] = answer;
 
-        // Enable next button
-        document.getElementById('nextButton').disabled = false;
+        // Enable next button once every question of the page is answered
+        this.updateNavigationButtons();
 
         // Add subtle animation
         buttonElement.style.transform = 'scale(0.98)';
@@ -88,8 +939,13 @@ class QuestionnaireApp {
     }
 
     goToNextQuestion() {
-        if (!this.currentAnswer) {
-            this.showNotification('Please select an answer before continuing.', 'warning');
+        if (!this.hasValidAnswer()) {
+            this.showNotification(
+                this.currentPage && this.currentPage.questions.length > 1
+                    ? 'Please answer every question before continuing.'
+                    : 'Please select an answer before continuing.',
+                'warning'
+            );
             return;
         }
 
@@ -99,7 +955,20 @@ class QuestionnaireApp {
         questionCard.style.transform = 'translateX(-20px)';
 
         setTimeout(() => {
-            const hasNext = this.engine.answerQuestion(this.currentAnswer);
+            if (this.engine.isAnswered(this.currentPage.questions[0].key)) {
+                const discarded = this.engine.editPage(this.currentAnswers);
+                if (discarded.length > 0) {
+                    this.showNotification(
+                        discarded.length === 1
+                            ? '1 later answer no longer applies and was removed.'
+                            : `${discarded.length} later answers no longer apply and were removed.`,
+                        'info'
+                    );
+                }
+            } else {
+                this.engine.answerPage(this.currentAnswers);
+            }
+            this.saveSession();
             this.updateProgress();
             this.showCurrentQuestion();
 
@@ -112,6 +981,7 @@ class QuestionnaireApp {
     goToPreviousQuestion() {
         const canGoBack = this.engine.goBack();
         if (canGoBack) {
+            this.saveSession();
             this.updateProgress();
             this.showCurrentQuestion();
         }
@@ -129,17 +999,62 @@ class QuestionnaireApp {
         // Clear previous results
         resultsContent.innerHTML = '';
 
-        // Display all answers
-        const answers = this.engine.getAnswers();
+        // Display the matched outcome first
+        const outcome = this.engine.getOutcome();
+        if (outcome || QuestionnaireScoring.isScored(this.engine.config)) {
+            resultsContent.appendChild(this.createOutcomeElement(outcome));
+        }
+
+        const answers = this.engine.getLocalizedAnswers();
+        const slowKeys = this.engine.getSlowAnswers().map(answerData => QuestionnaireEngine.getAnswerKey(answerData));
+        if (answers.some(answerData => answerData.metrics && answerData.metrics.duration !== null)) {
+            resultsContent.appendChild(this.createTimingSummary(answers, slowKeys));
+        }
+
+        const hint = document.createElement('p');
+        hint.className = 'results-hint';
+        hint.textContent = 'Click an answer to change it.';
+        resultsContent.appendChild(hint);
+
+        // Display all answers in the current language; each one can be edited
         answers.forEach(answerData => {
+            const key = QuestionnaireEngine.getAnswerKey(answerData);
             const resultItem = document.createElement('div');
-            resultItem.className = 'result-item';
+            const state = answerData.skipped ? ' skipped' : (answerData.declined ? ' declined' : '');
+            resultItem.className = `result-item editable${slowKeys.includes(key) ? ' slow' : ''}${state}`;
+            resultItem.tabIndex = 0;
+            resultItem.setAttribute('role', 'button');
+            resultItem.title = 'Change this answer';
 
+            // Question texts may contain piped answers, so both parts are escaped
+            const meta = this.formatAnswerMetrics(answerData.metrics);
             resultItem.innerHTML = `
-                <div class="result-question">${answerData.question}</div>
-                <div class="result-answer">${answerData.answer}</div>
+                <div class="result-question">${QuestionnaireTemplates.escapeHtml(answerData.question)}${
+                    meta ? `<div class="result-meta">${QuestionnaireTemplates.escapeHtml(meta)}</div>` : ''
+                }</div>
+                <div class="result-answer">${QuestionnaireTemplates.escapeHtml(answerData.skipped ? 'Skipped' : QuestionTypes.formatAnswer(
+                    answerData.answerLabel !== undefined ? answerData.answerLabel : answerData.answer
+                ))}</div>
             `;
 
+            // Repeat the question's image and the hints of the chosen answers
+            const content = this.engine.getQuestionContent(answerData.questionId);
+            if (content.image && QuestionnaireContent.isSafeImageSource(content.image.src)) {
+                resultItem.prepend(this.createImage(content.image, 'result-image'));
+            }
+            const hints = content.hints ? [].concat(answerData.answer).map(answer => content.hints[answer]).filter(Boolean) : [];
+            if (hints.length > 0) {
+                resultItem.querySelector('.result-answer').title = hints.join('; ');
+            }
+
+            resultItem.addEventListener('click', () => this.editQuestion(key));
+            resultItem.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.editQuestion(key);
+                }
+            });
+
             resultsContent.appendChild(resultItem);
         });
 
@@ -156,31 +1071,171 @@ class QuestionnaireApp {
         }, 100);
     }
 
+    showScreenOut() {
+        const screenOut = this.engine.getScreenOut();
+        document.getElementById('questionCard').classList.add('hidden');
+        document.getElementById('resultsCard').classList.add('hidden');
+        document.getElementById('screenOutCard').classList.remove('hidden');
+
+        document.getElementById('screenOutMessage').textContent = screenOut.message || QuestionnaireEligibility.DEFAULT_MESSAGES[screenOut.type];
+
+        this.updateNavigationButtons();
+    }
+
+    editQuestion(key) {
+        if (this.engine.jumpTo(key)) {
+            this.saveSession();
+            this.updateProgress();
+            this.showCurrentQuestion();
+        }
+    }
+
+    createTimingSummary(answers, slowKeys) {
+        const { metrics } = this.engine.getSessionRecord();
+        const summary = document.createElement('div');
+        summary.className = 'result-timing';
+
+        const total = document.createElement('div');
+        total.className = 'timing-total';
+        total.textContent = `Time spent: ${this.formatDuration(metrics.duration)}`;
+        summary.appendChild(total);
+
+        if (slowKeys.length > 0) {
+            const slow = document.createElement('div');
+            slow.className = 'timing-slow';
+            slow.textContent = `Took longest on: ${slowKeys
+                .map(key => answers.find(answerData => QuestionnaireEngine.getAnswerKey(answerData) === key).question)
+                .join('; ')}`;
+            summary.appendChild(slow);
+        }
+
+        return summary;
+    }
+
+    formatAnswerMetrics(metrics) {
+        if (!metrics || metrics.duration === null) {
+            return '';
+        }
+
+        const parts = [this.formatDuration(metrics.duration)];
+        if (metrics.changes > 1) {
+            parts.push(`changed ${metrics.changes - 1}×`);
+        }
+        if (metrics.backNavigations > 0) {
+            parts.push(`revisited ${metrics.backNavigations}×`);
+        }
+        return parts.join(' · ');
+    }
+
+    formatDuration(milliseconds) {
+        const seconds = Math.round(milliseconds / 1000);
+        if (seconds < 1) {
+            return 'under a second';
+        }
+        if (seconds < 60) {
+            return `${seconds}s`;
+        }
+        return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    }
+
+    exportSession() {
+        try {
+            const record = this.engine.getSessionRecord();
+            const blob = new Blob([JSON.stringify(record, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${record.questionnaireId}-session-${record.exportedAt.split('T')[0]}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showNotification('Export failed. Please try again.', 'error');
+        }
+    }
+
+    createOutcomeElement(outcome) {
+        const outcomeElement = document.createElement('div');
+        outcomeElement.className = 'result-outcome';
+
+        if (outcome) {
+            const title = document.createElement('h3');
+            title.className = 'outcome-title';
+            title.textContent = this.engine.translate(outcome.title);
+            outcomeElement.appendChild(title);
+
+            if (outcome.description) {
+                const description = document.createElement('p');
+                description.className = 'outcome-description';
+                description.textContent = this.engine.translate(outcome.description);
+                outcomeElement.appendChild(description);
+            }
+        }
+
+        if (QuestionnaireScoring.isScored(this.engine.config)) {
+            const score = document.createElement('div');
+            score.className = 'outcome-score';
+            score.textContent = `Your score: ${this.engine.getScore()}`;
+            outcomeElement.appendChild(score);
+        }
+
+        return outcomeElement;
+    }
+
     updateNavigationButtons() {
         const prevButton = document.getElementById('prevButton');
         const nextButton = document.getElementById('nextButton');
 
         // Enable/disable previous button
-        prevButton.disabled = this.engine.questionHistory.length === 0;
+        prevButton.disabled = !this.engine.canGoBack();
 
         // Enable/disable next button
-        if (this.engine.isComplete()) {
+        if (this.engine.isComplete() || this.engine.isScreenedOut()) {
             nextButton.style.display = 'none';
         } else {
             nextButton.style.display = 'block';
-            nextButton.disabled = !this.currentAnswer;
+            nextButton.disabled = !this.hasValidAnswer();
         }
     }
 
     updateProgress() {
         const progressFill = document.getElementById('progressFill');
-        const progress = this.engine.getProgress();
-        progressFill.style.width = `${progress}%`;
+        const progressRange = document.getElementById('progressRange');
+        const progressText = document.getElementById('progressText');
+        const progress = this.engine.getProgressRange();
+        progressFill.style.width = `${progress.expected}%`;
+
+        if (progressRange) {
+            progressRange.style.left = `${progress.min}%`;
+            progressRange.style.width = `${progress.max - progress.min}%`;
+        }
+
+        if (progressText) {
+            progressText.textContent = this.formatQuestionsLeft(progress.remaining);
+        }
+    }
+
+    formatQuestionsLeft(remaining) {
+        if (remaining.max === 0) {
+            return '';
+        }
+
+        if (remaining.min === remaining.max) {
+            return remaining.max === 1 ? 'Last question' : `${remaining.max} questions left`;
+        }
+
+        const expected = Math.max(1, Math.round(remaining.expected));
+        return `About ${expected} ${expected === 1 ? 'question' : 'questions'} left`;
     }
 
     restart() {
         this.engine.reset();
-        this.currentAnswer = null;
+        this.currentAnswers = {};
+        this.saveSession();
         
         // Add restart animation
         const container = document.querySelector('.questionnaire-content');
@@ -0,0 +1,361 @@
+// Response Analytics Engine - Aggregates collected questionnaire sessions
+//
+// Works on session records (see QuestionnaireEngine.getSessionRecord) of one questionnaire version.
+// Answers to repeated questions are counted per question, across iterations.
+class ResponseAnalyticsEngine {
+    /**
+     * @param {Array} records - Session records
+     * @param {Object|null} config - Configuration the records were collected with, for question texts
+     *        (texts recorded with the answers are used without it)
+     * @param {string|null} locale - Locale question texts are shown in
+     */
+    constructor(records, config = null, locale = config ? QuestionnaireI18n.getDefaultLocale(config) : null) {
+        this.records = records;
+        this.config = config;
+        this.locale = locale;
+    }
+
+    /**
+     * Get headline numbers
+     * @returns {Object} { responses, completed, completionRate (0-100), screenedOut (sessions ended by a screen-out or a full
+     *          quota), averageDuration (ms, of completed sessions, or null) }
+     */
+    getSummary() {
+        const completed = this.records.filter(record => record.isComplete);
+        const durations = completed
+            .map(record => record.metrics && record.metrics.duration)
+            .filter(duration => typeof duration === 'number' && duration > 0);
+
+        return {
+            responses: this.records.length,
+            completed: completed.length,
+            completionRate: this.records.length > 0 ? (completed.length / this.records.length) * 100 : 0,
+            screenedOut: this.records.filter(record => record.screenOut).length,
+            averageDuration: durations.length > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : null
+        };
+    }
+
+    /**
+     * List the questions that occur in the records, in the order respondents met them
+     * @returns {string[]} Question IDs
+     */
+    getQuestionIds() {
+        const ids = [];
+        this.records.forEach(record => {
+            record.answers.forEach(answerData => {
+                if (!ids.includes(answerData.questionId)) {
+                    ids.push(answerData.questionId);
+                }
+            });
+            if (!record.isComplete && record.currentQuestionId && !ids.includes(record.currentQuestionId)) {
+                ids.push(record.currentQuestionId);
+            }
+        });
+
+        // Follow the configuration where it knows the questions
+        if (this.config) {
+            const order = Object.keys(this.config.questions);
+            const known = ids.filter(id => order.includes(id)).sort((a, b) => order.indexOf(a) - order.indexOf(b));
+            return [...known, ...ids.filter(id => !order.includes(id))];
+        }
+        return ids;
+    }
+
+    /**
+     * Get the text of a question
+     * @param {string} questionId - Question ID
+     * @returns {string} Text from the configuration, else as recorded, else the ID
+     */
+    getQuestionText(questionId) {
+        if (this.config && this.config.questions[questionId]) {
+            return QuestionnaireI18n.translate(this.config.questions[questionId].question, this.config, this.locale);
+        }
+
+        for (const record of this.records) {
+            const answerData = record.answers.find(candidate => candidate.questionId === questionId);
+            if (answerData) {
+                return answerData.question;
+            }
+        }
+        return questionId;
+    }
+
+    /**
+     * Count the answers given to every question
+     * Multi-select answers count once per selected option, matrix answers once per rated row ("row: rating"). Skipped and declined questions are counted as the answers
+     * ResponseAnalyticsEngine.SKIPPED_ANSWER and DECLINED_ANSWER.
+     * @param {number} maxAnswers - Answers listed per question; the rest are counted as "Other" (input questions)
+     * @returns {Array} Questions ({ questionId, question, responses, answers: [{ answer, label, count, share }] }),
+     *          answers most frequent first; share is a percentage of the responses to the question
+     */
+    getDistributions(maxAnswers = ResponseAnalyticsEngine.MAX_LISTED_ANSWERS) {
+        return this.getQuestionIds().map(questionId => {
+            const counts = new Map();
+            let responses = 0;
+
+            this.records.forEach(record => record.answers
+                .filter(answerData => answerData.questionId === questionId)
+                .forEach(answerData => {
+                    responses++;
+                    if (QuestionnaireEngine.isSkipped(answerData)) {
+                        const answer = ResponseAnalyticsEngine.getSkippedAnswer(answerData);
+                        const entry = counts.get(answer) || {
+                            answer,
+                            label: answerData.skipped ? 'Skipped' : answerData.answerLabel,
+                            count: 0
+                        };
+                        entry.count++;
+                        counts.set(answer, entry);
+                        return;
+                    }
+
+                    const values = ResponseAnalyticsEngine.listValues(answerData.answer);
+                    const labels = ResponseAnalyticsEngine.listValues(answerData.answerLabel);
+                    values.forEach((value, index) => {
+                        const answer = value === null ? '' : String(value);
+                        const entry = counts.get(answer) || { answer, label: labels[index] !== undefined ? labels[index] : answer, count: 0 };
+                        entry.count++;
+                        counts.set(answer, entry);
+                    });
+                }));
+
+            const sorted = Array.from(counts.values()).sort((a, b) => b.count - a.count);
+            const listed = sorted.slice(0, maxAnswers);
+            const other = sorted.slice(maxAnswers).reduce((sum, entry) => sum + entry.count, 0);
+            if (other > 0) {
+                listed.push({ answer: null, label: 'Other', count: other });
+            }
+
+            return {
+                questionId,
+                question: this.getQuestionText(questionId),
+                responses,
+                answers: listed.map(entry => ({ ...entry, share: responses > 0 ? (entry.count / responses) * 100 : 0 }))
+            };
+        });
+    }
+
+    /**
+     * Find where respondents stop
+     * @returns {Array} Questions ({ questionId, question, reached, answered, dropped, dropOffRate }); dropped counts
+     *          unfinished sessions that stopped at the question, dropOffRate is a percentage of reached
+     */
+    getDropOff() {
+        return this.getQuestionIds().map(questionId => {
+            let reached = 0;
+            let answered = 0;
+            let dropped = 0;
+
+            this.records.forEach(record => {
+                const hasAnswer = record.answers.some(answerData => answerData.questionId === questionId);
+                const stoppedHere = !record.isComplete && record.currentQuestionId === questionId;
+                if (hasAnswer || stoppedHere) reached++;
+                if (hasAnswer) answered++;
+                if (stoppedHere) dropped++;
+            });
+
+            return {
+                questionId,
+                question: this.getQuestionText(questionId),
+                reached,
+                answered,
+                dropped,
+                dropOffRate: reached > 0 ? (dropped / reached) * 100 : 0
+            };
+        });
+    }
+
+    /**
+     * Find the paths completed sessions took most often
+     * @param {number} limit - Number of paths
+     * @returns {Array} Paths ({ keys, questions, count, share }), most frequent first; share is a percentage
+     *          of completed sessions
+     */
+    getTopPaths(limit = 5) {
+        const completed = this.records.filter(record => record.isComplete);
+        const paths = new Map();
+
+        completed.forEach(record => {
+            const keys = record.answers.map(answerData => QuestionnaireEngine.getAnswerKey(answerData));
+            const id = keys.join('>');
+            const entry = paths.get(id) || { keys, questions: record.answers.map(answerData => answerData.questionId), count: 0 };
+            entry.count++;
+            paths.set(id, entry);
+        });
+
+        return Array.from(paths.values())
+            .sort((a, b) => b.count - a.count || a.keys.length - b.keys.length)
+            .slice(0, limit)
+            .map(entry => ({ ...entry, share: (entry.count / completed.length) * 100 }));
+    }
+
+    /**
+     * Count how many sessions get how far
+     * @returns {Array} Stages ({ label, count, share }): started, every number of answered questions, and completed;
+     *          share is a percentage of started sessions
+     */
+    getFunnel() {
+        const total = this.records.length;
+        const longest = Math.max(0, ...this.records.map(record => record.answers.length));
+        const stage = (label, count) => ({ label, count, share: total > 0 ? (count / total) * 100 : 0 });
+
+        const stages = [stage('Started', total)];
+        for (let answered = 1; answered <= longest; answered++) {
+            stages.push(stage(
+                `${answered} ${answered === 1 ? 'question' : 'questions'} answered`,
+                this.records.filter(record => record.answers.length >= answered).length
+            ));
+        }
+        stages.push(stage('Completed', this.records.filter(record => record.isComplete).length));
+        return stages;
+    }
+
+    /**
+     * Export the records as JSON, in the format importRecords() reads
+     * @returns {string} JSON string
+     */
+    exportToJSON() {
+        return JSON.stringify({
+            format: ResponseAnalyticsEngine.EXPORT_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            responses: this.records
+        }, null, 2);
+    }
+
+    /**
+     * Export the records as CSV, one row per session and one column per answered question
+     * Questions shown in variants get a second column, "<key>:variant", with the variant each respondent saw.
+     * Skipped and declined questions are written as "(skipped)" and "(declined)"; questions not reached stay empty.
+     * @returns {string} CSV text
+     */
+    exportToCSV() {
+        const keys = [];
+        const variantKeys = [];
+        this.records.forEach(record => record.answers.forEach(answerData => {
+            const key = QuestionnaireEngine.getAnswerKey(answerData);
+            if (!keys.includes(key)) keys.push(key);
+            if (answerData.variant !== undefined && !variantKeys.includes(key)) variantKeys.push(key);
+        }));
+
+        const header = ['sessionId', 'questionnaireId', 'configHash', 'locale', 'startedAt', 'exportedAt',
+            'isComplete', 'screenOut', 'currentQuestionId', 'score', 'outcome', 'duration', ...keys, ...variantKeys.map(key => `${key}:variant`)];
+
+        const rows = this.records.map(record => {
+            const answers = new Map(record.answers.map(answerData => [QuestionnaireEngine.getAnswerKey(answerData), answerData]));
+            const field = (key, name) => (answers.has(key) ? answers.get(key)[name] : undefined);
+            const answer = (key) => (answers.has(key) && QuestionnaireEngine.isSkipped(answers.get(key))
+                ? ResponseAnalyticsEngine.getSkippedAnswer(answers.get(key))
+                : field(key, 'answer'));
+            return [
+                record.sessionId, record.questionnaireId, record.configHash, record.locale, record.startedAt, record.exportedAt,
+                record.isComplete, record.screenOut ? record.screenOut.id : null, record.currentQuestionId, record.score, record.outcome,
+                record.metrics ? record.metrics.duration : null,
+                ...keys.map(key => answer(key)),
+                ...variantKeys.map(key => field(key, 'variant'))
+            ];
+        });
+
+        return [header, ...rows].map(row => row.map(ResponseAnalyticsEngine.toCSVField).join(',')).join('\r\n');
+    }
+
+    /**
+     * Split an answer or answer label into the values counted separately
+     * @param {*} value - Answer, list of answers or ratings by row
+     * @returns {Array} Values; matrix ratings become "row: rating"
+     */
+    static listValues(value) {
+        if (Array.isArray(value)) {
+            return value;
+        }
+        if (value && typeof value === 'object') {
+            return Object.entries(value).map(([row, rating]) => `${row}: ${rating}`);
+        }
+        return [value];
+    }
+
+    /**
+     * Get the marker a skipped or declined question is counted and exported as
+     * @param {Object} answerData - Answer object of a skipped or declined question
+     * @returns {string} SKIPPED_ANSWER or DECLINED_ANSWER
+     */
+    static getSkippedAnswer(answerData) {
+        return answerData.declined ? ResponseAnalyticsEngine.DECLINED_ANSWER : ResponseAnalyticsEngine.SKIPPED_ANSWER;
+    }
+
+    /**
+     * Format a value as a CSV field
+     * Text starting with a formula character is prefixed with an apostrophe so spreadsheets show it as text.
+     * @param {*} value - Value (lists and matrix ratings are joined with "; ")
+     * @returns {string} CSV field
+     */
+    static toCSVField(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        let text = typeof value === 'object' ? ResponseAnalyticsEngine.listValues(value).join('; ') : String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text) && !Number.isFinite(Number(text))) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Read records from an exported file
+     * Accepts an export of this dashboard, a list of records, or a single exported session.
+     * @param {string} text - File contents
+     * @returns {Array} Session records
+     * @throws {Error} If the file is not JSON or contains something other than session records
+     */
+    static importRecords(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        let records;
+        if (Array.isArray(data)) {
+            records = data;
+        } else if (data && data.format === ResponseAnalyticsEngine.EXPORT_FORMAT && Array.isArray(data.responses)) {
+            records = data.responses;
+        } else {
+            records = [data];
+        }
+
+        records.forEach((record, index) => {
+            if (!record || typeof record !== 'object' || typeof record.sessionId !== 'string'
+                || typeof record.configHash !== 'string' || !Array.isArray(record.answers)) {
+                throw new Error(`Response ${index + 1} is not a questionnaire session record`);
+            }
+        });
+        return records;
+    }
+
+    /**
+     * Group records by the questionnaire version they were collected with
+     * @param {Array} records - Session records
+     * @returns {Array} Versions ({ configHash, questionnaireId, responses, lastResponseAt }), most recent first
+     */
+    static groupByConfig(records) {
+        const groups = new Map();
+        records.forEach(record => {
+            const group = groups.get(record.configHash)
+                || { configHash: record.configHash, questionnaireId: record.questionnaireId, responses: 0, lastResponseAt: null };
+            group.responses++;
+            if (String(record.exportedAt) > String(group.lastResponseAt || '')) {
+                group.lastResponseAt = record.exportedAt;
+            }
+            groups.set(record.configHash, group);
+        });
+
+        return Array.from(groups.values()).sort((a, b) => String(b.lastResponseAt).localeCompare(String(a.lastResponseAt)));
+    }
+}
+
+ResponseAnalyticsEngine.EXPORT_FORMAT = 'questionnaire-responses';
+ResponseAnalyticsEngine.MAX_LISTED_ANSWERS = 10;
+ResponseAnalyticsEngine.SKIPPED_ANSWER = '(skipped)';
+ResponseAnalyticsEngine.DECLINED_ANSWER = '(declined)';
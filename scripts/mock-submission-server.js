@@ -0,0 +1,79 @@
+// Mock endpoint for questionnaire submissions
+//
+// Usage: npm run mock:submissions -- [--port 3001] [--fail 2] [--status 503] [--delay 0]
+//
+// Accepts POST/PUT requests on any path and keeps the responses in memory, one per session. GET /responses
+// lists them. With --fail N the first N submissions are answered with --status, to watch the retries.
+import { createServer } from 'node:http';
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? Number(process.argv[index + 1]) : fallback;
+};
+
+const port = readOption('port', Number(process.env.PORT) || 3001);
+const failStatus = readOption('status', 503);
+const delay = readOption('delay', 0);
+let failuresLeft = readOption('fail', 0);
+
+const responses = new Map();
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const server = createServer((req, res) => {
+  // The questionnaire page is served from another origin (the Vite dev server)
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+  if (req.method === 'GET' && req.url === '/responses') {
+    send(res, 200, Array.from(responses.values()));
+    return;
+  }
+  if (req.method !== 'POST' && req.method !== 'PUT') {
+    send(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => setTimeout(() => {
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`${req.method} ${req.url} -> ${failStatus} (${failuresLeft} failures left)`);
+      send(res, failStatus, { error: 'Simulated failure' });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      send(res, 400, { error: 'Body is not JSON' });
+      return;
+    }
+    if (!payload || typeof payload.sessionId !== 'string' || !Array.isArray(payload.answers)) {
+      send(res, 422, { error: 'Body is not a questionnaire submission' });
+      return;
+    }
+
+    const replaced = responses.has(payload.sessionId);
+    responses.set(payload.sessionId, payload);
+    console.log(`${req.method} ${req.url} -> ${replaced ? 200 : 201} ${payload.questionnaireId} ${payload.sessionId}: `
+      + `${payload.answers.length} answers, ${payload.isComplete ? 'complete' : (payload.screenOut ? 'screened out' : 'unfinished')}`);
+    send(res, replaced ? 200 : 201, { sessionId: payload.sessionId });
+  }, delay));
+});
+
+server.listen(port, () => {
+  console.log(`Mock submission endpoint listening on http://localhost:${port}`);
+});
@@ -0,0 +1,74 @@
+// Questionnaire modules for Node
+//
+// Usage:
+//   import { loadQuestionnaireModules } from './questionnaire-node.js';
+//   const { QuestionnaireEngine, QuestionnaireRunner, questionnaireConfig } = loadQuestionnaireModules();
+//
+// The modules in src/js are classic browser scripts that share globals, so they are evaluated in order in a
+// context of their own, the way the pages load them. Nothing needs window or a DOM.
+import { readFileSync } from 'node:fs';
+import { webcrypto } from 'node:crypto';
+import vm from 'node:vm';
+
+const SOURCE_DIR = new URL('../src/js/', import.meta.url);
+
+// In dependency order
+const MODULE_FILES = [
+  'questionnaire-config.js',
+  'questionnaire-question-types.js',
+  'questionnaire-i18n.js',
+  'questionnaire-expressions.js',
+  'questionnaire-scoring.js',
+  'questionnaire-templates.js',
+  'questionnaire-content.js',
+  'questionnaire-groups.js',
+  'questionnaire-pages.js',
+  'questionnaire-randomization.js',
+  'questionnaire-eligibility.js',
+  'questionnaire-submission.js',
+  'questionnaire-engine.js',
+  'path-analyzer-engine.js',
+  'questionnaire-formats.js',
+  'questionnaire-diagrams.js',
+  'questionnaire-runner.js',
+  'questionnaire-links.js'
+];
+
+const EXPORTS = [
+  'questionnaireConfig',
+  'QuestionTypes',
+  'QuestionnaireI18n',
+  'QuestionnaireExpressions',
+  'QuestionnaireScoring',
+  'QuestionnaireTemplates',
+  'QuestionnaireContent',
+  'QuestionnaireGroups',
+  'QuestionnairePages',
+  'QuestionnaireRandomization',
+  'QuestionnaireEligibility',
+  'QuestionnaireSubmission',
+  'QuestionnaireEngine',
+  'PathAnalyzerEngine',
+  'QuestionnaireFormats',
+  'QuestionnaireDiagrams',
+  'QuestionnaireRunner',
+  'QuestionnaireLinks'
+];
+
+/**
+ * Load the questionnaire modules into a fresh context
+ * @returns {Object} The modules by their global names, plus questionnaireConfig (the built-in questionnaire)
+ */
+export const loadQuestionnaireModules = () => {
+  const context = vm.createContext({
+    console, crypto: webcrypto, setTimeout, clearTimeout,
+    // For share links (QuestionnaireLinks)
+    TextEncoder, TextDecoder, Blob, Response, CompressionStream, DecompressionStream, btoa, atob, URL, URLSearchParams
+  });
+  MODULE_FILES.forEach(file => {
+    const url = new URL(file, SOURCE_DIR);
+    vm.runInContext(readFileSync(url, 'utf8'), context, { filename: url.pathname });
+  });
+
+  return Object.fromEntries(EXPORTS.map(name => [name, vm.runInContext(name, context)]));
+};
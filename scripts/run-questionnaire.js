@@ -0,0 +1,61 @@
+// Replay scripted answers against a questionnaire
+//
+// Usage: npm run run:questionnaire -- <script> [--config <file>] [--locale <code>] [--json]
+//
+// The script file holds one script or a list of them (see src/js/questionnaire-runner.js), as JSON or YAML:
+//   [{ "name": "married", "steps": [{ "q1": "Married" }, { "q3": "1-5 years" }], "expect": "unfinished" }]
+// Without --config the built-in questionnaire is used; configurations may be JSON, YAML or outlines. Each run
+// is printed with its answers, the terminal reached and any problems, or as JSON with --json. The exit code
+// is 1 when a run fails and 2 when the files cannot be read.
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { loadQuestionnaireModules } from './questionnaire-node.js';
+
+const FORMATS_BY_EXTENSION = { '.yaml': 'yaml', '.yml': 'yaml', '.outline': 'outline' };
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+};
+
+const args = process.argv.slice(2);
+const scriptPath = args.find((arg, index) => !arg.startsWith('--') && (index === 0 || !['--config', '--locale'].includes(args[index - 1])));
+if (!scriptPath) {
+  console.error('Usage: npm run run:questionnaire -- <script> [--config <file>] [--locale <code>] [--json]');
+  process.exit(2);
+}
+
+const { QuestionnaireFormats, QuestionnaireRunner, questionnaireConfig } = loadQuestionnaireModules();
+
+const readFile = (path) => {
+  try {
+    return QuestionnaireFormats.parse(readFileSync(path, 'utf8'), FORMATS_BY_EXTENSION[extname(path)] || 'json');
+  } catch (error) {
+    console.error(`${path}: ${error.message}`);
+    process.exit(2);
+  }
+};
+
+const configPath = readOption('config', null);
+const config = configPath ? readFile(configPath) : questionnaireConfig;
+const content = readFile(scriptPath);
+// A list of scripts, as opposed to the steps of a single one
+const scripts = Array.isArray(content) && content.length > 0 && content.every(item => item && Array.isArray(item.steps))
+  ? content
+  : [content];
+
+let summary;
+try {
+  summary = QuestionnaireRunner.runAll(config, scripts, { locale: readOption('locale', null) });
+} catch (error) {
+  console.error(error.message);
+  process.exit(2);
+}
+
+if (process.argv.includes('--json')) {
+  console.log(JSON.stringify(summary, null, 2));
+} else {
+  summary.reports.forEach(report => console.log(QuestionnaireRunner.formatReport(report)));
+  console.log(`\n${summary.passed} passed, ${summary.failed} failed`);
+}
+process.exitCode = summary.failed > 0 ? 1 : 0;
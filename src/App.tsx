@@ -11,6 +11,7 @@ function App() {
       <Routes>
         <Route path="/" element={<Home />} />
         <Route path="/questionnaire" element={<Questionnaire />} />
+        <Route path="/questionnaire/:id" element={<Questionnaire />} />
         <Route path="/distance-converter" element={<DistanceConverter />} />
         <Route path="/data-processor" element={<DataProcessor />} />
         <Route path="/asteroid-finder" element={<AsteroidFinder />} />
@@ -14,9 +14,18 @@ class PathAnalyzerApp {
     bindEventListeners() {
         const analyzeButton = document.getElementById('analyzeButton');
         const exportButton = document.getElementById('exportButton');
+        const diagramButton = document.getElementById('diagramButton');
+        const stepMode = document.getElementById('stepMode');
 
         analyzeButton.addEventListener('click', () => this.runAnalysis());
         exportButton.addEventListener('click', () => this.exportResults());
+        diagramButton.addEventListener('click', () => this.exportDiagram(document.getElementById('diagramFormat').value));
+
+        // Steps can be listed per page only when the questionnaire has pages
+        if (stepMode) {
+            stepMode.classList.toggle('hidden', Object.keys(QuestionnairePages.getPages(this.analyzer.config)).length === 0);
+            stepMode.addEventListener('change', () => this.displayPaths());
+        }
     }
 
     async runAnalysis() {
@@ -41,7 +50,13 @@ class PathAnalyzerApp {
             // Enable export button
             document.getElementById('exportButton').disabled = false;
             
-            this.showNotification(`Analysis complete! Found ${this.analysisResults.paths.number} possible paths.`, 'success');
+            const { truncatedQuestions } = this.analysisResults.statistics;
+            if (truncatedQuestions.length > 0) {
+                this.showNotification(`Analysis complete! Found ${this.analysisResults.paths.number} possible paths, `
+                    + `but not every selection of ${truncatedQuestions.join(', ')} was tried; score ranges may be incomplete.`, 'warning');
+            } else {
+                this.showNotification(`Analysis complete! Found ${this.analysisResults.paths.number} possible paths.`, 'success');
+            }
 
         } catch (error) {
             console.error('Analysis failed:', error);
@@ -61,6 +76,8 @@ class PathAnalyzerApp {
         document.getElementById('totalPaths').textContent = stats.totalPaths;
         document.getElementById('avgLength').textContent = stats.averageLength;
         document.getElementById('maxLength').textContent = stats.maxLength;
+        document.getElementById('pathsWithSkips').textContent = stats.pathsWithSkips;
+        document.getElementById('screenOutPaths').textContent = stats.screenOutPaths;
 
         // Add animation to statistics
         const statValues = document.querySelectorAll('.stat-value');
@@ -90,7 +107,8 @@ class PathAnalyzerApp {
         pathsContainer.innerHTML = '';
 
         // Get detailed paths
-        const detailedPaths = this.analyzer.getDetailedPaths();
+        const stepMode = document.getElementById('stepMode');
+        const detailedPaths = this.analyzer.getDetailedPaths({ by: stepMode ? stepMode.value : 'question' });
 
         // Create path elements
         detailedPaths.forEach(pathData => {
@@ -125,9 +143,19 @@ class PathAnalyzerApp {
 
         const pathLength = document.createElement('div');
         pathLength.className = 'path-length';
-        pathLength.textContent = `${pathData.length} step${pathData.length !== 1 ? 's' : ''}`;
+        pathLength.textContent = `${pathData.length} step${pathData.length !== 1 ? 's' : ''}`
+            + (pathData.skipped > 0 ? `, ${pathData.skipped} skipped` : '')
+            + (pathData.screenOut ? `, screened out (${pathData.screenOut})` : '');
+        if (pathData.screenOut) {
+            pathDiv.classList.add('screened-out');
+        }
 
         headerDiv.appendChild(pathNumber);
+
+        if (QuestionnaireScoring.isScored(this.analyzer.config)) {
+            headerDiv.appendChild(this.createPathMetaElement(pathData));
+        }
+
         headerDiv.appendChild(pathLength);
 
         const stepsDiv = document.createElement('div');
@@ -144,6 +172,22 @@ class PathAnalyzerApp {
         return pathDiv;
     }
 
+    createPathMetaElement(pathData) {
+        const metaDiv = document.createElement('div');
+        metaDiv.className = 'path-meta';
+
+        const { min, max } = pathData.score;
+        const scoreText = min === max ? `Score ${min}` : `Score ${min}–${max}`;
+
+        const titles = pathData.outcomes.map(outcomeId => {
+            const outcome = (this.analyzer.config.outcomes || []).find(item => item.id === outcomeId);
+            return outcome ? QuestionnaireI18n.translate(outcome.title, this.analyzer.config, this.analyzer.locale) : outcomeId;
+        });
+
+        metaDiv.textContent = titles.length > 0 ? `${scoreText} · ${titles.join(' / ')}` : scoreText;
+        return metaDiv;
+    }
+
     createStepElement(step) {
         const stepDiv = document.createElement('div');
         stepDiv.className = 'step-item';
@@ -155,21 +199,37 @@ class PathAnalyzerApp {
         const stepContent = document.createElement('div');
         stepContent.className = 'step-content';
 
+        if (step.questions) {
+            // Page step: the page title followed by every question answered on the page
+            if (step.title) {
+                const pageTitle = document.createElement('div');
+                pageTitle.className = 'step-page';
+                pageTitle.textContent = step.title;
+                stepContent.appendChild(pageTitle);
+            }
+
+            step.questions.forEach(question => this.appendQuestion(stepContent, question));
+        } else {
+            this.appendQuestion(stepContent, step);
+        }
+
+        stepDiv.appendChild(stepNumber);
+        stepDiv.appendChild(stepContent);
+
+        return stepDiv;
+    }
+
+    appendQuestion(stepContent, { question, answer }) {
         const stepQuestion = document.createElement('div');
         stepQuestion.className = 'step-question';
-        stepQuestion.textContent = step.question;
+        stepQuestion.textContent = question;
 
         const stepAnswer = document.createElement('div');
         stepAnswer.className = 'step-answer';
-        stepAnswer.textContent = step.answer;
+        stepAnswer.textContent = QuestionTypes.formatAnswer(answer);
 
         stepContent.appendChild(stepQuestion);
         stepContent.appendChild(stepAnswer);
-
-        stepDiv.appendChild(stepNumber);
-        stepDiv.appendChild(stepContent);
-
-        return stepDiv;
     }
 
     exportResults() {
@@ -201,6 +261,31 @@ class PathAnalyzerApp {
         }
     }
 
+    /**
+     * Download the questionnaire flow as a diagram
+     * Unlike the JSON export this does not need an analysis run.
+     * @param {string} format - Diagram format (see QuestionnaireDiagrams.FORMATS)
+     */
+    exportDiagram(format) {
+        try {
+            const config = this.analyzer.config;
+            const blob = new Blob([QuestionnaireDiagrams.render(config, format)], { type: QuestionnaireDiagrams.FORMATS[format].type });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = QuestionnaireDiagrams.getFileName(config, format);
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Diagram export failed:', error);
+            this.showNotification('Diagram export failed. Please try again.', 'error');
+        }
+    }
+
     showNotification(message, type = 'info') {
         // Create notification element
         const notification = document.createElement('div');
@@ -0,0 +1,853 @@
+// Questionnaire Element - <sg-questionnaire>, a questionnaire that can be embedded in any page
+//
+// Usage:
+//   <script src="https://example.com/src/js/questionnaire-element.js"></script>
+//   <sg-questionnaire src="config.json" theme="dark" locale="ru" allow-back="false"></sg-questionnaire>
+//
+// Attributes:
+//   src         URL of the JSON configuration; alternatively set the element's "config" property to a configuration object
+//   theme       "light" (default) or "dark"; colors can be tuned further with the --sg-* custom properties
+//   locale      language to show; picked from the browser languages when omitted
+//   allow-back  "false" hides the Back button
+//
+// Events bubble out of the shadow root; their detail is the payload of the engine event (see QuestionnaireEngine.on):
+//   sg-load       the configuration is loaded              { questionnaireId }
+//   sg-question   a question is shown                      questionShown
+//   sg-answer     an answer is recorded                    answered
+//   sg-complete   the last question is answered            completed, plus record (see QuestionnaireEngine.getSessionRecord)
+//   sg-screenout  a screen-out or full quota ends it       screenedOut, plus record
+//   sg-error      the configuration cannot be used         { message, errors }
+//
+// Every element runs its own engine, so a page may hold several. The engine and the modules it needs are loaded
+// from the directory of this script unless the page has loaded them already.
+class QuestionnaireElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'theme', 'locale', 'allow-back'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `<style>${QuestionnaireElement.STYLES}</style><div class="questionnaire" part="container"></div>`;
+        this.container = this.shadowRoot.querySelector('.questionnaire');
+        this.engine = null;
+        this.submitter = null;
+        this.controls = new Map();
+        this.pendingConfig = null;
+        this.loading = null;
+    }
+
+    /**
+     * Configuration of the questionnaire shown
+     * @returns {Object|null} Configuration, or null before one is loaded
+     */
+    get config() {
+        return this.engine ? this.engine.config : this.pendingConfig;
+    }
+
+    /**
+     * Show a configuration object instead of the one at "src"
+     * @param {Object} config - Questionnaire configuration
+     */
+    set config(config) {
+        this.pendingConfig = config;
+        if (this.isConnected) {
+            this.load();
+        }
+    }
+
+    connectedCallback() {
+        if (!this.engine && !this.loading) {
+            this.load();
+        }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue || !this.isConnected) {
+            return;
+        }
+
+        if (name === 'src' && !this.pendingConfig) {
+            this.load();
+        } else if (name === 'locale' && this.engine) {
+            // Keep what the respondent picked on the current page while its texts are replaced
+            const drafts = this.readAnswers();
+            this.engine.setLocale(this.resolveLocale(this.engine.config));
+            this.render(drafts);
+        } else if (name === 'allow-back' && this.engine) {
+            this.render(this.readAnswers());
+        }
+    }
+
+    /**
+     * Check whether the respondent may go back to earlier pages
+     * @returns {boolean} False when allow-back="false"
+     */
+    get allowBack() {
+        return this.getAttribute('allow-back') !== 'false';
+    }
+
+    /**
+     * Load the configuration and show its first question
+     * A newer load (another src or config) supersedes one still in progress.
+     * @returns {Promise} Resolves once the questionnaire is shown or the error is reported
+     */
+    load() {
+        const src = this.getAttribute('src');
+        const loading = QuestionnaireElement.loadDependencies()
+            .then(() => (this.pendingConfig || !src ? this.pendingConfig : this.fetchConfig(src)))
+            .then(config => {
+                if (this.loading === loading && config) {
+                    this.start(config);
+                }
+            })
+            .catch(error => {
+                if (this.loading === loading) {
+                    this.showError(error);
+                }
+            });
+
+        this.loading = loading;
+        return loading;
+    }
+
+    /**
+     * Fetch a configuration
+     * @param {string} src - URL, relative to the page
+     * @returns {Promise<Object>} Configuration
+     */
+    fetchConfig(src) {
+        return fetch(new URL(src, document.baseURI).href).then(response => {
+            if (!response.ok) {
+                throw new Error(`Could not load questionnaire "${src}" (HTTP ${response.status})`);
+            }
+            return response.json();
+        });
+    }
+
+    /**
+     * Start a session of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @throws {Error} If the configuration is invalid (error.errors lists the problems)
+     */
+    start(config) {
+        const validation = QuestionnaireEngine.validateConfig(config);
+        if (!validation.isValid) {
+            const error = new Error('The questionnaire configuration is invalid');
+            error.errors = validation.errors;
+            throw error;
+        }
+
+        this.engine = new QuestionnaireEngine(config);
+        this.engine.setLocale(this.resolveLocale(config));
+        this.forwardEvents();
+        this.initSubmission();
+
+        this.render();
+        this.dispatch('sg-load', { questionnaireId: this.engine.getQuestionnaireId() });
+        this.engine.start();
+    }
+
+    /**
+     * Start the questionnaire again with a new session
+     */
+    restart() {
+        if (!this.engine) {
+            return;
+        }
+        this.engine.reset();
+        this.render({}, true);
+        this.engine.start();
+    }
+
+    /**
+     * Pick the locale to show a configuration in
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string|null} Locale code
+     */
+    resolveLocale(config) {
+        const locale = this.getAttribute('locale');
+        return QuestionnaireI18n.resolveLocale(
+            config,
+            locale ? [locale] : (typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [])
+        );
+    }
+
+    /**
+     * Re-dispatch the engine events as DOM events of the element
+     */
+    forwardEvents() {
+        Object.entries(QuestionnaireElement.EVENTS).forEach(([type, name]) => {
+            this.engine.on(type, (event) => {
+                const detail = { ...event };
+                if (type === 'completed' || type === 'screenedOut') {
+                    detail.record = this.engine.getSessionRecord();
+                }
+                this.dispatch(name, detail);
+            });
+        });
+    }
+
+    /**
+     * Send finished sessions to the endpoint of the configuration, if it names one
+     */
+    initSubmission() {
+        const settings = QuestionnaireSubmission.getSettings(this.engine.config);
+        if (!settings) {
+            return;
+        }
+
+        this.submitter = QuestionnaireSubmission.createSubmitter(settings, this.engine.getQuestionnaireId());
+        this.engine.on('completed', () => this.submitter.submit(this.engine));
+        this.engine.on('screenedOut', () => this.submitter.submit(this.engine));
+        this.submitter.flush({ all: true });
+    }
+
+    /**
+     * Dispatch a DOM event from the element
+     * @param {string} name - Event name
+     * @param {Object} detail - Event detail
+     */
+    dispatch(name, detail) {
+        this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+    }
+
+    /**
+     * Report a configuration that cannot be shown
+     * @param {Error} error - Load or validation error
+     */
+    showError(error) {
+        this.engine = null;
+        this.container.innerHTML = '';
+
+        const message = this.createElement('div', 'error', error.message);
+        message.setAttribute('role', 'alert');
+        if (error.errors) {
+            const list = this.createElement('ul');
+            error.errors.forEach(text => list.appendChild(this.createElement('li', null, text)));
+            message.appendChild(list);
+        }
+        this.container.appendChild(message);
+
+        console.error('Questionnaire could not be shown:', error);
+        this.dispatch('sg-error', { message: error.message, errors: error.errors || [] });
+    }
+
+    /**
+     * Show the current page, or the end of the questionnaire
+     * @param {Object} drafts - Answers to show instead of the recorded ones, by question ID
+     * @param {boolean} focus - Move the focus into the questionnaire (after the respondent navigated)
+     */
+    render(drafts = {}, focus = false) {
+        this.container.innerHTML = '';
+        this.controls = new Map();
+        this.container.lang = this.engine.locale || '';
+
+        const progress = this.createElement('div', 'progress');
+        progress.setAttribute('part', 'progress');
+        progress.setAttribute('role', 'progressbar');
+        progress.setAttribute('aria-valuemin', '0');
+        progress.setAttribute('aria-valuemax', '100');
+        const percentage = Math.round(this.engine.getProgress());
+        progress.setAttribute('aria-valuenow', String(percentage));
+        const fill = this.createElement('div', 'progress-fill');
+        fill.style.width = `${percentage}%`;
+        progress.appendChild(fill);
+        this.container.appendChild(progress);
+
+        const content = this.engine.isComplete() || this.engine.isScreenedOut() ? this.renderEnd() : this.renderPage(drafts);
+        this.container.appendChild(content);
+
+        if (focus) {
+            const target = content.querySelector('input, h2');
+            if (target) {
+                target.tabIndex = target.tagName === 'H2' ? -1 : target.tabIndex;
+                target.focus();
+            }
+        }
+    }
+
+    /**
+     * Build the form for the current page
+     * @param {Object} drafts - Answers to show instead of the recorded ones, by question ID
+     * @returns {HTMLElement} Form
+     */
+    renderPage(drafts) {
+        const page = this.engine.getCurrentPage();
+        const form = this.createElement('form', 'page');
+        form.setAttribute('part', 'page');
+        form.noValidate = true;
+
+        if (page.questions.length > 1 && page.title) {
+            form.appendChild(this.createElement('h2', 'page-title', page.title));
+        }
+        if (page.iteration) {
+            const { title, index, count } = page.iteration;
+            form.appendChild(this.createElement('div', 'iteration', count ? `${title} · ${index} of ${count}` : `${title} · ${index}`));
+        }
+
+        page.questions.forEach(questionData => form.appendChild(this.renderQuestion(questionData, drafts[questionData.id])));
+
+        const navigation = this.createElement('div', 'navigation');
+        if (this.allowBack && this.engine.canGoBack()) {
+            const back = this.createElement('button', 'back', 'Back');
+            back.type = 'button';
+            back.setAttribute('part', 'button back-button');
+            back.addEventListener('click', () => this.goBack());
+            navigation.appendChild(back);
+        }
+        const next = this.createElement('button', 'next', 'Next');
+        next.type = 'submit';
+        next.setAttribute('part', 'button next-button');
+        navigation.appendChild(next);
+        form.appendChild(navigation);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPage(page);
+        });
+        return form;
+    }
+
+    /**
+     * Build one question with its content and answer controls
+     * @param {Object} questionData - Question as described by the engine
+     * @param {*} draft - Answer to show instead of the recorded one
+     * @returns {HTMLElement} Fieldset
+     */
+    renderQuestion(questionData, draft) {
+        const fieldset = this.createElement('fieldset', 'question');
+        fieldset.appendChild(this.createElement(
+            'legend',
+            'question-text',
+            questionData.skippable ? `${questionData.question} (optional)` : questionData.question
+        ));
+
+        // Images are added through properties and markdown is rendered to escaped HTML, so config texts cannot inject markup
+        if (questionData.image && QuestionnaireContent.isSafeImageSource(questionData.image.src)) {
+            const image = this.createElement('img', 'question-image');
+            image.src = questionData.image.src;
+            image.alt = questionData.image.alt;
+            image.loading = 'lazy';
+            fieldset.appendChild(image);
+        }
+        if (questionData.description) {
+            const description = this.createElement('div', 'description');
+            description.innerHTML = QuestionnaireContent.renderMarkdown(questionData.description);
+            fieldset.appendChild(description);
+        }
+        if (questionData.help) {
+            const help = this.createElement('details', 'help');
+            help.appendChild(this.createElement('summary', null, 'Help'));
+            const text = this.createElement('div');
+            text.innerHTML = QuestionnaireContent.renderMarkdown(questionData.help);
+            help.appendChild(text);
+            fieldset.appendChild(help);
+        }
+
+        const name = `${questionData.key}-${QuestionnaireElement.nextId++}`;
+        let control;
+        if (questionData.type === 'multi') {
+            control = this.createChoices(questionData, name, 'checkbox');
+        } else if (questionData.type === 'scale') {
+            control = this.createScale(questionData, name);
+        } else if (questionData.type === 'matrix') {
+            control = this.createMatrix(questionData, name);
+        } else if (QuestionnaireElement.INPUT_TYPES.includes(questionData.type)) {
+            control = this.createInput(questionData);
+        } else {
+            control = this.createChoices(questionData, name, 'radio');
+        }
+        if (questionData.preferNotToAnswer) {
+            control = this.addPreferNotToAnswer(questionData, control);
+        }
+        fieldset.appendChild(control.element);
+
+        const error = this.createElement('div', 'question-error');
+        error.setAttribute('aria-live', 'polite');
+        fieldset.appendChild(error);
+
+        const answer = draft !== undefined && draft !== null ? draft : this.engine.getSubmittedAnswer(questionData.key);
+        if (answer !== undefined && answer !== QuestionnaireEngine.SKIP) {
+            control.write(answer);
+        }
+
+        fieldset.addEventListener('change', () => {
+            this.engine.noteAnswerChange(questionData.id);
+            error.textContent = '';
+        });
+        this.controls.set(questionData.id, { ...control, error });
+        return fieldset;
+    }
+
+    /**
+     * Create radio buttons or checkboxes for the answers of a question
+     * @param {Object} questionData - Question as described by the engine
+     * @param {string} name - Name shared by the inputs
+     * @param {string} type - "radio" or "checkbox"
+     * @returns {Object} Control ({ element, read, write })
+     */
+    createChoices(questionData, name, type) {
+        const element = this.createElement('div', 'choices');
+        const inputs = questionData.answers.map((answer, index) => {
+            const label = this.createElement('label', 'choice');
+            if (questionData.answerHints && questionData.answerHints[index]) {
+                label.title = questionData.answerHints[index];
+            }
+            const input = this.createElement('input');
+            input.type = type;
+            input.name = name;
+            input.value = answer;
+            label.appendChild(input);
+            label.appendChild(this.createElement('span', null, questionData.answerLabels[index]));
+            element.appendChild(label);
+            return input;
+        });
+
+        const checked = () => inputs.filter(input => input.checked).map(input => input.value);
+        return {
+            element,
+            read: () => (type === 'checkbox' ? checked() : (checked()[0] || null)),
+            write: (answer) => inputs.forEach(input => {
+                input.checked = [].concat(answer).includes(input.value);
+            })
+        };
+    }
+
+    /**
+     * Create a row of radio buttons for the points of a rating scale
+     * @param {Object} questionData - Question as described by the engine (with scale)
+     * @param {string} name - Name shared by the inputs
+     * @param {string} label - Accessible name of the row
+     * @returns {Object} Control ({ element, read, write }) holding a rating or null
+     */
+    createRatingRow(questionData, name, label) {
+        const element = this.createElement('div', 'rating');
+        element.setAttribute('role', 'radiogroup');
+        element.setAttribute('aria-label', label);
+
+        const inputs = questionData.scale.points.map((point, index) => {
+            const option = this.createElement('label', 'rating-point');
+            const input = this.createElement('input');
+            input.type = 'radio';
+            input.name = name;
+            input.value = String(point);
+            const pointLabel = questionData.scale.labels[index];
+            if (pointLabel) {
+                option.title = pointLabel;
+                input.setAttribute('aria-label', `${point} – ${pointLabel}`);
+            }
+            option.appendChild(input);
+            option.appendChild(this.createElement('span', null, String(point)));
+            element.appendChild(option);
+            return input;
+        });
+
+        const checked = () => inputs.find(input => input.checked);
+        return {
+            element,
+            read: () => (checked() ? Number(checked().value) : null),
+            write: (rating) => inputs.forEach(input => {
+                input.checked = Number(input.value) === rating;
+            })
+        };
+    }
+
+    /**
+     * Create the answer control of a scale question
+     * @param {Object} questionData - Question as described by the engine
+     * @param {string} name - Name shared by the inputs
+     * @returns {Object} Control ({ element, read, write })
+     */
+    createScale(questionData, name) {
+        const row = this.createRatingRow(questionData, name, questionData.question);
+        const element = this.createElement('div', 'scale');
+        element.appendChild(row.element);
+
+        const { labels } = questionData.scale;
+        if (labels[0] || labels[labels.length - 1]) {
+            const ends = this.createElement('div', 'rating-ends');
+            ends.appendChild(this.createElement('span', null, labels[0] || ''));
+            ends.appendChild(this.createElement('span', null, labels[labels.length - 1] || ''));
+            element.appendChild(ends);
+        }
+        return { ...row, element };
+    }
+
+    /**
+     * Create the answer control of a matrix question: one rating row per statement
+     * @param {Object} questionData - Question as described by the engine
+     * @param {string} name - Prefix of the input names
+     * @returns {Object} Control ({ element, read, write }) holding ratings by row, or null when nothing is rated
+     */
+    createMatrix(questionData, name) {
+        const element = this.createElement('div', 'matrix');
+        const header = this.createElement('div', 'matrix-row matrix-header');
+        header.setAttribute('aria-hidden', 'true');
+        header.appendChild(this.createElement('span'));
+        const points = this.createElement('div', 'rating');
+        questionData.scale.points.forEach((point, index) => {
+            points.appendChild(this.createElement('span', 'rating-point', questionData.scale.labels[index] || String(point)));
+        });
+        header.appendChild(points);
+        element.appendChild(header);
+
+        const rows = questionData.answers.map((row, index) => {
+            const rowElement = this.createElement('div', 'matrix-row');
+            const statement = this.createElement('span', 'matrix-statement', questionData.answerLabels[index]);
+            if (questionData.answerHints && questionData.answerHints[index]) {
+                statement.title = questionData.answerHints[index];
+            }
+            const rating = this.createRatingRow(questionData, `${name}-${row}`, questionData.answerLabels[index]);
+            rowElement.appendChild(statement);
+            rowElement.appendChild(rating.element);
+            element.appendChild(rowElement);
+            return { row, rating };
+        });
+
+        return {
+            element,
+            read: () => {
+                const ratings = {};
+                rows.filter(({ rating }) => rating.read() !== null).forEach(({ row, rating }) => {
+                    ratings[row] = rating.read();
+                });
+                return Object.keys(ratings).length > 0 ? ratings : null;
+            },
+            write: (answer) => rows.forEach(({ row, rating }) => rating.write(answer[row]))
+        };
+    }
+
+    /**
+     * Create the answer field of an input question
+     * @param {Object} questionData - Question as described by the engine
+     * @returns {Object} Control ({ element, read, write })
+     */
+    createInput(questionData) {
+        const { required, min, max, pattern, integer } = questionData.constraints;
+        const input = this.createElement('input', 'answer-input');
+        input.type = questionData.type;
+        input.required = required;
+        input.setAttribute('aria-label', questionData.question);
+
+        if (questionData.type === 'number' || questionData.type === 'date') {
+            if (min !== undefined) input.min = min;
+            if (max !== undefined) input.max = max;
+            if (questionData.type === 'number') input.step = integer ? '1' : 'any';
+        } else {
+            if (min !== undefined) input.minLength = min;
+            if (max !== undefined) input.maxLength = max;
+            if (pattern !== undefined) input.pattern = pattern;
+        }
+        if (!required) {
+            input.placeholder = 'Optional';
+        }
+
+        return {
+            element: input,
+            read: () => input.value,
+            write: (answer) => {
+                input.value = answer === null ? '' : String(answer);
+            }
+        };
+    }
+
+    /**
+     * Add the "prefer not to answer" option to an answer control
+     * Declining clears the answer, and answering clears the decline.
+     * @param {Object} questionData - Question as described by the engine
+     * @param {Object} control - Answer control
+     * @returns {Object} Control holding QuestionnaireEngine.PREFER_NOT_TO_ANSWER while declined
+     */
+    addPreferNotToAnswer(questionData, control) {
+        const element = this.createElement('div');
+        const label = this.createElement('label', 'choice decline');
+        const decline = this.createElement('input');
+        decline.type = 'checkbox';
+        label.appendChild(decline);
+        label.appendChild(this.createElement('span', null, questionData.preferNotToAnswer));
+        element.appendChild(control.element);
+        element.appendChild(label);
+
+        const clear = () => {
+            control.write(questionData.type === 'matrix' ? {} : (questionData.type === 'multi' ? [] : null));
+        };
+        element.addEventListener('change', (e) => {
+            if (e.target === decline && decline.checked) {
+                clear();
+            } else if (e.target !== decline) {
+                decline.checked = false;
+            }
+        });
+        element.addEventListener('input', (e) => {
+            if (e.target !== decline) {
+                decline.checked = false;
+            }
+        });
+
+        return {
+            element,
+            read: () => (decline.checked ? QuestionnaireEngine.PREFER_NOT_TO_ANSWER : control.read()),
+            write: (answer) => {
+                decline.checked = answer === QuestionnaireEngine.PREFER_NOT_TO_ANSWER;
+                if (decline.checked) {
+                    clear();
+                } else {
+                    control.write(answer);
+                }
+            }
+        };
+    }
+
+    /**
+     * Read the answers entered on the current page
+     * @returns {Object} Answers by question ID
+     */
+    readAnswers() {
+        const answers = {};
+        this.controls.forEach((control, questionId) => {
+            answers[questionId] = control.read();
+        });
+        return answers;
+    }
+
+    /**
+     * Record the answers of the current page and show what follows
+     * @param {Object} page - Page as described by the engine
+     */
+    submitPage(page) {
+        const answers = this.readAnswers();
+        const validation = this.engine.validatePage(answers);
+        if (!validation.isValid) {
+            let first = null;
+            this.controls.forEach((control, questionId) => {
+                const message = validation.errors[questionId]
+                    ? QuestionnaireElement.describeError(validation.errors[questionId], answers[questionId])
+                    : '';
+                control.error.textContent = message;
+                if (message && !first) {
+                    first = control.element.querySelector('input') || control.element;
+                }
+            });
+            if (first) {
+                first.focus();
+            }
+            return;
+        }
+
+        if (this.engine.isAnswered(page.questions[0].key)) {
+            this.engine.editPage(answers);
+        } else {
+            this.engine.answerPage(answers);
+        }
+        this.render({}, true);
+    }
+
+    /**
+     * Go back to the previous page
+     */
+    goBack() {
+        if (this.allowBack && this.engine.goBack()) {
+            this.render({}, true);
+        }
+    }
+
+    /**
+     * Build the screen shown once the questionnaire has ended
+     * @returns {HTMLElement} End screen: the outcome and score when complete, the reason when screened out
+     */
+    renderEnd() {
+        const end = this.createElement('div', 'end');
+        end.setAttribute('part', 'end');
+        const screenOut = this.engine.getScreenOut();
+
+        if (screenOut) {
+            end.classList.add('screened-out');
+            end.appendChild(this.createElement('h2', null, 'Thank you for your time!'));
+            end.appendChild(this.createElement('p', null, screenOut.message || QuestionnaireEligibility.DEFAULT_MESSAGES[screenOut.type]));
+            return end;
+        }
+
+        const outcome = this.engine.getOutcome();
+        end.appendChild(this.createElement('h2', null, outcome ? this.engine.translate(outcome.title) : 'Thank you!'));
+        if (outcome && outcome.description) {
+            end.appendChild(this.createElement('p', null, this.engine.translate(outcome.description)));
+        }
+        if (QuestionnaireScoring.isScored(this.engine.config)) {
+            end.appendChild(this.createElement('p', 'score', `Your score: ${this.engine.getScore()}`));
+        }
+        return end;
+    }
+
+    /**
+     * Create an element of the shadow tree
+     * @param {string} tag - Tag name
+     * @param {string|null} className - Class names
+     * @param {string} text - Text content
+     * @returns {HTMLElement} Element
+     */
+    createElement(tag, className = null, text = undefined) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    /**
+     * Word an answer error of the engine for the respondent
+     * @param {string} message - Error of QuestionnaireEngine.validatePage
+     * @param {*} answer - Answer it refers to
+     * @returns {string} Message without the question ID
+     */
+    static describeError(message, answer) {
+        if (answer === null || answer === '' || (Array.isArray(answer) && answer.length === 0)) {
+            return 'Please answer this question.';
+        }
+        const text = message.replace(/^Question "[^"]*" (?:is )?/, '');
+        return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+    }
+
+    /**
+     * Load the modules the engine needs, once per page, from the directory of this script
+     * @returns {Promise} Resolves once every module is available
+     */
+    static loadDependencies() {
+        if (!QuestionnaireElement.dependencies) {
+            QuestionnaireElement.dependencies = QuestionnaireElement.DEPENDENCIES
+                .filter(([, isLoaded]) => !isLoaded())
+                .reduce((previous, [file]) => previous.then(() => new Promise((resolve, reject) => {
+                    const script = document.createElement('script');
+                    script.src = new URL(file, QuestionnaireElement.BASE_URL).href;
+                    script.async = false;
+                    script.onload = () => resolve();
+                    script.onerror = () => reject(new Error(`Failed to load ${script.src}`));
+                    document.head.appendChild(script);
+                })), Promise.resolve());
+        }
+        return QuestionnaireElement.dependencies;
+    }
+}
+
+QuestionnaireElement.TAG_NAME = 'sg-questionnaire';
+QuestionnaireElement.INPUT_TYPES = ['text', 'number', 'date', 'email'];
+// Engine events and the DOM events they are dispatched as
+QuestionnaireElement.EVENTS = {
+    questionShown: 'sg-question',
+    answered: 'sg-answer',
+    completed: 'sg-complete',
+    screenedOut: 'sg-screenout'
+};
+// Modules in load order, with a check whether the page already has them
+QuestionnaireElement.DEPENDENCIES = [
+    ['questionnaire-question-types.js', () => typeof QuestionTypes !== 'undefined'],
+    ['questionnaire-i18n.js', () => typeof QuestionnaireI18n !== 'undefined'],
+    ['questionnaire-expressions.js', () => typeof QuestionnaireExpressions !== 'undefined'],
+    ['questionnaire-scoring.js', () => typeof QuestionnaireScoring !== 'undefined'],
+    ['questionnaire-templates.js', () => typeof QuestionnaireTemplates !== 'undefined'],
+    ['questionnaire-content.js', () => typeof QuestionnaireContent !== 'undefined'],
+    ['questionnaire-groups.js', () => typeof QuestionnaireGroups !== 'undefined'],
+    ['questionnaire-pages.js', () => typeof QuestionnairePages !== 'undefined'],
+    ['questionnaire-randomization.js', () => typeof QuestionnaireRandomization !== 'undefined'],
+    ['questionnaire-eligibility.js', () => typeof QuestionnaireEligibility !== 'undefined'],
+    ['questionnaire-submission.js', () => typeof QuestionnaireSubmission !== 'undefined'],
+    ['questionnaire-engine.js', () => typeof QuestionnaireEngine !== 'undefined']
+];
+QuestionnaireElement.BASE_URL = document.currentScript && document.currentScript.src ? document.currentScript.src : document.baseURI;
+QuestionnaireElement.dependencies = null;
+QuestionnaireElement.nextId = 1;
+
+// Colors are custom properties, so pages can restyle the questionnaire without reaching into the shadow tree
+QuestionnaireElement.STYLES = `
+    :host {
+        --sg-primary: #2563eb;
+        --sg-primary-text: #ffffff;
+        --sg-text: #111827;
+        --sg-muted: #6b7280;
+        --sg-background: #ffffff;
+        --sg-surface: #f9fafb;
+        --sg-border: #e5e7eb;
+        --sg-error: #ef4444;
+        --sg-radius: 0.75rem;
+        display: block;
+        font-family: inherit;
+        color: var(--sg-text);
+    }
+    :host([theme="dark"]) {
+        --sg-primary: #60a5fa;
+        --sg-primary-text: #0b1120;
+        --sg-text: #f3f4f6;
+        --sg-muted: #9ca3af;
+        --sg-background: #111827;
+        --sg-surface: #1f2937;
+        --sg-border: #374151;
+        --sg-error: #f87171;
+    }
+    :host([hidden]) { display: none; }
+    .questionnaire {
+        background: var(--sg-background);
+        border: 1px solid var(--sg-border);
+        border-radius: var(--sg-radius);
+        padding: 1.5rem;
+    }
+    .progress { height: 0.375rem; background: var(--sg-surface); border-radius: 999px; overflow: hidden; margin-bottom: 1.5rem; }
+    .progress-fill { height: 100%; background: var(--sg-primary); transition: width 0.3s ease; }
+    .page-title, .end h2 { font-size: 1.25rem; margin: 0 0 1rem; }
+    .iteration { color: var(--sg-muted); font-size: 0.875rem; margin-bottom: 0.75rem; }
+    .question { border: none; margin: 0 0 1.5rem; padding: 0; min-width: 0; }
+    .question-text { font-weight: 600; font-size: 1.05rem; margin-bottom: 0.75rem; padding: 0; }
+    .question-image { display: block; max-width: 100%; max-height: 16rem; border-radius: var(--sg-radius); margin-bottom: 0.75rem; }
+    .description, .help { color: var(--sg-muted); margin-bottom: 0.75rem; }
+    .description p, .help p { margin: 0 0 0.5rem; }
+    .description a, .help a { color: var(--sg-primary); }
+    .help summary { cursor: pointer; }
+    .choices { display: grid; gap: 0.5rem; }
+    .choice {
+        display: flex; align-items: center; gap: 0.625rem; padding: 0.75rem 1rem; cursor: pointer;
+        background: var(--sg-surface); border: 1px solid var(--sg-border); border-radius: var(--sg-radius);
+    }
+    .choice:has(input:checked) { border-color: var(--sg-primary); }
+    .choice:focus-within, .rating-point:focus-within { outline: 2px solid var(--sg-primary); outline-offset: 2px; }
+    .decline { margin-top: 0.5rem; color: var(--sg-muted); }
+    .answer-input {
+        width: 100%; box-sizing: border-box; padding: 0.75rem 1rem; font: inherit; color: inherit;
+        background: var(--sg-surface); border: 1px solid var(--sg-border); border-radius: var(--sg-radius);
+    }
+    .rating { display: flex; gap: 0.375rem; flex-wrap: wrap; }
+    .rating-point {
+        flex: 1; min-width: 2.25rem; display: flex; flex-direction: column; align-items: center; padding: 0.5rem 0.25rem;
+        background: var(--sg-surface); border: 1px solid var(--sg-border); border-radius: var(--sg-radius); cursor: pointer;
+    }
+    .rating-point input { margin: 0 0 0.25rem; }
+    .rating-ends { display: flex; justify-content: space-between; color: var(--sg-muted); font-size: 0.875rem; margin-top: 0.375rem; }
+    .matrix { display: grid; gap: 0.5rem; }
+    .matrix-row { display: grid; grid-template-columns: minmax(8rem, 1fr) 2fr; gap: 0.75rem; align-items: center; }
+    .matrix-header .rating-point { background: none; border: none; color: var(--sg-muted); font-size: 0.75rem; cursor: default; }
+    .question-error, .error { color: var(--sg-error); font-size: 0.875rem; margin-top: 0.375rem; }
+    .question-error:empty { display: none; }
+    .navigation { display: flex; justify-content: space-between; gap: 0.75rem; }
+    .navigation button {
+        padding: 0.75rem 1.5rem; font: inherit; font-weight: 600; cursor: pointer; border-radius: var(--sg-radius);
+        border: 1px solid var(--sg-primary); background: transparent; color: var(--sg-primary);
+    }
+    .navigation .next { margin-left: auto; background: var(--sg-primary); color: var(--sg-primary-text); }
+    .end { text-align: center; }
+    .end p { color: var(--sg-muted); }
+    .end .score { font-weight: 600; color: var(--sg-text); }
+    @media (max-width: 480px) {
+        .questionnaire { padding: 1rem; }
+        .matrix-row { grid-template-columns: 1fr; gap: 0.375rem; }
+    }
+`;
+
+if (typeof customElements !== 'undefined' && !customElements.get(QuestionnaireElement.TAG_NAME)) {
+    customElements.define(QuestionnaireElement.TAG_NAME, QuestionnaireElement);
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireElement = QuestionnaireElement;
+}
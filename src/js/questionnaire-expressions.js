@@ -0,0 +1,385 @@
+// Questionnaire Expressions - Small, safe expression language for conditional routing
+//
+// Examples:
+//   q1 == 'Married' and q5 == 'Yes'
+//   q_age >= 18 or not answered(q_age)
+//   q10 contains 'More romance'
+//   q1 in ['Single', 'Divorced']
+//   average(q9) < 3 or rating(q9, 'communication') <= 2
+//
+// Expressions are parsed into a syntax tree and interpreted; nothing is ever passed to eval().
+const QuestionnaireExpressions = (() => {
+    'use strict';
+
+    const KEYWORDS = {
+        and: 'and',
+        or: 'or',
+        not: 'not',
+        in: 'in',
+        contains: 'contains',
+        true: true,
+        false: false,
+        null: null
+    };
+
+    const SYMBOLS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', ','];
+
+    const FUNCTIONS = {
+        answered: (value) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0),
+        count: (value) => (Array.isArray(value) ? value.length : (value === null || value === undefined ? 0 : 1)),
+        lower: (value) => (typeof value === 'string' ? value.toLowerCase() : value),
+        number: (value) => {
+            const number = Number(value);
+            return value === null || value === '' || Number.isNaN(number) ? null : number;
+        },
+        // Mean of a list of numbers or of the ratings of a matrix answer
+        average: (value) => {
+            const values = Array.isArray(value) ? value : (value && typeof value === 'object' ? Object.values(value) : []);
+            const numbers = values.filter(item => typeof item === 'number');
+            return numbers.length > 0 ? numbers.reduce((total, item) => total + item, 0) / numbers.length : null;
+        },
+        rating: (value, row) => (value && typeof value === 'object' && !Array.isArray(value)
+            && Object.prototype.hasOwnProperty.call(value, row) ? value[row] : null)
+    };
+
+    const cache = new Map();
+
+    class ExpressionError extends Error {
+        constructor(message, position) {
+            super(position !== undefined ? `${message} at position ${position + 1}` : message);
+            this.name = 'ExpressionError';
+            this.position = position;
+        }
+    }
+
+    /**
+     * Split an expression into tokens
+     * @param {string} source - Expression source
+     * @returns {Array} Tokens ({ type, value, position })
+     */
+    const tokenize = (source) => {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+                const match = /^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?/.exec(source.slice(i));
+                tokens.push({ type: 'literal', value: Number(match[0]), position: i });
+                i += match[0].length;
+                continue;
+            }
+
+            if (char === '"' || char === "'") {
+                let value = '';
+                let j = i + 1;
+                while (j < source.length && source[j] !== char) {
+                    if (source[j] === '\\' && j + 1 < source.length) {
+                        j++;
+                    }
+                    value += source[j];
+                    j++;
+                }
+                if (j >= source.length) {
+                    throw new ExpressionError('Unterminated string', i);
+                }
+                tokens.push({ type: 'literal', value, position: i });
+                i = j + 1;
+                continue;
+            }
+
+            if (/[A-Za-z_]/.test(char)) {
+                const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i))[0];
+                if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+                    const keyword = KEYWORDS[word];
+                    tokens.push(typeof keyword === 'string'
+                        ? { type: 'operator', value: keyword, position: i }
+                        : { type: 'literal', value: keyword, position: i });
+                } else {
+                    tokens.push({ type: 'identifier', value: word, position: i });
+                }
+                i += word.length;
+                continue;
+            }
+
+            const symbol = SYMBOLS.find(candidate => source.startsWith(candidate, i));
+            if (!symbol) {
+                throw new ExpressionError(`Unexpected character "${char}"`, i);
+            }
+
+            // Normalize C-style spellings to the keyword operators
+            const aliases = { '&&': 'and', '||': 'or', '!': 'not' };
+            tokens.push({ type: 'operator', value: aliases[symbol] || symbol, position: i });
+            i += symbol.length;
+        }
+
+        tokens.push({ type: 'end', value: null, position: source.length });
+        return tokens;
+    };
+
+    /**
+     * Parse an expression into a syntax tree
+     * @param {string} source - Expression source
+     * @returns {Object} Syntax tree
+     */
+    const parse = (source) => {
+        if (typeof source !== 'string' || source.trim() === '') {
+            throw new ExpressionError('Expression must be a non-empty string');
+        }
+
+        const tokens = tokenize(source);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+        const next = () => tokens[index++];
+        const expect = (value) => {
+            if (!isOperator(value)) {
+                throw new ExpressionError(`Expected "${value}"`, peek().position);
+            }
+            return next();
+        };
+
+        const binary = (parseOperand, operators) => () => {
+            let left = parseOperand();
+            while (isOperator(...operators)) {
+                const operator = next().value;
+                left = { type: 'binary', operator, left, right: parseOperand() };
+            }
+            return left;
+        };
+
+        let parseOr;
+
+        const parsePrimary = () => {
+            const token = next();
+
+            if (token.type === 'literal') {
+                return { type: 'literal', value: token.value };
+            }
+
+            if (token.type === 'identifier') {
+                if (isOperator('(')) {
+                    if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                        throw new ExpressionError(`Unknown function "${token.value}"`, token.position);
+                    }
+                    next();
+                    const args = [];
+                    if (!isOperator(')')) {
+                        do {
+                            args.push(parseOr());
+                        } while (isOperator(',') && next());
+                    }
+                    expect(')');
+                    return { type: 'call', name: token.value, args };
+                }
+                return { type: 'identifier', name: token.value };
+            }
+
+            if (token.type === 'operator' && token.value === '(') {
+                const expression = parseOr();
+                expect(')');
+                return expression;
+            }
+
+            if (token.type === 'operator' && token.value === '[') {
+                const items = [];
+                if (!isOperator(']')) {
+                    do {
+                        items.push(parseOr());
+                    } while (isOperator(',') && next());
+                }
+                expect(']');
+                return { type: 'list', items };
+            }
+
+            throw new ExpressionError(
+                token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`,
+                token.position
+            );
+        };
+
+        const parseUnary = () => {
+            if (isOperator('-')) {
+                next();
+                return { type: 'unary', operator: '-', argument: parseUnary() };
+            }
+            return parsePrimary();
+        };
+
+        const parseMultiplicative = binary(parseUnary, ['*', '/', '%']);
+        const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+
+        const parseComparison = () => {
+            const left = parseAdditive();
+            if (isOperator('==', '!=', '<', '<=', '>', '>=', 'in', 'contains')) {
+                const operator = next().value;
+                return { type: 'binary', operator, left, right: parseAdditive() };
+            }
+            return left;
+        };
+
+        // "not" binds looser than comparisons: not q1 == 'Yes' means not (q1 == 'Yes')
+        const parseNot = () => {
+            if (isOperator('not')) {
+                next();
+                return { type: 'unary', operator: 'not', argument: parseNot() };
+            }
+            return parseComparison();
+        };
+
+        const parseAnd = binary(parseNot, ['and']);
+        parseOr = binary(parseAnd, ['or']);
+
+        const tree = parseOr();
+        if (peek().type !== 'end') {
+            throw new ExpressionError(`Unexpected "${peek().value}"`, peek().position);
+        }
+        return tree;
+    };
+
+    /**
+     * Parse an expression, reusing earlier results for the same source
+     * @param {string} source - Expression source
+     * @returns {Object} Syntax tree
+     */
+    const compile = (source) => {
+        if (!cache.has(source)) {
+            cache.set(source, parse(source));
+        }
+        return cache.get(source);
+    };
+
+    const isEqual = (a, b) => {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+        }
+        return a === b;
+    };
+
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    // Ordering is defined between two numbers or two strings (ISO dates compare correctly as strings)
+    const compare = (left, right, predicate) => {
+        const comparable = (isNumber(left) && isNumber(right)) || (typeof left === 'string' && typeof right === 'string');
+        return comparable && predicate(left, right);
+    };
+
+    /**
+     * Evaluate a syntax tree
+     * Missing values are null; type mismatches make comparisons false and arithmetic null.
+     * @param {Object} node - Syntax tree
+     * @param {Object} scope - Values by identifier (answers by question ID)
+     * @returns {*} Result value
+     */
+    const evaluate = (node, scope) => {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'identifier':
+                return Object.prototype.hasOwnProperty.call(scope, node.name) && scope[node.name] !== undefined
+                    ? scope[node.name]
+                    : null;
+            case 'list':
+                return node.items.map(item => evaluate(item, scope));
+            case 'call':
+                return FUNCTIONS[node.name](...node.args.map(arg => evaluate(arg, scope)));
+            case 'unary': {
+                const value = evaluate(node.argument, scope);
+                if (node.operator === 'not') return !value;
+                return isNumber(value) ? -value : null;
+            }
+            case 'binary':
+                return evaluateBinary(node, scope);
+            default:
+                throw new ExpressionError(`Unknown node type "${node.type}"`);
+        }
+    };
+
+    const evaluateBinary = (node, scope) => {
+        if (node.operator === 'and') {
+            return Boolean(evaluate(node.left, scope)) && Boolean(evaluate(node.right, scope));
+        }
+        if (node.operator === 'or') {
+            return Boolean(evaluate(node.left, scope)) || Boolean(evaluate(node.right, scope));
+        }
+
+        const left = evaluate(node.left, scope);
+        const right = evaluate(node.right, scope);
+
+        switch (node.operator) {
+            case '==': return isEqual(left, right);
+            case '!=': return !isEqual(left, right);
+            case '<': return compare(left, right, (a, b) => a < b);
+            case '<=': return compare(left, right, (a, b) => a <= b);
+            case '>': return compare(left, right, (a, b) => a > b);
+            case '>=': return compare(left, right, (a, b) => a >= b);
+            case 'in': return Array.isArray(right) && right.some(item => isEqual(item, left));
+            case 'contains':
+                if (Array.isArray(left)) return left.some(item => isEqual(item, right));
+                return typeof left === 'string' && typeof right === 'string' && left.includes(right);
+            case '+':
+                if (isNumber(left) && isNumber(right)) return left + right;
+                return typeof left === 'string' || typeof right === 'string' ? `${left ?? ''}${right ?? ''}` : null;
+            case '-': return isNumber(left) && isNumber(right) ? left - right : null;
+            case '*': return isNumber(left) && isNumber(right) ? left * right : null;
+            case '/': return isNumber(left) && isNumber(right) && right !== 0 ? left / right : null;
+            case '%': return isNumber(left) && isNumber(right) && right !== 0 ? left % right : null;
+            default:
+                throw new ExpressionError(`Unknown operator "${node.operator}"`);
+        }
+    };
+
+    /**
+     * Collect the identifiers an expression reads
+     * @param {Object} node - Syntax tree
+     * @returns {string[]} Unique identifier names
+     */
+    const getReferences = (node) => {
+        const names = new Set();
+        const visit = (current) => {
+            switch (current.type) {
+                case 'identifier': names.add(current.name); break;
+                case 'list': current.items.forEach(visit); break;
+                case 'call': current.args.forEach(visit); break;
+                case 'unary': visit(current.argument); break;
+                case 'binary': visit(current.left); visit(current.right); break;
+                default: break;
+            }
+        };
+        visit(node);
+        return Array.from(names);
+    };
+
+    /**
+     * Compile and evaluate an expression as a condition
+     * @param {string} source - Expression source
+     * @param {Object} scope - Values by identifier
+     * @returns {boolean} Truthiness of the result
+     */
+    const test = (source, scope) => {
+        return Boolean(evaluate(compile(source), scope));
+    };
+
+    // Public API
+    return {
+        ExpressionError,
+        FUNCTION_NAMES: Object.keys(FUNCTIONS),
+        parse,
+        compile,
+        evaluate,
+        getReferences,
+        test
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireExpressions = QuestionnaireExpressions;
+}
@@ -0,0 +1,734 @@
+// Questionnaire Formats - YAML and outline authoring formats, converted to and from the JSON configuration
+//
+// YAML (block mappings and lists, [flow] and {flow} collections, quoted and plain scalars, | and > block
+// scalars and # comments; anchors, aliases, tags and multiple documents are not supported):
+//   startQuestion: q1
+//   questions:
+//     q1:
+//       question: What is your marital status?
+//       answers: { Single: q2, Married: null }
+//
+// Outline (single-choice questions with answer routing):
+//   ? [q1] What is your marital status?
+//     - Single -> q2
+//     - Married -> end
+//   ? [q2] Are you planning on getting married next year?
+//     - Yes
+//     - No
+//
+// The first question of an outline is the start question. "[id]" may be left out (the question is then
+// q1, q2, ... by position), an answer without "->" leads to the next question or, on the last question,
+// ends the questionnaire like "-> end", and lines starting with "#" are comments. Answers cannot contain "->".
+const QuestionnaireFormats = (() => {
+    'use strict';
+
+    // Format names by format ID
+    const FORMATS = Object.freeze({ json: 'JSON', yaml: 'YAML', outline: 'Outline' });
+
+    const NUMBER_PATTERN = /^[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?$/;
+    // Plain scalars other YAML parsers read as booleans (YAML 1.1); always written quoted
+    const YAML_11_BOOLEANS = /^(?:y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/;
+    const PLAIN_KEY = /^((?:[^\s'"[\]{}#&*!|>%@`,?:-]|[?:-](?=\S))(?:[^:\s]|:(?=\S)|\s+(?=[^\s#:]))*)\s*:(?:\s+|$)/;
+    const JSON_LOCATION = /\s*(?:in JSON )?at position \d+|\s*\(line \d+ column \d+\)|\s*at line \d+ column \d+ of the JSON data/g;
+    const OUTLINE_ID = /^[A-Za-z_][\w-]*$/;
+    const OUTLINE_END = 'end';
+
+    class FormatError extends Error {
+        constructor(message, line) {
+            super(line !== undefined ? `${message} on line ${line}` : message);
+            this.name = 'FormatError';
+            this.line = line;
+        }
+    }
+
+    /**
+     * Set a property, including names such as "__proto__", as JSON.parse does
+     * @param {Object} object - Object to change
+     * @param {string} key - Property name
+     * @param {*} value - Property value
+     */
+    const setEntry = (object, key, value) => {
+        Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+    };
+
+    /**
+     * Parse JSON, reporting the line of a syntax error
+     * @param {string} text - JSON text
+     * @returns {*} Parsed value
+     * @throws {FormatError} If the text is not valid JSON
+     */
+    const parseJson = (text) => {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            const lineMatch = error.message.match(/line (\d+)/);
+            const positionMatch = error.message.match(/position (\d+)/);
+            let line;
+            if (lineMatch) {
+                line = Number(lineMatch[1]);
+            } else if (positionMatch) {
+                line = text.slice(0, Number(positionMatch[1])).split('\n').length;
+            } else if (/end of/i.test(error.message)) {
+                line = text.split('\n').length;
+            }
+            throw new FormatError(error.message.replace(JSON_LOCATION, ''), line);
+        }
+    };
+
+    /**
+     * Read a plain (unquoted) YAML scalar
+     * @param {string} text - Scalar without surrounding whitespace
+     * @returns {*} null, boolean, number or string
+     */
+    const parsePlainScalar = (text) => {
+        if (text === '' || /^(?:null|Null|NULL|~)$/.test(text)) {
+            return null;
+        }
+        if (/^(?:true|True|TRUE)$/.test(text)) {
+            return true;
+        }
+        if (/^(?:false|False|FALSE)$/.test(text)) {
+            return false;
+        }
+        return NUMBER_PATTERN.test(text) ? Number(text) : text;
+    };
+
+    /**
+     * Read a single- or double-quoted YAML scalar
+     * @param {string} text - Line
+     * @param {number} start - Position of the opening quote
+     * @param {number} line - Line number, for errors
+     * @returns {Object} { value, end } (end is the position after the closing quote)
+     * @throws {FormatError} If the string is not closed on the line or has an invalid escape
+     */
+    const readQuoted = (text, start, line) => {
+        if (text[start] === "'") {
+            let value = '';
+            for (let i = start + 1; i < text.length; i++) {
+                if (text[i] === "'") {
+                    if (text[i + 1] !== "'") {
+                        return { value, end: i + 1 };
+                    }
+                    i++;
+                }
+                value += text[i];
+            }
+        } else {
+            for (let i = start + 1; i < text.length; i++) {
+                if (text[i] === '\\') {
+                    i++;
+                } else if (text[i] === '"') {
+                    try {
+                        return { value: JSON.parse(text.slice(start, i + 1)), end: i + 1 };
+                    } catch (error) {
+                        throw new FormatError('Invalid escape sequence in string', line);
+                    }
+                }
+            }
+        }
+        throw new FormatError('Unterminated string', line);
+    };
+
+    /**
+     * Fold the lines of a ">" block scalar: lines are joined with spaces, empty lines become line breaks
+     * @param {string[]} lines - Content lines
+     * @returns {string} Folded text
+     */
+    const foldLines = (lines) => lines.reduce((text, current, i) => {
+        if (i === 0 || current === '') {
+            return i === 0 ? current : `${text}\n`;
+        }
+        return lines[i - 1] === '' ? text + current : `${text} ${current}`;
+    }, '');
+
+    /**
+     * Parse YAML
+     * @param {string} text - YAML text
+     * @returns {*} Parsed value (null for an empty document)
+     * @throws {FormatError} If the text is not valid YAML or uses unsupported features
+     */
+    const parseYaml = (text) => {
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        let index = 0;
+        // A "---" marker may open the document
+        const documentStart = lines.findIndex(line => !/^\s*(?:#.*)?$/.test(line));
+
+        // Next line that is not blank or a comment, with its indentation; null at the end
+        const peek = () => {
+            while (index < lines.length && /^\s*(?:#.*)?$/.test(lines[index])) {
+                index++;
+            }
+            if (index >= lines.length) {
+                return null;
+            }
+            const indentation = lines[index].match(/^[ \t]*/)[0];
+            if (indentation.includes('\t')) {
+                throw new FormatError('Tabs cannot be used for indentation', index + 1);
+            }
+            if (index > documentStart && /^(?:---|\.\.\.)(?:\s|$)/.test(lines[index])) {
+                throw new FormatError('Multiple documents are not supported', index + 1);
+            }
+            return { indent: indentation.length, text: lines[index].slice(indentation.length), line: index + 1 };
+        };
+
+        const isSequenceItem = (content) => /^-(?:\s|$)/.test(content);
+
+        // Split "key: value" into the key and the rest of the line ("" when the value follows on the next lines)
+        const matchKey = (content, line) => {
+            let key;
+            let rest;
+            if (content[0] === '"' || content[0] === "'") {
+                const quoted = readQuoted(content, 0, line);
+                const separator = content.slice(quoted.end).match(/^\s*:(?:\s+|$)/);
+                if (!separator) {
+                    return null;
+                }
+                key = quoted.value;
+                rest = content.slice(quoted.end + separator[0].length);
+            } else {
+                const match = content.match(PLAIN_KEY);
+                if (!match) {
+                    return null;
+                }
+                key = match[1];
+                rest = content.slice(match[0].length);
+            }
+            return { key, rest: rest.startsWith('#') ? '' : rest };
+        };
+
+        const parseBlockScalar = (header, line, parentIndent) => {
+            const match = header.match(/^([|>])([-+]?)\s*(?:#.*)?$/);
+            if (!match) {
+                throw new FormatError('Invalid block scalar header', line);
+            }
+
+            const content = [];
+            let contentIndent = null;
+            while (index < lines.length) {
+                const raw = lines[index];
+                if (raw.trim() === '') {
+                    content.push('');
+                    index++;
+                    continue;
+                }
+                const indent = raw.match(/^ */)[0].length;
+                if (indent <= parentIndent) {
+                    break;
+                }
+                if (contentIndent === null) {
+                    contentIndent = indent;
+                } else if (indent < contentIndent) {
+                    throw new FormatError('Unexpected indentation', index + 1);
+                }
+                content.push(raw.slice(contentIndent));
+                index++;
+            }
+
+            let trailing = 0;
+            while (content.length > 0 && content[content.length - 1] === '') {
+                content.pop();
+                trailing++;
+            }
+            const value = match[1] === '|' ? content.join('\n') : foldLines(content);
+            if (match[2] === '-' || content.length === 0) {
+                return value;
+            }
+            return match[2] === '+' ? value + '\n'.repeat(trailing + 1) : `${value}\n`;
+        };
+
+        // Flow collections may continue on the following lines until they are closed
+        const parseFlow = (content, line) => {
+            const state = { text: content, pos: 0, line };
+            const current = () => state.text[state.pos];
+            const skipSpace = () => {
+                for (;;) {
+                    while (state.pos < state.text.length && /\s/.test(current())) {
+                        state.pos++;
+                    }
+                    if (current() === '#') {
+                        state.pos = state.text.length;
+                    }
+                    if (state.pos < state.text.length) {
+                        return;
+                    }
+                    if (index >= lines.length) {
+                        throw new FormatError('Unclosed flow collection', line);
+                    }
+                    state.text = lines[index];
+                    state.pos = 0;
+                    state.line = ++index;
+                }
+            };
+            const readScalar = () => {
+                if (current() === '"' || current() === "'") {
+                    const quoted = readQuoted(state.text, state.pos, state.line);
+                    state.pos = quoted.end;
+                    return quoted.value;
+                }
+
+                const start = state.pos;
+                let end = start;
+                while (state.pos < state.text.length) {
+                    const char = current();
+                    if (',[]{}'.includes(char)
+                        || (char === ':' && /[\s,[\]{}]/.test(state.text[state.pos + 1] || ' '))
+                        || (char === '#' && /\s/.test(state.text[state.pos - 1]))) {
+                        break;
+                    }
+                    state.pos++;
+                    if (!/\s/.test(char)) {
+                        end = state.pos;
+                    }
+                }
+                state.pos = end;
+                if (end === start) {
+                    throw new FormatError(`Unexpected "${current() || 'end of line'}"`, state.line);
+                }
+                const scalar = state.text.slice(start, end);
+                if (/^[&*!]/.test(scalar)) {
+                    throw new FormatError('Anchors, aliases and tags are not supported', state.line);
+                }
+                return parsePlainScalar(scalar);
+            };
+            const expectSeparator = (closing) => {
+                skipSpace();
+                if (current() === ',') {
+                    state.pos++;
+                } else if (current() !== closing) {
+                    throw new FormatError(`Expected "," or "${closing}"`, state.line);
+                }
+            };
+            const parseItem = () => {
+                skipSpace();
+                if (current() === '[') {
+                    state.pos++;
+                    const items = [];
+                    for (skipSpace(); current() !== ']'; skipSpace()) {
+                        items.push(parseItem());
+                        expectSeparator(']');
+                    }
+                    state.pos++;
+                    return items;
+                }
+                if (current() === '{') {
+                    state.pos++;
+                    const mapping = {};
+                    for (skipSpace(); current() !== '}'; skipSpace()) {
+                        const keyLine = state.line;
+                        const key = readScalar();
+                        skipSpace();
+                        if (current() !== ':') {
+                            throw new FormatError('Expected ":" after mapping key', state.line);
+                        }
+                        state.pos++;
+                        if (Object.prototype.hasOwnProperty.call(mapping, String(key))) {
+                            throw new FormatError(`Duplicate key "${key}"`, keyLine);
+                        }
+                        skipSpace();
+                        setEntry(mapping, String(key), ',}'.includes(current()) ? null : parseItem());
+                        expectSeparator('}');
+                    }
+                    state.pos++;
+                    return mapping;
+                }
+                return readScalar();
+            };
+
+            const value = parseItem();
+            if (!/^\s*(?:#.*)?$/.test(state.text.slice(state.pos))) {
+                throw new FormatError('Unexpected text after flow collection', state.line);
+            }
+            return value;
+        };
+
+        // Value written after "key:" or "- " on a line that has been consumed
+        const parseValue = (content, line, parentIndent) => {
+            if (/^[&*!]/.test(content)) {
+                throw new FormatError('Anchors, aliases and tags are not supported', line);
+            }
+            if (content[0] === '|' || content[0] === '>') {
+                return parseBlockScalar(content, line, parentIndent);
+            }
+            if (content[0] === '[' || content[0] === '{') {
+                return parseFlow(content, line);
+            }
+            if (content[0] === '"' || content[0] === "'") {
+                const quoted = readQuoted(content, 0, line);
+                if (!/^\s*(?:#.*)?$/.test(content.slice(quoted.end))) {
+                    throw new FormatError('Unexpected text after string', line);
+                }
+                return quoted.value;
+            }
+            return parsePlainScalar(content.replace(/(?:^|\s+)#.*$/, '').trim());
+        };
+
+        let parseBlock;
+
+        const parseSequence = (indent) => {
+            const items = [];
+            let next;
+            while ((next = peek()) && next.indent === indent && isSequenceItem(next.text)) {
+                const rest = next.text.slice(1);
+                const content = rest.trimStart();
+                if (content === '' || content.startsWith('#')) {
+                    index++;
+                    items.push(parseNested(indent, false));
+                } else {
+                    // Parse the item as if its content started the line, so "- key: value" opens a mapping
+                    const itemIndent = indent + 1 + rest.length - content.length;
+                    lines[index] = ' '.repeat(itemIndent) + content;
+                    items.push(parseBlock(itemIndent, indent));
+                }
+            }
+            return items;
+        };
+
+        const parseMapping = (indent) => {
+            const mapping = {};
+            let next;
+            while ((next = peek()) && next.indent === indent) {
+                const entry = matchKey(next.text, next.line);
+                if (!entry) {
+                    throw new FormatError('Expected "key: value"', next.line);
+                }
+                if (Object.prototype.hasOwnProperty.call(mapping, entry.key)) {
+                    throw new FormatError(`Duplicate key "${entry.key}"`, next.line);
+                }
+                index++;
+                setEntry(mapping, entry.key, entry.rest === '' ? parseNested(indent, true) : parseValue(entry.rest, next.line, indent));
+            }
+            return mapping;
+        };
+
+        // Value on the lines after "key:" or "-"; a list may start at the indentation of its key
+        const parseNested = (parentIndent, allowSequence) => {
+            const next = peek();
+            if (next && next.indent > parentIndent) {
+                return parseBlock(next.indent, parentIndent);
+            }
+            if (next && allowSequence && next.indent === parentIndent && isSequenceItem(next.text)) {
+                return parseSequence(parentIndent);
+            }
+            return null;
+        };
+
+        parseBlock = (indent, parentIndent) => {
+            const next = peek();
+            if (isSequenceItem(next.text)) {
+                return parseSequence(indent);
+            }
+            if (matchKey(next.text, next.line)) {
+                return parseMapping(indent);
+            }
+            index++;
+            return parseValue(next.text, next.line, parentIndent);
+        };
+
+        if (documentStart !== -1 && /^---(?:\s|$)/.test(lines[documentStart])) {
+            const content = lines[documentStart].slice(3).trim();
+            lines[documentStart] = content.startsWith('#') ? '' : content;
+        }
+        const start = peek();
+        if (!start) {
+            return null;
+        }
+
+        const root = parseBlock(start.indent, -1);
+        const rest = peek();
+        if (rest) {
+            throw new FormatError(rest.indent > start.indent ? 'Unexpected indentation' : 'Unexpected content', rest.line);
+        }
+        return root;
+    };
+
+    /**
+     * Check whether a string can be written as a plain YAML scalar and read back unchanged
+     * @param {string} text - String
+     * @returns {boolean} True if no quotes are needed
+     */
+    const isPlainSafe = (text) => text !== ''
+        && !/^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(text)
+        && !/[\s:]$/.test(text)
+        && !/:\s|\s#|[\n\r\t]/.test(text)
+        && !YAML_11_BOOLEANS.test(text)
+        && parsePlainScalar(text) === text;
+
+    const writeYamlKey = (key) => {
+        const match = `${key}: x`.match(PLAIN_KEY);
+        return isPlainSafe(key) && match && match[1] === key ? key : JSON.stringify(key);
+    };
+
+    /**
+     * Write a scalar or an empty collection
+     * @param {*} value - Value
+     * @param {number} indent - Indentation of the lines of a multi-line string
+     * @returns {string} YAML text
+     */
+    const writeYamlScalar = (value, indent) => {
+        if (Array.isArray(value)) {
+            return '[]';
+        }
+        if (value !== null && typeof value === 'object') {
+            return '{}';
+        }
+        if (typeof value !== 'string') {
+            return String(value);
+        }
+        if (isPlainSafe(value)) {
+            return value;
+        }
+
+        // Multi-line texts such as markdown descriptions read best as literal blocks
+        const textLines = value.split('\n');
+        if (textLines.length > 1 && !/^\s/.test(value) && !value.endsWith('\n') && !value.includes('\r')
+            && textLines.every(line => line === '' || line.trim() !== '')) {
+            const pad = ' '.repeat(indent);
+            return `|-\n${textLines.map(line => (line === '' ? '' : pad + line)).join('\n')}`;
+        }
+        return JSON.stringify(value);
+    };
+
+    const isBlockCollection = (value) => value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+
+    const writeYamlBlock = (value, indent) => {
+        const pad = ' '.repeat(indent);
+        const lines = [];
+        if (Array.isArray(value)) {
+            value.forEach(item => {
+                if (isBlockCollection(item)) {
+                    const [first, ...rest] = writeYamlBlock(item, indent + 2);
+                    lines.push(`${pad}- ${first.slice(indent + 2)}`, ...rest);
+                } else {
+                    lines.push(`${pad}- ${writeYamlScalar(item, indent + 2)}`);
+                }
+            });
+        } else {
+            Object.entries(value).forEach(([key, item]) => {
+                if (isBlockCollection(item)) {
+                    lines.push(`${pad}${writeYamlKey(key)}:`, ...writeYamlBlock(item, indent + 2));
+                } else {
+                    lines.push(`${pad}${writeYamlKey(key)}: ${writeYamlScalar(item, indent + 2)}`);
+                }
+            });
+        }
+        return lines;
+    };
+
+    /**
+     * Write a value as YAML
+     * @param {*} value - JSON-compatible value
+     * @returns {string} YAML text that parseYaml() reads back as the same value
+     */
+    const stringifyYaml = (value) => {
+        const data = JSON.parse(JSON.stringify(value === undefined ? null : value));
+        return `${isBlockCollection(data) ? writeYamlBlock(data, 0).join('\n') : writeYamlScalar(data, 2)}\n`;
+    };
+
+    /**
+     * Parse an outline into a configuration
+     * @param {string} text - Outline text
+     * @returns {Object} Configuration ({ startQuestion, questions })
+     * @throws {FormatError} If the outline is malformed or routes to an unknown question
+     */
+    const parseOutline = (text) => {
+        const questions = [];
+        String(text).replace(/\r\n?/g, '\n').split('\n').forEach((raw, i) => {
+            const line = i + 1;
+            const content = raw.trim();
+            if (content === '' || content.startsWith('#')) {
+                return;
+            }
+
+            if (content.startsWith('?')) {
+                const [, id, question] = content.slice(1).trim().match(/^(?:\[([^\]]*)\]\s*)?(.*)$/);
+                if (id !== undefined && (!OUTLINE_ID.test(id) || id === OUTLINE_END)) {
+                    throw new FormatError(`Invalid question ID "${id}"`, line);
+                }
+                if (question === '') {
+                    throw new FormatError('Question text is missing', line);
+                }
+                questions.push({ id: id !== undefined ? id : null, question, answers: [], line });
+            } else if (/^-(?:\s|$)/.test(content)) {
+                const current = questions[questions.length - 1];
+                if (!current) {
+                    throw new FormatError('Answer before the first question', line);
+                }
+                const item = content.slice(1).trim();
+                const arrow = item.lastIndexOf('->');
+                const answer = (arrow === -1 ? item : item.slice(0, arrow)).trim();
+                const target = arrow === -1 ? undefined : item.slice(arrow + 2).trim();
+                if (answer === '') {
+                    throw new FormatError('Answer text is missing', line);
+                }
+                if (target !== undefined && !OUTLINE_ID.test(target)) {
+                    throw new FormatError(target === '' ? 'Question ID is missing after "->"' : `Invalid question ID "${target}"`, line);
+                }
+                if (current.answers.some(existing => existing.answer === answer)) {
+                    throw new FormatError(`Duplicate answer "${answer}"`, line);
+                }
+                current.answers.push({ answer, target, line });
+            } else {
+                throw new FormatError('Expected "? question" or "- answer"', line);
+            }
+        });
+
+        if (questions.length === 0) {
+            throw new FormatError('The outline has no questions', 1);
+        }
+
+        const ids = new Set();
+        questions.forEach((questionData, i) => {
+            questionData.id = questionData.id || `q${i + 1}`;
+            if (ids.has(questionData.id)) {
+                throw new FormatError(`Question ID "${questionData.id}" is used more than once`, questionData.line);
+            }
+            ids.add(questionData.id);
+        });
+
+        const config = { startQuestion: questions[0].id, questions: {} };
+        questions.forEach((questionData, i) => {
+            if (questionData.answers.length === 0) {
+                throw new FormatError(`Question "${questionData.id}" has no answers`, questionData.line);
+            }
+
+            const next = questions[i + 1] ? questions[i + 1].id : null;
+            const answers = {};
+            questionData.answers.forEach(({ answer, target, line }) => {
+                if (target !== undefined && target !== OUTLINE_END && !ids.has(target)) {
+                    throw new FormatError(`Unknown question "${target}"`, line);
+                }
+                setEntry(answers, answer, target === undefined ? next : (target === OUTLINE_END ? null : target));
+            });
+            config.questions[questionData.id] = { question: questionData.question, answers };
+        });
+        return config;
+    };
+
+    /**
+     * Write a configuration as an outline
+     * Outlines hold single-choice questions with plain texts only; anything else cannot be converted.
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string} Outline text, starting with the start question
+     * @throws {FormatError} If the configuration uses features outlines cannot express
+     */
+    const stringifyOutline = (config) => {
+        const unsupported = (what) => new FormatError(`The outline format cannot express ${what}`);
+        if (!config || typeof config !== 'object' || !config.questions || typeof config.questions !== 'object') {
+            throw unsupported('a configuration without questions');
+        }
+        const setting = Object.keys(config).find(key => key !== 'startQuestion' && key !== 'questions');
+        if (setting !== undefined) {
+            throw unsupported(`the setting "${setting}"`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(config.questions, config.startQuestion)) {
+            throw unsupported('a missing start question');
+        }
+
+        const isOutlineText = (text) => typeof text === 'string' && text !== '' && text.trim() === text && !/[\n\r]/.test(text);
+        const ids = [config.startQuestion, ...Object.keys(config.questions).filter(id => id !== config.startQuestion)];
+        return `${ids.map(id => {
+            const questionData = config.questions[id];
+            if (!OUTLINE_ID.test(id) || id === OUTLINE_END) {
+                throw unsupported(`the question ID "${id}"`);
+            }
+            const property = Object.keys(questionData || {}).find(key => key !== 'question' && key !== 'answers');
+            if (property !== undefined) {
+                throw unsupported(`"${property}" of question "${id}"`);
+            }
+            if (!isOutlineText(questionData.question)) {
+                throw unsupported(`the text of question "${id}"`);
+            }
+            if (!questionData.answers || typeof questionData.answers !== 'object' || Array.isArray(questionData.answers)) {
+                throw unsupported(`the answers of question "${id}"`);
+            }
+
+            const answers = Object.entries(questionData.answers).map(([answer, next]) => {
+                if (!isOutlineText(answer) || answer.includes('->')) {
+                    throw unsupported(`the answer "${answer}" of question "${id}"`);
+                }
+                if (next !== null && typeof next !== 'string') {
+                    throw unsupported(`the route of answer "${answer}" of question "${id}"`);
+                }
+                return `  - ${answer} -> ${next === null ? OUTLINE_END : next}`;
+            });
+            return [`? [${id}] ${questionData.question}`, ...answers].join('\n');
+        }).join('\n\n')}\n`;
+    };
+
+    /**
+     * Parse a configuration written in any format
+     * @param {string} text - Configuration text
+     * @param {string} format - Format ID (see FORMATS)
+     * @returns {*} Parsed configuration
+     * @throws {FormatError} With the line of the problem
+     */
+    const parse = (text, format) => {
+        switch (format) {
+            case 'json':
+                return parseJson(text);
+            case 'yaml':
+                return parseYaml(text);
+            case 'outline':
+                return parseOutline(text);
+            default:
+                throw new Error(`Unknown format "${format}"`);
+        }
+    };
+
+    /**
+     * Write a configuration in any format
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} format - Format ID (see FORMATS)
+     * @returns {string} Configuration text
+     * @throws {FormatError} If the format cannot express the configuration
+     */
+    const stringify = (config, format) => {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(config, null, 2);
+            case 'yaml':
+                return stringifyYaml(config);
+            case 'outline':
+                return stringifyOutline(config);
+            default:
+                throw new Error(`Unknown format "${format}"`);
+        }
+    };
+
+    /**
+     * Explain why a format cannot express a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} format - Format ID (see FORMATS)
+     * @returns {string|null} The reason, or null when the configuration can be written in the format
+     */
+    const getUnsupportedReason = (config, format) => {
+        try {
+            stringify(config, format);
+            return null;
+        } catch (error) {
+            if (!(error instanceof FormatError)) {
+                throw error;
+            }
+            return error.message;
+        }
+    };
+
+    // Public API
+    return {
+        FORMATS,
+        FormatError,
+        parse,
+        stringify,
+        getUnsupportedReason,
+        parseJson,
+        parseYaml,
+        stringifyYaml,
+        parseOutline,
+        stringifyOutline
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireFormats = QuestionnaireFormats;
+}
@@ -0,0 +1,266 @@
+// Questionnaire Groups - Repeating blocks of questions (loops)
+//
+// Configuration:
+//   groups.<id> = {
+//       "title": "Children",                          shown above the questions of an iteration
+//       "questions": ["child_age", "child_school"],   the block; the first question starts every iteration
+//       "repeat": { "count": "num_children" }         iterations from an expression (usually a number answer)
+//              or { "while": "more == 'Yes'" }        repeat while the expression holds after an iteration
+//       "maxIterations": 10,                          upper bound (default 20)
+//       "next": "q12"                                 where to continue after the last iteration
+//   }
+//
+// Questions route into a group by using its ID as a routing target. Inside the block, routing to null
+// ends the current iteration rather than the questionnaire. Answers are stored once per iteration;
+// while an iteration runs, expressions and placeholders see that iteration's answers plus "iteration"
+// (its 1-based number), elsewhere the answers of the latest iteration.
+const QuestionnaireGroups = (() => {
+    'use strict';
+
+    const DEFAULT_MAX_ITERATIONS = 20;
+    const ITERATION_VARIABLE = 'iteration';
+    const REPEAT_KINDS = ['count', 'while'];
+
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    /**
+     * Get the repeat groups of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {Object} Groups by ID
+     */
+    const getGroups = (config) => config.groups || {};
+
+    /**
+     * Check whether an ID names a repeat group
+     * @param {Object} config - Questionnaire configuration
+     * @param {string|null} id - Routing target
+     * @returns {boolean} True for group IDs
+     */
+    const isGroup = (config, id) => id !== null && id !== undefined && hasOwn(getGroups(config), id);
+
+    /**
+     * Find the group a question belongs to
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} questionId - Question ID
+     * @returns {string|null} Group ID, or null for questions outside any group
+     */
+    const getGroupOf = (config, questionId) => {
+        const entry = Object.entries(getGroups(config))
+            .find(([, group]) => group && Array.isArray(group.questions) && group.questions.includes(questionId));
+        return entry ? entry[0] : null;
+    };
+
+    const getMaxIterations = (group) => (group.maxIterations !== undefined ? group.maxIterations : DEFAULT_MAX_ITERATIONS);
+
+    /**
+     * Get the number of iterations of a count-driven group
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} groupId - Group ID
+     * @param {Object} scope - Expression scope
+     * @returns {number|null} Iterations (0 when the count is missing), or null for "while" groups
+     */
+    const getIterationCount = (config, groupId, scope) => {
+        const group = getGroups(config)[groupId];
+        if (!hasOwn(group.repeat, 'count')) {
+            return null;
+        }
+
+        const value = QuestionnaireExpressions.evaluate(QuestionnaireExpressions.compile(String(group.repeat.count)), scope);
+        const count = typeof value === 'number' && Number.isFinite(value) ? Math.floor(value) : 0;
+        return Math.max(0, Math.min(count, getMaxIterations(group)));
+    };
+
+    /**
+     * Decide whether another iteration follows
+     * "while" groups always run once; the condition is checked after each iteration.
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} groupId - Group ID
+     * @param {number} completed - Iterations finished so far
+     * @param {Object} scope - Expression scope (answers of the last iteration)
+     * @returns {boolean} True if another iteration should start
+     */
+    const shouldRepeat = (config, groupId, completed, scope) => {
+        const group = getGroups(config)[groupId];
+        if (completed >= getMaxIterations(group)) {
+            return false;
+        }
+
+        if (hasOwn(group.repeat, 'count')) {
+            return completed < getIterationCount(config, groupId, scope);
+        }
+        return completed === 0 || QuestionnaireExpressions.test(group.repeat.while, scope);
+    };
+
+    /**
+     * Build the scope of an iteration
+     * Variables (scores, counts) cover all iterations; the group's questions only show this iteration's answers.
+     * @param {Object} config - Questionnaire configuration
+     * @param {Array} answers - Answers in order ({ questionId, answer, iteration? })
+     * @param {Object|null} iteration - Current iteration ({ group, index }), or null outside groups
+     * @returns {Object} Expression scope
+     */
+    const buildScope = (config, answers, iteration) => {
+        const scope = QuestionnaireScoring.buildScope(config, answers);
+        if (!iteration) {
+            return scope;
+        }
+
+        getGroups(config)[iteration.group].questions.forEach(questionId => delete scope[questionId]);
+        answers
+            .filter(answerData => answerData.iteration
+                && answerData.iteration.group === iteration.group
+                && answerData.iteration.index === iteration.index)
+            .forEach(answerData => {
+                scope[answerData.questionId] = answerData.answer;
+            });
+        scope[ITERATION_VARIABLE] = iteration.index;
+        return scope;
+    };
+
+    /**
+     * Resolve a routing target to the question that follows structurally, running every group once
+     * Used for graph analysis (progress, reachability); the engine counts real iterations itself.
+     * @param {Object} config - Questionnaire configuration
+     * @param {string} fromQuestionId - Question the route leaves
+     * @param {string|null} next - Routing target
+     * @returns {string|null} Next question ID, or null at the end of the questionnaire
+     */
+    const resolveTarget = (config, fromQuestionId, next) => {
+        const seen = new Set();
+        let groupId = getGroupOf(config, fromQuestionId);
+        let target = next;
+
+        while (!seen.has(target)) {
+            seen.add(target);
+            if (target === null && groupId !== null) {
+                target = getGroups(config)[groupId].next;
+                groupId = null;
+            } else if (isGroup(config, target)) {
+                return getGroups(config)[target].questions[0];
+            } else {
+                return target;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Validate the repeat groups of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @param {Function} getEdges - (questionData) => routing edges of a question
+     * @returns {string[]} Validation errors
+     */
+    const validate = (config, getEdges) => {
+        const errors = [];
+        if (config.groups === undefined) {
+            return errors;
+        }
+
+        if (!config.groups || typeof config.groups !== 'object' || Array.isArray(config.groups)) {
+            errors.push("'groups' must be an object");
+            return errors;
+        }
+
+        const owners = Object.create(null);
+        const knownNames = new Set([...Object.keys(config.questions), ...QuestionnaireScoring.getVariableNames(config), ITERATION_VARIABLE]);
+
+        Object.entries(config.groups).forEach(([groupId, group]) => {
+            const label = `Group "${groupId}"`;
+
+            if (hasOwn(config.questions, groupId)) {
+                errors.push(`${label} has the same ID as a question`);
+            }
+
+            if (!group || !Array.isArray(group.questions) || group.questions.length === 0) {
+                errors.push(`${label} must have a non-empty "questions" list`);
+                return;
+            }
+
+            group.questions.forEach(questionId => {
+                if (!hasOwn(config.questions, questionId)) {
+                    errors.push(`${label} refers to non-existent question "${questionId}"`);
+                } else if (owners[questionId]) {
+                    errors.push(`${label} question "${questionId}" already belongs to group "${owners[questionId]}"`);
+                } else {
+                    owners[questionId] = groupId;
+                }
+            });
+
+            const kinds = group.repeat && typeof group.repeat === 'object'
+                ? REPEAT_KINDS.filter(kind => hasOwn(group.repeat, kind))
+                : [];
+            if (kinds.length !== 1) {
+                errors.push(`${label} "repeat" must define exactly one of: ${REPEAT_KINDS.join(', ')}`);
+            } else {
+                try {
+                    QuestionnaireExpressions.getReferences(QuestionnaireExpressions.compile(String(group.repeat[kinds[0]])))
+                        .filter(name => !knownNames.has(name))
+                        .forEach(name => errors.push(`${label} repeat refers to unknown question or variable "${name}"`));
+                } catch (error) {
+                    errors.push(`${label} repeat has invalid expression: ${error.message}`);
+                }
+            }
+
+            const max = getMaxIterations(group);
+            if (!Number.isInteger(max) || max < 1) {
+                errors.push(`${label} "maxIterations" must be a positive integer`);
+            }
+
+            if (!hasOwn(group, 'next')) {
+                errors.push(`${label} missing "next"`);
+            } else if (!QuestionTypes.isValidTarget(config, group.next) || group.next === groupId) {
+                errors.push(`${label} "next" refers to invalid target "${group.next}"`);
+            } else if (group.questions.includes(group.next)) {
+                errors.push(`${label} "next" must lead out of the group`);
+            }
+        });
+
+        if (owners[config.startQuestion]) {
+            errors.push(`Start question "${config.startQuestion}" cannot be inside group "${owners[config.startQuestion]}"`);
+        }
+
+        // Groups are entered through their ID and left by ending the iteration (routing to null)
+        Object.entries(config.questions).forEach(([questionId, questionData]) => {
+            let edges = [];
+            try {
+                edges = getEdges(questionData);
+            } catch (error) {
+                return;
+            }
+
+            const groupId = owners[questionId] || null;
+            edges.forEach(({ next }) => {
+                if (next === null || (!hasOwn(config.questions, next) && !isGroup(config, next))) {
+                    return;
+                }
+
+                if (groupId !== null && (isGroup(config, next) || owners[next] !== groupId)) {
+                    errors.push(`Question "${questionId}" in group "${groupId}" may only route to questions of its group or null`);
+                } else if (groupId === null && owners[next]) {
+                    errors.push(`Question "${questionId}" routes into group "${owners[next]}" directly; route to the group ID instead`);
+                }
+            });
+        });
+
+        return errors;
+    };
+
+    // Public API
+    return {
+        DEFAULT_MAX_ITERATIONS,
+        ITERATION_VARIABLE,
+        getGroups,
+        isGroup,
+        getGroupOf,
+        getIterationCount,
+        shouldRepeat,
+        buildScope,
+        resolveTarget,
+        validate
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireGroups = QuestionnaireGroups;
+}
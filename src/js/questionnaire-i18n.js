@@ -0,0 +1,345 @@
+// Questionnaire I18n - Localized question texts, answer labels and titles
+//
+// Configuration:
+//   "locales": ["en", "ru"],                         languages the questionnaire is available in
+//   "defaultLocale": "en",                           language of plain strings (default: the first locale)
+//   "question": { "en": "Are you married?", "ru": "Вы состоите в браке?" }    or a plain string
+//   "labels": { "yes": { "en": "Yes", "ru": "Да" } }                         display labels by answer ID
+//
+// Answers are identified by their ID (the keys of "answers", or the entries of a multi-select list);
+// routing, scores and expressions refer to IDs, and an answer without a label is shown as its ID.
+// Page, group and outcome titles (and outcome descriptions) can be localized the same way. Texts are
+// looked up along a fallback chain: the requested locale, its language ("ru" for "ru-RU"), the
+// default locale, then any translation.
+const QuestionnaireI18n = (() => {
+    'use strict';
+
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    /**
+     * Check whether a text is given per locale
+     * @param {*} text - Plain string or translations by locale
+     * @returns {boolean} True for translation objects
+     */
+    const isLocalized = (text) => text !== null && typeof text === 'object' && !Array.isArray(text);
+
+    /**
+     * Check whether a value can be used as a displayed text
+     * @param {*} text - Candidate text
+     * @returns {boolean} True for non-empty strings and translation objects of non-empty strings
+     */
+    const isText = (text) => {
+        if (isLocalized(text)) {
+            const translations = Object.values(text);
+            return translations.length > 0 && translations.every(translation => typeof translation === 'string' && translation !== '');
+        }
+        return typeof text === 'string' && text !== '';
+    };
+
+    /**
+     * List every string of a text
+     * @param {*} text - Plain string or translations by locale
+     * @returns {string[]} The string, or all translations
+     */
+    const getTexts = (text) => {
+        if (isLocalized(text)) {
+            return Object.values(text).filter(translation => typeof translation === 'string');
+        }
+        return typeof text === 'string' ? [text] : [];
+    };
+
+    /**
+     * Get the languages of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Locale codes (empty for questionnaires in a single, unnamed language)
+     */
+    const getLocales = (config) => (Array.isArray(config.locales) ? config.locales : []);
+
+    /**
+     * Get the language plain strings are written in
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string|null} Default locale code
+     */
+    const getDefaultLocale = (config) => config.defaultLocale || getLocales(config)[0] || null;
+
+    /**
+     * List the locales a text is looked up in, best first
+     * @param {Object} config - Questionnaire configuration
+     * @param {string|null} locale - Requested locale
+     * @returns {string[]} Locale codes
+     */
+    const getFallbackChain = (config, locale) => {
+        const chain = [locale, locale ? String(locale).split('-')[0] : null, getDefaultLocale(config), ...getLocales(config)];
+        return Array.from(new Set(chain.filter(Boolean)));
+    };
+
+    /**
+     * Get a text in a language
+     * @param {*} text - Plain string or translations by locale
+     * @param {Object} config - Questionnaire configuration
+     * @param {string|null} locale - Requested locale
+     * @returns {*} The best translation (plain strings are returned as they are)
+     */
+    const translate = (text, config, locale) => {
+        if (!isLocalized(text)) {
+            return text;
+        }
+
+        const found = getFallbackChain(config, locale).find(candidate => typeof text[candidate] === 'string');
+        return found !== undefined ? text[found] : getTexts(text)[0];
+    };
+
+    /**
+     * Get the label an answer is shown with
+     * @param {Object} config - Questionnaire configuration
+     * @param {Object} questionData - Question configuration
+     * @param {string} answerId - Answer ID
+     * @param {string|null} locale - Requested locale
+     * @returns {string} Translated label, or the ID when the answer has no label
+     */
+    const getAnswerLabel = (config, questionData, answerId, locale) => {
+        const labels = isLocalized(questionData.labels) ? questionData.labels : {};
+        return hasOwn(labels, answerId) ? translate(labels[answerId], config, locale) : answerId;
+    };
+
+    /**
+     * List every translation of an answer's label
+     * @param {Object} questionData - Question configuration
+     * @param {string} answerId - Answer ID
+     * @returns {string[]} Label translations, or the ID when the answer has no label
+     */
+    const getAnswerLabelTexts = (questionData, answerId) => {
+        const labels = isLocalized(questionData.labels) ? questionData.labels : {};
+        return hasOwn(labels, answerId) ? getTexts(labels[answerId]) : [answerId];
+    };
+
+    /**
+     * Turn a recorded answer into the labels it was given with
+     * @param {Object} config - Questionnaire configuration
+     * @param {Object} questionData - Question configuration
+     * @param {*} value - Answer ID, list of IDs (multi-select), ratings by row (matrix) or input value
+     * @param {string|null} locale - Requested locale
+     * @returns {*} Label, list of labels, ratings by row label, or the value itself for questions without options
+     */
+    const labelAnswer = (config, questionData, value, locale) => {
+        if (Array.isArray(value)) {
+            return value.map(answerId => getAnswerLabel(config, questionData, answerId, locale));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value)
+                .map(([answerId, rating]) => [getAnswerLabel(config, questionData, answerId, locale), rating]));
+        }
+        return typeof value === 'string' ? getAnswerLabel(config, questionData, value, locale) : value;
+    };
+
+    /**
+     * Replace answer IDs in a scope by their labels, for rendering placeholders
+     * @param {Object} config - Questionnaire configuration
+     * @param {Object} scope - Expression scope (answers by question ID and variables)
+     * @param {string|null} locale - Requested locale
+     * @returns {Object} Scope with labelled answers
+     */
+    const localizeScope = (config, scope, locale) => {
+        const localized = { ...scope };
+        Object.keys(scope)
+            .filter(name => config.questions[name] && isLocalized(config.questions[name].labels))
+            .forEach(name => {
+                localized[name] = labelAnswer(config, config.questions[name], scope[name], locale);
+            });
+        return localized;
+    };
+
+    /**
+     * Pick the locale matching a respondent's preferred languages
+     * @param {Object} config - Questionnaire configuration
+     * @param {string[]} preferred - Language tags, best first (e.g. navigator.languages)
+     * @returns {string|null} Locale of the configuration, or the default locale when none matches
+     */
+    const resolveLocale = (config, preferred) => {
+        const locales = getLocales(config);
+        for (const tag of preferred || []) {
+            const match = [tag, String(tag).split('-')[0]].find(candidate => locales.includes(candidate));
+            if (match) {
+                return match;
+            }
+        }
+        return getDefaultLocale(config);
+    };
+
+    /**
+     * Get the name of a language in that language
+     * @param {string} locale - Locale code
+     * @returns {string} Language name (e.g. "English", "русский"), or the code when it is unknown
+     */
+    const getLocaleName = (locale) => {
+        try {
+            return new Intl.DisplayNames([locale], { type: 'language' }).of(locale) || locale;
+        } catch (error) {
+            return locale;
+        }
+    };
+
+    /**
+     * Find the locales a text has no translation for
+     * Plain strings count as written in the default locale.
+     * @param {Object} config - Questionnaire configuration
+     * @param {*} text - Plain string or translations by locale
+     * @returns {string[]} Missing locale codes
+     */
+    const getMissingLocales = (config, text) => {
+        if (isLocalized(text)) {
+            return getLocales(config).filter(locale => typeof text[locale] !== 'string' || text[locale] === '');
+        }
+        return getLocales(config).filter(locale => locale !== getDefaultLocale(config));
+    };
+
+    /**
+     * Validate the languages and translations of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Validation errors
+     */
+    const validate = (config) => {
+        const errors = [];
+        const locales = getLocales(config);
+
+        if (config.locales !== undefined && (!Array.isArray(config.locales) || config.locales.length === 0
+            || config.locales.some(locale => typeof locale !== 'string' || locale.trim() === '')
+            || new Set(config.locales).size !== config.locales.length)) {
+            errors.push("'locales' must be a non-empty list of distinct locale codes");
+            return errors;
+        }
+
+        if (config.defaultLocale !== undefined && !locales.includes(config.defaultLocale)) {
+            errors.push(`'defaultLocale' "${config.defaultLocale}" is not one of the locales`);
+        }
+
+        const checkText = (label, text) => {
+            if (!isLocalized(text)) {
+                if (typeof text === 'string' && getMissingLocales(config, text).length > 0) {
+                    errors.push(`${label} is missing translations: ${getMissingLocales(config, text).join(', ')}`);
+                }
+                return;
+            }
+
+            if (locales.length === 0) {
+                errors.push(`${label} is translated, but the configuration has no 'locales'`);
+                return;
+            }
+
+            Object.keys(text)
+                .filter(locale => !locales.includes(locale))
+                .forEach(locale => errors.push(`${label} has a translation for unknown locale "${locale}"`));
+
+            const missing = getMissingLocales(config, text);
+            if (missing.length > 0) {
+                errors.push(`${label} is missing translations: ${missing.join(', ')}`);
+            }
+        };
+
+        Object.entries(config.questions).forEach(([questionId, questionData]) => {
+            checkText(`Question "${questionId}" question text`, questionData.question);
+            (Array.isArray(questionData.variants) ? questionData.variants : [])
+                .filter(variant => variant && isText(variant.question))
+                .forEach(variant => checkText(`Question "${questionId}" variant "${variant.id}" text`, variant.question));
+            Object.entries(isLocalized(questionData.scaleLabels) ? questionData.scaleLabels : {}).forEach(([point, label]) => {
+                if (!isText(label)) {
+                    errors.push(`Question "${questionId}" scale point "${point}" has an invalid label`);
+                } else {
+                    checkText(`Question "${questionId}" scale point "${point}" label`, label);
+                }
+            });
+            if (isText(questionData.preferNotToAnswer)) {
+                checkText(`Question "${questionId}" "prefer not to answer" label`, questionData.preferNotToAnswer);
+            }
+            ['description', 'help']
+                .filter(key => isText(questionData[key]))
+                .forEach(key => checkText(`Question "${questionId}" ${key}`, questionData[key]));
+            if (questionData.image && isText(questionData.image.alt)) {
+                checkText(`Question "${questionId}" image alt text`, questionData.image.alt);
+            }
+            Object.entries(isLocalized(questionData.hints) ? questionData.hints : {})
+                .filter(([, hint]) => isText(hint))
+                .forEach(([answerId, hint]) => checkText(`Question "${questionId}" answer "${answerId}" hint`, hint));
+
+            if (!QuestionTypes.hasType(questionData.type || QuestionTypes.DEFAULT_TYPE)) {
+                return;
+            }
+
+            let options = [];
+            try {
+                options = QuestionTypes.forQuestion(questionData).getOptions(questionData);
+            } catch (error) {
+                // Invalid answers are reported by the question type
+            }
+
+            if (questionData.labels !== undefined) {
+                if (!isLocalized(questionData.labels)) {
+                    errors.push(`Question "${questionId}" "labels" must be an object of labels by answer ID`);
+                    return;
+                }
+
+                Object.entries(questionData.labels).forEach(([answerId, label]) => {
+                    if (!options.includes(answerId)) {
+                        errors.push(`Question "${questionId}" has a label for unknown answer "${answerId}"`);
+                    } else if (!isText(label)) {
+                        errors.push(`Question "${questionId}" answer "${answerId}" has an invalid label`);
+                    }
+                });
+            }
+
+            const labels = isLocalized(questionData.labels) ? questionData.labels : {};
+            options.forEach(answerId => {
+                checkText(`Question "${questionId}" answer "${answerId}" label`, hasOwn(labels, answerId) ? labels[answerId] : answerId);
+            });
+        });
+
+        [['Page', config.pages], ['Group', config.groups]].forEach(([kind, definitions]) => {
+            Object.entries(isLocalized(definitions) ? definitions : {}).forEach(([id, definition]) => {
+                if (definition && definition.title !== undefined) {
+                    checkText(`${kind} "${id}" title`, definition.title);
+                }
+            });
+        });
+
+        (Array.isArray(config.outcomes) ? config.outcomes : []).forEach(outcome => {
+            if (!outcome || typeof outcome.id !== 'string') {
+                return;
+            }
+            ['title', 'description']
+                .filter(key => outcome[key] !== undefined)
+                .forEach(key => checkText(`Outcome "${outcome.id}" ${key}`, outcome[key]));
+        });
+
+        [['Screen-out', config.screenOuts], ['Quota', config.quotas]].forEach(([kind, rules]) => {
+            (Array.isArray(rules) ? rules : [])
+                .filter(rule => rule && typeof rule.id === 'string' && rule.message !== undefined)
+                .forEach(rule => checkText(`${kind} "${rule.id}" message`, rule.message));
+        });
+
+        return errors;
+    };
+
+    // Public API
+    return {
+        isLocalized,
+        isText,
+        getTexts,
+        getLocales,
+        getDefaultLocale,
+        getFallbackChain,
+        translate,
+        getAnswerLabel,
+        getAnswerLabelTexts,
+        labelAnswer,
+        localizeScope,
+        resolveLocale,
+        getLocaleName,
+        getMissingLocales,
+        validate
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireI18n = QuestionnaireI18n;
+}
@@ -0,0 +1,243 @@
+// Questionnaire Links - Opening questionnaires by ID or from a shared link
+//
+// /questionnaire/<id>            a configuration saved in this browser ("questionnaire-config:<id>" in localStorage)
+// /questionnaire#config=<data>   a whole configuration, optionally with answers, in the link itself
+//
+// Link data is the JSON payload { version, config, session? }, deflated where the browser supports
+// CompressionStream, in base64url. The first character tells how it was packed: "z" deflated, "j" plain.
+// Submission settings are left out of links: their headers may hold credentials, and answers given while
+// trying a shared link should not reach the production endpoint.
+const QuestionnaireLinks = (() => {
+    'use strict';
+
+    const KEY_PREFIX = 'questionnaire-config:';
+    const LINK_VERSION = 1;
+    const LINK_PARAMETER = 'config';
+    const COMPRESSION = 'deflate';
+
+    /**
+     * Error raised when a questionnaire cannot be opened from a link or ID
+     * Messages are meant for respondents; errors lists what validation found, if anything.
+     */
+    class LinkError extends Error {
+        constructor(message, errors = []) {
+            super(message);
+            this.name = 'LinkError';
+            this.errors = errors;
+        }
+    }
+
+    /**
+     * Get the storage, or null when it is unavailable (private mode, disabled cookies, Node)
+     * @returns {Storage|null} localStorage
+     */
+    const getStorage = () => {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /**
+     * Get the ID a configuration is saved and opened under
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string} Configured ID, or the config hash when none is set
+     */
+    const getConfigId = (config) => config.id || QuestionnaireEngine.hashConfig(config);
+
+    /**
+     * Save a configuration so it can be opened at /questionnaire/<id>
+     * @param {Object} config - Valid questionnaire configuration
+     * @returns {string|null} ID it was saved under, or null if it could not be stored
+     */
+    const saveConfig = (config) => {
+        const storage = getStorage();
+        if (!storage) {
+            return null;
+        }
+
+        try {
+            const id = getConfigId(config);
+            storage.setItem(KEY_PREFIX + id, JSON.stringify(config));
+            return id;
+        } catch (error) {
+            console.warn('Could not save questionnaire configuration:', error);
+            return null;
+        }
+    };
+
+    /**
+     * Load a configuration saved in this browser
+     * @param {string} id - Questionnaire ID
+     * @returns {Object|null} Configuration, or null if there is none (or it cannot be read)
+     */
+    const loadConfig = (id) => {
+        const storage = getStorage();
+        if (!storage) {
+            return null;
+        }
+
+        try {
+            const stored = storage.getItem(KEY_PREFIX + id);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn('Could not read questionnaire configuration:', error);
+            return null;
+        }
+    };
+
+    const canCompress = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+    const pipeBytes = async (bytes, transform) => new Uint8Array(
+        await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer()
+    );
+
+    const toBase64Url = (bytes) => {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    const fromBase64Url = (text) => {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    };
+
+    /**
+     * Prepare a session snapshot for a link: without the sharer's session ID and timings,
+     * and matched to the configuration as shared
+     * @param {Object} snapshot - Snapshot created by QuestionnaireEngine.serialize()
+     * @param {Object} config - Configuration as it goes into the link
+     * @returns {Object} Snapshot QuestionnaireEngine.restore() accepts for that configuration
+     */
+    const shareSession = (snapshot, config) => {
+        const { sessionId, savedAt, backNavigations, ...session } = snapshot;
+        return {
+            ...session,
+            questionnaireId: getConfigId(config),
+            configHash: QuestionnaireEngine.hashConfig(config),
+            answers: session.answers.map(({ metrics, ...answerData }) => answerData)
+        };
+    };
+
+    /**
+     * Pack a configuration, and optionally the progress of a session, into link data
+     * @param {Object} config - Questionnaire configuration
+     * @param {QuestionnaireEngine|null} engine - Session whose answers the link should prefill
+     * @returns {Promise<string>} URL-safe link data
+     */
+    const encode = async (config, engine = null) => {
+        const { submission, ...shared } = config;
+        const payload = { version: LINK_VERSION, config: shared };
+        if (engine && engine.getAnswers().length > 0) {
+            payload.session = shareSession(engine.serialize(), shared);
+        }
+
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        if (!canCompress()) {
+            return `j${toBase64Url(bytes)}`;
+        }
+        return `z${toBase64Url(await pipeBytes(bytes, new CompressionStream(COMPRESSION)))}`;
+    };
+
+    /**
+     * Unpack and validate link data
+     * @param {string} data - Link data created by encode()
+     * @returns {Promise<Object>} { config, session (snapshot to restore, or null) }
+     * @throws {LinkError} If the data is damaged or the configuration is invalid
+     */
+    const decode = async (data) => {
+        const damaged = () => new LinkError('This questionnaire link is damaged or incomplete. Ask for the link again.');
+        const kind = data.charAt(0);
+        if (kind === 'z' && !canCompress()) {
+            throw new LinkError('This browser cannot open compressed questionnaire links.');
+        }
+        if (kind !== 'z' && kind !== 'j') {
+            throw damaged();
+        }
+
+        let payload;
+        try {
+            const bytes = fromBase64Url(data.slice(1));
+            const json = new TextDecoder().decode(kind === 'z' ? await pipeBytes(bytes, new DecompressionStream(COMPRESSION)) : bytes);
+            payload = JSON.parse(json);
+        } catch (error) {
+            throw damaged();
+        }
+        if (!payload || typeof payload !== 'object' || !payload.config || typeof payload.config !== 'object') {
+            throw damaged();
+        }
+        if (payload.version !== LINK_VERSION) {
+            throw new LinkError(`This questionnaire link was made by a newer version of the app (link version ${payload.version}).`);
+        }
+
+        const validation = QuestionnaireEngine.validateConfig(payload.config);
+        if (!validation.isValid) {
+            throw new LinkError('The questionnaire in this link is invalid.', validation.errors);
+        }
+        // Links made by hand may still carry submission settings
+        const { submission, ...config } = payload.config;
+        return { config, session: payload.session && typeof payload.session === 'object' ? payload.session : null };
+    };
+
+    /**
+     * Build a link that opens a configuration, and optionally a session's progress
+     * @param {Object} config - Questionnaire configuration
+     * @param {QuestionnaireEngine|null} engine - Session whose answers the link should prefill
+     * @param {string} base - URL of the questionnaire page (defaults to /questionnaire on this origin)
+     * @returns {Promise<string>} Link
+     */
+    const createLink = async (config, engine = null, base = `${location.origin}/questionnaire`) => {
+        const url = new URL(base);
+        url.hash = `${LINK_PARAMETER}=${await encode(config, engine)}`;
+        return url.toString();
+    };
+
+    /**
+     * Find the configuration a page should open
+     * Link data wins over an ID; without either the default configuration is used.
+     * @param {Object} options - { configId (from /questionnaire/<id>), hash (location.hash) }
+     * @param {Object} defaultConfig - Configuration bundled with the app
+     * @returns {Promise<Object>} { config, session (snapshot to restore, or null) }
+     * @throws {LinkError} If the link cannot be opened, the ID is unknown or the configuration is invalid
+     */
+    const resolve = async ({ configId = null, hash = '' } = {}, defaultConfig) => {
+        const data = new URLSearchParams(hash.replace(/^#/, '')).get(LINK_PARAMETER);
+        if (data) {
+            return decode(data);
+        }
+        if (!configId) {
+            return { config: defaultConfig, session: null };
+        }
+
+        const config = loadConfig(configId) || (getConfigId(defaultConfig) === configId ? defaultConfig : null);
+        if (!config) {
+            throw new LinkError(`There is no questionnaire "${configId}" saved in this browser. Save it in the configuration editor first, or ask for a share link.`);
+        }
+        const validation = QuestionnaireEngine.validateConfig(config);
+        if (!validation.isValid) {
+            throw new LinkError(`The saved questionnaire "${configId}" is invalid.`, validation.errors);
+        }
+        return { config, session: null };
+    };
+
+    // Public API
+    return {
+        LinkError,
+        getConfigId,
+        saveConfig,
+        loadConfig,
+        encode,
+        decode,
+        createLink,
+        resolve
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireLinks = QuestionnaireLinks;
+}
@@ -0,0 +1,218 @@
+// Questionnaire Randomization - Seeded answer order and question text variants
+//
+// Configuration (per question):
+//   "randomize": true                                 shuffle the answers
+//             or { "pinLast": ["other", "none"] }     shuffle the rest, keep these last in this order
+//   "variants": [                                     alternative wordings; one is shown per session
+//       { "id": "a", "question": "Which color do you like most?" },
+//       { "id": "b", "question": "Which color would you pick first?", "weight": 2 }   (weight 1 by default)
+//   ]
+//
+// Every session has a seed (see QuestionnaireEngine). Orders and variants are derived from the seed and the
+// question ID, so a respondent sees the same order and wording when going back, resuming or repeating a group.
+const QuestionnaireRandomization = (() => {
+    'use strict';
+
+    const SEED_RANGE = 2 ** 32;
+
+    /**
+     * Create a seed for a new session
+     * @returns {number} Unsigned 32-bit integer
+     */
+    const createSeed = () => {
+        if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * SEED_RANGE);
+    };
+
+    /**
+     * Check whether a value can be used as a seed
+     * @param {*} seed - Candidate seed
+     * @returns {boolean} True for unsigned 32-bit integers
+     */
+    const isSeed = (seed) => Number.isInteger(seed) && seed >= 0 && seed < SEED_RANGE;
+
+    /**
+     * Create a random number generator (mulberry32) for one purpose within a session
+     * @param {number} seed - Session seed
+     * @param {string} salt - What the numbers are for, e.g. "order:color"
+     * @returns {Function} () => number in [0, 1)
+     */
+    const createRandom = (seed, salt) => {
+        // FNV-1a over the salt, mixed into the seed
+        let state = seed >>> 0;
+        for (let i = 0; i < salt.length; i++) {
+            state = Math.imul(state ^ salt.charCodeAt(i), 16777619) >>> 0;
+        }
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+        };
+    };
+
+    /**
+     * Get the answers a question keeps at the end of a shuffled order
+     * @param {Object} questionData - Question configuration
+     * @returns {string[]} Pinned answer IDs, in the order they are shown
+     */
+    const getPinnedAnswers = (questionData) => {
+        const randomize = questionData.randomize;
+        return randomize && typeof randomize === 'object' && Array.isArray(randomize.pinLast) ? randomize.pinLast : [];
+    };
+
+    /**
+     * Check whether a question shuffles its answers
+     * @param {Object} questionData - Question configuration
+     * @returns {boolean} True if the answer order is randomized
+     */
+    const isRandomized = (questionData) => questionData.randomize === true
+        || (Boolean(questionData.randomize) && typeof questionData.randomize === 'object');
+
+    /**
+     * Put the answers of a question in the order a session shows them
+     * @param {Object} questionData - Question configuration
+     * @param {string} questionId - Question ID
+     * @param {string[]} answers - Answer IDs in configured order
+     * @param {number} seed - Session seed
+     * @returns {string[]} Answer IDs as shown (the configured order unless the question is randomized)
+     */
+    const orderAnswers = (questionData, questionId, answers, seed) => {
+        if (!isRandomized(questionData)) {
+            return [...answers];
+        }
+
+        const pinned = getPinnedAnswers(questionData).filter(answer => answers.includes(answer));
+        const shuffled = answers.filter(answer => !pinned.includes(answer));
+        const random = createRandom(seed, `order:${questionId}`);
+
+        // Fisher-Yates
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+
+        return [...shuffled, ...pinned];
+    };
+
+    /**
+     * Get the variants of a question's text
+     * @param {Object} questionData - Question configuration
+     * @returns {Array} Variants ({ id, question, weight? }); empty when the question has none
+     */
+    const getVariants = (questionData) => (Array.isArray(questionData.variants) ? questionData.variants : []);
+
+    /**
+     * Pick the variant of a question a session sees, in proportion to the variant weights (1 by default)
+     * @param {Object} questionData - Question configuration
+     * @param {string} questionId - Question ID
+     * @param {number} seed - Session seed
+     * @returns {Object|null} Variant, or null when the question has none
+     */
+    const pickVariant = (questionData, questionId, seed) => {
+        const variants = getVariants(questionData);
+        if (variants.length === 0) {
+            return null;
+        }
+
+        const weight = (variant) => (variant.weight === undefined ? 1 : variant.weight);
+        const total = variants.reduce((sum, variant) => sum + weight(variant), 0);
+        let remaining = createRandom(seed, `variant:${questionId}`)() * total;
+
+        for (const variant of variants) {
+            remaining -= weight(variant);
+            if (remaining < 0) {
+                return variant;
+            }
+        }
+        return variants[variants.length - 1];
+    };
+
+    /**
+     * Validate the randomization settings and variants of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Errors
+     */
+    const validate = (config) => {
+        const errors = [];
+
+        Object.entries(config.questions).forEach(([questionId, questionData]) => {
+            const label = `Question "${questionId}"`;
+
+            if (questionData.randomize !== undefined && typeof questionData.randomize !== 'boolean') {
+                const randomize = questionData.randomize;
+                if (!randomize || typeof randomize !== 'object' || Array.isArray(randomize)) {
+                    errors.push(`${label} 'randomize' must be true, false or an object like { "pinLast": [...] }`);
+                } else if (randomize.pinLast !== undefined && !Array.isArray(randomize.pinLast)) {
+                    errors.push(`${label} 'randomize.pinLast' must be a list of answer IDs`);
+                }
+            }
+
+            if (isRandomized(questionData) && QuestionTypes.hasType(questionData.type || QuestionTypes.DEFAULT_TYPE)) {
+                let options = [];
+                try {
+                    options = QuestionTypes.forQuestion(questionData).getOptions(questionData);
+                } catch (error) {
+                    // Invalid answers are reported by the question type
+                }
+
+                if (options.length === 0) {
+                    errors.push(`${label} has no answers to randomize`);
+                }
+                getPinnedAnswers(questionData)
+                    .filter(answer => options.length > 0 && !options.includes(answer))
+                    .forEach(answer => errors.push(`${label} pins unknown answer "${answer}"`));
+            }
+
+            if (questionData.variants === undefined) {
+                return;
+            }
+            if (!Array.isArray(questionData.variants) || questionData.variants.length === 0) {
+                errors.push(`${label} 'variants' must be a non-empty list`);
+                return;
+            }
+
+            const ids = new Set();
+            questionData.variants.forEach((variant, index) => {
+                if (!variant || typeof variant !== 'object' || typeof variant.id !== 'string' || variant.id.trim() === '') {
+                    errors.push(`${label} variant ${index + 1} needs an 'id'`);
+                    return;
+                }
+                if (ids.has(variant.id)) {
+                    errors.push(`${label} has more than one variant "${variant.id}"`);
+                }
+                ids.add(variant.id);
+
+                if (!QuestionnaireI18n.isText(variant.question)) {
+                    errors.push(`${label} variant "${variant.id}" missing or invalid question text`);
+                }
+                if (variant.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight > 0 && Number.isFinite(variant.weight))) {
+                    errors.push(`${label} variant "${variant.id}" weight must be a positive number`);
+                }
+            });
+        });
+
+        return errors;
+    };
+
+    // Public API
+    return {
+        createSeed,
+        isSeed,
+        createRandom,
+        isRandomized,
+        orderAnswers,
+        getVariants,
+        pickVariant,
+        validate
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireRandomization = QuestionnaireRandomization;
+}
@@ -0,0 +1,295 @@
+// Questionnaire Scoring - Answer scores, computed variables and outcome matching
+//
+// Configuration:
+//   questions.<id>.scores  - score per answer option, e.g. { "Very satisfied": 3, "Not satisfied": 0 }
+//   variables              - named values computed after every answer, in declaration order:
+//                            { "score": ["q6", "q9"] }   sum of answer scores (all questions when omitted)
+//                            { "count": "Yes" }           number of answers equal to / including a value
+//                            { "expression": "a + b" }    expression over answers and earlier variables
+//   outcomes               - result pages, the first one whose conditions all hold is shown:
+//                            { "id", "title", "description", "when", "score": { "min", "max", "variable" }, "endsAt": [ids] }
+//
+// The built-in variable "score" always holds the total score of all answers.
+const QuestionnaireScoring = (() => {
+    'use strict';
+
+    const TOTAL_SCORE = 'score';
+    const VARIABLE_KINDS = ['score', 'count', 'expression'];
+
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    /**
+     * Score of a single answer
+     * @param {Object} questionData - Question configuration
+     * @param {*} answer - Parsed answer
+     * @returns {number} Score (0 when the question is not scored)
+     */
+    const getAnswerScore = (questionData, answer) => {
+        const scores = questionData.scores;
+        if (!scores || answer === null || answer === undefined) {
+            return 0;
+        }
+
+        const options = Array.isArray(answer) ? answer : [answer];
+        return options.reduce((total, option) => total + (hasOwn(scores, option) ? scores[option] : 0), 0);
+    };
+
+    /**
+     * Check whether a configuration uses scores or outcomes at all
+     * @param {Object} config - Questionnaire configuration
+     * @returns {boolean} True if there is anything to score
+     */
+    const isScored = (config) => {
+        return Boolean(config.outcomes && config.outcomes.length > 0)
+            || Object.values(config.questions).some(questionData => questionData.scores !== undefined);
+    };
+
+    /**
+     * Get the names of all variables available to expressions
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Variable names, including the built-in total score
+     */
+    const getVariableNames = (config) => {
+        return [TOTAL_SCORE, ...Object.keys(config.variables || {}).filter(name => name !== TOTAL_SCORE)];
+    };
+
+    /**
+     * Compute all variables for a list of answers
+     * @param {Object} config - Questionnaire configuration
+     * @param {Array} answers - Answers in order ({ questionId, answer })
+     * @returns {Object} Variable values by name
+     */
+    const computeVariables = (config, answers) => {
+        const scoreOf = ({ questionId, answer }) => {
+            const questionData = config.questions[questionId];
+            return questionData ? getAnswerScore(questionData, answer) : 0;
+        };
+
+        const answerMap = Object.fromEntries(answers.map(({ questionId, answer }) => [questionId, answer]));
+        const variables = {
+            [TOTAL_SCORE]: answers.reduce((total, answerData) => total + scoreOf(answerData), 0)
+        };
+
+        Object.entries(config.variables || {}).forEach(([name, definition]) => {
+            if (hasOwn(definition, 'score')) {
+                const questionIds = definition.score;
+                variables[name] = answers
+                    .filter(({ questionId }) => !Array.isArray(questionIds) || questionIds.includes(questionId))
+                    .reduce((total, answerData) => total + scoreOf(answerData), 0);
+            } else if (hasOwn(definition, 'count')) {
+                variables[name] = answers
+                    .filter(({ questionId }) => !Array.isArray(definition.questions) || definition.questions.includes(questionId))
+                    .filter(({ answer }) => (Array.isArray(answer) ? answer.includes(definition.count) : answer === definition.count))
+                    .length;
+            } else {
+                const value = QuestionnaireExpressions.evaluate(
+                    QuestionnaireExpressions.compile(definition.expression),
+                    { ...answerMap, ...variables }
+                );
+                variables[name] = value === undefined ? null : value;
+            }
+        });
+
+        return variables;
+    };
+
+    /**
+     * Build the scope routing expressions are evaluated in: answers by question ID plus variables
+     * @param {Object} config - Questionnaire configuration
+     * @param {Array} answers - Answers in order ({ questionId, answer })
+     * @returns {Object} Expression scope
+     */
+    const buildScope = (config, answers) => {
+        const answerMap = Object.fromEntries(answers.map(({ questionId, answer }) => [questionId, answer]));
+        return { ...answerMap, ...computeVariables(config, answers) };
+    };
+
+    /**
+     * Find the outcome for a finished (or partial) set of answers
+     * @param {Object} config - Questionnaire configuration
+     * @param {Array} answers - Answers in order ({ questionId, answer })
+     * @returns {Object|null} Matching outcome definition, or null if none matches
+     */
+    const matchOutcome = (config, answers) => {
+        const outcomes = config.outcomes || [];
+        if (outcomes.length === 0) {
+            return null;
+        }
+
+        const scope = buildScope(config, answers);
+        const lastQuestionId = answers.length > 0 ? answers[answers.length - 1].questionId : null;
+
+        return outcomes.find(outcome => {
+            if (outcome.endsAt && !outcome.endsAt.includes(lastQuestionId)) {
+                return false;
+            }
+
+            if (outcome.score) {
+                const value = scope[outcome.score.variable || TOTAL_SCORE];
+                if (typeof value !== 'number') return false;
+                if (outcome.score.min !== undefined && value < outcome.score.min) return false;
+                if (outcome.score.max !== undefined && value > outcome.score.max) return false;
+            }
+
+            return !outcome.when || QuestionnaireExpressions.test(outcome.when, scope);
+        }) || null;
+    };
+
+    /**
+     * Validate an expression and the identifiers it reads
+     * @param {string} source - Expression source
+     * @param {string} label - Prefix for error messages
+     * @param {Set<string>} knownNames - Identifiers the expression may use
+     * @returns {string[]} Validation errors
+     */
+    const validateExpression = (source, label, knownNames) => {
+        try {
+            return QuestionnaireExpressions.getReferences(QuestionnaireExpressions.compile(source))
+                .filter(name => !knownNames.has(name))
+                .map(name => `${label} refers to unknown question or variable "${name}"`);
+        } catch (error) {
+            return [`${label} has invalid expression: ${error.message}`];
+        }
+    };
+
+    /**
+     * Validate scores, variables and outcomes of a configuration
+     * @param {Object} config - Questionnaire configuration
+     * @returns {string[]} Validation errors
+     */
+    const validate = (config) => {
+        const errors = [];
+        const questionIds = Object.keys(config.questions);
+
+        Object.entries(config.questions).forEach(([questionId, questionData]) => {
+            if (questionData.scores === undefined) return;
+
+            if (!questionData.scores || typeof questionData.scores !== 'object' || Array.isArray(questionData.scores)) {
+                errors.push(`Question "${questionId}" "scores" must be an object of answer scores`);
+                return;
+            }
+
+            let options = [];
+            try {
+                options = QuestionTypes.forQuestion(questionData).getOptions(questionData);
+            } catch (error) {
+                return;
+            }
+
+            Object.entries(questionData.scores).forEach(([answer, score]) => {
+                if (!options.includes(answer)) {
+                    errors.push(`Question "${questionId}" has a score for unknown answer "${answer}"`);
+                }
+                if (typeof score !== 'number' || !Number.isFinite(score)) {
+                    errors.push(`Question "${questionId}" score for "${answer}" must be a number`);
+                }
+            });
+        });
+
+        // Variables may only read answers and the variables declared before them
+        const knownNames = new Set([...questionIds, TOTAL_SCORE]);
+        if (config.variables !== undefined) {
+            if (!config.variables || typeof config.variables !== 'object' || Array.isArray(config.variables)) {
+                errors.push("'variables' must be an object");
+            } else {
+                Object.entries(config.variables).forEach(([name, definition]) => {
+                    const label = `Variable "${name}"`;
+
+                    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                        errors.push(`${label} name must be a valid identifier`);
+                    }
+                    if (knownNames.has(name)) {
+                        errors.push(`${label} clashes with a question ID or an earlier variable`);
+                    }
+
+                    const kinds = definition && typeof definition === 'object'
+                        ? VARIABLE_KINDS.filter(kind => hasOwn(definition, kind))
+                        : [];
+                    if (kinds.length !== 1) {
+                        errors.push(`${label} must define exactly one of: ${VARIABLE_KINDS.join(', ')}`);
+                    } else if (kinds[0] === 'score' && definition.score !== undefined && !Array.isArray(definition.score)) {
+                        errors.push(`${label} "score" must be a list of question IDs`);
+                    } else if (kinds[0] === 'expression') {
+                        errors.push(...validateExpression(definition.expression, label, knownNames));
+                    }
+
+                    const referencedQuestions = [
+                        ...(Array.isArray(definition && definition.score) ? definition.score : []),
+                        ...(Array.isArray(definition && definition.questions) ? definition.questions : [])
+                    ];
+                    referencedQuestions
+                        .filter(questionId => !hasOwn(config.questions, questionId))
+                        .forEach(questionId => errors.push(`${label} refers to non-existent question "${questionId}"`));
+
+                    knownNames.add(name);
+                });
+            }
+        }
+
+        if (config.outcomes !== undefined) {
+            if (!Array.isArray(config.outcomes)) {
+                errors.push("'outcomes' must be an array");
+                return errors;
+            }
+
+            const outcomeIds = new Set();
+            config.outcomes.forEach((outcome, index) => {
+                const label = `Outcome ${outcome && outcome.id ? `"${outcome.id}"` : index + 1}`;
+
+                if (!outcome || typeof outcome.id !== 'string' || !QuestionnaireI18n.isText(outcome.title)) {
+                    errors.push(`${label} must have a string "id" and a "title"`);
+                    return;
+                }
+                if (outcomeIds.has(outcome.id)) {
+                    errors.push(`${label} is defined more than once`);
+                }
+                outcomeIds.add(outcome.id);
+
+                if (outcome.when !== undefined) {
+                    errors.push(...validateExpression(outcome.when, label, knownNames));
+                }
+
+                if (outcome.score !== undefined) {
+                    const variable = outcome.score.variable || TOTAL_SCORE;
+                    if (!knownNames.has(variable) || questionIds.includes(variable)) {
+                        errors.push(`${label} score refers to unknown variable "${variable}"`);
+                    }
+                    ['min', 'max'].forEach(key => {
+                        if (outcome.score[key] !== undefined && typeof outcome.score[key] !== 'number') {
+                            errors.push(`${label} score "${key}" must be a number`);
+                        }
+                    });
+                }
+
+                if (outcome.endsAt !== undefined) {
+                    if (!Array.isArray(outcome.endsAt)) {
+                        errors.push(`${label} "endsAt" must be a list of question IDs`);
+                    } else {
+                        outcome.endsAt
+                            .filter(questionId => !hasOwn(config.questions, questionId))
+                            .forEach(questionId => errors.push(`${label} "endsAt" refers to non-existent question "${questionId}"`));
+                    }
+                }
+            });
+        }
+
+        return errors;
+    };
+
+    // Public API
+    return {
+        TOTAL_SCORE,
+        getAnswerScore,
+        isScored,
+        getVariableNames,
+        computeVariables,
+        buildScope,
+        matchOutcome,
+        validate
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireScoring = QuestionnaireScoring;
+}
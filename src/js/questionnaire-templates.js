@@ -0,0 +1,120 @@
+// Questionnaire Templates - Answer piping into question text and answer labels
+//
+// Syntax:
+//   {{q_name}}               answer to question q_name (or the value of a variable)
+//   {{q_name|there}}         with a fallback used while the value is missing
+//   \{{                      a literal "{{"
+//
+// Multi-select answers are joined with ", ", matrix ratings listed as "row: rating". Inserted values can be
+// escaped for the output context.
+const QuestionnaireTemplates = (() => {
+    'use strict';
+
+    const TOKEN_PATTERN = /\\\{\{|\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*(?:\|([^{}]*))?\}\}/g;
+
+    const HTML_ENTITIES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    /**
+     * Escape text for use in HTML markup
+     * @param {string} text - Plain text
+     * @returns {string} HTML-safe text
+     */
+    const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+    /**
+     * Check whether a text contains placeholders (or escaped braces)
+     * @param {string} template - Text to check
+     * @returns {boolean} True if the text needs rendering
+     */
+    const hasPlaceholders = (template) => typeof template === 'string' && template.includes('{{');
+
+    /**
+     * List the placeholders of a text
+     * @param {string} template - Text with placeholders
+     * @returns {Array} Placeholders ({ name, fallback }); fallback is undefined when none is given
+     */
+    const getPlaceholders = (template) => {
+        if (!hasPlaceholders(template)) {
+            return [];
+        }
+
+        return Array.from(template.matchAll(TOKEN_PATTERN))
+            .filter(match => match[1] !== undefined)
+            .map(match => ({ name: match[1], fallback: match[2] !== undefined ? match[2].trim() : undefined }));
+    };
+
+    /**
+     * Find "{{" sequences that are neither a valid placeholder nor escaped
+     * @param {string} template - Text with placeholders
+     * @returns {boolean} True if the text has a malformed placeholder
+     */
+    const hasMalformedPlaceholders = (template) => {
+        return hasPlaceholders(template) && template.replace(TOKEN_PATTERN, '').includes('{{');
+    };
+
+    /**
+     * Format a value for insertion
+     * @param {*} value - Answer or variable value
+     * @returns {string|null} Text, or null when the value is missing
+     */
+    const formatValue = (value) => {
+        if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return null;
+        }
+        if (Array.isArray(value)) {
+            return value.join(', ');
+        }
+        if (typeof value === 'object') {
+            return Object.entries(value).map(([row, rating]) => `${row}: ${rating}`).join(', ');
+        }
+        return String(value);
+    };
+
+    /**
+     * Replace the placeholders of a text
+     * @param {string} template - Text with placeholders
+     * @param {Object} scope - Values by name (answers by question ID and variables)
+     * @param {Object} options - Render options
+     * @param {Function} options.escape - Applied to inserted values and fallbacks (e.g. escapeHtml)
+     * @returns {string} Rendered text
+     */
+    const render = (template, scope, options = {}) => {
+        if (!hasPlaceholders(template)) {
+            return template;
+        }
+
+        const escape = options.escape || (text => text);
+        return template.replace(TOKEN_PATTERN, (token, name, fallback) => {
+            if (name === undefined) {
+                return '{{';
+            }
+
+            const value = Object.prototype.hasOwnProperty.call(scope, name) ? formatValue(scope[name]) : null;
+            if (value !== null) {
+                return escape(value);
+            }
+            return escape(fallback !== undefined ? fallback.trim() : '');
+        });
+    };
+
+    // Public API
+    return {
+        escapeHtml,
+        hasPlaceholders,
+        getPlaceholders,
+        hasMalformedPlaceholders,
+        formatValue,
+        render
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionnaireTemplates = QuestionnaireTemplates;
+}
@@ -0,0 +1,302 @@
+// Response Analytics Application
+class ResponseAnalyticsApp {
+    constructor() {
+        this.currentHash = QuestionnaireEngine.hashConfig(questionnaireConfig);
+        this.selectedHash = this.currentHash;
+        this.records = [];
+        this.analytics = null;
+        this.init();
+    }
+
+    async init() {
+        this.bindEventListeners();
+
+        if (!QuestionnaireResponseStore.isAvailable()) {
+            this.showNotification('Responses cannot be stored in this browser.', 'warning');
+            return;
+        }
+
+        await this.loadRecords();
+        console.log('Response Analytics App initialized');
+    }
+
+    bindEventListeners() {
+        const importFile = document.getElementById('importFile');
+
+        document.getElementById('configSelect').addEventListener('change', (e) => {
+            this.selectedHash = e.target.value;
+            this.render();
+        });
+        document.getElementById('exportCsvButton').addEventListener('click', () => {
+            this.download(this.analytics.exportToCSV(), 'text/csv', 'csv');
+        });
+        document.getElementById('exportJsonButton').addEventListener('click', () => {
+            this.download(this.analytics.exportToJSON(), 'application/json', 'json');
+        });
+        document.getElementById('importButton').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', () => {
+            if (importFile.files.length > 0) {
+                this.importFile(importFile.files[0]);
+            }
+            importFile.value = '';
+        });
+        document.getElementById('clearButton').addEventListener('click', () => this.clearResponses());
+    }
+
+    async loadRecords() {
+        try {
+            this.records = await QuestionnaireResponseStore.list();
+        } catch (error) {
+            console.error('Could not load responses:', error);
+            this.showNotification('Could not load the collected responses.', 'error');
+            this.records = [];
+        }
+
+        this.updateConfigSelect();
+        this.render();
+    }
+
+    updateConfigSelect() {
+        const select = document.getElementById('configSelect');
+        const versions = ResponseAnalyticsEngine.groupByConfig(this.records);
+        if (!versions.some(version => version.configHash === this.currentHash)) {
+            versions.unshift({ configHash: this.currentHash, questionnaireId: questionnaireConfig.id || this.currentHash, responses: 0 });
+        }
+        if (!versions.some(version => version.configHash === this.selectedHash)) {
+            this.selectedHash = this.currentHash;
+        }
+
+        select.innerHTML = '';
+        versions.forEach(version => {
+            const option = document.createElement('option');
+            option.value = version.configHash;
+            option.textContent = `${version.questionnaireId}${version.configHash === this.currentHash ? ' (current)' : ` (${version.configHash})`} – ${version.responses} ${version.responses === 1 ? 'response' : 'responses'}`;
+            option.selected = version.configHash === this.selectedHash;
+            select.appendChild(option);
+        });
+    }
+
+    render() {
+        const records = this.records.filter(record => record.configHash === this.selectedHash);
+        // Question texts come from the configuration only for responses to the current version
+        const config = this.selectedHash === this.currentHash ? questionnaireConfig : null;
+        this.analytics = new ResponseAnalyticsEngine(records, config);
+
+        const hasRecords = records.length > 0;
+        document.getElementById('emptyState').classList.toggle('hidden', hasRecords);
+        document.getElementById('analyticsGrid').classList.toggle('hidden', !hasRecords);
+        ['exportCsvButton', 'exportJsonButton', 'clearButton'].forEach(id => {
+            document.getElementById(id).disabled = !hasRecords;
+        });
+
+        this.updateStatistics();
+        if (!hasRecords) {
+            return;
+        }
+
+        this.renderFunnel();
+        this.renderDropOff();
+        this.renderPaths();
+        this.renderDistributions();
+    }
+
+    updateStatistics() {
+        const summary = this.analytics.getSummary();
+        document.getElementById('totalResponses').textContent = summary.responses;
+        document.getElementById('completionRate').textContent = `${Math.round(summary.completionRate)}%`;
+        document.getElementById('screenedOut').textContent = summary.screenedOut;
+        document.getElementById('averageDuration').textContent = summary.averageDuration === null
+            ? '–'
+            : this.formatDuration(summary.averageDuration);
+    }
+
+    renderFunnel() {
+        const chart = document.getElementById('funnelChart');
+        chart.innerHTML = '';
+        this.analytics.getFunnel().forEach(stage => {
+            chart.appendChild(this.createBar(stage.label, stage.share, `${stage.count} (${Math.round(stage.share)}%)`));
+        });
+    }
+
+    renderDropOff() {
+        const chart = document.getElementById('dropOffChart');
+        chart.innerHTML = '';
+        this.analytics.getDropOff().forEach(entry => {
+            const bar = this.createBar(
+                entry.question,
+                entry.dropOffRate,
+                `${entry.dropped} of ${entry.reached} (${Math.round(entry.dropOffRate)}%)`
+            );
+            bar.classList.add('drop-off');
+            chart.appendChild(bar);
+        });
+    }
+
+    renderPaths() {
+        const chart = document.getElementById('pathsChart');
+        chart.innerHTML = '';
+
+        const paths = this.analytics.getTopPaths();
+        if (paths.length === 0) {
+            chart.textContent = 'No completed sessions yet.';
+            return;
+        }
+
+        paths.forEach(path => {
+            chart.appendChild(this.createBar(path.keys.join(' → '), path.share, `${path.count} (${Math.round(path.share)}%)`));
+        });
+    }
+
+    renderDistributions() {
+        const container = document.getElementById('distributions');
+        container.innerHTML = '';
+
+        this.analytics.getDistributions()
+            .filter(distribution => distribution.responses > 0)
+            .forEach(distribution => {
+                const item = document.createElement('div');
+                item.className = 'distribution-item';
+
+                const title = document.createElement('h3');
+                title.className = 'distribution-question';
+                title.textContent = distribution.question;
+                item.appendChild(title);
+
+                const count = document.createElement('div');
+                count.className = 'distribution-count';
+                count.textContent = `${distribution.responses} ${distribution.responses === 1 ? 'answer' : 'answers'}`;
+                item.appendChild(count);
+
+                distribution.answers.forEach(answer => {
+                    item.appendChild(this.createBar(answer.label === '' ? '(empty)' : answer.label, answer.share, `${answer.count} (${Math.round(answer.share)}%)`));
+                });
+
+                container.appendChild(item);
+            });
+    }
+
+    createBar(label, percentage, value) {
+        const row = document.createElement('div');
+        row.className = 'bar-row';
+
+        const labelElement = document.createElement('div');
+        labelElement.className = 'bar-label';
+        labelElement.textContent = label;
+        labelElement.title = label;
+
+        const track = document.createElement('div');
+        track.className = 'bar-track';
+        const fill = document.createElement('div');
+        fill.className = 'bar-fill';
+        fill.style.width = `${Math.min(100, Math.max(0, percentage))}%`;
+        track.appendChild(fill);
+
+        const valueElement = document.createElement('div');
+        valueElement.className = 'bar-value';
+        valueElement.textContent = value;
+
+        row.appendChild(labelElement);
+        row.appendChild(track);
+        row.appendChild(valueElement);
+        return row;
+    }
+
+    async importFile(file) {
+        try {
+            const records = ResponseAnalyticsEngine.importRecords(await file.text());
+            const { added, updated, skipped } = await QuestionnaireResponseStore.merge(records);
+            await this.loadRecords();
+            this.showNotification(
+                `Imported ${added} new and ${updated} updated ${added + updated === 1 ? 'response' : 'responses'}${skipped > 0 ? `, ${skipped} already up to date` : ''}.`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.showNotification(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    async clearResponses() {
+        if (!confirm('Delete all collected responses to this questionnaire version?')) {
+            return;
+        }
+
+        try {
+            const removed = await QuestionnaireResponseStore.clear(this.selectedHash);
+            await this.loadRecords();
+            this.showNotification(`Deleted ${removed} ${removed === 1 ? 'response' : 'responses'}.`, 'success');
+        } catch (error) {
+            console.error('Clearing responses failed:', error);
+            this.showNotification('Could not delete the responses.', 'error');
+        }
+    }
+
+    download(content, type, extension) {
+        try {
+            const blob = new Blob([content], { type });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `questionnaire-responses-${new Date().toISOString().split('T')[0]}.${extension}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showNotification('Export failed. Please try again.', 'error');
+        }
+    }
+
+    formatDuration(milliseconds) {
+        const seconds = Math.round(milliseconds / 1000);
+        return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.textContent = message;
+
+        Object.assign(notification.style, {
+            position: 'fixed',
+            top: '20px',
+            right: '20px',
+            padding: '1rem 1.5rem',
+            borderRadius: '8px',
+            color: 'white',
+            fontWeight: '500',
+            zIndex: '1000',
+            transform: 'translateX(100%)',
+            transition: 'transform 0.3s ease'
+        });
+
+        const colors = {
+            info: '#3b82f6',
+            warning: '#f59e0b',
+            error: '#ef4444',
+            success: '#10b981'
+        };
+        notification.style.backgroundColor = colors[type] || colors.info;
+
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.style.transform = 'translateX(0)';
+        }, 100);
+
+        setTimeout(() => {
+            notification.style.transform = 'translateX(100%)';
+            setTimeout(() => {
+                document.body.removeChild(notification);
+            }, 300);
+        }, 3000);
+    }
+}
+
+// Initialize app when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    new ResponseAnalyticsApp();
+});
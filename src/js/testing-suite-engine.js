@@ -98,9 +98,9 @@ class TestingSuiteEngine {
             () => {
                 const errors = [];
                 Object.entries(this.config.questions).forEach(([questionId, questionData]) => {
-                    Object.entries(questionData.answers).forEach(([answer, nextQuestionId]) => {
-                        if (nextQuestionId !== null && !this.config.questions[nextQuestionId]) {
-                            errors.push(`Question "${questionId}" answer "${answer}" refers to non-existent question "${nextQuestionId}"`);
+                    QuestionnaireEngine.getEdges(questionData).forEach(({ label, next }) => {
+                        if (!QuestionTypes.isValidTarget(this.config, next)) {
+                            errors.push(`Question "${questionId}" answer "${label}" refers to non-existent question "${next}"`);
                         }
                     });
                 });
@@ -130,8 +130,8 @@ class TestingSuiteEngine {
                     
                     const question = this.config.questions[questionId];
                     if (question) {
-                        for (const nextQuestionId of Object.values(question.answers)) {
-                            if (hasCircular(nextQuestionId)) {
+                        for (const { next } of QuestionnaireEngine.getEdges(question)) {
+                            if (hasCircular(next)) {
                                 return true;
                             }
                         }
@@ -256,6 +256,1301 @@ class TestingSuiteEngine {
             }
         );
 
+        // Test 6: Multi-select answers
+        await this.runTest(
+            'Multi-Select Answers',
+            'Tests that multi-select questions accept answer sets and route on them',
+            () => {
+                const engine = new QuestionnaireEngine(this.getMultiSelectFixture());
+
+                try {
+                    engine.answerQuestion([]);
+                    throw new Error('Empty selection should be rejected when minSelections is 1');
+                } catch (e) {
+                    if (!e.message.includes('requires between')) throw e;
+                }
+
+                engine.answerQuestion(['Music', 'Sports']);
+                if (engine.currentQuestionId !== 'both') {
+                    throw new Error(`Expected "allOf" rule to route to "both", got "${engine.currentQuestionId}"`);
+                }
+
+                const answer = engine.getAnswers()[0].answer;
+                if (!Array.isArray(answer) || answer.join() !== 'Sports,Music') {
+                    throw new Error(`Expected answer ["Sports", "Music"], got ${JSON.stringify(answer)}`);
+                }
+
+                engine.goBack();
+                engine.answerQuestion(['Travel']);
+                if (engine.currentQuestionId !== null) {
+                    throw new Error(`Expected default route to end the questionnaire, got "${engine.currentQuestionId}"`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 7: Input answers
+        await this.runTest(
+            'Input Answers',
+            'Tests validation and range routing of input questions',
+            () => {
+                const engine = new QuestionnaireEngine(this.getInputFixture());
+
+                ['', 'abc', '12.5', '150', '0x10', '1e1', '0b11', [5], true].forEach(invalidAnswer => {
+                    if (engine.validateAnswer(invalidAnswer).isValid) {
+                        throw new Error(`Answer ${JSON.stringify(invalidAnswer)} should be rejected`);
+                    }
+                });
+
+                engine.answerQuestion('17');
+                if (engine.currentQuestionId !== 'minor') {
+                    throw new Error(`Expected age 17 to route to "minor", got "${engine.currentQuestionId}"`);
+                }
+
+                if (engine.getAnswers()[0].answer !== 17) {
+                    throw new Error('Number answers should be stored as numbers');
+                }
+
+                engine.goBack();
+                engine.answerQuestion(40);
+                if (engine.currentQuestionId !== 'email') {
+                    throw new Error(`Expected age 40 to use the default route, got "${engine.currentQuestionId}"`);
+                }
+
+                if (engine.validateAnswer('not-an-email').isValid) {
+                    throw new Error('Invalid e-mail address should be rejected');
+                }
+
+                engine.answerQuestion('');
+                if (!engine.isComplete() || engine.getAnswers()[1].answer !== null) {
+                    throw new Error('Optional input should accept an empty answer');
+                }
+
+                return true;
+            }
+        );
+
+        // Test 8: Expression routing
+        await this.runTest(
+            'Expression Routing',
+            'Tests that "next" expression rules route on earlier answers before the answer map',
+            () => {
+                const engine = new QuestionnaireEngine(this.getExpressionFixture());
+                engine.answerQuestion('Married');
+                engine.answerQuestion('Yes');
+                if (engine.currentQuestionId !== 'family') {
+                    throw new Error(`Expected expression rule to route to "family", got "${engine.currentQuestionId}"`);
+                }
+
+                engine.reset();
+                engine.answerQuestion('Single');
+                engine.answerQuestion('Yes');
+                if (engine.currentQuestionId !== 'plans') {
+                    throw new Error(`Expected fallback to the answer map, got "${engine.currentQuestionId}"`);
+                }
+
+                const broken = this.getExpressionFixture();
+                broken.questions.kids.next = [
+                    { when: "status == 'Married' and q99 == 'Yes'", goto: 'family' },
+                    { when: "status ==", goto: null }
+                ];
+                const validation = QuestionnaireEngine.validateConfig(broken);
+                if (validation.errors.length !== 2) {
+                    throw new Error(`Expected unknown reference and syntax errors, got: ${validation.errors.join('; ')}`);
+                }
+
+                // Names every object inherits are not questions
+                const inherited = this.getExpressionFixture();
+                inherited.questions.kids.next = [{ when: "toString == 'x'", goto: 'constructor' }];
+                inherited.questions.kids.question = 'Kids, {{hasOwnProperty}}?';
+                const inheritedErrors = QuestionnaireEngine.validateConfig(inherited).errors;
+                if (inheritedErrors.length !== 3) {
+                    throw new Error(`Inherited names should not count as questions: ${inheritedErrors.join('; ')}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 9: Scoring and outcomes
+        await this.runTest(
+            'Scoring and Outcomes',
+            'Tests answer scores, computed variables and outcome matching',
+            () => {
+                const engine = new QuestionnaireEngine(this.getScoringFixture());
+                engine.answerQuestion('A');
+                engine.answerQuestion(['X', 'Z']);
+
+                const variables = engine.getVariables();
+                if (engine.getScore() !== 6 || variables.correct !== 1 || variables.doubled !== 12) {
+                    throw new Error(`Unexpected variables: ${JSON.stringify(variables)}`);
+                }
+
+                const outcome = engine.getOutcome();
+                if (!outcome || outcome.id !== 'expert') {
+                    throw new Error(`Expected outcome "expert", got ${outcome ? `"${outcome.id}"` : 'none'}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 10: Session save and restore
+        await this.runTest(
+            'Session Save and Restore',
+            'Tests restoring a serialized session and migrating it to a changed configuration',
+            () => {
+                const config = { ...this.getExpressionFixture(), id: 'expression-fixture' };
+                const engine = new QuestionnaireEngine(config);
+                engine.answerQuestion('Married');
+                engine.answerQuestion('Yes');
+                const snapshot = JSON.parse(JSON.stringify(engine.serialize()));
+
+                const restored = QuestionnaireEngine.restore(snapshot, config);
+                if (restored.currentQuestionId !== 'family' || restored.getAnswers().length !== 2 || restored.restoreReport.migrated) {
+                    throw new Error('Snapshot of an unchanged configuration should restore as is');
+                }
+
+                if (restored.questionHistory.join() !== 'status,kids') {
+                    throw new Error('Restored session should keep its history');
+                }
+
+                // "Yes" is no longer an option, so only the first answer survives
+                const changed = { ...this.getExpressionFixture(), id: 'expression-fixture' };
+                changed.questions.kids.answers = { 'One or more': 'plans', None: 'plans' };
+                const migrated = QuestionnaireEngine.restore(snapshot, changed);
+                const { keptAnswers, discardedAnswers } = migrated.restoreReport;
+                if (migrated.currentQuestionId !== 'kids' || keptAnswers !== 1 || discardedAnswers !== 1) {
+                    throw new Error(`Unexpected migration result: ${JSON.stringify(migrated.restoreReport)}`);
+                }
+
+                let rejected = false;
+                try {
+                    QuestionnaireEngine.restore(snapshot, { ...config, id: 'another-questionnaire' });
+                } catch (error) {
+                    rejected = true;
+                }
+                if (!rejected) {
+                    throw new Error('Snapshot of another questionnaire should be rejected');
+                }
+
+                return true;
+            }
+        );
+
+        // Test 11: Editing earlier answers
+        await this.runTest(
+            'Answer Editing',
+            'Tests going back several steps, jumping to an answered question and pruning answers off the new path',
+            () => {
+                const engine = new QuestionnaireEngine(this.getExpressionFixture());
+                engine.answerQuestion('Married');
+                engine.answerQuestion('Yes');
+                engine.goBack();
+                engine.goBack();
+                if (engine.currentQuestionId !== 'status' || engine.getAnswers().length !== 0) {
+                    throw new Error(`Going back twice should return to the start, got "${engine.currentQuestionId}"`);
+                }
+
+                ['Married', 'Yes', 'Done'].forEach(answer => engine.answerQuestion(answer));
+                if (!engine.jumpTo('kids') || engine.getAnswers().length !== 3 || engine.getAnswer('kids') !== 'Yes') {
+                    throw new Error('Jumping to an answered question should keep all answers');
+                }
+
+                // Single respondents skip "family", so only that answer is discarded
+                const discarded = engine.editAnswer('status', 'Single');
+                if (discarded.map(answerData => answerData.questionId).join() !== 'family') {
+                    throw new Error(`Expected only "family" to be discarded, got: ${JSON.stringify(discarded)}`);
+                }
+
+                if (engine.currentQuestionId !== 'plans' || engine.questionHistory.join() !== 'status,kids') {
+                    throw new Error(`Expected to continue at "plans", got "${engine.currentQuestionId}"`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 12: Answer piping
+        await this.runTest(
+            'Answer Piping',
+            'Tests that placeholders in question text are filled in from earlier answers, with fallbacks',
+            () => {
+                const engine = new QuestionnaireEngine(this.getPipingFixture());
+                engine.answerQuestion('Ann');
+                const status = engine.getCurrentQuestion();
+                if (status.question !== 'Nice to meet you, Ann! Are you married?') {
+                    throw new Error(`Unexpected question text: "${status.question}"`);
+                }
+
+                engine.answerQuestion('No');
+                if (engine.getCurrentQuestion().question !== 'Anything else, Ann? You answered No.') {
+                    throw new Error(`Unexpected question text: "${engine.getCurrentQuestion().question}"`);
+                }
+
+                if (QuestionnaireTemplates.render('Hello {{name|friend}} \\{{x}}', {}) !== 'Hello friend {{x}}') {
+                    throw new Error('Fallbacks and escaped braces should be rendered literally');
+                }
+
+                const broken = this.getPipingFixture();
+                broken.questions.name.question = 'Are you {{status}}?';
+                broken.questions.years.question = 'How long, {{spouse}}?';
+                const validation = QuestionnaireEngine.validateConfig(broken);
+                if (validation.errors.length !== 2) {
+                    throw new Error(`Expected unresolved and unknown placeholder errors, got: ${validation.errors.join('; ')}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 13: Repeat groups
+        await this.runTest(
+            'Repeat Groups',
+            'Tests count- and condition-driven repeat groups with per-iteration answers',
+            () => {
+                const engine = new QuestionnaireEngine(this.getRepeatFixture());
+                engine.answerQuestion(2);
+                const first = engine.getCurrentQuestion();
+                if (first.question !== 'How old is child 1?' || first.iteration.index !== 1 || first.iteration.count !== 2) {
+                    throw new Error(`Unexpected first iteration: ${JSON.stringify(first)}`);
+                }
+
+                engine.answerQuestion(10);
+                if (engine.getCurrentQuestion().question !== 'Does child 1 (10) go to school?') {
+                    throw new Error(`Unexpected question text: "${engine.getCurrentQuestion().question}"`);
+                }
+
+                // A young child ends the second iteration early
+                engine.answerQuestion('Yes');
+                engine.answerQuestion(3);
+                const keys = engine.getAnswers().map(answerData => QuestionnaireEngine.getAnswerKey(answerData));
+                if (engine.currentQuestionId !== 'pets' || keys.join() !== 'kids,child_age#1,child_school#1,child_age#2') {
+                    throw new Error(`Unexpected answers after the group: ${keys.join()}`);
+                }
+
+                const discarded = engine.editAnswer('kids', 1);
+                if (discarded.length !== 1 || engine.currentQuestionId !== 'pets') {
+                    throw new Error('Lowering the count should discard only the extra iteration');
+                }
+
+                // "while" groups repeat until the condition fails or maxIterations is reached
+                engine.answerQuestion('Yes');
+                ['Rex', 'Yes', 'Tom', 'Yes', 'Kit', 'Yes'].forEach(answer => engine.answerQuestion(answer));
+                if (!engine.isComplete() || engine.getAnswer('pet_name#3') !== 'Kit') {
+                    throw new Error('Pet group should stop after maxIterations');
+                }
+
+                const broken = this.getRepeatFixture();
+                broken.questions.child_school.answers.No = 'pets';
+                if (QuestionnaireEngine.validateConfig(broken).errors.length !== 1) {
+                    throw new Error('Routing out of a group should be reported');
+                }
+
+                // Outside repeat groups, routing back to an earlier question is a cycle
+                const cyclic = {
+                    startQuestion: 'q1',
+                    questions: {
+                        q1: { question: 'First?', answers: { Yes: 'q2', No: null } },
+                        q2: { question: 'Second?', answers: { back: 'q1', done: null } }
+                    }
+                };
+                const cycleErrors = QuestionnaireEngine.validateConfig(cyclic).errors;
+                if (cycleErrors.length !== 1 || !cycleErrors[0].startsWith('Routing cycle q1 → q2 → q1')) {
+                    throw new Error(`Routing cycles should be reported: ${cycleErrors.join('; ')}`);
+                }
+                cyclic.questions.q2 = { question: 'Second?', answers: { done: null }, next: [{ when: "q1 == 'Yes'", goto: 'q1' }] };
+                if (QuestionnaireEngine.validateConfig(cyclic).errors.length !== 1
+                    || new PathAnalyzerEngine(cyclic).analyzeAllPaths().paths.number !== 1) {
+                    throw new Error('Cycles through expression rules should be reported and cut short by the path analyzer');
+                }
+
+                const malformed = [{ g: null }, [null]].map(groups => QuestionnaireEngine.validateConfig({ ...this.getRepeatFixture(), groups }).errors);
+                if (!malformed[0].includes('Group "g" must have a non-empty "questions" list') || !malformed[1].includes("'groups' must be an object")) {
+                    throw new Error(`Malformed groups should be reported: ${malformed.flat().join('; ')}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 14: Progress range from remaining paths
+        await this.runTest(
+            'Progress Range',
+            'Tests progress estimation from the shortest and longest remaining path',
+            () => {
+                const engine = new QuestionnaireEngine({
+                    startQuestion: 'a',
+                    questions: {
+                        a: { question: 'Short or long?', answers: { Short: null, Long: 'b' } },
+                        b: { question: 'Second', answers: { Next: 'c' } },
+                        c: { question: 'Third', answers: { Done: null } }
+                    }
+                });
+
+                const { remaining } = engine.getProgressRange();
+                if (remaining.min !== 1 || remaining.max !== 3 || remaining.expected !== 2) {
+                    throw new Error(`Unexpected remaining questions at start: ${JSON.stringify(remaining)}`);
+                }
+
+                engine.answerQuestion('Long');
+                const progress = engine.getProgressRange();
+                if (progress.remaining.min !== 2 || progress.remaining.max !== 2 || Math.round(progress.expected) !== 33) {
+                    throw new Error(`Unexpected progress after the long answer: ${JSON.stringify(progress)}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 15: Several questions per page
+        await this.runTest(
+            'Multi-Question Pages',
+            'Tests answering, going back and editing whole pages',
+            () => {
+                const engine = new QuestionnaireEngine(this.getPagesFixture());
+                const page = engine.getCurrentPage();
+                if (page.id !== 'about' || page.questions.map(question => question.id).join() !== 'name,age') {
+                    throw new Error(`Unexpected first page: ${JSON.stringify(page)}`);
+                }
+
+                const validation = engine.validatePage({ name: 'Ann' });
+                if (validation.isValid || !validation.errors.age || engine.answers.length !== 0) {
+                    throw new Error('An unanswered question should keep the page from being submitted');
+                }
+
+                engine.answerPage({ name: 'Ann', age: 30 });
+                if (engine.getCurrentPage().id !== 'work' || !engine.goBack() || engine.currentQuestionId !== 'name' || engine.answers.length !== 0) {
+                    throw new Error('Going back should return to the start of the previous page');
+                }
+
+                engine.answerPage({ name: 'Ann', age: 30 });
+                engine.answerPage({ job: 'Yes', hours: 20 });
+                const history = engine.getPageHistory().map(({ pageId, keys }) => `${pageId}:${keys.join('+')}`);
+                if (!engine.isComplete() || history.join() !== 'about:name+age,work:job+hours') {
+                    throw new Error(`Unexpected page history: ${history.join()}`);
+                }
+
+                // Editing a page routes again from its last question
+                engine.jumpTo('age');
+                const discarded = engine.editPage({ name: 'Ann', age: 12 });
+                const guardian = engine.getCurrentPage();
+                if (discarded.length !== 2 || guardian.id !== null || guardian.questions[0].question !== 'Who is your guardian, Ann?') {
+                    throw new Error(`Unexpected page after editing: ${JSON.stringify(guardian)}`);
+                }
+
+                const broken = this.getPagesFixture();
+                broken.questions.job.answers.No = null;
+                broken.questions.age.question = 'How old are you, {{name}}?';
+                if (QuestionnaireEngine.validateConfig(broken).errors.length !== 2) {
+                    throw new Error('Routing inside a page and piping from the same page should be reported');
+                }
+
+                return true;
+            }
+        );
+
+        // Test 16: Localized texts
+        await this.runTest(
+            'Localized Texts',
+            'Tests translated question texts and answer labels with stable answer IDs',
+            () => {
+                const config = this.getLocalizedFixture();
+                if (!QuestionnaireEngine.validateConfig(config).isValid) {
+                    throw new Error('Localized fixture should be valid');
+                }
+
+                const engine = new QuestionnaireEngine(config);
+                engine.setLocale('ru-RU');
+                const question = engine.getCurrentQuestion();
+                if (question.question !== 'Вы состоите в браке?' || question.answers.join() !== 'yes,no' || question.answerLabels.join() !== 'Да,Нет') {
+                    throw new Error(`Unexpected localized question: ${JSON.stringify(question)}`);
+                }
+
+                engine.answerQuestion('yes');
+                if (engine.getCurrentQuestion().question !== 'Вы ответили Да. Есть планы?') {
+                    throw new Error(`Piped answers should use their labels: "${engine.getCurrentQuestion().question}"`);
+                }
+
+                engine.answerQuestion(['move']);
+                const [status, plans] = engine.getAnswers();
+                if (status.answer !== 'yes' || status.answerLabel !== 'Да' || plans.answerLabel.join() !== 'Переезд') {
+                    throw new Error(`Answers should record IDs and shown labels: ${JSON.stringify([status, plans])}`);
+                }
+
+                // Unknown locales fall back to the default locale
+                engine.setLocale('de');
+                if (engine.getLocalizedAnswers()[1].question !== 'You answered Yes. Any plans?') {
+                    throw new Error('Texts should fall back to the default locale');
+                }
+
+                delete config.questions.plans.question.ru;
+                config.questions.plans.labels.move = { en: 'Move' };
+                const errors = QuestionnaireEngine.validateConfig(config).errors;
+                if (errors.length !== 2 || !errors.every(error => error.endsWith('missing translations: ru'))) {
+                    throw new Error(`Missing translations should be reported: ${errors.join('; ')}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 17: Lifecycle events
+        await this.runTest(
+            'Lifecycle Events',
+            'Tests event payloads and vetoing or redirecting navigation from listeners',
+            () => {
+                const engine = new QuestionnaireEngine(this.getExpressionFixture());
+                const events = [];
+                const unsubscribers = QuestionnaireEngine.EVENTS.map(type => engine.on(type, event => events.push(event)));
+
+                engine.start();
+                engine.answerQuestion('Married');
+                const answered = events.find(event => event.type === 'answered');
+                if (events.map(event => event.type).join() !== 'questionShown,beforeNavigate,answered,questionShown'
+                    || answered.answer !== 'Married' || answered.path.join() !== 'status'
+                    || typeof answered.duration !== 'number' || typeof answered.progress.expected !== 'number') {
+                    throw new Error(`Unexpected events: ${JSON.stringify(events)}`);
+                }
+
+                // Veto "No" and screen out "Yes" by ending the questionnaire
+                engine.on('beforeNavigate', event => {
+                    const kids = event.answers.find(answerData => answerData.questionId === 'kids');
+                    if (kids && kids.answer === 'No') {
+                        event.preventDefault();
+                    } else if (kids) {
+                        event.redirect(null);
+                    }
+                });
+
+                engine.answerQuestion('No');
+                if (engine.currentQuestionId !== 'kids' || engine.answers.length !== 1) {
+                    throw new Error('A vetoed answer should not be recorded');
+                }
+
+                engine.answerQuestion('Yes');
+                const completed = events[events.length - 1];
+                if (!engine.isComplete() || completed.type !== 'completed' || completed.answers.length !== 2) {
+                    throw new Error('Redirecting to null should complete the questionnaire');
+                }
+
+                engine.goBack();
+                if (!events.some(event => event.type === 'navigatedBack' && event.from === null && event.key === 'kids')) {
+                    throw new Error('Going back should emit navigatedBack');
+                }
+
+                unsubscribers.forEach(unsubscribe => unsubscribe());
+                const count = events.length;
+                engine.reset();
+                if (events.length !== count) {
+                    throw new Error('Unsubscribed listeners should not be called');
+                }
+
+                try {
+                    engine.on('finished', () => {});
+                    throw new Error('Unknown events should be rejected');
+                } catch (error) {
+                    if (!error.message.includes('Unknown questionnaire event')) {
+                        throw error;
+                    }
+                }
+
+                return true;
+            }
+        );
+
+        // Test 18: Answer metrics
+        await this.runTest(
+            'Answer Metrics',
+            'Tests per-answer timing, change and back-navigation counts and slow answers',
+            () => {
+                const engine = new QuestionnaireEngine(this.getExpressionFixture());
+                engine.start();
+                engine.noteAnswerChange('status');
+                engine.noteAnswerChange('status');
+                engine.answerQuestion('Married');
+                engine.goBack();
+                engine.answerQuestion('Single');
+                engine.answerQuestion('No');
+                engine.answerQuestion('Done');
+
+                const [status] = engine.getAnswers();
+                const { shownAt, answeredAt, duration, changes, backNavigations } = status.metrics;
+                if (typeof shownAt !== 'number' || answeredAt < shownAt || duration !== answeredAt - shownAt
+                    || changes !== 0 || backNavigations !== 1) {
+                    throw new Error(`Unexpected metrics after going back: ${JSON.stringify(status.metrics)}`);
+                }
+
+                engine.answers.forEach((answerData, index) => {
+                    answerData.metrics.duration = [1000, 1200, 9000][index];
+                });
+                const slow = engine.getSlowAnswers().map(answerData => answerData.questionId);
+                if (slow.join() !== 'plans') {
+                    throw new Error(`Only the answer that took far longer than the others should be slow: ${slow.join()}`);
+                }
+
+                const record = engine.getSessionRecord();
+                const restored = QuestionnaireEngine.restore(JSON.parse(JSON.stringify(engine.serialize())), engine.config);
+                if (record.metrics.duration !== 11200 || record.metrics.slowQuestions.join() !== 'plans'
+                    || record.answers[2].metrics.duration !== 9000 || restored.answers[0].metrics.backNavigations !== 1) {
+                    throw new Error(`Metrics should be exported and survive a restore: ${JSON.stringify(record.metrics)}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 19: Response submission
+        await this.runTest(
+            'Response Submission',
+            'Tests that completed responses are posted with the configured headers, retried with backoff and kept while offline',
+            async () => {
+                const config = {
+                    ...this.getExpressionFixture(),
+                    submission: { endpoint: 'https://example.test/responses', headers: { Authorization: 'Bearer kiosk' }, maxAttempts: 2 }
+                };
+                if (QuestionnaireSubmission.validate({ submission: { endpoint: 'ftp://x', headers: [] } }).length !== 2) {
+                    throw new Error('Invalid endpoints and headers should be reported');
+                }
+
+                const items = new Map();
+                const storage = {
+                    getItem: key => (items.has(key) ? items.get(key) : null),
+                    setItem: (key, value) => items.set(key, String(value)),
+                    removeItem: key => items.delete(key),
+                    key: index => Array.from(items.keys())[index] || null,
+                    get length() { return items.size; }
+                };
+                const requests = [];
+                const statuses = [503, 201];
+                let online = false;
+                let time = 1000;
+                const options = {
+                    storage,
+                    now: () => time,
+                    schedule: () => () => {},
+                    isOnline: () => online,
+                    fetch: async (url, init) => {
+                        requests.push({ url, init });
+                        return { ok: statuses[0] < 300, status: statuses.shift() };
+                    }
+                };
+
+                const engine = new QuestionnaireEngine(config);
+                ['Married', 'Yes', 'Done'].forEach(answer => engine.answerQuestion(answer));
+                const settings = QuestionnaireSubmission.getSettings(config);
+                const submitter = QuestionnaireSubmission.createSubmitter(settings, engine.getQuestionnaireId(), options);
+
+                let status = await submitter.submit(engine);
+                if (status.state !== 'offline' || status.pending !== 1 || requests.length !== 0) {
+                    throw new Error(`Responses given offline should wait in the outbox: ${JSON.stringify(status)}`);
+                }
+
+                // The outbox survives the page: a new submitter sends what the first one queued
+                online = true;
+                const reloaded = QuestionnaireSubmission.createSubmitter(settings, engine.getQuestionnaireId(), options);
+                status = await reloaded.flush();
+                if (status.state !== 'waiting' || status.nextAttemptAt !== time + settings.retryDelay) {
+                    throw new Error(`A server error should be retried after the retry delay: ${JSON.stringify(status)}`);
+                }
+
+                time = status.nextAttemptAt;
+                status = await reloaded.flush();
+                const { init } = requests[1];
+                const payload = JSON.parse(init.body);
+                if (status.state !== 'sent' || items.size !== 0 || requests[1].url !== settings.endpoint
+                    || init.headers.Authorization !== 'Bearer kiosk' || payload.sessionId !== engine.sessionId
+                    || payload.answers.map(answerData => answerData.answer).join() !== 'Married,Yes,Done') {
+                    throw new Error(`The response should be posted once the server accepts it: ${JSON.stringify(status)}`);
+                }
+
+                if (QuestionnaireSubmission.getRetryDelay(20, settings) !== settings.maxRetryDelay) {
+                    throw new Error('Retry delays should be capped');
+                }
+
+                return true;
+            }
+        );
+
+        // Test 20: Answer randomization and question variants
+        await this.runTest(
+            'Randomization and Variants',
+            'Tests seeded answer shuffling with pinned answers, weighted question variants and their recording',
+            () => {
+                const config = {
+                    startQuestion: 'color',
+                    questions: {
+                        color: {
+                            question: 'Which color do you like most?',
+                            answers: { red: null, green: null, blue: null, yellow: null, other: null, none: null },
+                            randomize: { pinLast: ['other', 'none'] },
+                            variants: [
+                                { id: 'a', question: 'Which color do you like most?', weight: 3 },
+                                { id: 'b', question: 'Which color would you pick first?' }
+                            ]
+                        }
+                    }
+                };
+                const validation = QuestionnaireEngine.validateConfig(config);
+                if (!validation.isValid) {
+                    throw new Error(`Configuration should be valid: ${validation.errors.join('; ')}`);
+                }
+
+                const orders = new Set();
+                let variantA = 0;
+                for (let seed = 0; seed < 400; seed++) {
+                    const engine = new QuestionnaireEngine(config);
+                    engine.seed = seed;
+                    const question = engine.getCurrentQuestion();
+                    if (question.answers.slice(-2).join() !== 'other,none' || [...question.answers].sort().join() !== 'blue,green,none,other,red,yellow') {
+                        throw new Error(`Pinned answers should stay last: ${question.answers.join()}`);
+                    }
+                    orders.add(question.answers.join());
+                    if (question.variant === 'a') variantA++;
+                }
+                if (orders.size < 10 || variantA < 260 || variantA > 340) {
+                    throw new Error(`Orders and variants should vary by seed and weight: ${orders.size} orders, ${variantA} of 400 saw "a"`);
+                }
+
+                const engine = new QuestionnaireEngine(config);
+                const shown = engine.getCurrentQuestion();
+                const restored = QuestionnaireEngine.restore(JSON.parse(JSON.stringify(engine.serialize())), config);
+                if (restored.getCurrentQuestion().answers.join() !== shown.answers.join()) {
+                    throw new Error('A restored session should keep its answer order');
+                }
+
+                engine.answerQuestion('green');
+                const [answerData] = engine.getSessionRecord().answers;
+                if (answerData.variant !== shown.variant || answerData.answerOrder.join() !== shown.answers.join()
+                    || answerData.question !== shown.question) {
+                    throw new Error(`The variant and order shown should be recorded: ${JSON.stringify(answerData)}`);
+                }
+
+                const invalid = QuestionnaireEngine.validateConfig({
+                    ...config,
+                    questions: { color: { ...config.questions.color, randomize: { pinLast: ['white'] }, variants: [{ id: 'a', question: 'A', weight: 0 }] } }
+                });
+                if (invalid.errors.length !== 2) {
+                    throw new Error(`Unknown pinned answers and invalid weights should be reported: ${invalid.errors.join('; ')}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 21: Optional questions and "prefer not to answer"
+        await this.runTest(
+            'Optional Questions',
+            'Tests skipping optional questions along their skip route, declining questions and how both are recorded',
+            () => {
+                const config = {
+                    startQuestion: 'smoker',
+                    questions: {
+                        smoker: { question: 'Do you smoke?', answers: { Yes: 'amount', No: 'income' }, required: false, skipTo: 'income' },
+                        amount: { type: 'number', question: 'How many a day?', required: false, routing: { default: 'income' } },
+                        income: { question: 'What is your income?', answers: { Low: null, High: null }, preferNotToAnswer: 'Rather not say', skipTo: null }
+                    }
+                };
+                const validation = QuestionnaireEngine.validateConfig(config);
+                if (!validation.isValid) {
+                    throw new Error(`Configuration should be valid: ${validation.errors.join('; ')}`);
+                }
+
+                const engine = new QuestionnaireEngine(config);
+                const question = engine.getCurrentQuestion();
+                if (!question.skippable || question.preferNotToAnswer !== undefined) {
+                    throw new Error('The first question should be skippable without a "prefer not to answer" option');
+                }
+                engine.answerQuestion(QuestionnaireEngine.SKIP);
+                if (engine.getCurrentQuestion().id !== 'income' || engine.getCurrentQuestion().preferNotToAnswer !== 'Rather not say') {
+                    throw new Error('A skipped question should continue at its skip route');
+                }
+                if (engine.validateAnswer(QuestionnaireEngine.SKIP).isValid) {
+                    throw new Error('Required questions should not be skippable');
+                }
+                engine.answerQuestion(QuestionnaireEngine.PREFER_NOT_TO_ANSWER);
+
+                const [skipped, declined] = engine.getAnswers();
+                if (!skipped.skipped || skipped.answer !== null || !declined.declined || declined.answerLabel !== 'Rather not say'
+                    || engine.getAnswer('income') !== null || engine.getSubmittedAnswer('income') !== QuestionnaireEngine.PREFER_NOT_TO_ANSWER) {
+                    throw new Error(`Skipped and declined questions should be recorded as such: ${JSON.stringify(engine.getAnswers())}`);
+                }
+
+                const restored = QuestionnaireEngine.restore(JSON.parse(JSON.stringify(engine.serialize())), config);
+                if (!restored.isComplete() || !restored.getAnswers()[0].skipped || !restored.getLocalizedAnswers()[1].declined) {
+                    throw new Error('A restored session should keep skipped and declined questions');
+                }
+
+                // An empty answer skips an optional question; editing it replaces the skip
+                const typed = new QuestionnaireEngine(config);
+                ['Yes', ''].forEach(answer => typed.answerQuestion(answer));
+                if (!typed.getAnswers()[1].skipped || typed.getCurrentQuestion().id !== 'income') {
+                    throw new Error('An empty optional input should be recorded as skipped');
+                }
+                typed.editAnswer('amount', '5');
+                if (typed.getAnswers()[1].skipped || typed.getAnswer('amount') !== 5) {
+                    throw new Error('Answering a skipped question should clear its skipped state');
+                }
+
+                const analyzer = new PathAnalyzerEngine(config);
+                const { statistics } = analyzer.analyzeAllPaths();
+                const steps = analyzer.getDetailedPaths().map(path => path.steps.map(step => step.answer).join(' > '));
+                if (!steps.includes('(skipped) > (Rather not say)') || statistics.pathsWithSkips !== statistics.totalPaths - 4) {
+                    throw new Error(`Skip branches should be counted: ${steps.join(' | ')}`);
+                }
+
+                const invalid = QuestionnaireEngine.validateConfig({
+                    startQuestion: 'a',
+                    questions: {
+                        a: { question: 'A?', answers: { Yes: 'b', No: null }, required: false },
+                        b: { question: 'B?', answers: { Yes: null }, required: 'no', skipTo: null }
+                    }
+                });
+                if (invalid.errors.length !== 3) {
+                    throw new Error(`Missing skip routes and invalid skip settings should be reported: ${invalid.errors.join('; ')}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 22: Help texts, answer hints, images and safe markdown
+        await this.runTest(
+            'Question Content',
+            'Tests that descriptions, help texts, hints and images are localized and that markdown is rendered without injecting markup',
+            () => {
+                const html = QuestionnaireContent.renderMarkdown(
+                    'Read **this** _first_ <script>alert(1)</script>\nand [the guide](https://example.com/?a=1&b=2).\n\n'
+                    + '[Click](javascript:void) \\*not italic\\*'
+                );
+                const expected = '<p>Read <strong>this</strong> <em>first</em> &lt;script&gt;alert(1)&lt;/script&gt;<br>'
+                    + 'and <a href="https://example.com/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">the guide</a>.</p>'
+                    + '<p>Click *not italic*</p>';
+                if (html !== expected) {
+                    throw new Error(`Unexpected markdown rendering: ${html}`);
+                }
+                const disguised = QuestionnaireContent.renderMarkdown('\uE03Cimg src=x onerror=alert(1)\uE03E');
+                if (disguised !== '<p>img src=x onerror=alert(1)</p>') {
+                    throw new Error(`Private-use characters should not turn into markup: ${disguised}`);
+                }
+
+                const config = {
+                    locales: ['en', 'ru'],
+                    startQuestion: 'status',
+                    questions: {
+                        status: {
+                            question: { en: 'Status?', ru: 'Статус?' },
+                            answers: { single: null, married: null },
+                            labels: { single: { en: 'Single', ru: 'Холост' }, married: { en: 'Married', ru: 'Женат' } },
+                            description: { en: 'Your **current** status', ru: 'Ваш **текущий** статус' },
+                            help: { en: 'See [help](/help)', ru: 'См. [справку](/help)' },
+                            hints: { married: { en: 'Including civil unions', ru: 'Включая гражданский брак' } },
+                            image: { src: 'img/rings.png', alt: { en: 'Two rings', ru: 'Два кольца' } }
+                        }
+                    }
+                };
+                const validation = QuestionnaireEngine.validateConfig(config);
+                if (!validation.isValid) {
+                    throw new Error(`Configuration should be valid: ${validation.errors.join('; ')}`);
+                }
+
+                const engine = new QuestionnaireEngine(config);
+                engine.setLocale('ru');
+                const question = engine.getCurrentQuestion();
+                if (question.description !== 'Ваш **текущий** статус' || question.image.alt !== 'Два кольца'
+                    || question.answerHints.join() !== ',Включая гражданский брак' || question.help !== 'См. [справку](/help)') {
+                    throw new Error(`Content should be shown in the session locale: ${JSON.stringify(question)}`);
+                }
+
+                const invalid = QuestionnaireEngine.validateConfig({
+                    startQuestion: 'q',
+                    questions: {
+                        q: {
+                            question: 'Q?',
+                            answers: { Yes: null },
+                            description: 'Hi <b>there</b> [x](javascript:void)',
+                            hints: { No: 'Unknown answer' },
+                            image: { src: 'javascript:alert(1)', alt: '' }
+                        }
+                    }
+                });
+                if (invalid.errors.length !== 5) {
+                    throw new Error(`HTML, unsafe URLs, missing alt texts and unknown hints should be reported: ${invalid.errors.join('; ')}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 23: Rating scales and matrices
+        await this.runTest(
+            'Scale and Matrix Questions',
+            'Tests rating answers, routing on ratings and their aggregates, and the branches the path analyzer finds for them',
+            () => {
+                const config = {
+                    startQuestion: 'overall',
+                    questions: {
+                        overall: {
+                            type: 'scale',
+                            question: 'How satisfied are you overall?',
+                            scaleLabels: { 1: 'Not at all', 5: 'Completely' },
+                            routing: { rules: [{ lte: 2, next: 'why' }], default: 'aspects' }
+                        },
+                        why: { type: 'text', question: 'What is missing?', routing: { default: 'aspects' } },
+                        aspects: {
+                            type: 'matrix',
+                            question: 'How much does each contribute to your satisfaction?',
+                            rows: ['communication', 'shared_values', 'support'],
+                            labels: { communication: 'Communication', shared_values: 'Shared values', support: 'Support' },
+                            routing: {
+                                rules: [{ lt: 3, next: 'help' }, { of: 'communication', gte: 5, next: null }],
+                                default: null
+                            }
+                        },
+                        help: { question: 'Would you like counseling tips?', answers: { Yes: null, No: null } }
+                    }
+                };
+                const validation = QuestionnaireEngine.validateConfig(config);
+                if (!validation.isValid) {
+                    throw new Error(`Configuration should be valid: ${validation.errors.join('; ')}`);
+                }
+
+                const engine = new QuestionnaireEngine(config);
+                const scale = engine.getCurrentQuestion().scale;
+                if (scale.points.join() !== '1,2,3,4,5' || scale.labels.join() !== 'Not at all,,,,Completely') {
+                    throw new Error(`Scale points and labels should be described: ${JSON.stringify(scale)}`);
+                }
+                if (engine.validateAnswer(6).isValid || engine.validateAnswer('2.5').isValid) {
+                    throw new Error('Ratings outside the scale should be rejected');
+                }
+                engine.answerQuestion('4');
+
+                if (engine.validateAnswer({ communication: 2, shared_values: 2 }).isValid) {
+                    throw new Error('Every row of a matrix should need a rating');
+                }
+                engine.answerQuestion({ support: 1, communication: 3, shared_values: 2 });
+                const matrixAnswer = engine.getAnswers()[1];
+                if (engine.getCurrentQuestion().id !== 'help' || Object.keys(matrixAnswer.answer).join() !== 'communication,shared_values,support'
+                    || QuestionTypes.formatAnswer(matrixAnswer.answerLabel) !== 'Communication: 3, Shared values: 2, Support: 1') {
+                    throw new Error(`An average below 3 should lead to the follow-up: ${JSON.stringify(matrixAnswer)}`);
+                }
+
+                engine.editAnswer('aspects', { communication: 5, shared_values: 1, support: 4 });
+                if (!engine.isComplete() || !QuestionnaireExpressions.test("average(aspects) > 3 and rating(aspects, 'shared_values') == 1",
+                    { aspects: engine.getAnswer('aspects') })) {
+                    throw new Error('Row rules and rating expressions should see the matrix ratings');
+                }
+
+                const analyzer = new PathAnalyzerEngine(config);
+                analyzer.analyzeAllPaths();
+                const routes = new Set(analyzer.getDetailedPaths().map(path => path.steps.map(step => step.answer).join(' > ')));
+                const expected = ['≤ 2 > otherwise > average < 3 > Yes', 'otherwise > communication ≥ 5', 'otherwise > otherwise'];
+                if (routes.size !== 8 || !expected.every(route => routes.has(route))) {
+                    throw new Error(`Unexpected rating branches: ${Array.from(routes).join(' | ')}`);
+                }
+
+                const invalid = QuestionnaireEngine.validateConfig({
+                    startQuestion: 'grid',
+                    questions: {
+                        grid: {
+                            type: 'matrix',
+                            question: 'Rate',
+                            rows: ['a', 'a'],
+                            min: 0,
+                            max: 20,
+                            routing: { rules: [{ of: 'median', lt: 3, next: null }], default: null }
+                        }
+                    }
+                });
+                if (invalid.errors.length !== 3) {
+                    throw new Error(`Duplicate rows, oversized scales and unknown aggregates should be reported: ${invalid.errors.join('; ')}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 24: Screen-outs and quotas
+        await this.runTest(
+            'Screen-outs and Quotas',
+            'Tests that screen-outs and full quotas end a session in a state apart from completion, and that the path analyzer counts screen-out paths',
+            () => {
+                const config = {
+                    id: 'screening',
+                    startQuestion: 'age',
+                    questions: {
+                        age: { question: 'Age group?', answers: { minor: 'gender', adult: 'gender' } },
+                        gender: { question: 'Gender?', answers: { female: 'pets', male: 'pets' } },
+                        pets: { question: 'Pets?', answers: { Yes: null, No: null } }
+                    },
+                    screenOuts: [{ id: 'minor', when: "age == 'minor'", message: 'Adults only.' }],
+                    quotas: [{ id: 'women', when: "gender == 'female'", limit: 2 }]
+                };
+                const validation = QuestionnaireEngine.validateConfig(config);
+                if (!validation.isValid) {
+                    throw new Error(`Configuration should be valid: ${validation.errors.join('; ')}`);
+                }
+
+                const engine = new QuestionnaireEngine(config);
+                const events = [];
+                engine.on('screenedOut', event => events.push(event));
+                engine.answerQuestion('minor');
+                const record = engine.getSessionRecord();
+                if (!engine.isScreenedOut() || engine.isComplete() || engine.getScreenOut().message !== 'Adults only.'
+                    || events.length !== 1 || events[0].screenOut !== 'minor' || record.isComplete || record.screenOut.type !== 'screenOut'
+                    || engine.canGoBack() || engine.getProgress() !== 100) {
+                    throw new Error(`A minor should be screened out: ${JSON.stringify(record)}`);
+                }
+                try {
+                    engine.editAnswer('age', 'adult');
+                    throw new Error('Answers should not change after a screen-out');
+                } catch (error) {
+                    if (!error.message.includes('screened out')) {
+                        throw error;
+                    }
+                }
+                engine.reset();
+                if (engine.isScreenedOut() || engine.currentQuestionId !== 'age') {
+                    throw new Error('Reset should start a new session');
+                }
+
+                // Only completed responses fill a quota
+                const records = ['female', 'female', 'female', 'male'].map((gender, index) => ({
+                    isComplete: index !== 2,
+                    answers: [{ questionId: 'age', answer: 'adult' }, { questionId: 'gender', answer: gender }]
+                }));
+                const counts = QuestionnaireEligibility.countQuotas(config, records);
+                if (counts.women !== 2) {
+                    throw new Error(`Expected 2 completed responses in the quota, got ${counts.women}`);
+                }
+                engine.setQuotaCounts(counts);
+                engine.answerQuestion('adult');
+                engine.answerQuestion('female');
+                if (!engine.isScreenedOut() || engine.getScreenOut().type !== 'quota' || engine.getScreenOut().message !== null) {
+                    throw new Error('A full quota should screen the respondent out');
+                }
+
+                const open = new QuestionnaireEngine(config);
+                open.setQuotaCounts({ women: 1 });
+                ['adult', 'female', 'Yes'].forEach(answer => open.answerQuestion(answer));
+                if (!open.isComplete() || open.isScreenedOut()) {
+                    throw new Error('A quota with room left should let the respondent finish');
+                }
+
+                // The analyzer ends paths at screen-outs and does not know about collected responses
+                const { statistics } = new PathAnalyzerEngine(config).analyzeAllPaths();
+                if (statistics.totalPaths !== 5 || statistics.screenOutPaths !== 1 || statistics.minLength !== 1) {
+                    throw new Error(`Unexpected screen-out statistics: ${JSON.stringify(statistics)}`);
+                }
+
+                const invalid = QuestionnaireEngine.validateConfig({
+                    startQuestion: 'age',
+                    questions: config.questions,
+                    screenOuts: [{ id: 'x', when: 'unknown == 1' }],
+                    quotas: [{ id: 'q', when: "age == 'adult'", limit: -1 }, { id: 'q' }]
+                });
+                if (invalid.errors.length !== 5) {
+                    throw new Error(`Unknown references, invalid limits and incomplete quotas should be reported: ${invalid.errors.join('; ')}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 25: Embeddable element
+        await this.runTest(
+            'Questionnaire Element',
+            'Tests that <sg-questionnaire> elements run independent sessions, honour allow-back and report answers and completion as DOM events',
+            async () => {
+                if (typeof customElements === 'undefined' || !customElements.get('sg-questionnaire')) {
+                    throw new Error('The sg-questionnaire element is not defined');
+                }
+
+                const config = {
+                    startQuestion: 'pets',
+                    questions: {
+                        pets: { question: 'Pets?', answers: { Yes: 'size', No: null } },
+                        size: { question: 'Household size?', type: 'number', min: 1, routing: { default: null } }
+                    }
+                };
+                const host = document.createElement('div');
+                host.hidden = true;
+                document.body.appendChild(host);
+
+                try {
+                    const first = document.createElement('sg-questionnaire');
+                    const second = document.createElement('sg-questionnaire');
+                    second.setAttribute('allow-back', 'false');
+                    const events = [];
+                    ['sg-answer', 'sg-complete'].forEach(name => host.addEventListener(name, event => events.push({ name, target: event.target, detail: event.detail })));
+                    first.config = config;
+                    second.config = config;
+                    host.append(first, second);
+                    await Promise.all([first.loading, second.loading]);
+
+                    const submit = (element) => element.shadowRoot.querySelector('form').dispatchEvent(new Event('submit', { cancelable: true }));
+                    submit(first);
+                    if (!first.shadowRoot.querySelector('.question-error').textContent || events.length !== 0) {
+                        throw new Error('An empty page should not be recorded');
+                    }
+
+                    first.shadowRoot.querySelector('input[value="Yes"]').checked = true;
+                    submit(first);
+                    second.shadowRoot.querySelector('input[value="Yes"]').checked = true;
+                    submit(second);
+                    if (!first.shadowRoot.querySelector('button.back') || second.shadowRoot.querySelector('button.back')) {
+                        throw new Error('allow-back="false" should hide the Back button');
+                    }
+
+                    first.shadowRoot.querySelector('input[type="number"]').value = '3';
+                    submit(first);
+                    const completed = events.filter(event => event.name === 'sg-complete');
+                    if (completed.length !== 1 || completed[0].target !== first || completed[0].detail.record.answers.length !== 2
+                        || !first.shadowRoot.querySelector('.end') || second.shadowRoot.querySelector('.end')) {
+                        throw new Error('Only the finished element should complete');
+                    }
+                    if (events.filter(event => event.name === 'sg-answer').map(event => event.detail.answer).join() !== 'Yes,Yes,3') {
+                        throw new Error(`Answers should be reported per element: ${JSON.stringify(events.map(event => event.detail.answer))}`);
+                    }
+                } finally {
+                    host.remove();
+                }
+
+                return true;
+            }
+        );
+
+        // Test 26: YAML and outline formats
+        await this.runTest(
+            'Authoring Formats',
+            'Tests that configurations round-trip through YAML and outlines and that parse errors carry line numbers',
+            () => {
+                const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+                if (!same(QuestionnaireFormats.parse(QuestionnaireFormats.stringify(this.config, 'yaml'), 'yaml'), this.config)) {
+                    throw new Error('The configuration should survive a YAML round-trip');
+                }
+
+                const yaml = [
+                    '# Pets',
+                    'startQuestion: pets',
+                    'questions:',
+                    '  pets:',
+                    "    question: 'Do you have pets?'",
+                    '    answers: { "Yes": kind, "No": null }',
+                    '  kind:',
+                    '    question: What kind?',
+                    '    description: |',
+                    '      Pick the **main** one.',
+                    '    answers:',
+                    '      Dog: null',
+                    '      Cat: null'
+                ].join('\n');
+                const config = QuestionnaireFormats.parse(yaml, 'yaml');
+                if (!QuestionnaireEngine.validateConfig(config).isValid || config.questions.kind.description !== 'Pick the **main** one.\n') {
+                    throw new Error(`YAML was not parsed as expected: ${JSON.stringify(config)}`);
+                }
+
+                const outline = QuestionnaireFormats.stringify({ ...config, questions: { ...config.questions, kind: { question: 'What kind?', answers: { Dog: null, Cat: null } } } }, 'outline');
+                if (outline.split('\n')[0] !== '? [pets] Do you have pets?' || !outline.includes('  - Yes -> kind')) {
+                    throw new Error(`Unexpected outline: ${outline}`);
+                }
+                const fromOutline = QuestionnaireFormats.parse('? Do you have pets?\n  - Yes\n  - No -> end\n? What kind?\n  - Dog\n  - Cat', 'outline');
+                if (!same(fromOutline.questions, { q1: { question: 'Do you have pets?', answers: { Yes: 'q2', No: null } }, q2: { question: 'What kind?', answers: { Dog: null, Cat: null } } })) {
+                    throw new Error(`Outline was not parsed as expected: ${JSON.stringify(fromOutline)}`);
+                }
+
+                const errorLine = (text, format) => {
+                    try {
+                        QuestionnaireFormats.parse(text, format);
+                    } catch (error) {
+                        return error instanceof QuestionnaireFormats.FormatError ? error.line : error.message;
+                    }
+                    return null;
+                };
+                const lines = [
+                    errorLine('questions:\n  q1: a\n  q1: b', 'yaml'),
+                    errorLine('? Q\n  - A -> missing', 'outline'),
+                    errorLine('{\n  "a": 1,\n}', 'json')
+                ];
+                if (!same(lines, [3, 2, 3])) {
+                    throw new Error(`Parse errors should report their lines, got ${lines.join(', ')}`);
+                }
+                try {
+                    QuestionnaireFormats.stringify(this.config, 'outline');
+                    throw new Error('Outlines cannot hold translated questions');
+                } catch (error) {
+                    if (!(error instanceof QuestionnaireFormats.FormatError)) {
+                        throw error;
+                    }
+                }
+                // The editor disables formats with a reason rather than failing on the switch
+                const reasons = ['json', 'yaml', 'outline'].map(format => QuestionnaireFormats.getUnsupportedReason(this.config, format));
+                if (reasons[0] !== null || reasons[1] !== null || !/outline format cannot express/.test(reasons[2])) {
+                    throw new Error(`Unexpected unsupported format reasons: ${JSON.stringify(reasons)}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 27: Flow diagrams
+        await this.runTest(
+            'Flow Diagrams',
+            'Tests that flows export to Mermaid, DOT and a laid-out SVG with answer-labelled edges, loops and screen-outs',
+            () => {
+                const config = {
+                    id: 'loop',
+                    startQuestion: 'end',
+                    questions: {
+                        end: { question: 'Say "hi"?', answers: { Yes: 'again', No: null } },
+                        again: { question: 'Again?', answers: { Yes: 'end', No: null } }
+                    },
+                    screenOuts: [{ id: 'quiet', when: "end == 'No'" }]
+                };
+
+                const mermaid = QuestionnaireDiagrams.toMermaid(config).split('\n').map(line => line.trim());
+                const expected = ['end_["Say #quot;hi#quot;?"]', 'end_ -->|"Yes"| again', 'again -->|"Yes"| end_', 'end_ -->|"No"| End_', `end_ -.->|"if end == 'No'"| quiet`];
+                const missing = expected.filter(line => !mermaid.includes(line));
+                if (missing.length > 0) {
+                    throw new Error(`Mermaid output is missing ${missing.join(', ')}`);
+                }
+
+                const dot = QuestionnaireDiagrams.toDot(config);
+                if (!dot.startsWith('digraph questionnaire {') || !dot.includes('"again" -> "end_" [label="Yes"];')) {
+                    throw new Error(`Unexpected DOT output: ${dot}`);
+                }
+
+                const { nodes, edges } = QuestionnaireDiagrams.layout(QuestionnaireDiagrams.buildGraph(this.config));
+                const questionCount = Object.keys(this.config.questions).length;
+                if (nodes.length !== questionCount + 1 || edges.some(edge => edge.points.some(point => !Number.isFinite(point.x) || !Number.isFinite(point.y)))) {
+                    throw new Error('Every question and the end should be laid out with finite edge routes');
+                }
+                const overlapping = nodes.some(a => nodes.some(b => a !== b &&
+                    Math.abs(a.x - b.x) < (a.width + b.width) / 2 && Math.abs(a.y - b.y) < (a.height + b.height) / 2));
+                if (overlapping) {
+                    throw new Error('Diagram nodes should not overlap');
+                }
+
+                const svg = QuestionnaireDiagrams.render(config, 'svg');
+                if (!svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"') || !svg.includes('Say &quot;hi&quot;?') || /NaN|undefined/.test(svg)) {
+                    throw new Error('SVG output should be a standalone, escaped document');
+                }
+                if (QuestionnaireDiagrams.getFileName(config, 'dot') !== 'loop-flow.dot') {
+                    throw new Error('Diagram downloads should be named after the questionnaire');
+                }
+
+                return true;
+            }
+        );
+
+        // Test 28: Scripted playthroughs
+        await this.runTest(
+            'Scripted Runs',
+            'Tests that answer scripts replay without a user interface and report their terminal, invalid answers and mismatches',
+            () => {
+                const config = {
+                    startQuestion: 'age',
+                    questions: {
+                        age: { question: 'Age group?', answers: { minor: 'pets', adult: 'pets' }, labels: { minor: 'Under 18', adult: '18 or older' } },
+                        pets: { question: 'Pets?', answers: { Yes: 'kind', No: null } },
+                        kind: { question: 'What kind?', answers: { Dog: null, Cat: null } }
+                    },
+                    screenOuts: [{ id: 'minor', when: "age == 'minor'" }]
+                };
+
+                const completed = QuestionnaireRunner.run(config, { steps: [{ age: '18 or older' }, { pets: 'Yes', kind: 'Cat' }], expect: 'completed' });
+                if (!completed.passed || completed.steps.map(step => step.answer).join() !== 'adult,Yes,Cat' || completed.steps[2].step !== 2) {
+                    throw new Error(`Labelled answers and whole pages should be played: ${JSON.stringify(completed)}`);
+                }
+
+                const screened = QuestionnaireRunner.run(config, [{ age: 'minor' }, { pets: 'No' }], { expect: { terminal: 'completed' } });
+                if (screened.terminal.type !== 'screenedOut' || screened.terminal.screenOut.id !== 'minor'
+                    || screened.errors.length !== 1 || screened.errors[0].step !== 2) {
+                    throw new Error(`Answers after a screen-out should be reported: ${JSON.stringify(screened)}`);
+                }
+                if (screened.passed || JSON.stringify(screened.mismatches) !== JSON.stringify([{ field: 'terminal', expected: 'completed', actual: 'screenedOut' }])) {
+                    throw new Error(`The terminal should be compared with the expected one: ${JSON.stringify(screened.mismatches)}`);
+                }
+
+                const invalid = QuestionnaireRunner.run(config, [{ age: 'adult' }, { pets: 'Maybe' }]);
+                if (invalid.steps.length !== 1 || invalid.terminal.type !== 'unfinished' || invalid.terminal.questionId !== 'pets'
+                    || invalid.errors[0].message !== 'Invalid answer "Maybe" for question "pets"') {
+                    throw new Error(`Invalid answers should stop the run: ${JSON.stringify(invalid)}`);
+                }
+                const outOfOrder = QuestionnaireRunner.run(config, [{ pets: 'No' }]);
+                if (outOfOrder.errors.length !== 1 || outOfOrder.steps.length !== 0) {
+                    throw new Error('Answers to questions that are not being asked should be reported');
+                }
+
+                return true;
+            }
+        );
+
+        // Test 29: Share links
+        await this.runTest(
+            'Share Links',
+            'Tests that links carry a configuration and answers without submission settings, and that broken or invalid links raise readable errors',
+            async () => {
+                const config = {
+                    ...this.getPagesFixture(),
+                    id: 'link-fixture',
+                    submission: { endpoint: '/api/responses', headers: { Authorization: 'Bearer secret' } }
+                };
+                const engine = new QuestionnaireEngine(config);
+                engine.answerQuestion('Ada');
+                const data = await QuestionnaireLinks.encode(config, engine);
+                if (!/^[zj][A-Za-z0-9_-]+$/.test(data)) {
+                    throw new Error(`Link data should be URL-safe: ${data}`);
+                }
+
+                const { config: shared, session } = await QuestionnaireLinks.resolve({ configId: 'other', hash: `#config=${data}` }, this.config);
+                if (shared.submission || shared.id !== 'link-fixture' || !session || session.sessionId !== undefined) {
+                    throw new Error('Links should leave out submission settings and the session ID');
+                }
+                const restored = QuestionnaireEngine.restore(session, shared);
+                if (restored.restoreReport.migrated || restored.getCurrentKey() !== 'age' || restored.getAnswer('name') !== 'Ada' || restored.seed !== engine.seed) {
+                    throw new Error('Answers from a link should continue the same flow');
+                }
+
+                // Link sessions are replayed, so a made-up position or answer cannot be restored
+                const tampered = {
+                    ...session,
+                    currentQuestionId: 'zzz',
+                    answers: [...session.answers, { questionId: 'age', question: 'Age?', answer: 'not a number' }]
+                };
+                const replayed = QuestionnaireEngine.restore(tampered, shared, { replay: true });
+                if (replayed.getCurrentKey() !== 'age' || replayed.restoreReport.discardedAnswers !== 1) {
+                    throw new Error(`Tampered link sessions should be replayed: ${JSON.stringify(replayed.restoreReport)}`);
+                }
+
+                const failure = async (promise) => {
+                    try {
+                        await promise;
+                    } catch (error) {
+                        return error instanceof QuestionnaireLinks.LinkError ? error : null;
+                    }
+                    return null;
+                };
+                const damaged = await failure(QuestionnaireLinks.decode(`${data.slice(0, -8)}`));
+                const invalid = await failure(QuestionnaireLinks.decode(await QuestionnaireLinks.encode({ startQuestion: 'missing', questions: {} })));
+                const unknown = await failure(QuestionnaireLinks.resolve({ configId: 'no-such-questionnaire' }, this.config));
+                if (!damaged || !unknown || !invalid || invalid.errors.length === 0) {
+                    throw new Error('Damaged links, invalid configurations and unknown IDs should raise LinkErrors');
+                }
+
+                const crafted = btoa(JSON.stringify({ version: 1, config }))
+                    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+                const decoded = await QuestionnaireLinks.decode(`j${crafted}`);
+                if (decoded.config.submission || decoded.config.id !== 'link-fixture') {
+                    throw new Error('Submission settings in a hand-made link should be dropped');
+                }
+
+                const { config: fallback } = await QuestionnaireLinks.resolve({ configId: null, hash: '' }, this.config);
+                return fallback === this.config;
+            }
+        );
+
         this.endTestGroup(groupName);
     }
 
@@ -363,9 +1658,444 @@ class TestingSuiteEngine {
             }
         );
 
+        // Test 5: Multi-select branches
+        await this.runTest(
+            'Multi-Select Branches',
+            'Tests that each multi-select routing rule produces one path',
+            () => {
+                const analyzer = new PathAnalyzerEngine(this.getMultiSelectFixture());
+                const results = analyzer.analyzeAllPaths();
+
+                // allOf -> both (2 answers), anyOf -> one (2 answers), default -> end
+                if (results.paths.number !== 5) {
+                    throw new Error(`Expected 5 paths, got ${results.paths.number}`);
+                }
+
+                const selections = new Set(results.paths.list.map(path => JSON.stringify(Object.values(path[0])[0])));
+                const expected = ['["Sports","Music"]', '["Sports"]', '["Travel"]'];
+                if (selections.size !== expected.length || !expected.every(selection => selections.has(selection))) {
+                    throw new Error(`Unexpected representative selections: ${Array.from(selections).join(' ')}`);
+                }
+
+                // Too many options to try every selection: rules needing large selections still get their path
+                const options = Array.from({ length: 12 }, (_, index) => `o${index + 1}`);
+                const many = new PathAnalyzerEngine({
+                    startQuestion: 'many',
+                    questions: {
+                        many: {
+                            type: 'multi',
+                            question: 'Pick some',
+                            answers: options,
+                            routing: { rules: [{ allOf: options.slice(0, 8), next: 'last' }], default: null }
+                        },
+                        last: { question: 'Last?', answers: { Yes: null } }
+                    }
+                });
+                const manyResults = many.analyzeAllPaths();
+                const validation = many.validatePaths();
+                if (manyResults.paths.number !== 2 || manyResults.statistics.truncatedQuestions.join() !== 'many'
+                    || !validation.warnings.some(warning => warning.startsWith('Question "many"'))) {
+                    throw new Error(`Rules beyond the enumerated selections should be kept and truncation reported: ${manyResults.paths.number} paths`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 6: Input range buckets
+        await this.runTest(
+            'Input Range Buckets',
+            'Tests that each range rule of an input question produces one branch',
+            () => {
+                const analyzer = new PathAnalyzerEngine(this.getInputFixture());
+                analyzer.analyzeAllPaths();
+
+                const buckets = new Set(analyzer.getDetailedPaths().map(path => path.steps[0].answer));
+                const expected = ['< 18', '≥ 65', 'otherwise'];
+                if (buckets.size !== expected.length || !expected.every(bucket => buckets.has(bucket))) {
+                    throw new Error(`Expected buckets ${expected.join(', ')}, got ${Array.from(buckets).join(', ')}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 7: Feasible expression paths
+        await this.runTest(
+            'Feasible Expression Paths',
+            'Tests that expression rules are evaluated along each generated path',
+            () => {
+                const analyzer = new PathAnalyzerEngine(this.getExpressionFixture());
+                const results = analyzer.analyzeAllPaths();
+
+                if (results.paths.number !== 4) {
+                    throw new Error(`Expected 4 feasible paths, got ${results.paths.number}`);
+                }
+
+                const familyPaths = analyzer.findPathsBy(path => path.some(step => Object.keys(step)[0] === 'Tell us about your family'));
+                if (familyPaths.length !== 1 || Object.values(familyPaths[0][0])[0] !== 'Married') {
+                    throw new Error('Only married respondents with children should reach the family question');
+                }
+
+                return true;
+            }
+        );
+
+        // Test 8: Score ranges and outcomes
+        await this.runTest(
+            'Score Ranges and Outcomes',
+            'Tests per-path score ranges and outcome reachability',
+            () => {
+                const analyzer = new PathAnalyzerEngine(this.getScoringFixture());
+                const results = analyzer.analyzeAllPaths();
+                const [pathA, pathB] = analyzer.getDetailedPaths();
+
+                if (pathA.score.min !== 3 || pathA.score.max !== 7 || pathB.score.min !== 1 || pathB.score.max !== 5) {
+                    throw new Error(`Unexpected score ranges: ${JSON.stringify([pathA.score, pathB.score])}`);
+                }
+
+                const { minScore, maxScore, reachableOutcomes, unreachableOutcomes } = results.statistics;
+                if (minScore !== 1 || maxScore !== 7) {
+                    throw new Error(`Expected overall score range 1-7, got ${minScore}-${maxScore}`);
+                }
+
+                if (reachableOutcomes.join() !== 'expert,novice' || unreachableOutcomes.join() !== 'perfect') {
+                    throw new Error(`Unexpected outcome reachability: ${reachableOutcomes} / ${unreachableOutcomes}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 9: Bounded repeat groups
+        await this.runTest(
+            'Bounded Repeat Paths',
+            'Tests that repeat groups are analyzed as a single representative iteration',
+            () => {
+                const analyzer = new PathAnalyzerEngine(this.getRepeatFixture());
+                const results = analyzer.analyzeAllPaths();
+
+                // 3 ways through the children group (or none) times 3 ways through the pets question and group
+                if (results.paths.number !== 12) {
+                    throw new Error(`Expected 12 paths, got ${results.paths.number}`);
+                }
+
+                const repeated = analyzer.getDetailedPaths()[0].steps.filter(step => step.question.startsWith('↻ '));
+                if (repeated.length === 0 || repeated[0].question !== '↻ How old is child 1?') {
+                    throw new Error('Repeated questions should be marked in the path');
+                }
+
+                return true;
+            }
+        );
+
+        // Test 10: Resolved question text
+        await this.runTest(
+            'Resolved Path Text',
+            'Tests that placeholders are filled in with the answers of each path',
+            () => {
+                const analyzer = new PathAnalyzerEngine(this.getPipingFixture());
+                analyzer.analyzeAllPaths();
+
+                const questions = analyzer.getDetailedPaths().map(path => path.steps.map(step => step.question));
+                const [married, , single] = questions;
+                if (married[1] !== 'Nice to meet you, ‹name›! Are you married?'
+                    || married[3] !== 'Anything else, ‹name›? You answered Yes.'
+                    || single[2] !== 'Anything else, ‹name›? You answered No.') {
+                    throw new Error(`Unexpected question texts: ${JSON.stringify(questions)}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 11: Steps per page
+        await this.runTest(
+            'Steps per Page',
+            'Tests reporting paths per page as well as per question',
+            () => {
+                const analyzer = new PathAnalyzerEngine(this.getPagesFixture());
+                analyzer.analyzeAllPaths();
+
+                const questionLengths = analyzer.getDetailedPaths().map(path => path.length);
+                const pagePaths = analyzer.getDetailedPaths({ by: 'page' });
+                if (questionLengths.join() !== '3,4,4' || pagePaths.map(path => path.length).join() !== '2,2,2') {
+                    throw new Error(`Unexpected path lengths: ${questionLengths.join()} / ${pagePaths.map(path => path.length).join()}`);
+                }
+
+                const [first, second] = pagePaths[0].steps;
+                if (first.title !== 'About you' || first.questions.length !== 2 || second.page !== null
+                    || second.questions[0].question !== 'Who is your guardian, ‹name›?') {
+                    throw new Error(`Unexpected page steps: ${JSON.stringify(pagePaths[0].steps)}`);
+                }
+
+                return true;
+            }
+        );
+
+        // Test 12: Collected response analytics
+        await this.runTest(
+            'Response Analytics',
+            'Tests answer distributions, drop-off, frequent paths, the funnel and response export/import',
+            () => {
+                const config = this.getExpressionFixture();
+                const records = [['Married', 'Yes', 'Done'], ['Married', 'Yes', 'Done'], ['Single', 'No', 'Done'], ['Single']]
+                    .map(answers => {
+                        const engine = new QuestionnaireEngine(config);
+                        answers.forEach(answer => engine.answerQuestion(answer));
+                        return engine.getSessionRecord();
+                    });
+                const analytics = new ResponseAnalyticsEngine(records, config);
+
+                const status = analytics.getDistributions().find(distribution => distribution.questionId === 'status');
+                if (status.responses !== 4 || status.answers.map(answer => `${answer.answer}:${answer.share}`).join() !== 'Married:50,Single:50') {
+                    throw new Error(`Unexpected distribution: ${JSON.stringify(status)}`);
+                }
+
+                const kids = analytics.getDropOff().find(entry => entry.questionId === 'kids');
+                const [topPath] = analytics.getTopPaths();
+                const funnel = analytics.getFunnel().map(stage => stage.count);
+                if (kids.reached !== 4 || kids.dropped !== 1 || topPath.keys.join() !== 'status,kids,family' || topPath.count !== 2
+                    || funnel.join() !== '4,4,3,3,3') {
+                    throw new Error(`Unexpected drop-off, paths or funnel: ${JSON.stringify({ kids, topPath, funnel })}`);
+                }
+
+                // Formulas are neutralized and quotes escaped
+                const csv = analytics.exportToCSV().split('\r\n');
+                if (csv.length !== 5 || !csv[0].endsWith('status,kids,family,plans')
+                    || ResponseAnalyticsEngine.toCSVField('=SUM(A1),"x"') !== '"\'=SUM(A1),""x"""') {
+                    throw new Error(`Unexpected CSV export: ${csv[0]}`);
+                }
+
+                const imported = ResponseAnalyticsEngine.importRecords(analytics.exportToJSON());
+                if (imported.length !== 4 || imported[3].currentQuestionId !== 'kids') {
+                    throw new Error('Exported responses should import again');
+                }
+
+                try {
+                    ResponseAnalyticsEngine.importRecords('{"answers": []}');
+                    throw new Error('Files without session records should be rejected');
+                } catch (error) {
+                    if (!error.message.includes('not a questionnaire session record')) {
+                        throw error;
+                    }
+                }
+
+                return true;
+            }
+        );
+
         this.endTestGroup(groupName);
     }
 
+    /**
+     * Small assessment configuration with scores, variables and outcomes
+     * @returns {Object} Questionnaire configuration
+     */
+    getScoringFixture() {
+        return {
+            startQuestion: 'q1',
+            questions: {
+                q1: { question: 'Pick the right answer', answers: { A: 'q2', B: 'q2' }, scores: { A: 2, B: 0 } },
+                q2: {
+                    type: 'multi',
+                    question: 'Pick all right answers',
+                    answers: ['X', 'Y', 'Z'],
+                    scores: { X: 1, Y: 1, Z: 3 },
+                    routing: { default: null }
+                }
+            },
+            variables: {
+                correct: { count: 'A' },
+                doubled: { expression: 'score * 2' }
+            },
+            outcomes: [
+                { id: 'perfect', title: 'Perfect', score: { min: 100 } },
+                { id: 'expert', title: 'Expert', score: { min: 5 } },
+                { id: 'novice', title: 'Novice' }
+            ]
+        };
+    }
+
+    /**
+     * Small configuration exercising expression rules over earlier answers
+     * @returns {Object} Questionnaire configuration
+     */
+    getExpressionFixture() {
+        return {
+            startQuestion: 'status',
+            questions: {
+                status: { question: 'What is your marital status?', answers: { Single: 'kids', Married: 'kids' } },
+                kids: {
+                    question: 'Do you have children?',
+                    answers: { Yes: 'plans', No: 'plans' },
+                    next: [
+                        { when: "status == 'Married' and kids == 'Yes'", goto: 'family' }
+                    ]
+                },
+                family: { question: 'Tell us about your family', answers: { Done: null } },
+                plans: { question: 'What are your plans?', answers: { Done: null } }
+            }
+        };
+    }
+
+    /**
+     * Small configuration with a count-driven and a condition-driven repeat group
+     * @returns {Object} Questionnaire configuration
+     */
+    getRepeatFixture() {
+        return {
+            startQuestion: 'kids',
+            questions: {
+                kids: {
+                    type: 'number',
+                    question: 'How many children do you have?',
+                    min: 0,
+                    max: 10,
+                    integer: true,
+                    routing: { rules: [{ gte: 1, next: 'children' }], default: 'pets' }
+                },
+                child_age: {
+                    type: 'number',
+                    question: 'How old is child {{iteration}}?',
+                    min: 0,
+                    integer: true,
+                    routing: { rules: [{ lt: 6, next: null }], default: 'child_school' }
+                },
+                child_school: { question: 'Does child {{iteration}} ({{child_age}}) go to school?', answers: { Yes: null, No: null } },
+                pets: { question: 'Do you have pets?', answers: { Yes: 'pet_group', No: null } },
+                pet_name: { type: 'text', question: 'What is the name of pet {{iteration}}?', routing: { default: 'more_pets' } },
+                more_pets: { question: 'Add another pet?', answers: { Yes: null, No: null } }
+            },
+            groups: {
+                children: { title: 'Children', questions: ['child_age', 'child_school'], repeat: { count: 'kids' }, next: 'pets' },
+                pet_group: { questions: ['pet_name', 'more_pets'], repeat: { while: "more_pets == 'Yes'" }, maxIterations: 3, next: null }
+            }
+        };
+    }
+
+    /**
+     * Small configuration showing several questions per page
+     * @returns {Object} Questionnaire configuration
+     */
+    getPagesFixture() {
+        return {
+            startQuestion: 'name',
+            questions: {
+                name: { type: 'text', question: 'What is your name?', routing: { default: 'age' } },
+                age: {
+                    type: 'number',
+                    question: 'How old are you?',
+                    min: 0,
+                    integer: true,
+                    routing: { rules: [{ lt: 18, next: 'guardian' }], default: 'job' }
+                },
+                guardian: { type: 'text', question: 'Who is your guardian, {{name}}?', routing: { default: null } },
+                job: { question: 'Do you work?', answers: { Yes: 'hours', No: 'hours' } },
+                hours: { type: 'number', question: 'How many hours a week?', min: 0, routing: { default: null } }
+            },
+            pages: {
+                about: { title: 'About you', questions: ['name', 'age'] },
+                work: { title: 'Work', questions: ['job', 'hours'] }
+            }
+        };
+    }
+
+    /**
+     * Small configuration in two languages
+     * @returns {Object} Questionnaire configuration
+     */
+    getLocalizedFixture() {
+        return {
+            locales: ['en', 'ru'],
+            startQuestion: 'status',
+            questions: {
+                status: {
+                    question: { en: 'Are you married?', ru: 'Вы состоите в браке?' },
+                    answers: { yes: 'plans', no: 'plans' },
+                    labels: { yes: { en: 'Yes', ru: 'Да' }, no: { en: 'No', ru: 'Нет' } }
+                },
+                plans: {
+                    type: 'multi',
+                    question: { en: 'You answered {{status}}. Any plans?', ru: 'Вы ответили {{status}}. Есть планы?' },
+                    answers: ['travel', 'move'],
+                    labels: { travel: { en: 'Travel', ru: 'Путешествие' }, move: { en: 'Move', ru: 'Переезд' } },
+                    routing: { rules: [], default: null }
+                }
+            }
+        };
+    }
+
+    /**
+     * Small configuration piping earlier answers into question text
+     * @returns {Object} Questionnaire configuration
+     */
+    getPipingFixture() {
+        return {
+            startQuestion: 'name',
+            questions: {
+                name: { type: 'text', question: 'What is your name?', routing: { default: 'status' } },
+                status: { question: 'Nice to meet you, {{name}}! Are you married?', answers: { Yes: 'years', No: 'end' } },
+                years: { question: 'How long have you been married, {{name}}?', answers: { 'Under a year': 'end', Longer: 'end' } },
+                end: { question: 'Anything else, {{name|friend}}? You answered {{status}}.', answers: { 'No, thanks': null } }
+            }
+        };
+    }
+
+    /**
+     * Small configuration exercising input questions with range routing
+     * @returns {Object} Questionnaire configuration
+     */
+    getInputFixture() {
+        return {
+            startQuestion: 'age',
+            questions: {
+                age: {
+                    type: 'number',
+                    question: 'How old are you?',
+                    min: 0,
+                    max: 120,
+                    integer: true,
+                    routing: {
+                        rules: [
+                            { lt: 18, next: 'minor' },
+                            { gte: 65, next: null }
+                        ],
+                        default: 'email'
+                    }
+                },
+                minor: { question: 'Do you have parental consent?', answers: { Yes: null, No: null } },
+                email: { type: 'email', question: 'Where can we reach you?', required: false, routing: { default: null } }
+            }
+        };
+    }
+
+    /**
+     * Small configuration exercising multi-select routing
+     * @returns {Object} Questionnaire configuration
+     */
+    getMultiSelectFixture() {
+        return {
+            startQuestion: 'hobbies',
+            questions: {
+                hobbies: {
+                    type: 'multi',
+                    question: 'Which hobbies do you have?',
+                    answers: ['Sports', 'Music', 'Travel'],
+                    routing: {
+                        rules: [
+                            { allOf: ['Sports', 'Music'], next: 'both' },
+                            { anyOf: ['Sports', 'Music'], next: 'one' }
+                        ],
+                        default: null
+                    }
+                },
+                both: { question: 'Do you play music at sports events?', answers: { Yes: null, No: null } },
+                one: { question: 'How often do you practice?', answers: { Daily: null, Weekly: null } }
+            }
+        };
+    }
+
     /**
      * Run performance tests
      */
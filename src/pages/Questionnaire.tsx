@@ -1,16 +1,40 @@
 import { useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
 import '../styles/questionnaire.css';
 
 export default function Questionnaire() {
-  useEffect(() => {
-    const loadScripts = async () => {
-      const scripts = [
-        '/src/js/questionnaire-config.js',
-        '/src/js/questionnaire-engine.js',
-        '/src/js/questionnaire.js'
-      ];
+  const { id } = useParams();
+
+  // Another ID is another questionnaire, so it gets a fresh page rather than the previous one's
+  return <QuestionnairePage key={id ?? ''} id={id ?? null} />;
+}
+
+const scripts = [
+  '/src/js/questionnaire-config.js',
+  '/src/js/questionnaire-question-types.js',
+  '/src/js/questionnaire-i18n.js',
+  '/src/js/questionnaire-expressions.js',
+  '/src/js/questionnaire-scoring.js',
+  '/src/js/questionnaire-templates.js',
+  '/src/js/questionnaire-content.js',
+  '/src/js/questionnaire-groups.js',
+  '/src/js/questionnaire-pages.js',
+  '/src/js/questionnaire-randomization.js',
+  '/src/js/questionnaire-eligibility.js',
+  '/src/js/questionnaire-submission.js',
+  '/src/js/questionnaire-engine.js',
+  '/src/js/questionnaire-session-store.js',
+  '/src/js/questionnaire-response-store.js',
+  '/src/js/questionnaire-links.js',
+  '/src/js/questionnaire.js'
+];
 
+// The scripts declare globals, which cannot be declared twice, so every visit shares one load
+let scriptsLoaded: Promise<void> | null = null;
+
+const loadScripts = () => {
+  if (!scriptsLoaded) {
+    scriptsLoaded = (async () => {
       for (const src of scripts) {
         await new Promise<void>((resolve, reject) => {
           const script = document.createElement('script');
@@ -21,37 +45,64 @@ export default function Questionnaire() {
           document.body.appendChild(script);
         });
       }
+    })().catch(error => {
+      scriptsLoaded = null;
+      throw error;
+    });
+  }
+  return scriptsLoaded;
+};
+
+function QuestionnairePage({ id }: { id: string | null }) {
+  useEffect(() => {
+    let app: { destroy(): void } | null = null;
+    let unmounted = false;
+    let timer: number | undefined;
+
+    loadScripts().then(() => {
+      if (unmounted) {
+        return;
+      }
 
-      // Initialize after all scripts loaded
-      setTimeout(() => {
-        if ((window as any).QuestionnaireApp) {
-          new (window as any).QuestionnaireApp();
+      // Initialize after all scripts loaded, with the questionnaire the address points to
+      timer = window.setTimeout(async () => {
+        const QuestionnaireApp = (window as any).QuestionnaireApp;
+        if (unmounted || !QuestionnaireApp) {
+          return;
+        }
+        app = await QuestionnaireApp.open({ configId: id, hash: window.location.hash });
+        // The page may have been left while the link was being opened
+        if (unmounted) {
+          app?.destroy();
         }
       }, 100);
-    };
-
-    loadScripts().catch(console.error);
+    }).catch(console.error);
 
     return () => {
-      const scripts = document.querySelectorAll('script[src*="questionnaire"]');
-      scripts.forEach(script => script.remove());
+      unmounted = true;
+      window.clearTimeout(timer);
+      app?.destroy();
     };
-  }, []);
+  }, [id]);
 
   return (
     <div className="container">
       <header className="header">
         <Link to="/" className="back-link">← Back to Home</Link>
         <h1 className="title">Interactive Questionnaire</h1>
+        <select className="language-switcher hidden" id="languageSwitcher" aria-label="Language"></select>
       </header>
 
       <main className="questionnaire-container">
         <div className="progress-bar">
+          <div className="progress-range" id="progressRange"></div>
           <div className="progress-fill" id="progressFill"></div>
         </div>
+        <div className="progress-text" id="progressText"></div>
 
         <div className="questionnaire-content">
           <div className="question-card" id="questionCard">
+            <div className="question-iteration hidden" id="questionIteration"></div>
             <div className="question-text" id="questionText"></div>
             <div className="answers-container" id="answersContainer"></div>
           </div>
@@ -59,14 +110,23 @@ export default function Questionnaire() {
           <div className="results-card hidden" id="resultsCard">
             <h2>Questionnaire Complete!</h2>
             <div className="results-content" id="resultsContent"></div>
+            <button className="export-button" id="exportButton">Export Responses</button>
             <button className="restart-button" id="restartButton">Start Over</button>
           </div>
+
+          <div className="screen-out-card hidden" id="screenOutCard">
+            <h2>Thank you for your time!</h2>
+            <p className="screen-out-message" id="screenOutMessage"></p>
+            <button className="restart-button" id="screenOutRestartButton">Start Over</button>
+          </div>
         </div>
 
         <div className="controls">
           <button className="control-button secondary" id="prevButton" disabled>Previous</button>
           <button className="control-button primary" id="nextButton" disabled>Next</button>
         </div>
+        <button className="submission-status hidden" id="submissionStatus" type="button" aria-live="polite"></button>
+        <button className="share-button" id="shareButton" type="button">Copy share link</button>
       </main>
     </div>
   );